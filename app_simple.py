@@ -1,8 +1,21 @@
 import os
 import json
+import time
 import logging
+import threading
+from datetime import datetime, timedelta
+from zoneinfo import ZoneInfo
 from flask import Flask, render_template, request, jsonify
 from werkzeug.middleware.proxy_fix import ProxyFix
+from schedule_validation import load_rules, validate_schedule, validate_document, drop_duplicate_ids
+from holidays import load_holiday_calendars
+from schedule_times import DeviceClock
+from timeline import build_timeline, current_status, on_channel, schedule_channels
+from recurrence import migrate_schedule
+from holds import load_holds, save_holds, hold_span, active_holds, validate_hold, hold_end, new_hold
+from recipe_history import record_revision, list_revisions, load_revision, comparable
+from audit_log import (trusted_proxies, signed_in_user, client_address, reported_action, schedule_changes,
+                       new_entry, append_entry, query_entries)
 
 # Configure logging
 logging.basicConfig(level=logging.DEBUG)
@@ -15,11 +28,30 @@ app.wsgi_app = ProxyFix(app.wsgi_app, x_proto=1, x_host=1)
 # JSON file path
 SCHEDULES_FILE = 'user_schedule_recipe.json'
 
+DEVICE_CONFIG_FILE = 'device_config.json'
+
+# Longest stretch /api/timeline resolves in one request
+MAX_TIMELINE_DAYS = 31
+
+# Addresses of the proxies whose signed-in user and forwarded-for headers the audit log believes; none unless configured
+TRUSTED_PROXIES = trusted_proxies(os.environ.get("TRUSTED_PROXIES"))
+
+# Serialize read-modify-write cycles on the schedules file
+schedules_lock = threading.Lock()
+
+# ...and on the holds file
+holds_lock = threading.Lock()
+
+# ...and on the audit log
+audit_lock = threading.Lock()
+
 def load_schedules():
-    """Load schedules from JSON file"""
+    """Load schedules from JSON file, with schedules saved by older versions brought up to the current rules"""
     try:
         with open(SCHEDULES_FILE, 'r') as f:
             content = json.load(f)
+            if isinstance(content, dict) and isinstance(content.get('schedules'), list):
+                content['schedules'] = drop_duplicate_ids([migrate_schedule(s) for s in content['schedules']])
             # Handle both old single schedule format and new schedules array format
             if isinstance(content, dict) and 'schedules' not in content:
                 # Old format - single schedule object, convert to new format
@@ -27,7 +59,7 @@ def load_schedules():
                     # This is a single schedule, wrap it in the expected structure
                     content['id'] = '1'  # Give it an ID
                     return {
-                        "schedules": [content],
+                        "schedules": [migrate_schedule(content)],
                         "metadata": {
                             "version": "1.0",
                             "created_at": "2025-07-25T21:30:00.000000",
@@ -43,10 +75,12 @@ def load_schedules():
                     "id": "unoccupied-default",
                     "event_name": "Unoccupied",
                     "schedule_type": "thermostat",
-                    "repeat_frequency": "daily",
+                    "repeat_frequency": "custom",
                     "time_setting": "all_day",
-                    "start_time": None,
-                    "end_time": None,
+                    "start_date": "2025-01-01",
+                    "end_date": "never",
+                    "start_time": "00:00",
+                    "end_time": "23:59",
                     "settings": {
                         "system_mode": "Heat",
                         "heat_setpoint": "65",
@@ -55,7 +89,7 @@ def load_schedules():
                         "humidity_setpoint": "45",
                         "ventilation_rate": "0"
                     },
-                    "days_of_week": [],
+                    "days_of_week": ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"],
                     "is_default": True,
                     "exclude_dates": []
                 }
@@ -69,58 +103,576 @@ def load_schedules():
         save_schedules(default_data)
         return default_data
 
-def save_schedules(data):
-    """Save schedules to JSON file"""
+def save_schedules(data, note=None):
+    """Save schedules to JSON file and keep the saved revision in the history (note prefixes its summary)"""
+    try:
+        with open(SCHEDULES_FILE, 'r') as f:
+            previous = json.load(f)
+    except (FileNotFoundError, ValueError):
+        previous = None
     with open(SCHEDULES_FILE, 'w') as f:
         json.dump(data, f, indent=2)
+    record_revision(previous, data, note)
+
+def touch_metadata(data):
+    """Stamp the document's updated_at and bump its revision before saving"""
+    metadata = data.setdefault('metadata', {})
+    now = datetime.utcnow().isoformat()
+    metadata.setdefault('version', '1.0')
+    metadata.setdefault('created_at', now)
+    metadata['updated_at'] = now
+    metadata['revision'] = int(metadata.get('revision', 0)) + 1
+    return data
+
+def find_schedule_index(schedules, schedule_id):
+    """Return the index of the schedule with the given id, or -1"""
+    for index, schedule in enumerate(schedules):
+        if str(schedule.get('id')) == str(schedule_id):
+            return index
+    return -1
+
+def revision_of(item):
+    """Revision of a schedule or of the document metadata (0 for data saved before revisions existed)"""
+    return str((item or {}).get('revision', 0))
+
+def with_revisions(current, schedules):
+    """Schedules of a whole-document save with their revisions set by the server: a changed schedule
+    gets one past its stored revision (whatever the client sent), so clients holding the old copy see
+    a conflict; an unchanged one keeps it and a new one starts at 1"""
+    stored = {str(s.get('id')): s for s in current}
+    result = []
+    for schedule in schedules:
+        existing = stored.get(str(schedule.get('id')))
+        revision = 1
+        if existing is not None:
+            revision = int(existing.get('revision', 0))
+            if comparable(existing) != comparable(schedule):
+                revision += 1
+        result.append({**schedule, 'revision': revision})
+    return result
+
+def requested_revision():
+    """Revision the client loaded, taken from the If-Match header (None when missing)"""
+    value = request.headers.get('If-Match')
+    if value is None:
+        return None
+    value = value.strip()
+    if value.startswith('W/'):
+        value = value[2:]
+    return value.strip('"')
+
+def check_revision(current, current_revision, kind):
+    """Return an error response when the client's If-Match revision is missing or stale, else None"""
+    expected = requested_revision()
+    if expected is None:
+        return jsonify({'error': 'If-Match header with the loaded revision is required'}), 428
+    if expected != current_revision:
+        return jsonify({
+            'error': f'The {kind} was changed by someone else',
+            'revision': current_revision,
+            'current': current
+        }), 409
+    return None
+
+def invalid_response(errors):
+    """422 response listing the problems per field"""
+    return jsonify({'error': 'Schedule is invalid', 'errors': errors}), 422
+
+def request_object():
+    """The JSON body when it is an object, else None (missing, malformed, null, a list...)"""
+    payload = request.get_json(silent=True)
+    return payload if isinstance(payload, dict) else None
+
+def with_etag(response, revision):
+    """Attach the revision as the response's ETag"""
+    response.headers['ETag'] = f'"{revision}"'
+    return response
+
+def load_device_config():
+    """Load the device configuration (timezone, location), or the default device when there is none"""
+    try:
+        with open(DEVICE_CONFIG_FILE, 'r') as f:
+            return json.load(f)
+    except FileNotFoundError:
+        return {
+            "device": {
+                "timezone": "America/New_York",
+                "location": {"name": "Default Location", "latitude": 40.7128, "longitude": -74.0060},
+                "id": "hvac-device-default",
+                "name": "HVAC Controller"
+            }
+        }
+
+def span_json(span, zone):
+    """A resolved (start, end, schedule) span as JSON, times shown in zone"""
+    start, end, schedule = span
+    return {
+        'start': start.astimezone(zone).isoformat(),
+        'end': end.astimezone(zone).isoformat(),
+        'schedule_id': schedule.get('id') if schedule else None,
+        'event_name': schedule.get('event_name') if schedule else None,
+        'is_default': bool(schedule and schedule.get('is_default')),
+        'is_hold': bool(schedule and schedule.get('is_hold')),
+        'layer': schedule.get('layer') or 'base' if schedule else None,
+        'override_of': schedule.get('override_of') if schedule else None,
+        'settings': schedule.get('settings') if schedule else None
+    }
+
+def priority_layers(rules):
+    """Ids of the priority layers in schedule_rules.json, lowest first"""
+    return [layer['id'] for layer in rules['priority_layers']]
+
+def hold_spans(rules, channel=None):
+    """Stored holds as timeline spans, only those driving channel when one is given"""
+    return [hold_span(hold) for hold in load_holds()
+            if not channel or channel in schedule_channels(hold, rules['schedule_type_channels'])]
+
+def status_json(status, now, zone):
+    """What is in effect at now and what follows (see timeline.current_status) as JSON"""
+    _, active_until, active = status['active']
+    next_transition = status['next_transition']
+    if active and active.get('is_hold'):
+        state = 'hold'
+    else:
+        state = 'occupied' if active and not active.get('is_default') else 'unoccupied'
+    return {
+        'status': state,
+        'active_schedule': {
+            'id': active.get('id'),
+            'event_name': active.get('event_name'),
+            'schedule_type': active.get('schedule_type'),
+            'layer': active.get('layer') or 'base',
+            'is_default': bool(active.get('is_default')),
+            'is_hold': bool(active.get('is_hold')),
+            'override_of': active.get('override_of')
+        } if active else None,
+        'settings': active.get('settings') if active else None,
+        'active_until': active_until.astimezone(zone).isoformat() if next_transition else None,
+        'next_transition': span_json(next_transition, zone) if next_transition else None,
+        'seconds_until_next': int((next_transition[0] - now).total_seconds()) if next_transition else None
+    }
+
+def parse_moment(value, zone):
+    """Aware datetime for an ISO date or datetime query value; ones without an offset are read in zone"""
+    moment = datetime.fromisoformat(value)
+    return moment if moment.tzinfo else moment.replace(tzinfo=zone)
 
 @app.route('/')
 def index():
     """Main widget interface"""
-    return render_template('index.html')
+    return render_template('index.html', schedule_rules=load_rules())
 
 @app.route('/api/schedules', methods=['GET'])
 def get_schedules():
     """Get all schedule data"""
     try:
         data = load_schedules()
-        return jsonify(data)
+        return with_etag(jsonify(data), revision_of(data.get('metadata')))
     except Exception as e:
         logging.error(f"Error getting schedules: {str(e)}")
         return jsonify({'error': 'Failed to retrieve schedules'}), 500
 
 @app.route('/api/schedules', methods=['POST'])
-def save_schedules_data():
-    """Save complete schedule data"""
+def create_schedule():
+    """Create a single schedule, or save complete schedule data when a schedules array is posted"""
     try:
-        data = request.get_json()
-        save_schedules(data)
-        return jsonify({'success': True, 'message': 'Schedules saved successfully'})
+        payload = request_object()
+        if payload is None:
+            return invalid_response({'body': ['Request body must be a JSON object']})
+        
+        with schedules_lock:
+            data = load_schedules()
+            
+            # Whole-document save (import, clear all) - must be based on the current document revision
+            if 'schedules' in payload:
+                stale = check_revision(data, revision_of(data.get('metadata')), 'schedule recipe')
+                if stale:
+                    return stale
+                if isinstance(payload['schedules'], list):
+                    payload['schedules'] = [migrate_schedule(s) for s in payload['schedules']]
+                errors = validate_document(payload)
+                if errors:
+                    return invalid_response(errors)
+                payload['schedules'] = with_revisions(data.get('schedules', []), payload['schedules'])
+                payload['metadata'] = {**data.get('metadata', {}), **payload.get('metadata', {})}
+                payload['metadata']['revision'] = data.get('metadata', {}).get('revision', 0)
+                save_schedules(touch_metadata(payload))
+                audit('SAVE_RECIPE', data.get('schedules', []), payload['schedules'])
+                return with_etag(jsonify({'success': True, 'message': 'Schedules saved successfully',
+                                          'schedules': payload['schedules'], 'metadata': payload['metadata']}),
+                                 revision_of(payload['metadata']))
+            
+            errors = validate_schedule(payload)
+            if errors:
+                return invalid_response(errors)
+            
+            schedules = data.setdefault('schedules', [])
+            schedule = dict(payload)
+            if not schedule.get('id'):
+                schedule['id'] = str(int(time.time() * 1000))
+            if find_schedule_index(schedules, schedule['id']) != -1:
+                return jsonify({'error': f"Schedule {schedule['id']} already exists"}), 409
+            
+            schedule['revision'] = 1
+            schedules.append(schedule)
+            save_schedules(touch_metadata(data))
+            audit('CREATE_SCHEDULE', [], [schedule])
+        return with_etag(jsonify(schedule), revision_of(schedule)), 201
     except Exception as e:
         logging.error(f"Error saving schedules: {str(e)}")
         return jsonify({'error': 'Failed to save schedules'}), 500
 
+@app.route('/api/schedules/<schedule_id>', methods=['GET'])
+def get_schedule(schedule_id):
+    """Get a single schedule"""
+    try:
+        schedules = load_schedules().get('schedules', [])
+        index = find_schedule_index(schedules, schedule_id)
+        if index == -1:
+            return jsonify({'error': 'Schedule not found'}), 404
+        return with_etag(jsonify(schedules[index]), revision_of(schedules[index]))
+    except Exception as e:
+        logging.error(f"Error getting schedule {schedule_id}: {str(e)}")
+        return jsonify({'error': 'Failed to retrieve schedule'}), 500
+
+@app.route('/api/schedules/<schedule_id>', methods=['PUT', 'PATCH'])
+def update_schedule(schedule_id):
+    """Replace (PUT) or partially update (PATCH) a single schedule"""
+    try:
+        payload = request_object()
+        if payload is None:
+            return invalid_response({'body': ['Request body must be a JSON object']})
+        
+        with schedules_lock:
+            data = load_schedules()
+            schedules = data.get('schedules', [])
+            index = find_schedule_index(schedules, schedule_id)
+            if index == -1:
+                return jsonify({'error': 'Schedule not found'}), 404
+            
+            current = schedules[index]
+            stale = check_revision(current, revision_of(current), 'schedule')
+            if stale:
+                return stale
+            
+            if request.method == 'PATCH':
+                schedule = {**current, **payload}
+            else:
+                schedule = dict(payload)
+            schedule['id'] = current['id']  # The URL decides which schedule changes
+            errors = validate_schedule(schedule)
+            if errors:
+                return invalid_response(errors)
+            schedule['revision'] = int(current.get('revision', 0)) + 1
+            
+            schedules[index] = schedule
+            save_schedules(touch_metadata(data))
+            audit('UPDATE_SCHEDULE', [current], [schedule])
+        return with_etag(jsonify(schedule), revision_of(schedule))
+    except Exception as e:
+        logging.error(f"Error updating schedule {schedule_id}: {str(e)}")
+        return jsonify({'error': 'Failed to update schedule'}), 500
+
+@app.route('/api/schedules/<schedule_id>', methods=['DELETE'])
+def delete_schedule(schedule_id):
+    """Delete a single schedule"""
+    try:
+        with schedules_lock:
+            data = load_schedules()
+            schedules = data.get('schedules', [])
+            index = find_schedule_index(schedules, schedule_id)
+            if index == -1:
+                return jsonify({'error': 'Schedule not found'}), 404
+            
+            stale = check_revision(schedules[index], revision_of(schedules[index]), 'schedule')
+            if stale:
+                return stale
+            
+            deleted = schedules.pop(index)
+            save_schedules(touch_metadata(data))
+            audit('DELETE_SCHEDULE', [deleted], [])
+        return jsonify({'success': True, 'deleted': deleted['id']})
+    except Exception as e:
+        logging.error(f"Error deleting schedule {schedule_id}: {str(e)}")
+        return jsonify({'error': 'Failed to delete schedule'}), 500
+
+@app.route('/api/schedules/history', methods=['GET'])
+def get_schedule_history():
+    """Every saved revision of the recipe (revision, saved_at, summary, size), newest first"""
+    try:
+        data = load_schedules()
+        return jsonify({
+            'revisions': list_revisions(),
+            'current_revision': int(revision_of(data.get('metadata')))
+        })
+    except Exception as e:
+        logging.error(f"Error getting schedule history: {str(e)}")
+        return jsonify({'error': 'Failed to retrieve schedule history'}), 500
+
+@app.route('/api/schedules/history/<int:revision>', methods=['GET'])
+def get_schedule_revision(revision):
+    """One saved revision with its recipe (document), for previewing it"""
+    try:
+        entry = load_revision(revision)
+        if entry is None:
+            return jsonify({'error': 'Revision not found'}), 404
+        return jsonify(entry)
+    except Exception as e:
+        logging.error(f"Error getting schedule revision {revision}: {str(e)}")
+        return jsonify({'error': 'Failed to retrieve schedule revision'}), 500
+
+@app.route('/api/schedules/history/<int:revision>/restore', methods=['POST'])
+def restore_schedule_revision(revision):
+    """Make an earlier revision's schedules current again. The restore is saved as a new revision,
+    so it can be rolled back the same way; If-Match must carry the current recipe revision"""
+    try:
+        with schedules_lock:
+            data = load_schedules()
+            stale = check_revision(data, revision_of(data.get('metadata')), 'schedule recipe')
+            if stale:
+                return stale
+            entry = load_revision(revision)
+            if entry is None:
+                return jsonify({'error': 'Revision not found'}), 404
+            # Revisions saved by older versions get the same repairs as a loaded recipe
+            if isinstance(entry['document'].get('schedules'), list):
+                entry['document']['schedules'] = drop_duplicate_ids(
+                    [migrate_schedule(s) for s in entry['document']['schedules']])
+            errors = validate_document(entry['document'])
+            if errors:
+                return invalid_response(errors)
+            
+            # Restored schedules get a revision past both their old and current ones, so clients
+            # holding either copy see a conflict instead of overwriting the restore
+            current = {str(s.get('id')): s for s in data.get('schedules', [])}
+            schedules = []
+            for schedule in entry['document'].get('schedules', []):
+                restored = dict(schedule)
+                existing = current.get(str(schedule.get('id')), {})
+                restored['revision'] = max(int(existing.get('revision', 0)), int(schedule.get('revision', 0))) + 1
+                schedules.append(restored)
+            replaced = data.get('schedules', [])
+            data['schedules'] = schedules
+            save_schedules(touch_metadata(data), note=f'Restored revision {revision}')
+            audit('RESTORE_REVISION', replaced, schedules, scope=f'revision {revision}')
+        return with_etag(jsonify(data), revision_of(data['metadata']))
+    except Exception as e:
+        logging.error(f"Error restoring schedule revision {revision}: {str(e)}")
+        return jsonify({'error': 'Failed to restore schedule revision'}), 500
+
+@app.route('/api/holidays', methods=['GET'])
+def get_holidays():
+    """Get the holiday calendars schedules can subscribe to"""
+    try:
+        return jsonify(load_holiday_calendars())
+    except Exception as e:
+        logging.error(f"Error loading holiday calendars: {str(e)}")
+        return jsonify({'error': 'Failed to load holiday calendars'}), 500
+
 @app.route('/api/device/config', methods=['GET'])
 def get_device_config():
     """Get device configuration including timezone"""
     try:
-        with open('device_config.json', 'r') as f:
-            config = json.load(f)
-        return jsonify(config)
-    except FileNotFoundError:
-        # Default configuration
-        config = {
-            "device": {
-                "timezone": "America/New_York",
-                "location": {"name": "Default Location", "latitude": 40.7128, "longitude": -74.0060},
-                "id": "hvac-device-default",
-                "name": "HVAC Controller"
-            }
-        }
-        return jsonify(config)
+        return jsonify(load_device_config())
     except Exception as e:
         logging.error(f"Error getting device config: {str(e)}")
         return jsonify({'error': 'Failed to get device configuration'}), 500
 
+@app.route('/api/timeline', methods=['GET'])
+def get_timeline():
+    """Resolved setpoints between ?from= and ?to= (default the next 24 hours) as gap-free spans,
+    with times shown in ?zone= (default the device's timezone); ?channel= limits them to the
+    schedules driving one control channel"""
+    try:
+        rules = load_rules()
+        channel = request.args.get('channel')
+        if channel and channel not in [entry['id'] for entry in rules['channels']]:
+            return jsonify({'error': f"Unknown channel '{channel}'"}), 400
+        device = load_device_config().get('device', {})
+        clock = DeviceClock(device)
+        try:
+            zone = ZoneInfo(request.args.get('zone') or device.get('timezone') or 'America/New_York')
+        except (ValueError, KeyError):
+            return jsonify({'error': f"Unknown timezone '{request.args.get('zone')}'"}), 400
+        try:
+            start = parse_moment(request.args['from'], zone) if request.args.get('from') else datetime.now(zone)
+            end = parse_moment(request.args['to'], zone) if request.args.get('to') else start + timedelta(days=1)
+        except ValueError:
+            return jsonify({'error': 'from and to must be ISO 8601 dates or date-times'}), 400
+        if end <= start:
+            return jsonify({'error': 'to must be after from'}), 400
+        if end - start > timedelta(days=MAX_TIMELINE_DAYS):
+            return jsonify({'error': f'The timeline covers at most {MAX_TIMELINE_DAYS} days per request'}), 400
+        
+        schedules = [s for s in load_schedules().get('schedules', []) if isinstance(s, dict)]
+        if channel:
+            schedules = on_channel(schedules, channel, rules['schedule_type_channels'])
+        calendars = load_holiday_calendars().get('calendars', {})
+        spans = build_timeline(schedules, start, end, clock, calendars, priority_layers(rules),
+                               hold_spans(rules, channel))
+        return jsonify({
+            'from': start.astimezone(zone).isoformat(),
+            'to': end.astimezone(zone).isoformat(),
+            'zone': str(zone),
+            'channel': channel,
+            'device_timezone': str(clock.zone),
+            'timeline': [span_json(span, zone) for span in spans]
+        })
+    except Exception as e:
+        logging.error(f"Error building timeline: {str(e)}")
+        return jsonify({'error': 'Failed to build timeline'}), 500
+
+@app.route('/api/status', methods=['GET'])
+def get_status():
+    """The schedule in effect now on the device's clock, its settings, and the next transition -
+    overall and for each control channel"""
+    try:
+        rules = load_rules()
+        device = load_device_config().get('device', {})
+        clock = DeviceClock(device)
+        now = datetime.now(clock.zone).replace(microsecond=0)
+        schedules = [s for s in load_schedules().get('schedules', []) if isinstance(s, dict)]
+        calendars = load_holiday_calendars().get('calendars', {})
+        layers = priority_layers(rules)
+        status = current_status(schedules, now, clock, calendars, layers, hold_spans(rules))
+        
+        channels = []
+        for channel in rules['channels']:
+            on = on_channel(schedules, channel['id'], rules['schedule_type_channels'])
+            channel_status = current_status(on, now, clock, calendars, layers, hold_spans(rules, channel['id']))
+            channels.append({
+                'channel': channel['id'],
+                'label': channel['label'],
+                **status_json(channel_status, now, clock.zone)
+            })
+        return jsonify({
+            'current_time': now.isoformat(),
+            'device_timezone': str(clock.zone),
+            **status_json(status, now, clock.zone),
+            'next_event': span_json(status['next_event'], clock.zone) if status['next_event'] else None,
+            'channels': channels,
+            'holds': active_holds(load_holds(), now)
+        })
+    except Exception as e:
+        logging.error(f"Error getting status: {str(e)}")
+        return jsonify({'error': 'Failed to get status'}), 500
+
+@app.route('/api/holds', methods=['GET'])
+def get_holds():
+    """Holds that haven't expired yet"""
+    try:
+        now = datetime.now(DeviceClock(load_device_config().get('device', {})).zone)
+        return jsonify({'holds': active_holds(load_holds(), now)})
+    except Exception as e:
+        logging.error(f"Error getting holds: {str(e)}")
+        return jsonify({'error': 'Failed to retrieve holds'}), 500
+
+@app.route('/api/holds', methods=['POST'])
+def create_hold():
+    """Put settings on hold from now until a clock time, for some minutes, or until the schedule's
+    next transition on the hold's channels; replaces the holds already on those channels"""
+    try:
+        payload = request_object()
+        if payload is None:
+            return invalid_response({'body': ['Request body must be a JSON object']})
+        rules = load_rules()
+        errors = validate_hold(payload, rules)
+        if errors:
+            return jsonify({'error': 'Hold is invalid', 'errors': errors}), 422
+        
+        clock = DeviceClock(load_device_config().get('device', {}))
+        now = datetime.now(clock.zone).replace(microsecond=0)
+        type_channels = rules['schedule_type_channels']
+        channels = type_channels.get(payload['schedule_type'], [])
+        
+        next_transition = None
+        if payload.get('until') == 'next_transition':
+            # When the schedule itself next changes on any of the hold's channels, holds aside
+            schedules = [s for s in load_schedules().get('schedules', []) if isinstance(s, dict)]
+            calendars = load_holiday_calendars().get('calendars', {})
+            for channel in channels:
+                status = current_status(on_channel(schedules, channel, type_channels), now, clock, calendars,
+                                        priority_layers(rules))
+                if status['next_transition'] and (not next_transition or status['next_transition'][0] < next_transition):
+                    next_transition = status['next_transition'][0]
+            if not next_transition:
+                return jsonify({'error': 'Hold is invalid',
+                                'errors': {'until': ['The schedule has no transition in the next 8 days']}}), 422
+        
+        with holds_lock:
+            hold = new_hold(payload, now, hold_end(payload, now, clock, next_transition), clock.zone)
+            holds = [held for held in active_holds(load_holds(), now)
+                     if not set(schedule_channels(held, type_channels)) & set(channels)]
+            save_holds(holds + [hold], now)
+        return jsonify(hold), 201
+    except Exception as e:
+        logging.error(f"Error creating hold: {str(e)}")
+        return jsonify({'error': 'Failed to create hold'}), 500
+
+@app.route('/api/holds/<hold_id>', methods=['DELETE'])
+def cancel_hold(hold_id):
+    """Cancel a hold; the schedule takes over again right away"""
+    try:
+        now = datetime.now(DeviceClock(load_device_config().get('device', {})).zone)
+        with holds_lock:
+            holds = load_holds()
+            remaining = [hold for hold in holds if hold.get('id') != hold_id]
+            if len(remaining) == len(holds):
+                return jsonify({'error': 'Hold not found'}), 404
+            save_holds(remaining, now)
+        return jsonify({'success': True, 'message': 'Hold cancelled'})
+    except Exception as e:
+        logging.error(f"Error cancelling hold {hold_id}: {str(e)}")
+        return jsonify({'error': 'Failed to cancel hold'}), 500
+
+def request_peer():
+    """The address that connected. ProxyFix has already replaced remote_addr with X-Forwarded-For,
+    which the client controls"""
+    return request.environ.get('werkzeug.proxy_fix.orig', {}).get('REMOTE_ADDR', request.remote_addr)
+
+def request_user():
+    """The signed-in user the request came from (see audit_log.signed_in_user), or 'anonymous'"""
+    return signed_in_user(request.headers, request_peer(), request.remote_user, TRUSTED_PROXIES)
+
+def audit(action_type, before, after, scope=None):
+    """Log a saved write to the audit log: what changed from the schedules before to after, by whom and
+    from where. The browser's X-Schedule-Action label names the action when it sends one (restores
+    always log as such). Call it while holding schedules_lock, right after the save; a failure to
+    log is reported in the server log and doesn't undo the save"""
+    changes = schedule_changes(before, after)
+    if not changes:
+        return
+    if scope is None:
+        reported, scope = reported_action(request.headers)
+        action_type = reported or action_type
+    entry = new_entry(action_type, scope, changes, request_user(), {
+        'address': client_address(request_peer(), request.headers.get('X-Forwarded-For'), TRUSTED_PROXIES),
+        'user_agent': request.headers.get('User-Agent')
+    }, f'{request.method} {request.path}')
+    try:
+        with audit_lock:
+            append_entry(entry)
+    except OSError as e:
+        logging.error(f"Error logging audit entry for {entry['request']}: {str(e)}")
+
+@app.route('/api/audit', methods=['GET'])
+def get_audit_entries():
+    """Audit entries, newest first; ?schedule_id= limits them to one schedule and ?from=/?to= to a
+    stretch of time (ISO dates or date-times, read on the device's clock when they have no offset)"""
+    try:
+        zone = DeviceClock(load_device_config().get('device', {})).zone
+        try:
+            start = parse_moment(request.args['from'], zone) if request.args.get('from') else None
+            end = parse_moment(request.args['to'], zone) if request.args.get('to') else None
+        except ValueError:
+            return jsonify({'error': 'from and to must be ISO 8601 dates or date-times'}), 400
+        if start and end and end <= start:
+            return jsonify({'error': 'to must be after from'}), 400
+        
+        return jsonify({'entries': query_entries(request.args.get('schedule_id'), start, end)})
+    except Exception as e:
+        logging.error(f"Error getting audit entries: {str(e)}")
+        return jsonify({'error': 'Failed to retrieve audit entries'}), 500
+
 if __name__ == '__main__':
     app.run(debug=True, host='0.0.0.0', port=5000)
\ No newline at end of file
@@ -0,0 +1,124 @@
+"""Audit log: who changed which schedule, when and how.
+
+The schedule handlers log every write they save (create, update, delete, whole-document saves and
+revision restores) from the schedules they had before and after it: for each schedule touched,
+whether it was created, updated or deleted and the fields that changed. Entries are stamped with the
+time, the user and the client the request came from and appended as one JSON line to
+schedule_audit.jsonl; they are never rewritten.
+"""
+import json
+import re
+from datetime import datetime, timezone
+
+AUDIT_FILE = 'schedule_audit.jsonl'
+
+# Headers a fronting proxy or the hosting platform's login puts the signed-in user in, first match wins.
+# Any client can send them too, so they are only believed from a trusted proxy (see signed_in_user)
+USER_HEADERS = ('X-Replit-User-Name', 'X-Forwarded-User', 'X-Remote-User')
+
+# Fields every save touches; they say nothing about what changed
+UNLOGGED_FIELDS = ('id', 'revision', 'updated_at')
+
+# The browser may name the action a write belongs to (DRAG_WHOLE_SERIES) and its scope (following)
+REPORTED_ACTION = re.compile(r'^[A-Z][A-Z_]{0,39}$')
+REPORTED_SCOPE = re.compile(r'^[A-Za-z_]{1,40}$')
+
+def trusted_proxies(value):
+    """The proxy addresses in a comma-separated list (the TRUSTED_PROXIES setting)"""
+    return frozenset(address.strip() for address in (value or '').split(',') if address.strip())
+
+def signed_in_user(headers, peer, remote_user, proxies):
+    """Who a request came from: the first of USER_HEADERS when the peer that connected is one of the
+    trusted proxies, else the server's REMOTE_USER, else 'anonymous'"""
+    if peer in proxies:
+        for header in USER_HEADERS:
+            if headers.get(header):
+                return headers[header]
+    return remote_user or 'anonymous'
+
+def client_address(peer, forwarded_for, proxies):
+    """Where a request came from: the peer that connected or, while that is a trusted proxy, the
+    X-Forwarded-For address the proxy added before it. Anything further left is the client's own claim"""
+    address = peer
+    hops = [hop.strip() for hop in (forwarded_for or '').split(',') if hop.strip()]
+    while address in proxies and hops:
+        address = hops.pop()
+    return address
+
+def reported_action(headers):
+    """The browser's name for the action a write was part of, from X-Schedule-Action and
+    X-Schedule-Scope, as (action_type, scope); None for either when missing or not a plain name.
+    Only a label - the logged changes always come from the server's own before and after"""
+    action = headers.get('X-Schedule-Action', '')
+    scope = headers.get('X-Schedule-Scope', '')
+    return (action if REPORTED_ACTION.match(action) else None,
+            scope if REPORTED_SCOPE.match(scope) else None)
+
+def schedule_change(change, before, after):
+    """One schedule's change - only the fields that differ, as {before, after}"""
+    schedule = after or before
+    fields = {}
+    for name in sorted(set(before or {}) | set(after or {})):
+        if name in UNLOGGED_FIELDS:
+            continue
+        was = (before or {}).get(name)
+        now = (after or {}).get(name)
+        if json.dumps(was, sort_keys=True) != json.dumps(now, sort_keys=True):
+            fields[name] = {'before': was, 'after': now}
+    return {'schedule_id': str(schedule.get('id')), 'event_name': schedule.get('event_name'),
+            'change': change, 'fields': fields}
+
+def schedule_changes(before, after):
+    """The changes between two schedule lists: created and updated schedules in after's order, then
+    deleted ones. Schedules whose logged fields are all the same are left out"""
+    previous = {str(s.get('id')): s for s in before}
+    current = {str(s.get('id')) for s in after}
+    changes = []
+    for schedule in after:
+        old = previous.get(str(schedule.get('id')))
+        if old is None:
+            changes.append(schedule_change('created', None, schedule))
+        else:
+            change = schedule_change('updated', old, schedule)
+            if change['fields']:
+                changes.append(change)
+    changes.extend(schedule_change('deleted', s, None) for s in before if str(s.get('id')) not in current)
+    return changes
+
+def new_entry(action_type, scope, changes, user, client, request_line):
+    """The log entry for a saved write, stamped now. request_line ("PUT /api/schedules/42") is the
+    request that made it"""
+    return {
+        'at': datetime.now(timezone.utc).isoformat(),
+        'user': user,
+        'client': client,
+        'request': request_line,
+        'action_type': action_type,
+        'scope': scope,
+        'schedule_ids': [change['schedule_id'] for change in changes],
+        'changes': changes
+    }
+
+def append_entry(entry):
+    with open(AUDIT_FILE, 'a') as f:
+        f.write(json.dumps(entry) + '\n')
+
+def query_entries(schedule_id=None, start=None, end=None):
+    """Logged entries touching schedule_id from start up to end (aware datetimes, any may be None), newest first"""
+    try:
+        with open(AUDIT_FILE, 'r') as f:
+            lines = f.readlines()
+    except FileNotFoundError:
+        return []
+    entries = []
+    for line in lines:
+        if not line.strip():
+            continue
+        entry = json.loads(line)
+        at = datetime.fromisoformat(entry['at'])
+        if schedule_id and str(schedule_id) not in entry.get('schedule_ids', []):
+            continue
+        if (start and at < start) or (end and at >= end):
+            continue
+        entries.append(entry)
+    return entries[::-1]
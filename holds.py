@@ -0,0 +1,91 @@
+"""Temporary holds: settings an operator puts on top of the schedule for a while.
+
+A hold runs from when it is placed until a clock time ("until 17:00"), for a number of minutes, or
+until the schedule's next transition, and then expires by itself. It outranks every priority layer
+on the channels its schedule_type drives, and a new hold replaces the holds on those channels.
+Holds live in schedule_holds.json, apart from the schedule recipe; expired ones are dropped
+whenever the file is written.
+"""
+import json
+import time
+from datetime import datetime, timedelta
+from schedule_validation import is_blank, is_valid_time, is_whole_number, validate_settings
+
+HOLDS_FILE = 'schedule_holds.json'
+
+def load_holds():
+    """Every stored hold, expired ones included until the next save"""
+    try:
+        with open(HOLDS_FILE, 'r') as f:
+            return json.load(f).get('holds', [])
+    except FileNotFoundError:
+        return []
+
+def save_holds(holds, now):
+    """Store the holds that haven't expired at now"""
+    with open(HOLDS_FILE, 'w') as f:
+        json.dump({'holds': active_holds(holds, now)}, f, indent=2)
+
+def hold_span(hold):
+    """A hold as a (start, end, hold) span, the shape timeline.build_timeline takes"""
+    return datetime.fromisoformat(hold['start']), datetime.fromisoformat(hold['end']), hold
+
+def active_holds(holds, now):
+    return [hold for hold in holds if hold_span(hold)[1] > now]
+
+def validate_hold(payload, rules):
+    """Check a hold request ({schedule_type, settings, until: 'HH:MM' | 'next_transition'} or
+    {schedule_type, settings, minutes}). Returns {field: [messages]}; empty when it is valid"""
+    errors = {}
+
+    def add(field, message):
+        errors.setdefault(field, []).append(message)
+
+    if payload.get('event_name') is not None and not isinstance(payload['event_name'], str):
+        add('event_name', 'Event name must be text')
+
+    schedule_type = payload.get('schedule_type')
+    if schedule_type not in rules['schedule_types']:
+        add('schedule_type', f"Invalid schedule type '{schedule_type}'")
+
+    settings = payload.get('settings')
+    if not isinstance(settings, dict) or not settings:
+        add('settings', 'A hold needs the settings to hold')
+    elif schedule_type in rules['schedule_types']:
+        for field, messages in validate_settings(settings, schedule_type, rules).items():
+            errors.setdefault(f'settings.{field}', []).extend(messages)
+
+    until, minutes = payload.get('until'), payload.get('minutes')
+    if is_blank(until) == (minutes is None):
+        add('until', "Give either until (HH:MM or 'next_transition') or minutes")
+    elif not is_blank(until) and until != 'next_transition' and not is_valid_time(until):
+        add('until', "until must be HH:MM or 'next_transition'")
+    elif minutes is not None:
+        limits = rules['hold_minutes']
+        if not is_whole_number(minutes) or not limits['min'] <= minutes <= limits['max']:
+            add('minutes', f"minutes must be a whole number between {limits['min']}-{limits['max']}")
+    return errors
+
+def hold_end(payload, now, clock, next_transition):
+    """When a valid hold request placed at now ends; next_transition is when the schedule next
+    changes on the hold's channels (None when it doesn't in the status lookahead)"""
+    if payload.get('minutes') is not None:
+        return now + timedelta(minutes=payload['minutes'])
+    if payload['until'] == 'next_transition':
+        return next_transition
+    # The next time the device's clock reads HH:MM - today, or tomorrow once it has passed
+    today = clock.date_of(now)
+    end = clock.instant(today, payload['until'])
+    return end if end > now else clock.instant(today + timedelta(days=1), payload['until'])
+
+def new_hold(payload, start, end, zone):
+    """The hold to store for a valid request"""
+    return {
+        'id': f'hold-{int(time.time() * 1000)}',
+        'event_name': payload.get('event_name') or 'Hold',
+        'schedule_type': payload['schedule_type'],
+        'settings': payload['settings'],
+        'start': start.astimezone(zone).isoformat(),
+        'end': end.astimezone(zone).isoformat(),
+        'is_hold': True
+    }
@@ -0,0 +1,66 @@
+"""Holiday calendars schedules can subscribe to.
+
+The named sets live in holiday_calendars.json; static/js/holidays.js expands their
+rules into dates in the browser and holiday_date does the same here, so keep the two in step.
+"""
+import calendar
+import json
+from datetime import date, timedelta
+
+HOLIDAYS_FILE = 'holiday_calendars.json'
+
+# date.weekday() order
+WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+
+def load_holiday_calendars():
+    """Load the holiday calendars ({"calendars": {id: {"name": ..., "holidays": [...]}}})"""
+    try:
+        with open(HOLIDAYS_FILE, 'r') as f:
+            return json.load(f)
+    except FileNotFoundError:
+        return {'calendars': {}}
+
+def holiday_date(holiday, year):
+    """Date a holiday rule gives for a year, or None when it doesn't apply that year"""
+    if holiday.get('date'):
+        try:
+            day = date.fromisoformat(holiday['date'])
+        except ValueError:
+            return None
+        return day if day.year == year else None
+    if (holiday.get('since') and year < holiday['since']) or (holiday.get('until') and year > holiday['until']):
+        return None
+
+    month = holiday['month']
+    if holiday.get('weekday'):
+        weekday = WEEKDAYS.index(holiday['weekday'])
+        first = date(year, month, 1)
+        first_date = 1 + (weekday - first.weekday()) % 7
+        length = calendar.monthrange(year, month)[1]
+        if holiday['week'] == -1:
+            day_of_month = first_date + (length - first_date) // 7 * 7
+        else:
+            day_of_month = first_date + (holiday['week'] - 1) * 7
+        return date(year, month, day_of_month) if day_of_month <= length else None
+
+    day = date(year, month, holiday['day'])
+    if not holiday.get('observed'):
+        return day
+    # Saturday moves to Friday, Sunday to Monday
+    if day.weekday() == 5:
+        return day - timedelta(days=1)
+    if day.weekday() == 6:
+        return day + timedelta(days=1)
+    return day
+
+def holiday_dates(calendars, ids, first_year, last_year):
+    """Dates between two years (inclusive) that are holidays in any of the calendars with these ids"""
+    days = set()
+    for calendar_id in ids:
+        for holiday in calendars.get(calendar_id, {}).get('holidays', []):
+            # An observed New Year's Day can fall in the year before
+            for year in range(first_year - 1, last_year + 2):
+                day = holiday_date(holiday, year)
+                if day and first_year <= day.year <= last_year:
+                    days.add(day)
+    return days
@@ -0,0 +1,93 @@
+"""Version history of the schedule recipe: every saved revision of user_schedule_recipe.json, so an
+earlier one can be looked at again or restored (after a Clear All, say).
+
+Each revision is kept in its own file, schedule_history/<revision>.json, holding when it was saved,
+a summary of what changed from the revision before, the recipe's size in bytes and the recipe itself.
+"""
+import json
+import os
+from datetime import datetime
+
+HISTORY_DIR = 'schedule_history'
+
+# Names listed in a change summary before it says "and N more"
+SUMMARY_NAMES = 3
+
+def revision_path(revision):
+    return os.path.join(HISTORY_DIR, f'{int(revision)}.json')
+
+def document_revision(document):
+    return int(((document or {}).get('metadata') or {}).get('revision', 0))
+
+def record_revision(previous, data, note=None):
+    """Keep data, just saved, as a revision; previous is the recipe it replaced (None for the first).
+    A previous recipe the history doesn't hold yet - one saved before history was kept - is kept as
+    its own revision first, so the first save after an upgrade can be rolled back too"""
+    if previous is not None and load_revision(document_revision(previous)) is None:
+        write_revision(previous, 'Recipe as it was before history was kept',
+                       (previous.get('metadata') or {}).get('updated_at'))
+    summary = change_summary(previous, data)
+    return write_revision(data, f'{note}: {summary}' if note else summary)
+
+def write_revision(document, summary, saved_at=None):
+    entry = {
+        'revision': document_revision(document),
+        'saved_at': saved_at or datetime.utcnow().isoformat(),
+        'summary': summary,
+        'size': len(json.dumps(document, indent=2).encode('utf-8')),
+        'document': document
+    }
+    os.makedirs(HISTORY_DIR, exist_ok=True)
+    with open(revision_path(entry['revision']), 'w') as f:
+        json.dump(entry, f, indent=2)
+    return entry
+
+def list_revisions():
+    """Every kept revision without its recipe, newest first"""
+    try:
+        names = os.listdir(HISTORY_DIR)
+    except FileNotFoundError:
+        return []
+    revisions = []
+    for name in names:
+        if not name.endswith('.json'):
+            continue
+        with open(os.path.join(HISTORY_DIR, name), 'r') as f:
+            entry = json.load(f)
+        revisions.append({key: value for key, value in entry.items() if key != 'document'})
+    return sorted(revisions, key=lambda entry: entry['revision'], reverse=True)
+
+def load_revision(revision):
+    """One kept revision with its recipe, or None"""
+    try:
+        with open(revision_path(revision), 'r') as f:
+            return json.load(f)
+    except FileNotFoundError:
+        return None
+
+def change_summary(previous, current):
+    """What changed between two recipes, e.g. 'Added "Lunch"; Changed "Occupied"; Removed "Cleaning"'"""
+    if previous is None:
+        return 'First saved revision'
+    before = schedules_by_id(previous)
+    after = schedules_by_id(current)
+    added = [after[key] for key in after if key not in before]
+    removed = [before[key] for key in before if key not in after]
+    changed = [after[key] for key in after if key in before and comparable(before[key]) != comparable(after[key])]
+
+    parts = [f'{label} {names(schedules)}' for label, schedules in
+             (('Added', added), ('Changed', changed), ('Removed', removed)) if schedules]
+    return '; '.join(parts) or 'No schedule changes'
+
+def schedules_by_id(document):
+    return {str(s.get('id')): s for s in (document or {}).get('schedules', []) if isinstance(s, dict)}
+
+def comparable(schedule):
+    """A schedule as JSON without its revision, which every save bumps"""
+    return json.dumps({key: value for key, value in schedule.items() if key != 'revision'}, sort_keys=True)
+
+def names(schedules):
+    quoted = [f'"{s.get("event_name") or s.get("id")}"' for s in schedules]
+    if len(quoted) > SUMMARY_NAMES:
+        return f"{', '.join(quoted[:SUMMARY_NAMES])} and {len(quoted) - SUMMARY_NAMES} more"
+    return ', '.join(quoted)
@@ -0,0 +1,147 @@
+"""Which days a schedule occurs on.
+
+Server-side twin of static/js/recurrence.js (repeat_frequency, repeat_interval, days_of_month,
+week_of_month, exclude_dates, holiday_calendars and occurrence overrides); keep the two in step.
+Days are plain dates on the device's calendar.
+"""
+import calendar
+from datetime import date, timedelta
+from holidays import holiday_dates
+
+DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+
+def weekday(day):
+    """Day of week with 0 = Sunday, as in the browser"""
+    return (day.weekday() + 1) % 7
+
+def parse_day(value):
+    try:
+        return date.fromisoformat(value) if isinstance(value, str) else None
+    except ValueError:
+        return None
+
+def migrate_schedule(schedule):
+    """A schedule saved by an older version brought up to the current rules (see Recurrence.migrate):
+    'daily', which the rules no longer offer, becomes 'custom' on all seven days - the same dates"""
+    if not isinstance(schedule, dict) or schedule.get('repeat_frequency') != 'daily':
+        return schedule
+    return {**schedule, 'repeat_frequency': 'custom', 'days_of_week': list(DAY_NAMES)}
+
+def schedule_rule(schedule):
+    """Reduce a schedule to its repeat pattern (see Recurrence.rule), or None when it never occurs"""
+    start = parse_day(schedule.get('start_date'))
+    if start is None:
+        return None
+    end_date = schedule.get('end_date')
+    end = date.max if not end_date or end_date == 'never' else parse_day(end_date)
+    if end is None:
+        return None
+
+    frequency = schedule.get('repeat_frequency')
+    listed_days = {DAY_NAMES.index(day) for day in schedule.get('days_of_week') or [] if day in DAY_NAMES}
+    try:
+        interval = max(1, int(schedule.get('repeat_interval') or 1))
+    except (TypeError, ValueError):
+        interval = 1
+    rule = {
+        'start': start,
+        'end': end,
+        'excluded': {day for day in map(parse_day, schedule.get('exclude_dates') or []) if day},
+        # Only recurring schedules skip holidays; a one-time event runs on the day it was placed
+        'holidays': [calendar_id for calendar_id in schedule.get('holiday_calendars') or []
+                     if isinstance(calendar_id, str)] if frequency != 'never' else [],
+        'interval': interval
+    }
+
+    if frequency == 'never':
+        return {**rule, 'kind': 'weekly', 'end': start, 'days': {weekday(start)}, 'interval': 1}
+    if frequency == 'custom':
+        return {**rule, 'kind': 'weekly', 'days': listed_days, 'interval': 1}
+    if frequency == 'daily':
+        return {**rule, 'kind': 'weekly', 'days': set(range(7)), 'interval': 1}
+    if frequency == 'weekly':
+        return {**rule, 'kind': 'weekly', 'days': listed_days or {weekday(start)}}
+    if frequency == 'monthly':
+        days_of_month = [int(day) for day in schedule.get('days_of_month') or [] if str(day).isdigit() and 1 <= int(day) <= 31]
+        try:
+            week_of_month = int(schedule.get('week_of_month') or 0) or None
+        except (TypeError, ValueError):
+            week_of_month = None
+        # By position needs a week and a weekday; otherwise fall back to start_date's day of month
+        by_position = not days_of_month and week_of_month and listed_days
+        return {
+            **rule, 'kind': 'monthly',
+            'days_of_month': None if by_position else (days_of_month or [start.day]),
+            'week_of_month': week_of_month if by_position else None,
+            'days': listed_days if by_position else set()
+        }
+    if frequency == 'yearly':
+        return {**rule, 'kind': 'yearly', 'month': start.month, 'date': start.day}
+    return None
+
+def matches(rule, day):
+    """Does the rule's repeat pattern land on this day? (ignores the date range and exclusions)"""
+    if rule['kind'] == 'monthly':
+        months = (day.year - rule['start'].year) * 12 + day.month - rule['start'].month
+        if months % rule['interval'] != 0:
+            return False
+        if rule['days_of_month']:
+            return day.day in rule['days_of_month']
+        return weekday(day) in rule['days'] and week_of_month_matches(rule['week_of_month'], day)
+    if rule['kind'] == 'yearly':
+        return ((day.year - rule['start'].year) % rule['interval'] == 0 and
+                day.month == rule['month'] and day.day == rule['date'])
+    if weekday(day) not in rule['days']:
+        return False
+    # Weeks run Sunday-Saturday, counted from the week containing start_date
+    anchor = rule['start'] - timedelta(days=weekday(rule['start']))
+    return rule['interval'] == 1 or ((day - anchor).days // 7) % rule['interval'] == 0
+
+def week_of_month_matches(week_of_month, day):
+    """Is this day the Nth (1-4) or last (-1) occurrence of its weekday in the month?"""
+    if week_of_month == -1:
+        return day.day + 7 > calendar.monthrange(day.year, day.month)[1]
+    return (day.day + 6) // 7 == week_of_month
+
+def occurrence_dates(schedule, first, last, calendars):
+    """Days between first and last (inclusive) the schedule occurs on; calendars is holiday_calendars.json's "calendars\""""
+    rule = schedule_rule(schedule)
+    if rule is None:
+        return []
+    first, last = max(first, rule['start']), min(last, rule['end'])
+    if first > last:
+        return []
+    skipped = rule['excluded'] | holiday_dates(calendars, rule['holidays'], first.year, last.year)
+    days = (first + timedelta(days=offset) for offset in range((last - first).days + 1))
+    return [day for day in days if day not in skipped and matches(rule, day)]
+
+def overrides_of(schedule):
+    """A schedule's occurrence overrides, {original 'YYYY-MM-DD': override}; {} when it has none"""
+    overrides = schedule.get('overrides')
+    return overrides if isinstance(overrides, dict) else {}
+
+def instance(schedule, original):
+    """The occurrence on the original date (YYYY-MM-DD) with its override laid over the series (see
+    Recurrence.instance); the series itself when that occurrence isn't overridden"""
+    override = overrides_of(schedule).get(original)
+    if not override:
+        return schedule
+    result = {**schedule, 'override_of': original,
+              'settings': {**(schedule.get('settings') or {}), **(override.get('settings') or {})}}
+    if override.get('start_time'):
+        result.update(time_setting='time', start_time=override['start_time'], end_time=override.get('end_time'),
+                      start_edge=None, end_edge=None)
+    return result
+
+def instances(schedule, first, last, calendars):
+    """(day, schedule) for the occurrences running between first and last (inclusive), sorted by day:
+    an overridden occurrence runs on its override's date as its instance (see Recurrence.instances)"""
+    overrides = overrides_of(schedule)
+    found = [(day, schedule) for day in occurrence_dates(schedule, first, last, calendars)
+             if day.isoformat() not in overrides]
+    for original, override in overrides.items():
+        day, original_day = parse_day((override or {}).get('date')), parse_day(original)
+        if day and original_day and first <= day <= last and \
+                occurrence_dates(schedule, original_day, original_day, calendars):
+            found.append((day, instance(schedule, original)))
+    return sorted(found, key=lambda entry: entry[0])
@@ -0,0 +1,195 @@
+"""When a schedule's events start and end, as instants.
+
+Server-side twin of static/js/schedule-times.js, solar-calculator.js and device-clock.js; keep
+them in step. Clock times are read on the device's clock (device.timezone). Across DST changes a
+skipped time is shifted forward by the gap (02:30 on a spring-forward night runs at 03:30 EDT)
+and a repeated time is the first, earlier one - what zoneinfo does with fold=0. Sun edges use the
+NOAA solar calculator at the device's location.
+"""
+import math
+from datetime import datetime, timedelta, timezone
+from zoneinfo import ZoneInfo
+
+DEFAULT_DEVICE = {
+    'timezone': 'America/New_York',
+    'location': {'latitude': 40.7128, 'longitude': -74.0060}
+}
+
+REFERENCES = ['time', 'sunrise', 'sunset', 'civil_dawn', 'civil_dusk']
+
+# Sun's center below the horizon at sunrise/sunset (refraction plus its radius), and at civil twilight
+ZENITH = 90.833
+CIVIL_ZENITH = 96
+
+class DeviceClock:
+    """The device's location and wall clock"""
+
+    def __init__(self, device=None):
+        device = device or DEFAULT_DEVICE
+        location = device.get('location') or {}
+        self.zone = ZoneInfo(device.get('timezone') or DEFAULT_DEVICE['timezone'])
+        self.latitude = location.get('latitude', DEFAULT_DEVICE['location']['latitude'])
+        self.longitude = location.get('longitude', DEFAULT_DEVICE['location']['longitude'])
+
+    def instant(self, day, clock_time='00:00'):
+        """UTC instant the device's clock reads a date and HH:MM"""
+        hours, minutes = (int(part) for part in time_of_day(clock_time).split(':'))
+        wall = datetime(day.year, day.month, day.day, hours, minutes, tzinfo=self.zone)
+        return wall.astimezone(timezone.utc)
+
+    def date_of(self, instant):
+        """The device's calendar day at an instant"""
+        return instant.astimezone(self.zone).date()
+
+    def sun_times(self, day):
+        """{sunrise, sunset, civil_dawn, civil_dusk} instants for a device calendar day (see SolarCalculator.sunTimes)"""
+        midnight_utc = datetime(day.year, day.month, day.day, tzinfo=timezone.utc)
+        julian_day = midnight_utc.timestamp() / 86400 + 2440587.5
+        at = lambda minutes: midnight_utc + timedelta(milliseconds=round(minutes * 60000))
+        solar_noon = at(self.solar_noon_minutes(julian_day))
+
+        def crossings(zenith):
+            rise = self.sun_event_minutes(True, julian_day, zenith)
+            set_ = self.sun_event_minutes(False, julian_day, zenith)
+            if 'night' in (rise, set_):
+                return solar_noon, solar_noon
+            if 'day' in (rise, set_):
+                return self.instant(day), self.instant(day + timedelta(days=1))
+            return at(rise), at(set_)
+
+        sunrise, sunset = crossings(ZENITH)
+        civil_dawn, civil_dusk = crossings(CIVIL_ZENITH)
+        return {'sunrise': sunrise, 'sunset': sunset, 'civil_dawn': civil_dawn, 'civil_dusk': civil_dusk}
+
+    def sun_event_minutes(self, rise, julian_day, zenith):
+        """Minutes after 00:00 UTC when the sun crosses the zenith angle, or 'day'/'night' when it never does"""
+        first = self.sun_event_at(rise, julian_day, zenith)
+        return first if isinstance(first, str) else self.sun_event_at(rise, julian_day + first / 1440, zenith)
+
+    def sun_event_at(self, rise, julian_day, zenith):
+        t = julian_century(julian_day)
+        lat = math.radians(self.latitude)
+        dec = math.radians(declination(t))
+        cos_hour_angle = math.cos(math.radians(zenith)) / (math.cos(lat) * math.cos(dec)) - math.tan(lat) * math.tan(dec)
+        if cos_hour_angle > 1:
+            return 'night'
+        if cos_hour_angle < -1:
+            return 'day'
+        hour_angle = math.degrees(math.acos(cos_hour_angle)) * (1 if rise else -1)
+        return 720 - 4 * (self.longitude + hour_angle) - equation_of_time(t)
+
+    def solar_noon_minutes(self, julian_day):
+        first = 720 - 4 * self.longitude - equation_of_time(julian_century(julian_day - self.longitude / 360))
+        return 720 - 4 * self.longitude - equation_of_time(julian_century(julian_day + first / 1440))
+
+def time_of_day(value):
+    """HH:MM from a time-only string or the time part of an ISO datetime"""
+    return value.split('T')[1][:5] if 'T' in value else value[:5]
+
+def clock_minutes(value):
+    if not isinstance(value, str):
+        return None
+    value = time_of_day(value)
+    if len(value) < 5 or value[2] != ':':
+        return None
+    try:
+        return int(value[:2]) * 60 + int(value[3:5])
+    except ValueError:
+        return None
+
+def normalize_edge(edge):
+    if not isinstance(edge, dict) or edge.get('reference') not in REFERENCES:
+        return {'reference': 'time', 'offset_minutes': 0}
+    if edge['reference'] == 'time':
+        return {'reference': 'time', 'offset_minutes': 0}
+    try:
+        offset = float(edge.get('offset_minutes') or 0)
+    except (TypeError, ValueError):
+        offset = 0
+    return {'reference': edge['reference'], 'offset_minutes': offset}
+
+def edges(schedule):
+    """A schedule's (start, end) edges; older sunrise/sunset settings read as minutes before and after"""
+    time_setting = schedule.get('time_setting')
+    if time_setting == 'astronomical':
+        return normalize_edge(schedule.get('start_edge')), normalize_edge(schedule.get('end_edge'))
+    if time_setting in ('sunrise', 'sunset'):
+        before = clock_minutes(schedule.get('start_time')) or 0
+        after = clock_minutes(schedule.get('end_time')) or 0 if schedule.get('end_time') else before + 60
+        return ({'reference': time_setting, 'offset_minutes': -before},
+                {'reference': time_setting, 'offset_minutes': after})
+    clock_edge = {'reference': 'time', 'offset_minutes': 0}
+    return clock_edge, clock_edge
+
+def edge_time(edge, clock_time, day, clock):
+    if edge['reference'] == 'time':
+        return clock.instant(day, clock_time)
+    return clock.sun_times(day)[edge['reference']] + timedelta(minutes=edge['offset_minutes'])
+
+def event_times(schedule, day, clock):
+    """(start, end) instants of the occurrence on a device calendar day, or None without a start_time.
+    An end at or before the start is on the next day - decided on the clock face for two clock edges.
+    When a skipped start is shifted past its end the occurrence is empty: end equals start"""
+    if not schedule.get('start_time'):
+        return None
+    start_edge, end_edge = edges(schedule)
+    start = edge_time(start_edge, schedule['start_time'], day, clock)
+    if not schedule.get('end_time') and end_edge['reference'] == 'time':
+        return start, start + timedelta(hours=1)  # Default 1 hour duration
+
+    end = edge_time(end_edge, schedule['end_time'], day, clock)
+    if start_edge['reference'] == 'time' and end_edge['reference'] == 'time':
+        overnight = clock_minutes(schedule['end_time']) <= clock_minutes(schedule['start_time'])
+    else:
+        overnight = end <= start
+    if overnight:
+        end = edge_time(end_edge, schedule['end_time'], day + timedelta(days=1), clock)
+    return start, max(start, end)
+
+# --- NOAA equations (t is Julian centuries since J2000.0) ---
+
+def julian_century(julian_day):
+    return (julian_day - 2451545.0) / 36525.0
+
+def geom_mean_long_sun(t):
+    return (280.46646 + t * (36000.76983 + t * 0.0003032)) % 360
+
+def geom_mean_anomaly_sun(t):
+    return 357.52911 + t * (35999.05029 - 0.0001537 * t)
+
+def eccentricity_earth_orbit(t):
+    return 0.016708634 - t * (0.000042037 + 0.0000001267 * t)
+
+def sun_equation_of_center(t):
+    m = math.radians(geom_mean_anomaly_sun(t))
+    return (math.sin(m) * (1.914602 - t * (0.004817 + 0.000014 * t)) +
+            math.sin(2 * m) * (0.019993 - 0.000101 * t) +
+            math.sin(3 * m) * 0.000289)
+
+def sun_apparent_long(t):
+    true_long = geom_mean_long_sun(t) + sun_equation_of_center(t)
+    omega = 125.04 - 1934.136 * t
+    return true_long - 0.00569 - 0.00478 * math.sin(math.radians(omega))
+
+def obliquity_correction(t):
+    seconds = 21.448 - t * (46.8150 + t * (0.00059 - t * 0.001813))
+    mean_obliquity = 23 + (26 + seconds / 60) / 60
+    omega = 125.04 - 1934.136 * t
+    return mean_obliquity + 0.00256 * math.cos(math.radians(omega))
+
+def declination(t):
+    return math.degrees(math.asin(math.sin(math.radians(obliquity_correction(t))) *
+                                  math.sin(math.radians(sun_apparent_long(t)))))
+
+def equation_of_time(t):
+    """Equation of time in minutes (apparent minus mean solar time)"""
+    epsilon = math.radians(obliquity_correction(t))
+    l0 = math.radians(geom_mean_long_sun(t))
+    e = eccentricity_earth_orbit(t)
+    m = math.radians(geom_mean_anomaly_sun(t))
+    y = math.tan(epsilon / 2) ** 2
+    value = (y * math.sin(2 * l0) - 2 * e * math.sin(m) +
+             4 * e * y * math.sin(m) * math.cos(2 * l0) -
+             0.5 * y * y * math.sin(4 * l0) -
+             1.25 * e * e * math.sin(2 * m))
+    return math.degrees(value) * 4
@@ -0,0 +1,290 @@
+"""Schedule schema checks shared with the browser.
+
+The rules live in schedule_rules.json; static/js/schedule-validator.js applies the
+same file to the event form and to imports, so keep the two in step.
+"""
+import json
+import math
+import re
+from datetime import date
+from holidays import load_holiday_calendars
+
+RULES_FILE = 'schedule_rules.json'
+
+DATE_PATTERN = re.compile(r'^\d{4}-\d{2}-\d{2}$')
+TIME_PATTERN = re.compile(r'^\d{2}:\d{2}$')
+
+def load_rules():
+    """Load the validation rules, plus the ids of the holiday calendars schedules may subscribe to"""
+    with open(RULES_FILE, 'r') as f:
+        rules = json.load(f)
+    rules['holiday_calendars'] = sorted(load_holiday_calendars().get('calendars', {}))
+    return rules
+
+def is_blank(value):
+    return value is None or value == '' or value is False
+
+def parse_date(value):
+    """Return a date for a YYYY-MM-DD string, or None when it isn't a real calendar date"""
+    if not isinstance(value, str) or not DATE_PATTERN.match(value):
+        return None
+    try:
+        return date.fromisoformat(value)
+    except ValueError:
+        return None
+
+def is_valid_time(value):
+    if not isinstance(value, str) or not TIME_PATTERN.match(value):
+        return False
+    hours, minutes = int(value[:2]), int(value[3:])
+    return hours < 24 and minutes < 60
+
+def parse_number(value):
+    """Setpoints are stored as strings ("72") but numbers are accepted too"""
+    if isinstance(value, bool):
+        return None
+    try:
+        number = float(value)
+    except (TypeError, ValueError):
+        return None
+    return number if math.isfinite(number) else None
+
+def is_whole_number(value):
+    return isinstance(value, int) and not isinstance(value, bool)
+
+def validate_schedule(schedule, rules=None):
+    """Check one schedule. Returns {field: [messages]}; empty when the schedule is valid."""
+    rules = rules or load_rules()
+    errors = {}
+
+    def add(field, message):
+        errors.setdefault(field, []).append(message)
+
+    if not isinstance(schedule, dict):
+        add('schedule', 'Schedule must be a JSON object')
+        return errors
+
+    for field in rules['required_fields']:
+        if is_blank(schedule.get(field)):
+            add(field, f"Missing required field '{field}'")
+
+    if 'event_name' not in errors and not isinstance(schedule['event_name'], str):
+        add('event_name', 'Event name must be text')
+
+    schedule_type = schedule.get('schedule_type')
+    if not is_blank(schedule_type) and schedule_type not in rules['schedule_types']:
+        add('schedule_type', f"Invalid schedule type '{schedule_type}'")
+
+    # Priority layer (optional; schedules without one are on the lowest, the base program)
+    layer = schedule.get('layer')
+    if not is_blank(layer) and layer not in [entry['id'] for entry in rules['priority_layers']]:
+        add('layer', f"Invalid priority layer '{layer}'")
+
+    repeat_frequency = schedule.get('repeat_frequency')
+    if not is_blank(repeat_frequency) and repeat_frequency not in rules['repeat_frequencies']:
+        add('repeat_frequency', f"Invalid repeat frequency '{repeat_frequency}'")
+
+    time_setting = schedule.get('time_setting')
+    if not is_blank(time_setting) and time_setting not in rules['time_settings']:
+        add('time_setting', f"Invalid time setting '{time_setting}'")
+
+    # Dates (YYYY-MM-DD, end_date may also be 'never')
+    start_date = schedule.get('start_date')
+    end_date = schedule.get('end_date')
+    start = parse_date(start_date)
+    end = parse_date(end_date)
+    if not is_blank(start_date) and start is None:
+        add('start_date', 'Invalid start_date (expected YYYY-MM-DD)')
+    if not is_blank(end_date) and end_date != 'never' and end is None:
+        add('end_date', "Invalid end_date (expected YYYY-MM-DD or 'never')")
+    if start and end and end < start:
+        add('end_date', 'End date must not be before the start date')
+
+    # Times (HH:MM)
+    for field in ('start_time', 'end_time'):
+        value = schedule.get(field)
+        if not is_blank(value) and not is_valid_time(value):
+            add(field, f'Invalid {field} (expected HH:MM)')
+
+    # Astronomical: each edge is a clock time or a sun event plus an offset in minutes
+    if time_setting == 'astronomical':
+        for field in ('start_edge', 'end_edge'):
+            validate_edge(schedule.get(field), field, add, rules)
+
+    days = schedule.get('days_of_week')
+    if days is not None and not isinstance(days, list):
+        add('days_of_week', 'days_of_week must be a list')
+    elif repeat_frequency in ('custom', 'weekly', 'monthly'):
+        if not days and repeat_frequency == 'custom':
+            add('days_of_week', 'Choose at least one day for a custom repeat')
+        for day in days or []:
+            if day not in rules['days_of_week']:
+                add('days_of_week', f"Invalid day '{day}' in days_of_week")
+
+    # Weekly/monthly/yearly: every N weeks, months or years, counted from start_date
+    interval = schedule.get('repeat_interval')
+    if repeat_frequency in ('weekly', 'monthly', 'yearly') and interval is not None:
+        limits = rules['repeat_interval']
+        if not is_whole_number(interval) or not limits['min'] <= interval <= limits['max']:
+            add('repeat_interval', f"Repeat interval must be a whole number between {limits['min']}-{limits['max']}")
+
+    # Monthly: by date (days_of_month) or by position (week_of_month + days_of_week)
+    if repeat_frequency == 'monthly':
+        days_of_month = schedule.get('days_of_month')
+        week_of_month = schedule.get('week_of_month')
+        if days_of_month is not None:
+            limits = rules['days_of_month']
+            if not isinstance(days_of_month, list):
+                add('days_of_month', 'days_of_month must be a list')
+            else:
+                for value in days_of_month:
+                    if not is_whole_number(value) or not limits['min'] <= value <= limits['max']:
+                        add('days_of_month', f"Invalid day of month '{value}' (expected {limits['min']}-{limits['max']})")
+        if week_of_month is not None:
+            if days_of_month:
+                add('week_of_month', 'Choose days of the month or a week of the month, not both')
+            elif not is_whole_number(week_of_month) or week_of_month not in rules['weeks_of_month']:
+                add('week_of_month', f"Invalid week of month '{week_of_month}' (expected 1-4 or -1 for the last)")
+            elif not days:
+                add('days_of_week', 'Choose a weekday for the week of the month')
+
+    exclude_dates = schedule.get('exclude_dates')
+    if exclude_dates is not None:
+        if not isinstance(exclude_dates, list):
+            add('exclude_dates', 'exclude_dates must be a list')
+        else:
+            for value in exclude_dates:
+                if parse_date(value) is None:
+                    add('exclude_dates', f"Invalid excluded date '{value}' (expected YYYY-MM-DD)")
+
+    holiday_calendars = schedule.get('holiday_calendars')
+    if holiday_calendars is not None:
+        if not isinstance(holiday_calendars, list):
+            add('holiday_calendars', 'holiday_calendars must be a list')
+        else:
+            for calendar in holiday_calendars:
+                if calendar not in rules['holiday_calendars']:
+                    add('holiday_calendars', f"Unknown holiday calendar '{calendar}'")
+
+    settings = schedule.get('settings')
+    if settings is not None and not isinstance(settings, dict):
+        add('settings', 'settings must be an object')
+    elif settings:
+        for field, messages in validate_settings(settings, schedule_type, rules).items():
+            errors.setdefault(f'settings.{field}', []).extend(messages)
+
+    # Moved or edited occurrences, keyed by their original date (see recurrence.instance)
+    overrides = schedule.get('overrides')
+    if overrides is not None:
+        if not isinstance(overrides, dict):
+            add('overrides', 'overrides must be an object keyed by original date')
+        else:
+            for original_date, override in overrides.items():
+                validate_override(original_date, override, schedule, schedule_type, add, rules)
+
+    return errors
+
+def validate_override(original_date, override, schedule, schedule_type, add, rules):
+    """Check one occurrence override: {date, start_time and end_time (both or neither), settings}"""
+    if parse_date(original_date) is None:
+        add('overrides', f"Invalid overridden date '{original_date}' (expected YYYY-MM-DD)")
+        return
+    if not isinstance(override, dict):
+        add('overrides', f'The override of {original_date} must be an object')
+        return
+    if parse_date(override.get('date')) is None:
+        add('overrides', f'The override of {original_date} needs a date (YYYY-MM-DD)')
+    times = [override.get('start_time'), override.get('end_time')]
+    if any(not is_blank(value) for value in times) and not all(is_valid_time(value) for value in times):
+        add('overrides', f'The override of {original_date} needs both start_time and end_time (HH:MM)')
+    settings = override.get('settings')
+    if settings is not None and not isinstance(settings, dict):
+        add('overrides', f'The override of {original_date} has settings that are not an object')
+    elif settings:
+        # Its settings run laid over the series' ones, so check them together
+        series_settings = schedule.get('settings') if isinstance(schedule.get('settings'), dict) else {}
+        for messages in validate_settings({**series_settings, **settings}, schedule_type, rules).values():
+            for message in messages:
+                add('overrides', f'{original_date}: {message}')
+
+def validate_edge(edge, field, add, rules):
+    """Check one edge of an astronomical schedule: {reference, offset_minutes}"""
+    if not isinstance(edge, dict):
+        add(field, f'Missing {field} (expected {{ reference, offset_minutes }})')
+        return
+    if edge.get('reference') not in rules['edge_references']:
+        add(field, f"Invalid {field} reference '{edge.get('reference')}'")
+    limits = rules['edge_offset_minutes']
+    offset = edge.get('offset_minutes')
+    if not is_whole_number(offset) or not limits['min'] <= offset <= limits['max']:
+        add(field, f"{field} offset_minutes must be a whole number between {limits['min']} and {limits['max']}")
+
+def validate_settings(settings, schedule_type, rules=None):
+    """Check a schedule's settings against the ranges for its schedule_type"""
+    rules = rules or load_rules()
+    errors = {}
+    values = {}
+
+    def add(field, message):
+        errors.setdefault(field, []).append(message)
+
+    for field, rule in rules['settings'].get(schedule_type, {}).items():
+        value = settings.get(field)
+        if is_blank(value):
+            continue
+        if 'options' in rule:
+            if str(value) not in rule['options']:
+                add(field, f"Invalid {rule['label'].lower()} '{value}'")
+            continue
+        number = parse_number(value)
+        if number is None or number < rule['min'] or number > rule['max']:
+            add(field, f"{rule['label']} must be between {rule['min']}-{rule['max']}{rule['unit']}")
+        else:
+            values[field] = number
+
+    # Auto mode heats and cools, so the setpoints need a deadband between them
+    heat, cool = values.get('heat_setpoint'), values.get('cool_setpoint')
+    if settings.get('system_mode') == 'Auto' and heat is not None and cool is not None:
+        deadband = rules['auto_mode_deadband']
+        if heat >= cool:
+            add('heat_setpoint', 'Heat setpoint must be less than cool setpoint when using Auto mode')
+        elif cool - heat < deadband:
+            add('cool_setpoint', f'Cool setpoint must be at least {deadband}°F higher than heat setpoint')
+
+    low, high = values.get('humidity_low_setpoint'), values.get('humidity_high_setpoint')
+    if low is not None and high is not None and low >= high:
+        add('humidity_low_setpoint', 'Humidity low setpoint must be less than high setpoint')
+
+    return errors
+
+def validate_document(data, rules=None):
+    """Check a whole schedule recipe ({"schedules": [...]}). Errors are keyed like schedules[2].start_date."""
+    rules = rules or load_rules()
+    errors = {}
+    schedules = data.get('schedules') if isinstance(data, dict) else None
+    if not isinstance(schedules, list):
+        return {'schedules': ['Missing or invalid schedules array']}
+
+    for index, schedule in enumerate(schedules):
+        for field, messages in validate_schedule(schedule, rules).items():
+            errors[f'schedules[{index}].{field}'] = messages
+
+    ids = [str(s['id']) for s in schedules if isinstance(s, dict) and s.get('id')]
+    if len(ids) != len(set(ids)):
+        errors.setdefault('schedules', []).append('Duplicate schedule IDs found')
+
+    return errors
+
+def drop_duplicate_ids(schedules):
+    """Schedules with each id kept once - the first copy, the one every lookup by id already found.
+    Recipes saved by older versions can list a schedule twice, which validate_document rejects"""
+    seen = set()
+    unique = []
+    for schedule in schedules:
+        key = str(schedule.get('id')) if isinstance(schedule, dict) and schedule.get('id') else None
+        if key is not None:
+            if key in seen:
+                continue
+            seen.add(key)
+        unique.append(schedule)
+    return unique
@@ -6,7 +6,16 @@ class SimpleActionHandler {
     constructor(scheduler) {
         this.scheduler = scheduler;
         this.schedules = [];
+        this.serverSchedules = [];
+        this.documentRevision = 0; // Revision of the whole recipe at the last load (for restores)
         this.pendingPayload = null;
+        // The action being saved ({ type, scope }), sent along so the server's audit log can name it
+        this.currentAction = null;
+        
+        // Per-session undo/redo history - each entry holds before/after copies of the schedules an action touched
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxHistory = 50;
     }
     
     /**
@@ -24,6 +33,9 @@ class SimpleActionHandler {
             const response = await fetch('/api/schedules');
             const data = await response.json();
             this.schedules = data.schedules || [];
+            this.documentRevision = (data.metadata && data.metadata.revision) || 0;
+            // Remember what the server has so saves only send what changed
+            this.serverSchedules = this.cloneSchedules(this.schedules);
             console.log('✅ Loaded', this.schedules.length, 'schedules');
         } catch (error) {
             console.error('❌ Failed to load schedules:', error);
@@ -32,18 +44,39 @@ class SimpleActionHandler {
     }
     
     /**
-     * Save schedules to server
+     * Save schedules to server - only the schedules that changed since the last load. A change to
+     * one schedule is a single per-schedule request; changes to several (import, clear all, a
+     * series split) go out as one whole-document save, so the server takes all of them or none
      */
     async saveSchedules() {
         try {
-            const response = await fetch('/api/schedules', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ schedules: this.schedules })
-            });
+            const { created, updated, deleted } = this.diffSchedules(this.serverSchedules, this.schedules);
+            if (created.length + updated.length + deleted.length > 1) {
+                await this.saveDocument();
+                console.log('✅ Schedules saved as one document:', { created: created.length, updated: updated.length, deleted: deleted.length });
+                return true;
+            }
+            
+            const loadedById = new Map(this.serverSchedules.map(s => [s.id, s]));
+            
+            // Every update/delete carries the revision this client loaded (If-Match)
+            for (const schedule of deleted) {
+                await this.sendScheduleRequest('DELETE', `/api/schedules/${encodeURIComponent(schedule.id)}`, null, schedule.revision);
+            }
+            const saved = [];
+            for (const schedule of updated) {
+                const loaded = loadedById.get(schedule.id);
+                saved.push(await this.sendScheduleRequest('PUT', `/api/schedules/${encodeURIComponent(schedule.id)}`, schedule, loaded.revision));
+            }
+            for (const schedule of created) {
+                saved.push(await this.sendScheduleRequest('POST', '/api/schedules', schedule));
+            }
             
-            if (!response.ok) throw new Error('Save failed');
-            console.log('✅ Schedules saved');
+            // Pick up the revisions the server assigned so the next save isn't seen as stale
+            const savedById = new Map(saved.map(s => [s.id, s]));
+            this.schedules = this.schedules.map(s => savedById.get(s.id) || s);
+            this.serverSchedules = this.cloneSchedules(this.schedules);
+            console.log('✅ Schedules saved:', { created: created.length, updated: updated.length, deleted: deleted.length });
             return true;
         } catch (error) {
             console.error('❌ Failed to save:', error);
@@ -51,6 +84,138 @@ class SimpleActionHandler {
         }
     }
     
+    /**
+     * Save the whole schedule list in one request, based on the recipe revision this client loaded
+     */
+    async saveDocument() {
+        const saved = await this.sendScheduleRequest('POST', '/api/schedules', { schedules: this.schedules }, this.documentRevision);
+        this.schedules = saved.schedules;
+        this.documentRevision = saved.metadata.revision;
+        this.serverSchedules = this.cloneSchedules(this.schedules);
+    }
+    
+    /**
+     * Send one per-schedule request and throw with the server's message on failure.
+     * Stale revisions (409) and schedules someone else deleted (404) throw with isConflict set;
+     * schema failures (422) carry the server's per-field errors.
+     */
+    async sendScheduleRequest(method, url, body = null, revision = undefined) {
+        const options = { method, headers: { 'Content-Type': 'application/json' } };
+        if (body) options.body = JSON.stringify(body);
+        // Creating a schedule needs no revision; whole-document saves (POST) carry the recipe's
+        if (method !== 'POST' || revision !== undefined) options.headers['If-Match'] = `"${revision || 0}"`;
+        if (this.currentAction) {
+            options.headers['X-Schedule-Action'] = this.currentAction.type;
+            if (this.currentAction.scope) options.headers['X-Schedule-Scope'] = this.currentAction.scope;
+        }
+        
+        const response = await fetch(url, options);
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            // 422 lists the problems per field - show them rather than just "Schedule is invalid"
+            const details = response.status === 422 && data.errors ? Object.values(data.errors).flat().join('; ') : '';
+            const error = new Error(details || data.error || `Save failed (${method} ${url})`);
+            error.status = response.status;
+            error.fieldErrors = data.errors || null;
+            error.isConflict = response.status === 409 || (response.status === 404 && method !== 'POST');
+            throw error;
+        }
+        return response.json();
+    }
+    
+    /**
+     * Restore an earlier revision of the recipe from the server's history. Refused (409) when the
+     * recipe changed since it was loaded; the restore becomes a new revision, and earlier undo
+     * steps no longer apply
+     */
+    async restoreRevision(revision) {
+        const response = await fetch(`/api/schedules/history/${encodeURIComponent(revision)}/restore`, {
+            method: 'POST',
+            headers: { 'If-Match': `"${this.documentRevision}"` }
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            const details = response.status === 422 && data.errors ? Object.values(data.errors).flat().join('; ') : '';
+            const error = new Error(details || data.error || `Restore of revision ${revision} failed`);
+            error.status = response.status;
+            error.isConflict = response.status === 409;
+            if (error.isConflict) {
+                await this.handleSaveConflict();
+            }
+            throw error;
+        }
+        
+        await this.loadSchedules();
+        this.clearHistory();
+        this.refreshView();
+        console.log('✅ Restored revision', revision);
+    }
+    
+    /**
+     * Someone else saved first - reload their version and tell the user what changed
+     */
+    async handleSaveConflict() {
+        const previous = this.serverSchedules;
+        await this.loadSchedules();
+        
+        const { created, updated, deleted } = this.diffSchedules(previous, this.schedules);
+        const names = list => list.map(s => `"${s.event_name}"`).join(', ');
+        const changes = [];
+        if (created.length) changes.push(`added ${names(created)}`);
+        if (updated.length) changes.push(`changed ${names(updated)}`);
+        if (deleted.length) changes.push(`removed ${names(deleted)}`);
+        
+        this.refreshView();
+        
+        const summary = changes.length ? `Someone else ${changes.join('; ')}.` : 'Someone else changed the schedules.';
+        if (this.scheduler && typeof this.scheduler.showWarning === 'function') {
+            this.scheduler.showWarning(`${summary} Your change was not saved - the latest schedules have been loaded.`);
+        }
+        console.log('⚠️ Save conflict:', { created, updated, deleted });
+    }
+    
+    /**
+     * Compare two schedule lists by id
+     */
+    diffSchedules(previousList, currentList) {
+        const previousById = new Map((previousList || []).map(s => [s.id, s]));
+        const currentById = new Map((currentList || []).map(s => [s.id, s]));
+        
+        const created = [];
+        const updated = [];
+        const deleted = [];
+        
+        for (const [id, schedule] of currentById) {
+            if (!previousById.has(id)) {
+                created.push(schedule);
+            } else if (this.canonicalJson(previousById.get(id)) !== this.canonicalJson(schedule)) {
+                updated.push(schedule);
+            }
+        }
+        for (const [id, schedule] of previousById) {
+            if (!currentById.has(id)) {
+                deleted.push(schedule);
+            }
+        }
+        
+        return { created, updated, deleted };
+    }
+    
+    /**
+     * JSON with sorted keys so key order from the server doesn't count as a change
+     */
+    canonicalJson(value) {
+        return JSON.stringify(value, (key, val) => {
+            if (val && typeof val === 'object' && !Array.isArray(val)) {
+                return Object.keys(val).sort().reduce((sorted, k) => {
+                    sorted[k] = val[k];
+                    return sorted;
+                }, {});
+            }
+            return val;
+        });
+    }
+    
     /**
      * Refresh calendar view with proper data synchronization
      */
@@ -70,6 +235,7 @@ class SimpleActionHandler {
                 // Recalculate current status for proper unoccupied display
                 this.scheduler.calculateCurrentStatus();
             }
+            this.refreshHistoryControls();
             console.log('✅ View refreshed');
         } catch (error) {
             console.error('❌ View refresh failed:', error);
@@ -82,6 +248,9 @@ class SimpleActionHandler {
     async handleUserAction(actionType, payload) {
         console.log('🔄 Action:', actionType, payload);
         
+        // Snapshot the schedule list before the action for undo
+        const before = this.cloneSchedules(this.schedules);
+        
         try {
             switch (actionType) {
                 case 'CREATE_EVENT':
@@ -108,6 +277,30 @@ class SimpleActionHandler {
                     await this.removeExcludedDate(payload);
                     break;
                     
+                case 'UPDATE_OCCURRENCE':
+                    await this.updateOccurrence(payload);
+                    break;
+                    
+                case 'RESET_OCCURRENCE':
+                    await this.resetOccurrence(payload);
+                    break;
+                    
+                case 'DELETE_OCCURRENCE':
+                    await this.deleteOccurrence(payload);
+                    break;
+                    
+                case 'IMPORT_SCHEDULES':
+                    this.importSchedules(payload);
+                    break;
+                    
+                case 'SPLIT_SERIES':
+                    await this.splitSeries(payload);
+                    break;
+                    
+                case 'END_SERIES':
+                    await this.endSeries(payload);
+                    break;
+                    
                 case 'DRAG_SINGLE_FROM_SERIES':
                     // Use pendingPayload that was set by drag operation
                     if (this.pendingPayload) {
@@ -119,6 +312,17 @@ class SimpleActionHandler {
                     }
                     break;
                     
+                case 'DRAG_FOLLOWING_FROM_SERIES':
+                    // Use pendingPayload that was set by drag operation
+                    if (this.pendingPayload) {
+                        await this.dragEvent({
+                            ...this.pendingPayload,
+                            actionScope: 'following'
+                        });
+                        this.pendingPayload = null;
+                    }
+                    break;
+                    
                 case 'DRAG_WHOLE_SERIES':
                     // Use pendingPayload that was set by drag operation
                     if (this.pendingPayload) {
@@ -141,6 +345,17 @@ class SimpleActionHandler {
                     }
                     break;
                     
+                case 'RESIZE_FOLLOWING_FROM_SERIES':
+                    // Use pendingPayload that was set by resize operation
+                    if (this.pendingPayload) {
+                        await this.resizeEvent({
+                            ...this.pendingPayload,
+                            actionScope: 'following'
+                        });
+                        this.pendingPayload = null;
+                    }
+                    break;
+                    
                 case 'RESIZE_WHOLE_SERIES':
                     // Use pendingPayload that was set by resize operation
                     if (this.pendingPayload) {
@@ -157,15 +372,205 @@ class SimpleActionHandler {
             }
             
             // Save and refresh after any action
+            this.currentAction = { type: actionType, scope: this.auditScope(actionType, payload) };
             await this.saveSchedules();
             await this.loadSchedules(); // Reload to ensure consistency
+            this.recordHistory(actionType, before);
             this.refreshView();
             
         } catch (error) {
             console.error('❌ Action failed:', error.message || error);
             console.error('❌ Full error:', error);
+            if (error.isConflict) {
+                await this.handleSaveConflict();
+            } else {
+                // Rejected (422), offline or the action itself failed: drop the unsaved edit
+                this.schedules = before;
+                this.refreshView();
+            }
+            throw error;
+        } finally {
+            this.currentAction = null;
+        }
+    }
+    
+    /**
+     * Which occurrences an action applied to for the audit log: single, following or series, or the
+     * import mode (null when it isn't about a series)
+     */
+    auditScope(actionType, payload) {
+        if (payload && payload.actionScope) return payload.actionScope;
+        if (/SINGLE|OCCURRENCE/.test(actionType)) return 'single';
+        if (/FOLLOWING|SPLIT_SERIES|END_SERIES/.test(actionType)) return 'following';
+        if (/WHOLE_SERIES/.test(actionType)) return 'series';
+        if (actionType === 'IMPORT_SCHEDULES') return payload.mode;
+        return null;
+    }
+    
+    /**
+     * Deep copy a schedule list so history snapshots are not mutated later
+     */
+    cloneSchedules(schedules) {
+        return JSON.parse(JSON.stringify(schedules || []));
+    }
+    
+    /**
+     * Record a completed action on the undo stack
+     */
+    recordHistory(actionType, before) {
+        const { created, updated, deleted } = this.diffSchedules(before, this.schedules);
+        const touchedIds = [...created, ...updated, ...deleted].map(s => s.id);
+        
+        // Nothing changed (e.g. scope modal fired without a pending payload)
+        if (touchedIds.length === 0) {
+            return;
+        }
+        
+        this.undoStack.push({
+            actionType,
+            before: this.pickSchedules(before, touchedIds),
+            after: this.pickSchedules(this.schedules, touchedIds)
+        });
+        if (this.undoStack.length > this.maxHistory) {
+            this.undoStack.shift();
+        }
+        
+        // A new action invalidates anything that was undone
+        this.redoStack = [];
+        console.log('📚 History recorded:', actionType, `(${this.undoStack.length} undo steps)`);
+    }
+    
+    /**
+     * Copy the given schedules out of a list, keyed by id (null when the schedule doesn't exist)
+     */
+    pickSchedules(schedules, ids) {
+        const picked = {};
+        for (const id of ids) {
+            const schedule = schedules.find(s => s.id === id);
+            picked[id] = schedule ? this.cloneSchedules([schedule])[0] : null;
+        }
+        return picked;
+    }
+    
+    /**
+     * Forget all undo/redo steps (used when schedules are replaced wholesale)
+     */
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.refreshHistoryControls();
+    }
+    
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+    
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+    
+    /**
+     * Undo the last action - puts the schedules it touched back the way they were and persists them
+     */
+    async undo() {
+        if (!this.canUndo()) return null;
+        
+        const entry = this.undoStack.pop();
+        try {
+            this.currentAction = { type: 'UNDO', scope: entry.actionType };
+            entry.before = await this.applyHistoryState(entry.after, entry.before);
+            this.redoStack.push(entry);
+            console.log('↩️ Undid action:', entry.actionType);
+            return entry;
+        } catch (error) {
+            // Keep the entry so the user can retry, unless someone else changed those schedules
+            if (!error.isConflict) this.undoStack.push(entry);
+            console.error('❌ Undo failed:', error);
+            throw error;
+        } finally {
+            this.currentAction = null;
+            this.refreshHistoryControls();
+        }
+    }
+    
+    /**
+     * Redo the last undone action - reapplies the schedules it touched
+     */
+    async redo() {
+        if (!this.canRedo()) return null;
+        
+        const entry = this.redoStack.pop();
+        try {
+            this.currentAction = { type: 'REDO', scope: entry.actionType };
+            entry.after = await this.applyHistoryState(entry.before, entry.after);
+            this.undoStack.push(entry);
+            console.log('↪️ Redid action:', entry.actionType);
+            return entry;
+        } catch (error) {
+            if (!error.isConflict) this.redoStack.push(entry);
+            console.error('❌ Redo failed:', error);
+            throw error;
+        } finally {
+            this.currentAction = null;
+            this.refreshHistoryControls();
+        }
+    }
+    
+    /**
+     * Move the schedules in a history entry from the `expected` state to the `target` state.
+     * Refuses when the server's copies no longer match `expected` (someone else edited them since).
+     * Returns the saved state so the entry can be applied again in the other direction.
+     */
+    async applyHistoryState(expected, target) {
+        await this.loadSchedules();
+        
+        for (const id of Object.keys(target)) {
+            const current = this.schedules.find(s => s.id === id) || null;
+            const wanted = expected[id];
+            const unchanged = current && wanted ? String(current.revision || 0) === String(wanted.revision || 0) : current === wanted;
+            if (!unchanged) {
+                const name = (current || wanted || target[id] || {}).event_name || 'A schedule';
+                const error = new Error(`"${name}" was changed by someone else since, so this step can no longer be applied`);
+                error.isConflict = true;
+                throw error;
+            }
+        }
+        
+        const targetIds = Object.keys(target);
+        const updatedList = this.schedules
+            .filter(s => !targetIds.includes(s.id) || target[s.id])
+            .map(s => targetIds.includes(s.id) ? this.cloneSchedules([target[s.id]])[0] : s);
+        for (const id of targetIds) {
+            if (target[id] && !updatedList.some(s => s.id === id)) {
+                updatedList.push(this.cloneSchedules([target[id]])[0]);
+            }
+        }
+        const loaded = this.schedules;
+        this.schedules = updatedList;
+        
+        try {
+            await this.saveSchedules();
+        } catch (error) {
+            if (error.isConflict) {
+                await this.handleSaveConflict();
+            } else {
+                this.schedules = loaded;
+            }
             throw error;
         }
+        
+        await this.loadSchedules();
+        this.refreshView();
+        return this.pickSchedules(this.schedules, targetIds);
+    }
+    
+    /**
+     * Let the scheduler update its undo/redo buttons
+     */
+    refreshHistoryControls() {
+        if (this.scheduler && typeof this.scheduler.updateHistoryButtons === 'function') {
+            this.scheduler.updateHistoryButtons();
+        }
     }
     
     /**
@@ -181,7 +586,7 @@ class SimpleActionHandler {
         if (formData.start_date) {
             start_date = formData.start_date.split('T')[0]; // Remove time if present
         } else {
-            start_date = new Date().toISOString().split('T')[0]; // Default to today
+            start_date = this.scheduler.clock.today(); // Default to the device's today
         }
         
         // Extract end_date (YYYY-MM-DD or "never")
@@ -255,17 +660,10 @@ class SimpleActionHandler {
             throw new Error('End time must be after start time');
         }
         
-        // Check for overlaps using comprehensive detection
-        const overlap = this.checkForOverlaps(newSchedule);
-        if (overlap) {
-            // Format the date nicely - parse properly to avoid timezone issues
-            const [year, month, day] = overlap.date.split('-').map(Number);
-            const conflictDate = new Date(year, month - 1, day); // month is 0-indexed
-            const dateStr = conflictDate.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
-            
-            const message = `Cannot create schedule - conflicts with "${overlap.schedule.event_name}" on ${dateStr} (${overlap.times.existing}). Please choose different times or remove the conflicting schedule first.`;
-            console.log('⚠️ Overlap detected:', message);
-            throw new Error(message);
+        // Check for overlaps against every other schedule
+        const conflicts = this.checkForOverlaps(newSchedule);
+        if (conflicts.length > 0) {
+            throw this.overlapError('Cannot create schedule', conflicts, 'Please choose different times, give it a higher priority or remove the conflicting schedules first.');
         }
         
         this.schedules.push(newSchedule);
@@ -313,17 +711,10 @@ class SimpleActionHandler {
             throw new Error('End time must be after start time');
         }
         
-        // Check for overlaps using comprehensive detection (excluding self)
-        const overlap = this.checkForOverlaps(updatedSchedule, scheduleId);
-        if (overlap) {
-            // Format the date nicely - parse properly to avoid timezone issues
-            const [year, month, day] = overlap.date.split('-').map(Number);
-            const conflictDate = new Date(year, month - 1, day); // month is 0-indexed
-            const dateStr = conflictDate.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
-            
-            const message = `Cannot update schedule - conflicts with "${overlap.schedule.event_name}" on ${dateStr} (${overlap.times.existing}). Please choose different times or remove the conflicting schedule first.`;
-            console.log('⚠️ Overlap detected:', message);
-            throw new Error(message);
+        // Check for overlaps against every other schedule (excluding self)
+        const conflicts = this.checkForOverlaps(updatedSchedule, scheduleId);
+        if (conflicts.length > 0) {
+            throw this.overlapError('Cannot update schedule', conflicts, 'Please choose different times, give it a higher priority or remove the conflicting schedules first.');
         }
         
         this.schedules[index] = updatedSchedule;
@@ -363,6 +754,15 @@ class SimpleActionHandler {
         if (actionScope === 'single' && originalSchedule.repeat_frequency !== 'never') {
             // Drag single instance from recurring series
             await this.dragSingleInstance(originalSchedule, newStart, eventDate);
+        } else if (actionScope === 'following' && originalSchedule.repeat_frequency !== 'never') {
+            // Move this and the following occurrences to the new time of day
+            const originalDuration = this.calculateDuration(originalSchedule.start_time, originalSchedule.end_time);
+            const newStartTime = this.dateToTimeString(newStart);
+            await this.splitSeries({
+                scheduleId,
+                splitDate: this.dateToDateString(eventDate),
+                changes: { start_time: newStartTime, end_time: this.addDuration(newStartTime, originalDuration) }
+            });
         } else {
             // Drag entire schedule
             await this.dragWholeSchedule(originalSchedule, newStart);
@@ -370,73 +770,35 @@ class SimpleActionHandler {
     }
     
     /**
-     * Drag single instance from recurring series
+     * Drag single instance from recurring series - it stays part of the series as an override
      */
     async dragSingleInstance(originalSchedule, newStart, eventDate) {
         console.log('🔄 Drag single instance');
         
-        // 1. Calculate new event details
-        const excludeDate = this.dateToDateString(eventDate);
+        // The occurrence keeps its length, from its current (possibly already changed) times
+        const originalDate = this.dateToDateString(eventDate);
+        const occurrence = Recurrence.instance(originalSchedule, originalDate);
         const newStartTime = this.dateToTimeString(newStart);
-        const originalDuration = this.calculateDuration(originalSchedule.start_time, originalSchedule.end_time);
+        const originalDuration = this.calculateDuration(occurrence.start_time, occurrence.end_time);
         const newEndTime = this.addDuration(newStartTime, originalDuration);
         
         console.log('🔧 Single instance drag calculation:', {
-            excludeDate,
-            originalTime: `${originalSchedule.start_time}-${originalSchedule.end_time}`,
+            originalDate,
+            originalTime: `${occurrence.start_time}-${occurrence.end_time}`,
             newTime: `${newStartTime}-${newEndTime}`,
             duration: originalDuration
         });
         
-        // 2. Create new single event with unique name
-        const newDate = this.dateToDateString(newStart); // Use the NEW date where it was dragged to
-        // Parse the date properly to avoid timezone issues
-        const [year, month, day] = excludeDate.split('-').map(Number);
-        const dateObj = new Date(year, month - 1, day); // month is 0-indexed
-        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        const formattedDate = `${monthNames[dateObj.getMonth()]} ${dateObj.getDate()}`;
-        
-        const singleEvent = {
-            ...originalSchedule,
-            id: Date.now().toString(),
-            event_name: `${originalSchedule.event_name} (${formattedDate})`,
-            repeat_frequency: 'never',
-            start_date: newDate,  // Use the NEW date, not the original date
-            end_date: newDate,    // Use the NEW date, not the original date
-            start_time: newStartTime,
-            end_time: newEndTime,
-            exclude_dates: [],
-            days_of_week: []
-        };
-        
-        // 3. Create temporary updated original schedule for overlap checking
-        const tempOriginalWithExclusion = {
-            ...originalSchedule,
-            exclude_dates: [...(originalSchedule.exclude_dates || []), excludeDate]
-        };
-        
-        // 4. Check for overlaps with temporary state - replace original in memory temporarily
-        const originalIndex = this.schedules.findIndex(s => s.id === originalSchedule.id);
-        const tempSchedules = [...this.schedules];
-        tempSchedules[originalIndex] = tempOriginalWithExclusion;
-        
-        // 5. Check overlap using temporary state
-        const overlap = this.checkForOverlapsWithSchedules(singleEvent, tempSchedules);
-        if (overlap) {
-            // Format the date nicely - parse properly to avoid timezone issues
-            const [year, month, day] = overlap.date.split('-').map(Number);
-            const conflictDate = new Date(year, month - 1, day); // month is 0-indexed
-            const dateStr = conflictDate.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
-            
-            const message = `Cannot create single event here - conflicts with "${overlap.schedule.event_name}" on ${dateStr} (${overlap.times.existing}). Please choose a different time.`;
-            console.log('⚠️ Overlap detected:', message);
-            throw new Error(message);
-        }
-        
-        // 6. Apply changes - add exclude date and create single event
-        this.schedules[originalIndex] = tempOriginalWithExclusion;
-        this.schedules.push(singleEvent);
-        console.log('✅ Created single event from drag');
+        await this.updateOccurrence({
+            scheduleId: originalSchedule.id,
+            originalDate,
+            changes: {
+                date: this.dateToDateString(newStart), // Use the NEW date where it was dragged to
+                start_time: newStartTime,
+                end_time: newEndTime
+            }
+        });
+        console.log('✅ Moved single occurrence from drag');
     }
     
     /**
@@ -473,12 +835,10 @@ class SimpleActionHandler {
                 duration: originalDuration
             });
             
-            // Check for overlaps using comprehensive detection
-            const overlap = this.checkForOverlaps(updatedSchedule, originalSchedule.id);
-            if (overlap) {
-                const message = `Cannot move here - conflicts with "${overlap.event_name}" schedule. Please choose a different time or remove the conflicting schedule first.`;
-                console.log('⚠️ Overlap detected:', message);
-                throw new Error(message);
+            // Check for overlaps against every other schedule
+            const conflicts = this.checkForOverlaps(updatedSchedule, originalSchedule.id);
+            if (conflicts.length > 0) {
+                throw this.overlapError('Cannot move here', conflicts, 'Please choose a different time or remove the conflicting schedules first.');
             }
             
             const index = this.schedules.findIndex(s => s.id === originalSchedule.id);
@@ -494,7 +854,7 @@ class SimpleActionHandler {
      * Resize event
      */
     async resizeEvent(payload) {
-        const { scheduleId, newEnd, actionScope } = payload;
+        const { scheduleId, newEnd, eventDate, actionScope } = payload;
         
         const originalSchedule = this.schedules.find(s => s.id === scheduleId);
         if (!originalSchedule) {
@@ -502,14 +862,33 @@ class SimpleActionHandler {
         }
         
         try {
-            // Handle single instance resize from recurring series
-            if (actionScope === 'single' && originalSchedule.repeat_frequency !== 'never') {
-                // For single instance resize, create a new one-time event
+            // Handle single instance resize from recurring series - only that occurrence's end moves
+            if (actionScope === 'single' && originalSchedule.repeat_frequency !== 'never' && eventDate) {
                 console.log('🔄 Resize single instance from series');
                 
-                // TODO: Implement single instance resize by creating new event with different end time
-                // For now, just resize the whole series
-                console.log('⚠️ Single instance resize not fully implemented, resizing whole series');
+                const originalDate = this.dateToDateString(eventDate);
+                const occurrence = Recurrence.instance(originalSchedule, originalDate);
+                const newEndTime = this.dateToTimeString(newEnd);
+                if (this.calculateDuration(occurrence.start_time, newEndTime) <= 0) {
+                    throw new Error('End time must be after start time');
+                }
+                await this.updateOccurrence({
+                    scheduleId,
+                    originalDate,
+                    changes: { start_time: occurrence.start_time, end_time: newEndTime }
+                });
+                console.log('✅ Resized single occurrence');
+                return;
+            }
+            
+            // This and the following occurrences end at the new time
+            if (actionScope === 'following' && originalSchedule.repeat_frequency !== 'never' && eventDate) {
+                await this.splitSeries({
+                    scheduleId,
+                    splitDate: this.dateToDateString(eventDate),
+                    changes: { end_time: this.dateToTimeString(newEnd) }
+                });
+                return;
             }
             
             // Calculate new end time
@@ -532,12 +911,10 @@ class SimpleActionHandler {
                 throw new Error('End time must be after start time');
             }
             
-            // Check for overlaps using comprehensive detection
-            const overlap = this.checkForOverlaps(updatedSchedule, scheduleId);
-            if (overlap) {
-                const message = `Cannot resize to this time - conflicts with "${overlap.event_name}" schedule. Please choose a different end time.`;
-                console.log('⚠️ Overlap detected:', message);
-                throw new Error(message);
+            // Check for overlaps against every other schedule
+            const conflicts = this.checkForOverlaps(updatedSchedule, scheduleId);
+            if (conflicts.length > 0) {
+                throw this.overlapError('Cannot resize to this time', conflicts, 'Please choose a different end time.');
             }
             
             const index = this.schedules.findIndex(s => s.id === scheduleId);
@@ -550,7 +927,8 @@ class SimpleActionHandler {
     }
     
     /**
-     * Simple time duration calculation
+     * Simple time duration calculation, on the clock face: drags and resizes keep 01:00-03:00 two
+     * hours long even though it runs one hour on a spring-forward night (see ScheduleTimes.eventTimes)
      */
     calculateDuration(startTime, endTime) {
         // Convert HH:MM to minutes since midnight
@@ -573,26 +951,23 @@ class SimpleActionHandler {
      */
     extractTime(dateTimeStr) {
         if (dateTimeStr.includes('T')) {
-            const date = new Date(dateTimeStr);
-            return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+            return this.scheduler.clock.timeString(new Date(dateTimeStr));
         }
         return dateTimeStr; // Already in HH:MM format
     }
     
     /**
-     * Convert date to YYYY-MM-DD string
+     * Convert an instant to the device's YYYY-MM-DD date
      */
     dateToDateString(date) {
-        const d = new Date(date);
-        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+        return this.scheduler.clock.dateString(new Date(date));
     }
     
     /**
-     * Convert date to HH:MM string
+     * Convert an instant to the device's HH:MM time
      */
     dateToTimeString(date) {
-        const d = new Date(date);
-        return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+        return this.scheduler.clock.timeString(new Date(date));
     }
     
     /**
@@ -613,25 +988,6 @@ class SimpleActionHandler {
         return this.addMinutesToTime(timeStr, durationMinutes);
     }
     
-    /**
-     * Check if two time ranges overlap
-     */
-    timeRangesOverlap(start1, end1, start2, end2) {
-        // Convert times to minutes for comparison
-        const toMinutes = (timeStr) => {
-            const [hours, minutes] = timeStr.split(':').map(Number);
-            return hours * 60 + minutes;
-        };
-        
-        const start1Min = toMinutes(start1);
-        const end1Min = toMinutes(end1);
-        const start2Min = toMinutes(start2);
-        const end2Min = toMinutes(end2);
-        
-        // Check for overlap
-        return (start1Min < end2Min && end1Min > start2Min);
-    }
-    
     /**
      * Remove excluded date
      */
@@ -662,142 +1018,269 @@ class SimpleActionHandler {
     }
     
     /**
-     * Comprehensive overlap detection for all schedule types and patterns
-     * Examines complete date ranges, days of week, repetition, and excluded dates
+     * Move or edit one occurrence of a series. The changes ({ date, start_time, end_time, settings },
+     * all optional) are laid over the occurrence's override, stored under the series by its original
+     * date (see Recurrence.instance and overrideFor); an override that changes nothing is dropped
      */
-    checkForOverlaps(targetSchedule, excludeId = null) {
-        return this.checkForOverlapsWithSchedules(targetSchedule, this.schedules, excludeId);
+    async updateOccurrence(payload) {
+        const { scheduleId, originalDate, changes } = payload;
+        
+        const index = this.schedules.findIndex(s => s.id === scheduleId);
+        if (index === -1) {
+            throw new Error('Schedule not found');
+        }
+        const schedule = this.schedules[index];
+        if (!Recurrence.occursOn(schedule, originalDate)) {
+            throw new Error(`The series has no occurrence on ${originalDate}`);
+        }
+        
+        const changed = { date: originalDate, ...Recurrence.overridesOf(schedule)[originalDate], ...changes };
+        const updatedSchedule = this.withOverride(schedule, originalDate, Recurrence.overrideFor(schedule, originalDate, changed));
+        
+        // Check for overlaps against every other schedule (excluding the series itself)
+        const conflicts = this.checkForOverlaps(updatedSchedule, scheduleId);
+        if (conflicts.length > 0) {
+            throw this.overlapError('Cannot change this occurrence', conflicts, 'Please choose a different time.');
+        }
+        
+        this.schedules[index] = updatedSchedule;
+        console.log('✅ Updated occurrence:', originalDate);
     }
     
     /**
-     * Check for overlaps using a specific set of schedules (for temporary state checking)
+     * Reset to series - drop an occurrence's override so it runs like the rest of the series again
      */
-    checkForOverlapsWithSchedules(targetSchedule, schedulesList, excludeId = null) {
-        console.log('🔍 Comprehensive overlap check for:', targetSchedule.event_name);
+    async resetOccurrence(payload) {
+        const { scheduleId, originalDate } = payload;
         
-        const overlaps = [];
+        const index = this.schedules.findIndex(s => s.id === scheduleId);
+        if (index === -1) {
+            throw new Error('Schedule not found');
+        }
+        const updatedSchedule = this.withOverride(this.schedules[index], originalDate, null);
         
-        for (const existingSchedule of schedulesList) {
-            // Skip self and unoccupied default schedules
-            if (existingSchedule.id === excludeId || existingSchedule.is_default) {
-                continue;
-            }
-            
-            // Get all actual event dates for both schedules within a reasonable range
-            const checkStartDate = new Date('2025-01-01');
-            const checkEndDate = new Date('2026-12-31');
-            
-            const targetEvents = this.generateEventDates(targetSchedule, checkStartDate, checkEndDate);
-            const existingEvents = this.generateEventDates(existingSchedule, checkStartDate, checkEndDate);
-            
-            // Check each target event against each existing event
-            for (const targetEvent of targetEvents) {
-                for (const existingEvent of existingEvents) {
-                    // Same date - check time overlap
-                    if (targetEvent.date === existingEvent.date) {
-                        if (this.timeRangesOverlap(
-                            targetEvent.start_time, targetEvent.end_time,
-                            existingEvent.start_time, existingEvent.end_time
-                        )) {
-                            overlaps.push({
-                                conflictingSchedule: existingSchedule,
-                                date: targetEvent.date,
-                                targetTime: `${targetEvent.start_time}-${targetEvent.end_time}`,
-                                existingTime: `${existingEvent.start_time}-${existingEvent.end_time}`
-                            });
-                        }
-                    }
-                }
-            }
+        const conflicts = this.checkForOverlaps(updatedSchedule, scheduleId);
+        if (conflicts.length > 0) {
+            throw this.overlapError('Cannot reset this occurrence', conflicts, 'Please move or remove the conflicting schedules first.');
         }
         
-        if (overlaps.length > 0) {
-            console.log('⚠️ Overlaps found:', overlaps);
-            // Return both the conflicting schedule and the date for better error messaging
-            return {
-                schedule: overlaps[0].conflictingSchedule,
-                date: overlaps[0].date,
-                times: {
-                    target: overlaps[0].targetTime,
-                    existing: overlaps[0].existingTime
-                }
-            };
+        this.schedules[index] = updatedSchedule;
+        console.log('✅ Reset occurrence to series:', originalDate);
+    }
+    
+    /**
+     * Delete one occurrence of a series: exclude its original date and drop any override of it
+     */
+    async deleteOccurrence(payload) {
+        const { scheduleId, originalDate } = payload;
+        
+        const index = this.schedules.findIndex(s => s.id === scheduleId);
+        if (index === -1) {
+            throw new Error('Schedule not found');
         }
+        const schedule = this.withOverride(this.schedules[index], originalDate, null);
+        const excludeDates = schedule.exclude_dates || [];
         
-        console.log('✅ No overlaps found');
-        return null;
+        this.schedules[index] = {
+            ...schedule,
+            exclude_dates: excludeDates.includes(originalDate) ? excludeDates : [...excludeDates, originalDate]
+        };
+        console.log('✅ Deleted occurrence:', originalDate);
+    }
+    
+    /**
+     * Bring in the schedules from an import file - see ImportDiff for the replace/merge/append modes
+     */
+    importSchedules(payload) {
+        const { schedules, mode } = payload;
+        const result = ImportDiff.apply(this.schedules, schedules, mode);
+        this.schedules = result.schedules;
+        console.log('✅ Imported', result.importedIds.length, 'schedules', `(${mode})`);
     }
     
     /**
-     * Generate all actual event dates for a schedule within a date range
-     * Handles all repetition patterns, excluded dates, and days of week
+     * Split a series at one of its occurrences ("This and following events"): the series ends the day
+     * before and a new series with the changes starts on that occurrence, so weekly, monthly and
+     * yearly rhythms stay in step. Exclusions and overrides from the split date on move to the new
+     * series. Splitting at the first occurrence changes the whole series instead. The shortened
+     * series and the new one are saved together in one request (see saveSchedules), so a rejected
+     * new series never leaves the old one cut short
      */
-    generateEventDates(schedule, startDate, endDate) {
-        const events = [];
+    async splitSeries(payload) {
+        const { scheduleId, splitDate, changes } = payload;
         
-        // Determine schedule's active date range
-        const scheduleStart = new Date(schedule.start_date);
-        const scheduleEnd = schedule.end_date === 'never' ? endDate : new Date(schedule.end_date);
+        const index = this.schedules.findIndex(s => s.id === scheduleId);
+        if (index === -1) {
+            throw new Error('Schedule not found');
+        }
+        const schedule = this.schedules[index];
+        if (!Recurrence.occursOn(schedule, splitDate)) {
+            throw new Error(`The series has no occurrence on ${splitDate}`);
+        }
         
-        // Use the overlap of check range and schedule range
-        const effectiveStart = new Date(Math.max(scheduleStart, startDate));
-        const effectiveEnd = new Date(Math.min(scheduleEnd, endDate));
+        const dayBefore = Recurrence.dateString(Recurrence.dayNumber(splitDate) - 1);
+        if (Recurrence.occurrenceDates(schedule, schedule.start_date, dayBefore).length === 0) {
+            return await this.updateEvent({ scheduleId, updates: { ...schedule, ...changes } });
+        }
         
-        console.log(`📅 Generating events for ${schedule.event_name}:`, {
-            scheduleRange: `${schedule.start_date} to ${schedule.end_date}`,
-            effectiveRange: `${effectiveStart.toISOString().split('T')[0]} to ${effectiveEnd.toISOString().split('T')[0]}`,
-            repeatFreq: schedule.repeat_frequency
-        });
+        const following = date => Recurrence.dayNumber(date) >= Recurrence.dayNumber(splitDate);
+        const { revision, ...series } = schedule;
+        const newSeries = {
+            ...this.normalizeScheduleData({
+                ...series,
+                ...changes,
+                start_date: splitDate,
+                end_date: changes.end_date || schedule.end_date
+            }),
+            id: Date.now().toString(),
+            exclude_dates: (changes.exclude_dates || schedule.exclude_dates || []).filter(following),
+            overrides: Object.fromEntries(Object.entries(Recurrence.overridesOf(schedule)).filter(([date]) => following(date))),
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        };
+        if (Object.keys(newSeries.overrides).length === 0) {
+            delete newSeries.overrides;
+        }
         
-        if (schedule.repeat_frequency === 'never') {
-            // One-time event
-            if (effectiveStart <= effectiveEnd) {
-                const eventDate = effectiveStart.toISOString().split('T')[0];
-                if (!this.isExcludedDate(schedule, eventDate)) {
-                    events.push({
-                        date: eventDate,
-                        start_time: schedule.start_time,
-                        end_time: schedule.end_time
-                    });
-                }
-            }
-        } else if (schedule.repeat_frequency === 'custom' && schedule.days_of_week) {
-            // Recurring events with specific days
-            const current = new Date(effectiveStart);
-            
-            while (current <= effectiveEnd) {
-                // Get date string in YYYY-MM-DD format
-                const year = current.getFullYear();
-                const month = current.getMonth() + 1;
-                const day = current.getDate();
-                const eventDate = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-                
-                // Calculate day of week reliably (0 = Sunday, 1 = Monday, etc.)
-                const dayOfWeek = current.getDay();
-                const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-                const dayName = dayNames[dayOfWeek];
-                
-                if (schedule.days_of_week.includes(dayName) && !this.isExcludedDate(schedule, eventDate)) {
-                    events.push({
-                        date: eventDate,
-                        start_time: schedule.start_time,
-                        end_time: schedule.end_time
-                    });
-                }
-                
-                current.setDate(current.getDate() + 1);
-            }
+        // Validate time range
+        if (this.calculateDuration(newSeries.start_time, newSeries.end_time) <= 0) {
+            throw new Error('End time must be after start time');
+        }
+        
+        // Check the new series against everything else, with the old one already ended
+        const tempSchedules = [...this.schedules];
+        tempSchedules[index] = this.endedSeries(schedule, dayBefore);
+        const conflicts = this.checkForOverlapsWithSchedules(newSeries, tempSchedules);
+        if (conflicts.length > 0) {
+            throw this.overlapError('Cannot change the following events', conflicts, 'Please choose different times, give it a higher priority or remove the conflicting schedules first.');
+        }
+        
+        this.schedules[index] = tempSchedules[index];
+        this.schedules.push(newSeries);
+        console.log('✅ Split series at', splitDate);
+    }
+    
+    /**
+     * Delete this and the following occurrences: the series ends the day before the given one
+     * (or is deleted when that is its first occurrence)
+     */
+    async endSeries(payload) {
+        const { scheduleId, splitDate } = payload;
+        
+        const index = this.schedules.findIndex(s => s.id === scheduleId);
+        if (index === -1) {
+            throw new Error('Schedule not found');
+        }
+        const schedule = this.schedules[index];
+        const dayBefore = Recurrence.dateString(Recurrence.dayNumber(splitDate) - 1);
+        if (Recurrence.occurrenceDates(schedule, schedule.start_date, dayBefore).length === 0) {
+            return await this.deleteEvent({ scheduleId });
         }
         
-        console.log(`🎯 Generated ${events.length} events for ${schedule.event_name}`);
-        return events;
+        this.schedules[index] = this.endedSeries(schedule, dayBefore);
+        console.log('✅ Ended series on', dayBefore);
+    }
+    
+    /**
+     * Copy of a series ending on endDate, without the exclusions and overrides past it
+     */
+    endedSeries(schedule, endDate) {
+        const last = Recurrence.dayNumber(endDate);
+        const overrides = Object.entries(Recurrence.overridesOf(schedule)).filter(([date]) => Recurrence.dayNumber(date) <= last);
+        const ended = {
+            ...schedule,
+            end_date: endDate,
+            exclude_dates: (schedule.exclude_dates || []).filter(date => Recurrence.dayNumber(date) <= last),
+            overrides: Object.fromEntries(overrides),
+            updated_at: new Date().toISOString()
+        };
+        if (overrides.length === 0) {
+            delete ended.overrides;
+        }
+        return ended;
+    }
+    
+    /**
+     * Copy of a schedule with the override for originalDate set, or removed when override is null
+     */
+    withOverride(schedule, originalDate, override) {
+        const overrides = { ...Recurrence.overridesOf(schedule) };
+        delete overrides[originalDate];
+        if (override) {
+            overrides[originalDate] = override;
+        }
+        
+        const updatedSchedule = { ...schedule, overrides, updated_at: new Date().toISOString() };
+        if (Object.keys(overrides).length === 0) {
+            delete updatedSchedule.overrides;
+        }
+        return updatedSchedule;
+    }
+    
+    /**
+     * Comprehensive overlap detection for all schedule types and patterns
+     * Returns every conflict - see OverlapEngine for how recurrence rules are compared
+     */
+    checkForOverlaps(targetSchedule, excludeId = null) {
+        return this.checkForOverlapsWithSchedules(targetSchedule, this.schedules, excludeId);
+    }
+    
+    /**
+     * Check for overlaps using a specific set of schedules (for temporary state checking)
+     */
+    checkForOverlapsWithSchedules(targetSchedule, schedulesList, excludeId = null) {
+        console.log('🔍 Overlap check for:', targetSchedule.event_name);
+        
+        const conflicts = OverlapEngine.findConflicts(targetSchedule, schedulesList, excludeId);
+        if (conflicts.length > 0) {
+            console.log('⚠️ Overlaps found:', conflicts);
+        } else {
+            console.log('✅ No overlaps found');
+        }
+        return conflicts;
+    }
+    
+    /**
+     * Build an error that lists every conflict, one line per conflicting schedule
+     */
+    overlapError(prefix, conflicts, advice) {
+        const count = conflicts.length === 1 ? '1 schedule' : `${conflicts.length} schedules`;
+        const lines = conflicts.map(conflict =>
+            `• "${conflict.schedule.event_name}" (${conflict.times.existing}) ${this.describeConflictDates(conflict)}`
+        );
+        const message = `${prefix} - conflicts with ${count}:\n${lines.join('\n')}\n${advice}`;
+        console.log('⚠️ Overlap detected:', message);
+        
+        const error = new Error(message);
+        error.conflicts = conflicts;
+        return error;
+    }
+    
+    /**
+     * Describe when a conflict happens, e.g. "on Tue, Jul 29, 2025" or "every 2 weeks on Mon, Wed from ..., ongoing"
+     */
+    describeConflictDates(conflict) {
+        const first = this.formatConflictDate(conflict.first_date);
+        if (conflict.count === 1) {
+            return `on ${first}`;
+        }
+        
+        const days = conflict.days_of_week.map(day => day.charAt(0).toUpperCase() + day.slice(1, 3)).join(', ');
+        const every = conflict.every_weeks === null ? `repeatedly (${days})` :
+            conflict.every_weeks > 1 ? `every ${conflict.every_weeks} weeks on ${days}` : `every ${days}`;
+        if (conflict.last_date === null) {
+            return `${every} from ${first}, ongoing`;
+        }
+        return `on ${conflict.count} days (${days}) from ${first} to ${this.formatConflictDate(conflict.last_date)}`;
     }
     
     /**
-     * Check if a date is excluded from a schedule
+     * Format a YYYY-MM-DD date for conflict messages - parse as a local date to avoid timezone issues
      */
-    isExcludedDate(schedule, dateStr) {
-        return schedule.exclude_dates && schedule.exclude_dates.includes(dateStr);
+    formatConflictDate(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        const date = new Date(year, month - 1, day); // month is 0-indexed
+        return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
     }
 }
 
@@ -6,6 +6,7 @@ class CalendarView {
     constructor(scheduler) {
         this.scheduler = scheduler;
         this.calendar = null;
+        this.preview = null; // Earlier revision shown read-only instead of the schedules ({ revision, schedules })
         this.init();
     }
     
@@ -56,7 +57,11 @@ class CalendarView {
             editable: true,
             dayMaxEvents: true,
             weekNumbers: true,
-            timeZone: 'local',  // Use browser's local timezone
+            // Calendar dates carry the device's wall clock in their UTC fields (see DeviceClock),
+            // so the grid, "today" and the now line follow the building, not the browser
+            timeZone: 'UTC',
+            now: () => this.scheduler.clock.toCalendar(new Date()),
+            slotLabelContent: (arg) => this.slotLabelContent(arg),
             
             // Event time formatting - prevent "nullnullnull" display
             eventTimeFormat: {
@@ -90,25 +95,67 @@ class CalendarView {
                 this.customizeEvent(info);
             },
             
+            // Higher priority layers first where events share a slot
+            eventOrder: '-layerRank,start,-duration,title',
+            
             // Prevent overlaps during dragging
             eventOverlap: function(stillEvent, movingEvent) {
-                // Allow overlapping with unoccupied events
-                if (stillEvent.extendedProps.isUnoccupied || movingEvent.extendedProps.isUnoccupied) {
+                // Allow overlapping with unoccupied events, holiday markers and holds
+                if (stillEvent.extendedProps.isUnoccupied || movingEvent.extendedProps.isUnoccupied ||
+                    stillEvent.extendedProps.isHoliday || stillEvent.extendedProps.isHold) {
                     return true;
                 }
-                // Prevent overlapping between occupied events
-                return false;
+                // Occupied events may only overlap events on another priority layer or control channel
+                const still = stillEvent.extendedProps.scheduleData;
+                const moving = movingEvent.extendedProps.scheduleData;
+                return !PriorityLayers.sameLayer(still, moving) || !ControlChannels.shared(still, moving);
             },
             selectOverlap: (event) => {
-                // Allow selection over unoccupied events only
-                return event.extendedProps.isUnoccupied;
+                // Allow selection over unoccupied events and holiday markers only
+                return event.extendedProps.isUnoccupied || event.extendedProps.isHoliday;
             }
         });
         
         this.calendar.render();
+        this.setupViewerTimeToggle();
         console.log('Calendar view initialized');
     }
     
+    /**
+     * Toggle for a second time axis in the viewer's own timezone
+     */
+    setupViewerTimeToggle() {
+        const toggle = document.getElementById('viewerTimeToggle');
+        const label = document.getElementById('viewerTimeLabel');
+        if (!toggle) return;
+        
+        const clock = this.scheduler.clock;
+        label.textContent = `Show my local time (device: ${clock.zoneName()})`;
+        toggle.checked = localStorage.getItem('showViewerTime') === 'true';
+        this.showViewerTime = toggle.checked;
+        // Nothing to add when the browser already runs on the device's timezone
+        toggle.disabled = clock.matchesViewer();
+        
+        toggle.addEventListener('change', () => {
+            this.showViewerTime = toggle.checked;
+            localStorage.setItem('showViewerTime', String(toggle.checked));
+            // Slot labels only re-render when an option changes
+            this.calendar.setOption('slotLabelContent', (arg) => this.slotLabelContent(arg));
+        });
+    }
+    
+    /**
+     * Time axis label: the device's time, plus the viewer's local time when the toggle is on
+     */
+    slotLabelContent(arg) {
+        if (!this.showViewerTime || this.scheduler.clock.matchesViewer()) {
+            return arg.text;
+        }
+        const instant = this.scheduler.clock.fromCalendar(arg.date);
+        const local = instant.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+        return { html: `${arg.text}<br><small class="text-info">${local}</small>` };
+    }
+    
     /**
      * Check for overlaps after an event has been moved and notify user
      */
@@ -273,11 +320,12 @@ class CalendarView {
      */
     async convertSchedulesToEvents(info) {
         const events = [];
-        const schedules = this.scheduler.schedules || [];
+        const schedules = this.displayedSchedules();
         
-        // Use the calendar's date range for generating events
-        const startDate = info ? new Date(info.start) : new Date();
-        const endDate = info ? new Date(info.end) : new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+        // Use the calendar's date range for generating events (calendar dates, end exclusive)
+        const clock = this.scheduler.clock;
+        const startDate = info ? new Date(info.start) : clock.toCalendar(clock.instant(clock.today()));
+        const endDate = info ? new Date(info.end) : new Date(startDate.getTime() + 30 * 24 * 60 * 60 * 1000);
         
         // Only show non-default schedules in calendar
         for (const schedule of schedules) {
@@ -289,6 +337,13 @@ class CalendarView {
             }
         }
         
+        // Temporary holds sit on top of the schedule (not an earlier revision of it)
+        if (this.preview) {
+            events.forEach(event => { event.editable = false; });
+        } else {
+            events.push(...this.generateHoldEvents(startDate, endDate));
+        }
+        
         // Generate unoccupied gap events for all views (limited for performance)
         const currentView = info && info.view ? info.view.type : 'timeGridWeek';
         console.log('Current view type:', currentView);
@@ -296,9 +351,54 @@ class CalendarView {
         this.generateUnoccupiedGapsLimited(events, startDate, endDate);
         
         console.log(`Total events after unoccupied generation: ${events.length}`);
+        
+        // Holidays are shaded behind the events
+        events.push(...this.generateHolidayEvents(startDate, endDate));
         return events;
     }
     
+    /**
+     * Background events marking the holidays of every holiday calendar in the visible range
+     */
+    generateHolidayEvents(startDate, endDate) {
+        const from = Recurrence.dayNumber(CalendarView.dayOf(startDate));
+        const until = Recurrence.dayNumber(CalendarView.dayOf(new Date(endDate.getTime() - 1)));
+        
+        return HolidayCalendar.between(HolidayCalendar.ids(), from, until).map(holiday => ({
+            id: `holiday-${holiday.calendar}-${holiday.date}`,
+            title: holiday.name,
+            start: holiday.date,
+            end: Recurrence.dateString(holiday.day + 1),
+            allDay: true,
+            display: 'background',
+            classNames: ['holiday-event'],
+            extendedProps: {
+                isHoliday: true,
+                calendar: holiday.calendar
+            }
+        }));
+    }
+    
+    /**
+     * Blocks for the temporary holds running in the visible range (device wall clock, like schedule events)
+     */
+    generateHoldEvents(startDate, endDate) {
+        const clock = this.scheduler.clock;
+        return (this.scheduler.holds || []).map(hold => ({
+            id: `hold-${hold.id}`,
+            title: `${hold.event_name} (hold)`,
+            start: clock.toCalendar(new Date(hold.start)),
+            end: clock.toCalendar(new Date(hold.end)),
+            classNames: ['hold-event'],
+            editable: false,
+            extendedProps: {
+                isHold: true,
+                layerRank: Infinity,
+                scheduleData: hold
+            }
+        })).filter(event => event.start < endDate && event.end > startDate);
+    }
+    
     /**
      * Generate calendar events from a schedule
      */
@@ -314,46 +414,20 @@ class CalendarView {
                 endDate = new Date(currentView.currentEnd);
             } else {
                 // Fallback to default range if calendar not initialized
-                const now = new Date();
-                startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 7);
-                endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 35);
+                const today = this.scheduler.clock.toCalendar(this.scheduler.clock.instant(this.scheduler.clock.today()));
+                startDate = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
+                endDate = new Date(today.getTime() + 35 * 24 * 60 * 60 * 1000);
             }
         }
         
-        // Handle different repeat frequencies - smart rendering for calendar view
-        switch (schedule.repeat_frequency) {
-            case 'custom':
-                events.push(...this.generateCustomEvents(schedule, startDate, endDate));
-                break;
-            case 'never':
-            default:
-                // One-time event using 4-value structure
-                // CRITICAL: Use local date parsing to avoid timezone issues
-                const [startYear, startMonth, startDay] = schedule.start_date.split('-').map(Number);
-                const scheduleStartDate = new Date(startYear, startMonth - 1, startDay); // Month is 0-indexed
-                
-                let scheduleEndDate;
-                if (schedule.end_date === "never") {
-                    scheduleEndDate = new Date(startYear, startMonth - 1, startDay); // Same day for one-time events
-                } else {
-                    const [endYear, endMonth, endDay] = schedule.end_date.split('-').map(Number);
-                    scheduleEndDate = new Date(endYear, endMonth - 1, endDay);
-                }
-                
-                console.log(`📅 ONE-TIME EVENT - Schedule: ${schedule.event_name}`);
-                console.log(`   start_date string: ${schedule.start_date}`);
-                console.log(`   scheduleStartDate object: ${scheduleStartDate.toDateString()}`);
-                console.log(`   end_date string: ${schedule.end_date}`);
-                console.log(`   scheduleEndDate object: ${scheduleEndDate.toDateString()}`);
-                
-                // Generate events for each day in the date range
-                const current = new Date(scheduleStartDate);
-                while (current <= scheduleEndDate) {
-                    console.log(`📅 ONE-TIME EVENT - Creating event for: ${current.toDateString()}`);
-                    const event = this.createCalendarEvent(schedule, new Date(current));
-                    if (event) events.push(event);
-                    current.setDate(current.getDate() + 1);
-                }
+        // The calendar range end is exclusive - step back to the last visible day. Start a day early:
+        // an overnight occurrence from the day before runs into the first visible morning
+        const firstDay = Recurrence.dateString(Recurrence.dayNumber(CalendarView.dayOf(startDate)) - 1);
+        const lastDay = CalendarView.dayOf(new Date(endDate.getTime() - 1));
+        // A moved or edited occurrence shows on its override's date, still part of the series
+        for (const { date, originalDate } of Recurrence.instances(schedule, firstDay, lastDay)) {
+            const event = this.createCalendarEvent(schedule, date, originalDate);
+            if (event) events.push(event);
         }
         
         // Remove duplicate events (same schedule, same start datetime)
@@ -375,118 +449,29 @@ class CalendarView {
 
     
     /**
-     * Check if an event should be created for a specific date using 4-value structure
-     */
-    shouldCreateEventForDate(schedule, date) {
-        // Check if this date is excluded
-        if (schedule.exclude_dates && Array.isArray(schedule.exclude_dates)) {
-            const dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD format
-            if (schedule.exclude_dates.includes(dateStr)) {
-                return false;
-            }
-        }
-        
-        // Check if date is within schedule date range
-        const scheduleStartDate = new Date(schedule.start_date);
-        let scheduleEndDate;
-        if (schedule.end_date === "never") {
-            scheduleEndDate = new Date('2099-12-31'); // Effectively infinite
-        } else {
-            scheduleEndDate = new Date(schedule.end_date);
-        }
-        
-        const checkDate = new Date(date);
-        checkDate.setHours(0, 0, 0, 0);
-        
-        if (checkDate < scheduleStartDate || checkDate > scheduleEndDate) {
-            return false;
-        }
-        
-        // For custom schedules, check specific days
-        if (schedule.repeat_frequency === 'custom' && schedule.days_of_week && schedule.days_of_week.length > 0) {
-            const dayName = date.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-            return schedule.days_of_week.includes(dayName);
-        }
-        
-        return false;
-    }
-    
-
-    
-    /**
-     * Generate custom day recurring events using 4-value structure
+     * Create a single calendar event from schedule for one of the device's calendar days (YYYY-MM-DD);
+     * originalDate is the series date of a moved occurrence, which runs as its override's instance
      */
-    generateCustomEvents(schedule, calendarStartDate, calendarEndDate) {
-        const events = [];
-        const daysOfWeek = schedule.days_of_week || [];
-        
-        // Determine the actual date range to generate events for
-        const scheduleStartDate = new Date(schedule.start_date);
-        let scheduleEndDate;
-        if (schedule.end_date === "never") {
-            scheduleEndDate = new Date(calendarEndDate); // Use calendar range for infinite schedules
-        } else {
-            scheduleEndDate = new Date(schedule.end_date);
-        }
-        
-        // Start from the later of schedule start or calendar start
-        const current = new Date(Math.max(scheduleStartDate, calendarStartDate));
-        const endDate = new Date(Math.min(scheduleEndDate, calendarEndDate));
-        
-        while (current <= endDate) {
-            if (this.shouldCreateEventForDate(schedule, current)) {
-                const event = this.createCalendarEvent(schedule, new Date(current));
-                if (event) events.push(event);
-            }
-            current.setDate(current.getDate() + 1);
-        }
-        
-        return events;
-    }
-    
-    /**
-     * Create a single calendar event from schedule  
-     */
-    createCalendarEvent(schedule, date) {
+    createCalendarEvent(schedule, dateStr, originalDate = dateStr) {
         // Skip default/unoccupied schedules or schedules without start times
         if (!schedule.start_time || schedule.is_default) {
             return null;
         }
         
-        const eventDate = new Date(date);
-        let startTime, endTime;
+        const occurrence = Recurrence.instance(schedule, originalDate);
         
-        if (schedule.time_setting === 'time') {
-            // Always use HH:MM format with the 4-value structure
-            const [startHours, startMinutes] = schedule.start_time.split(':').map(Number);
-            const [endHours, endMinutes] = schedule.end_time.split(':').map(Number);
-            
-            // Create Date objects using local time constructor
-            startTime = new Date(eventDate.getFullYear(), eventDate.getMonth(), eventDate.getDate(), startHours, startMinutes);
-            endTime = new Date(eventDate.getFullYear(), eventDate.getMonth(), eventDate.getDate(), endHours, endMinutes);
-            
-            // Handle overnight events (end time < start time)
-            if (endTime <= startTime) {
-                endTime.setDate(endTime.getDate() + 1);
-            }
-        } else {
-            // For sunrise/sunset events, calculate actual times
-            const sunTime = schedule.time_setting === 'sunrise' ? 
-                          this.scheduler.calculateSunrise(eventDate) : 
-                          this.scheduler.calculateSunset(eventDate);
-            
-            const offsetHours = schedule.start_time ? parseInt(schedule.start_time.split(':')[0]) || 0 : 0;
-            const endOffsetHours = schedule.end_time ? parseInt(schedule.end_time.split(':')[0]) || 1 : 1;
-            
-            startTime = new Date(sunTime.getTime() - (offsetHours * 60 * 60 * 1000));
-            endTime = new Date(sunTime.getTime() + (endOffsetHours * 60 * 60 * 1000));
+        // Clock times, or sunrise/sunset/civil twilight plus an offset, resolved for this day
+        const { start: startTime, end: endTime } = this.scheduler.calculateEventTimes(occurrence, dateStr);
+        
+        // Nothing runs when the clock skips the whole event (spring-forward night)
+        if (endTime <= startTime) {
+            return null;
         }
         
-        // CRITICAL: Store the exact date this event is supposed to appear on
-        const originalDateStr = date.toISOString().split('T')[0];
+        // CRITICAL: Store the series date of this occurrence - single-occurrence edits are keyed by it
+        const originalDateStr = originalDate;
         
         console.log(`📅 Creating calendar event for ${schedule.event_name}:`);
-        console.log(`   Schedule date input: ${date.toDateString()}`);
         console.log(`   Original date string: ${originalDateStr}`);
         console.log(`   Event will display from: ${startTime.toISOString()}`);
         console.log(`   Event will display to: ${endTime.toISOString()}`);
@@ -494,19 +479,25 @@ class CalendarView {
         const event = {
             id: `${schedule.id}-${originalDateStr}`,
             title: schedule.event_name || 'Schedule Event',
-            start: startTime,  // Use Date object directly - FullCalendar will handle timezone
-            end: endTime,      // Use Date object directly - FullCalendar will handle timezone
+            start: this.scheduler.clock.toCalendar(startTime),  // Device wall clock for the UTC calendar
+            end: this.scheduler.clock.toCalendar(endTime),
             backgroundColor: this.getEventColor(schedule.schedule_type),
             borderColor: this.getEventColor(schedule.schedule_type),
             textColor: '#ffffff',
+            classNames: occurrence.override_of ? ['override-event'] : [],
+            // Sun-relative times move every day, so there is no single clock time to drag them to
+            editable: !ScheduleTimes.isVariable(occurrence),
             extendedProps: {
                 scheduleId: schedule.id,
                 scheduleType: schedule.schedule_type,
-                settings: schedule.settings || {},
-                timeSetting: schedule.time_setting,
+                settings: occurrence.settings || {},
+                timeSetting: occurrence.time_setting,
                 isDefault: schedule.is_default || false,
+                layer: PriorityLayers.layerOf(schedule),
+                layerRank: PriorityLayers.rank(schedule),
                 scheduleData: schedule,
-                originalDate: originalDateStr  // Store the original scheduled date
+                originalDate: originalDateStr,  // Store the original scheduled date
+                isOverride: Boolean(occurrence.override_of)
             }
         };
         
@@ -536,16 +527,17 @@ class CalendarView {
             const startTimeField = document.getElementById('startTime');
             const endTimeField = document.getElementById('endTime');
             
+            // Calendar dates read as the device's wall clock in UTC
             if (scheduleStartDateField) {
-                scheduleStartDateField.value = this.pendingSelection.start.toISOString().split('T')[0];
+                scheduleStartDateField.value = this.pendingSelection.start.toISOString().slice(0, 10);
             }
             
             if (startTimeField) {
-                startTimeField.value = this.pendingSelection.start.toTimeString().slice(0, 5);
+                startTimeField.value = this.pendingSelection.start.toISOString().slice(11, 16);
             }
             
             if (endTimeField) {
-                endTimeField.value = this.pendingSelection.end.toTimeString().slice(0, 5);
+                endTimeField.value = this.pendingSelection.end.toISOString().slice(11, 16);
             }
             
             this.scheduler.openEventModal();
@@ -559,11 +551,27 @@ class CalendarView {
      * Handle event click for editing
      */
     handleEventClick(info) {
+        // An earlier revision is only looked at
+        if (this.preview) {
+            return;
+        }
+        
         const scheduleData = info.event.extendedProps.scheduleData;
-        const eventDate = new Date(info.event.start);
+        // A moved occurrence is edited by its series date, not the day it was moved to
+        const originalDate = info.event.extendedProps.originalDate;
+        const eventDate = originalDate ?
+            this.scheduler.clock.instant(originalDate, '12:00') : this.scheduler.clock.fromCalendar(info.event.start);
+        
+        // Don't allow clicking on unoccupied events or holiday markers
+        if (info.event.extendedProps.isUnoccupied || info.event.extendedProps.isHoliday) {
+            return;
+        }
         
-        // Don't allow clicking on unoccupied events
-        if (info.event.extendedProps.isUnoccupied) {
+        // A hold can only be cancelled
+        if (info.event.extendedProps.isHold) {
+            if (confirm(`Cancel the hold "${scheduleData.event_name}"? The schedule takes over again right away.`)) {
+                this.scheduler.cancelHold(scheduleData.id);
+            }
             return;
         }
         
@@ -607,32 +615,33 @@ class CalendarView {
         
         // Get the original scheduled date from event properties
         const originalDateString = info.event.extendedProps.originalDate;
-        const originalEventDate = originalDateString ? new Date(originalDateString + 'T12:00:00.000Z') : new Date(info.oldEvent.start);
+        const clock = this.scheduler.clock;
+        const originalEventDate = originalDateString ? clock.instant(originalDateString, '12:00') : clock.fromCalendar(info.oldEvent.start);
+        const newStart = clock.fromCalendar(info.event.start);
         
         console.log('🎯 DRAG DEBUG - Original scheduled date string:', originalDateString);
         console.log('🎯 DRAG DEBUG - Original event date object:', originalEventDate);
         console.log('🎯 DRAG DEBUG - Original event date formatted:', originalEventDate.toDateString());
-        console.log('🎯 DRAG DEBUG - New position date:', new Date(info.event.start));
-        console.log('🎯 DRAG DEBUG - New position date formatted:', new Date(info.event.start).toDateString());
+        console.log('🎯 DRAG DEBUG - New position (device clock):', clock.dateString(newStart), clock.timeString(newStart));
         console.log('🎯 DRAG DEBUG - Schedule data:', scheduleData.event_name, scheduleData.repeat_frequency);
         
         // CRITICAL: Verify the originalEventDate is actually the day the event was originally scheduled for
         // For recurring events, this should be the day the user originally saw the event, not where they dragged it
-        const draggedFromDate = new Date(info.oldEvent.start);
-        console.log('🎯 DRAG DEBUG - Event was dragged FROM:', draggedFromDate.toDateString());
-        console.log('🎯 DRAG DEBUG - Event was dragged TO:', new Date(info.event.start).toDateString());
+        const draggedFromDate = clock.fromCalendar(info.oldEvent.start);
+        console.log('🎯 DRAG DEBUG - Event was dragged FROM:', clock.dateString(draggedFromDate));
+        console.log('🎯 DRAG DEBUG - Event was dragged TO:', clock.dateString(newStart));
         
         // Check if recurring event needs modal or direct action
         if (scheduleData.repeat_frequency !== 'never') {
             // For recurring events, store pending info in action handler and show scope modal
             this.scheduler.actionHandler.pendingPayload = {
                 scheduleId: scheduleData.id,
-                newStart: new Date(info.event.start),
+                newStart,
                 eventDate: originalEventDate
             };
             this.pendingDragInfo = {
                 scheduleId: scheduleData.id,
-                newStart: new Date(info.event.start),
+                newStart,
                 eventDate: originalEventDate
             };
             this.scheduler.showDragScopeModal(scheduleData, originalEventDate);
@@ -640,7 +649,7 @@ class CalendarView {
             // Direct drag for one-time events - use 'series' scope to drag whole schedule
             await this.scheduler.actionHandler.handleUserAction('DRAG_EVENT', {
                 scheduleId: scheduleData.id,
-                newStart: new Date(info.event.start),
+                newStart,
                 eventDate: originalEventDate,
                 actionScope: 'series'  // One-time events should be dragged as whole schedule
             });
@@ -675,22 +684,27 @@ class CalendarView {
         // Store revert function for error handling
         this.lastRevertFunction = () => info.revert();
         
-        // For resize, the event date remains the same (start position didn't change)
-        const eventDate = new Date(info.event.start);
+        // For resize, the event date remains the same (start position didn't change); a moved
+        // occurrence is still known by its series date
+        const clock = this.scheduler.clock;
+        const originalDate = info.event.extendedProps.originalDate;
+        const eventDate = originalDate ? clock.instant(originalDate, '12:00') : clock.fromCalendar(info.event.start);
+        const newEnd = info.event.end ? clock.fromCalendar(info.event.end) : null;
         
         // For recurring events, show resize scope modal
         if (scheduleData.repeat_frequency !== 'never') {
             // Store pending info in action handler
             this.scheduler.actionHandler.pendingPayload = {
                 scheduleId: scheduleData.id,
-                newEnd: info.event.end ? new Date(info.event.end) : null
+                newEnd,
+                eventDate
             };
             this.scheduler.showEditScopeModal(scheduleData, eventDate, 'resize');
         } else {
             // Direct resize for one-time events
             await this.scheduler.actionHandler.handleUserAction('RESIZE_EVENT', {
                 scheduleId: scheduleData.id,
-                newEnd: info.event.end ? new Date(info.event.end) : null,
+                newEnd,
                 actionScope: 'single'
             });
         }
@@ -704,8 +718,21 @@ class CalendarView {
         const element = info.el;
         const scheduleData = event.extendedProps.scheduleData;
         
-        // Add tooltip
-        element.title = this.createEventTooltip(scheduleData);
+        // Holiday markers only name the holiday and its calendar
+        if (event.extendedProps.isHoliday) {
+            element.title = `${event.title}\n${HolidayCalendar.calendarName(event.extendedProps.calendar)}`;
+            return;
+        }
+        
+        // Holds list their settings and how to end them
+        if (event.extendedProps.isHold) {
+            const settings = Object.entries(scheduleData.settings || {}).map(([key, value]) => `${key.replace(/_/g, ' ')}: ${value}`);
+            element.title = [`${scheduleData.event_name} (temporary hold)`, ...settings, 'Click to cancel'].join('\n');
+            return;
+        }
+        
+        // Add tooltip - a moved or edited occurrence shows its own times and settings
+        element.title = this.createEventTooltip(Recurrence.instance(scheduleData, event.extendedProps.originalDate));
         
         // Add icon based on schedule type
         const iconClass = this.getScheduleTypeIcon(scheduleData.schedule_type);
@@ -731,6 +758,12 @@ class CalendarView {
         let tooltip = `${scheduleData.event_name}\n`;
         tooltip += `Type: ${scheduleData.schedule_type}\n`;
         tooltip += `Repeat: ${scheduleData.repeat_frequency}\n`;
+        if (scheduleData.override_of) {
+            tooltip += `Changed from the series (${scheduleData.override_of})\n`;
+        }
+        if (!scheduleData.is_default) {
+            tooltip += `Priority: ${PriorityLayers.label(PriorityLayers.layerOf(scheduleData))}\n`;
+        }
         tooltip += '──────────────\n';
         
         // Different tooltip content based on schedule type
@@ -808,6 +841,31 @@ class CalendarView {
         }
     }
     
+    /**
+     * The schedules on the calendar - the previewed revision's while there is one
+     */
+    displayedSchedules() {
+        return this.preview ? this.preview.schedules : (this.scheduler.schedules || []);
+    }
+    
+    /**
+     * Show an earlier revision's schedules read-only until endPreview
+     */
+    showPreview(revision, schedules) {
+        this.preview = { revision, schedules };
+        this.calendar.setOption('editable', false);
+        this.refresh();
+    }
+    
+    /**
+     * Back to the current schedules
+     */
+    endPreview() {
+        this.preview = null;
+        this.calendar.setOption('editable', true);
+        this.refresh();
+    }
+    
     /**
      * Refresh the calendar view
      */
@@ -829,6 +887,13 @@ class CalendarView {
         }
     }
     
+    /**
+     * The device's YYYY-MM-DD for a calendar date
+     */
+    static dayOf(calendarDate) {
+        return calendarDate.toISOString().slice(0, 10);
+    }
+    
     /**
      * Navigate to a specific date
      */
@@ -852,7 +917,7 @@ class CalendarView {
      */
     generateUnoccupiedGapsLimited(events, startDate, endDate) {
         // Get the default unoccupied schedule
-        const unoccupiedSchedule = this.scheduler.schedules.find(s => s.is_default);
+        const unoccupiedSchedule = this.displayedSchedules().find(s => s.is_default);
         if (!unoccupiedSchedule) {
             console.log('No unoccupied schedule found!');
             return;
@@ -860,9 +925,9 @@ class CalendarView {
         
         console.log('Generating unoccupied gaps for unoccupied schedule:', unoccupiedSchedule.event_name);
         
-        // Limit to 7 days maximum for performance
+        // Limit to 7 days maximum for performance (calendar dates: the device's day is the UTC day)
         const current = new Date(startDate);
-        current.setHours(0, 0, 0, 0);
+        current.setUTCHours(0, 0, 0, 0);
         const limitedEndDate = new Date(Math.min(endDate.getTime(), startDate.getTime() + 7 * 24 * 60 * 60 * 1000));
         
         let dayCount = 0;
@@ -872,7 +937,7 @@ class CalendarView {
             this.generateUnoccupiedGapsForDay(events, current, unoccupiedSchedule);
             const added = events.length - beforeCount;
             unoccupiedCount += added;
-            current.setDate(current.getDate() + 1);
+            current.setUTCDate(current.getUTCDate() + 1);
             dayCount++;
         }
         console.log(`Generated ${unoccupiedCount} unoccupied events for ${dayCount} days`);
@@ -884,15 +949,17 @@ class CalendarView {
     generateUnoccupiedGapsForDay(events, date, unoccupiedSchedule) {
         // Show gaps for the full 24-hour day
         const dayStart = new Date(date);
-        dayStart.setHours(0, 0, 0, 0); // Start at midnight
+        dayStart.setUTCHours(0, 0, 0, 0); // Start at midnight
         const dayEnd = new Date(date);
-        dayEnd.setHours(23, 59, 59, 999); // End at 11:59:59 PM
+        dayEnd.setUTCHours(23, 59, 59, 999); // End at 11:59:59 PM
         
-        // Get all non-unoccupied scheduled events for this day, sorted by start time 
+        // Get all non-unoccupied scheduled events on the default's channels running during this day,
+        // sorted by start time - an overnight event from the night before covers the morning, and
+        // lighting events leave the Unoccupied thermostat default's gaps alone
         const dayEvents = events.filter(event => {
             if (event.extendedProps && event.extendedProps.isUnoccupied) return false;
-            const eventStart = new Date(event.start);
-            return eventStart.toDateString() === date.toDateString();
+            if (!ControlChannels.shared(event.extendedProps.scheduleData, unoccupiedSchedule)) return false;
+            return new Date(event.start) <= dayEnd && new Date(event.end) > dayStart;
         }).sort((a, b) => new Date(a.start) - new Date(b.start));
         
         const gaps = [];
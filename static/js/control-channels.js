@@ -0,0 +1,66 @@
+/**
+ * ControlChannels - The equipment a schedule drives (temperature, humidity, lighting)
+ * schedule_rules.json maps each schedule_type to its channels: thermostat drives temperature,
+ * thermostat+humidistat drives temperature and humidity. Schedules only compete - for overlaps,
+ * for who is in effect and for the Unoccupied default's gaps - with schedules sharing a channel.
+ * timeline.py applies the same mapping on the server.
+ */
+class ControlChannels {
+    static channels = [
+        { id: 'temperature', label: 'Temperature', icon: 'fas fa-thermometer-half' },
+        { id: 'humidity', label: 'Humidity', icon: 'fas fa-tint' },
+        { id: 'lighting', label: 'Lighting', icon: 'fas fa-lightbulb' }
+    ];
+
+    static typeChannels = {
+        'thermostat': ['temperature'],
+        'lighting': ['lighting'],
+        'humidistat': ['humidity'],
+        'thermostat+humidistat': ['temperature', 'humidity']
+    };
+
+    /**
+     * Take the channels from the validation rules (window.SCHEDULE_RULES in the browser)
+     */
+    static load(rules) {
+        if (rules && Array.isArray(rules.channels) && rules.schedule_type_channels) {
+            ControlChannels.channels = rules.channels;
+            ControlChannels.typeChannels = rules.schedule_type_channels;
+        }
+    }
+
+    static ids() {
+        return ControlChannels.channels.map(channel => channel.id);
+    }
+
+    static label(id) {
+        const channel = ControlChannels.channels.find(entry => entry.id === id);
+        return channel ? channel.label : id;
+    }
+
+    static icon(id) {
+        const channel = ControlChannels.channels.find(entry => entry.id === id);
+        return channel ? channel.icon : 'fas fa-cog';
+    }
+
+    /**
+     * Channel ids a schedule drives; schedules without a type are thermostats, as elsewhere
+     */
+    static of(schedule) {
+        if (!schedule) return [];
+        return ControlChannels.typeChannels[schedule.schedule_type || 'thermostat'] || [];
+    }
+
+    static shared(a, b) {
+        const channels = ControlChannels.of(b);
+        return ControlChannels.of(a).some(channel => channels.includes(channel));
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ControlChannels;
+} else {
+    window.ControlChannels = ControlChannels;
+    ControlChannels.load(window.SCHEDULE_RULES);
+}
@@ -0,0 +1,176 @@
+/**
+ * DeviceClock - Wall-clock time in the device's timezone
+ * Schedules run on the building's clock: start_date/start_time "2025-03-10 08:00" means 8 AM where
+ * the device is (device.timezone in /api/device/config), whatever timezone the browser is in.
+ * Instants are plain Dates; dates and times are YYYY-MM-DD and HH:MM strings on the device's clock.
+ *
+ * FullCalendar only knows 'local' and 'UTC' without a timezone plugin, so the calendar runs in UTC
+ * and is fed "calendar dates": Dates whose UTC fields read as the device's wall clock.
+ * toCalendar/fromCalendar convert at that boundary.
+ */
+class DeviceClock {
+    // Used until /api/device/config answers, matching the server's default device
+    static DEFAULT_TIMEZONE = 'America/New_York';
+
+    // Building an Intl formatter is slow, and zoneOffset runs for every event edge
+    static formatters = new Map();
+
+    // transitionDays by "timezone/year"
+    static transitions = new Map();
+
+    constructor(timezone = DeviceClock.DEFAULT_TIMEZONE) {
+        this.timezone = timezone;
+    }
+
+    /**
+     * Clock for the /api/device/config response ({ device: { timezone } })
+     */
+    static fromDeviceConfig(config) {
+        const device = (config && config.device) || {};
+        return new DeviceClock(device.timezone || DeviceClock.DEFAULT_TIMEZONE);
+    }
+
+    /**
+     * { date: 'YYYY-MM-DD', time: 'HH:MM', minutes } for an instant on the device's clock
+     */
+    wallClock(instant) {
+        const wall = new Date(new Date(instant).getTime() + DeviceClock.zoneOffset(this.timezone, instant) * 60000);
+        const [date, time] = wall.toISOString().slice(0, 16).split('T');
+        return { date, time, minutes: wall.getUTCHours() * 60 + wall.getUTCMinutes() };
+    }
+
+    dateString(instant) {
+        return this.wallClock(instant).date;
+    }
+
+    timeString(instant) {
+        return this.wallClock(instant).time;
+    }
+
+    today() {
+        return this.dateString(new Date());
+    }
+
+    /**
+     * The instant the device's clock reads a date and time (HH:MM, default midnight). Across DST changes:
+     *   skipped times (02:30 on a spring-forward night) are shifted forward by the gap, using the
+     *   offset from before the change (RFC 5545) - 02:30 becomes 03:30 EDT
+     *   repeated times (01:30 on a fall-back night) are the first, earlier instant, so they happen once
+     */
+    instant(dateStr, time = '00:00') {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        const [hours, minutes] = time.split(':').map(Number);
+        const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+        // Offsets in force a day either side; any change between them happens on this day
+        const before = DeviceClock.zoneOffset(this.timezone, wallClock - 86400000);
+        const after = DeviceClock.zoneOffset(this.timezone, wallClock + 86400000);
+        const readings = [before, after]
+            .map(offset => wallClock - offset * 60000)
+            .filter(instant => instant + DeviceClock.zoneOffset(this.timezone, instant) * 60000 === wallClock);
+        return new Date(readings.length > 0 ? Math.min(...readings) : wallClock - before * 60000);
+    }
+
+    /**
+     * Days of a year (YYYY-MM-DD) on which the clock changes offset; [] where the timezone has no DST
+     */
+    transitionDays(year) {
+        const key = `${this.timezone}/${year}`;
+        if (!DeviceClock.transitions.has(key)) {
+            // Clocks change in the small hours, so a change between two local noons happens on the later day
+            const offsetAt = dayNumber => DeviceClock.zoneOffset(this.timezone, this.instant(Recurrence.dateString(dayNumber), '12:00'));
+            const days = [];
+            // Offsets at each month's end show which months change; narrow each down to the day
+            for (let month = 0; month < 12; month++) {
+                let low = Recurrence.dayNumberOf(year, month, 1) - 1;
+                let high = Recurrence.dayNumberOf(year, month + 1, 1) - 1;
+                const lowOffset = offsetAt(low);
+                if (lowOffset === offsetAt(high)) continue;
+                while (high - low > 1) {
+                    const middle = Math.floor((low + high) / 2);
+                    if (offsetAt(middle) === lowOffset) low = middle; else high = middle;
+                }
+                // Zones that change at midnight repeat the last hour of the day before (Santiago)
+                days.push(Recurrence.dateString(this.dayLength(Recurrence.dateString(high)) === 1440 ? high - 1 : high));
+            }
+            DeviceClock.transitions.set(key, days);
+        }
+        return DeviceClock.transitions.get(key);
+    }
+
+    isTransitionDay(dateStr) {
+        return this.transitionDays(Number(dateStr.slice(0, 4))).includes(dateStr);
+    }
+
+    /**
+     * Length of a device calendar day in minutes: 1380 on spring-forward days, 1500 on fall-back days
+     */
+    dayLength(dateStr) {
+        const next = Recurrence.dateString(Recurrence.dayNumber(dateStr) + 1);
+        return Math.round((this.instant(next) - this.instant(dateStr)) / 60000);
+    }
+
+    /**
+     * Calendar date (UTC fields = device wall clock) for an instant
+     */
+    toCalendar(instant) {
+        const { date, time } = this.wallClock(instant);
+        return new Date(`${date}T${time}:00Z`);
+    }
+
+    /**
+     * Instant for a calendar date handed back by FullCalendar (drops, resizes, clicks)
+     */
+    fromCalendar(calendarDate) {
+        const iso = new Date(calendarDate).toISOString();
+        return this.instant(iso.slice(0, 10), iso.slice(11, 16));
+    }
+
+    /**
+     * Format an instant on the device's clock, e.g. { hour: 'numeric', minute: '2-digit' } -> "6:55 AM"
+     */
+    format(instant, options) {
+        return new Intl.DateTimeFormat('en-US', { ...options, timeZone: this.timezone }).format(instant);
+    }
+
+    /**
+     * Short zone name at an instant, e.g. "EST" or "EDT"
+     */
+    zoneName(instant = new Date()) {
+        const parts = new Intl.DateTimeFormat('en-US', { timeZone: this.timezone, timeZoneName: 'short' }).formatToParts(instant);
+        const zone = parts.find(part => part.type === 'timeZoneName');
+        return zone ? zone.value : this.timezone;
+    }
+
+    /**
+     * Does the browser run in the device's timezone (then the secondary axis adds nothing)?
+     */
+    matchesViewer() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone === this.timezone;
+    }
+
+    /**
+     * Minutes the timezone is ahead of UTC at an instant (-240 for New York in summer)
+     */
+    static zoneOffset(timeZone, instant) {
+        if (!DeviceClock.formatters.has(timeZone)) {
+            DeviceClock.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit'
+            }));
+        }
+        const parts = DeviceClock.formatters.get(timeZone).formatToParts(instant);
+        const get = type => Number(parts.find(part => part.type === type).value);
+        const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+        return Math.round((wallClock - Math.floor(instant / 1000) * 1000) / 60000);
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeviceClock;
+} else {
+    window.DeviceClock = DeviceClock;
+}
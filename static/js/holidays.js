@@ -0,0 +1,117 @@
+/**
+ * HolidayCalendar - Named holiday sets schedules can subscribe to (holiday_calendars on a schedule)
+ * The sets come from holiday_calendars.json via /api/holidays. Each holiday is one of:
+ *   { name, month, day, observed }   - a fixed date; observed moves Saturday to Friday and Sunday to Monday
+ *   { name, month, weekday, week }   - the Nth (1-4) or last (-1) weekday of the month
+ *   { name, date: 'YYYY-MM-DD' }     - a single date, for custom closure lists
+ * Rules may carry since/until years. Dates are day numbers, as in Recurrence.
+ */
+class HolidayCalendar {
+    static calendars = {};
+
+    // "<calendar id>:<year>" -> Map of day number -> holiday name
+    static cache = new Map();
+
+    /**
+     * Replace the known calendars with the /api/holidays response
+     */
+    static load(data) {
+        HolidayCalendar.calendars = (data && data.calendars) || {};
+        HolidayCalendar.cache.clear();
+    }
+
+    static ids() {
+        return Object.keys(HolidayCalendar.calendars);
+    }
+
+    static calendarName(id) {
+        const calendar = HolidayCalendar.calendars[id];
+        return calendar ? calendar.name : id;
+    }
+
+    /**
+     * Holidays of one calendar that fall in a year (an observed New Year's Day can fall in the year before)
+     */
+    static holidaysInYear(id, year) {
+        const key = `${id}:${year}`;
+        if (HolidayCalendar.cache.has(key)) return HolidayCalendar.cache.get(key);
+
+        const days = new Map();
+        const calendar = HolidayCalendar.calendars[id];
+        for (const holiday of (calendar && calendar.holidays) || []) {
+            for (const ruleYear of [year - 1, year, year + 1]) {
+                const day = HolidayCalendar.holidayDay(holiday, ruleYear);
+                if (day !== null && Recurrence.civil(day).year === year) {
+                    days.set(day, holiday.name);
+                }
+            }
+        }
+        HolidayCalendar.cache.set(key, days);
+        return days;
+    }
+
+    /**
+     * Day number a holiday rule gives for a year, or null when it doesn't apply that year
+     */
+    static holidayDay(holiday, year) {
+        if (holiday.date) {
+            const day = Recurrence.dayNumber(holiday.date);
+            return day !== null && Recurrence.civil(day).year === year ? day : null;
+        }
+        if ((holiday.since && year < holiday.since) || (holiday.until && year > holiday.until)) return null;
+
+        const month = holiday.month - 1;
+        if (holiday.weekday) {
+            const rule = {
+                kind: 'monthly',
+                daysOfMonth: null,
+                weekOfMonth: holiday.week,
+                days: new Set([Recurrence.DAY_NAMES.indexOf(holiday.weekday)])
+            };
+            const [date] = Recurrence.datesInMonth(rule, year, month);
+            return date === undefined ? null : Recurrence.dayNumberOf(year, month, date);
+        }
+
+        const day = Recurrence.dayNumberOf(year, month, holiday.day);
+        if (!holiday.observed) return day;
+        const weekday = Recurrence.weekday(day);
+        return weekday === 6 ? day - 1 : weekday === 0 ? day + 1 : day;
+    }
+
+    /**
+     * Is the day a holiday in any of these calendars?
+     */
+    static isHoliday(ids, day) {
+        if (ids.length === 0) return false;
+        const year = Recurrence.civil(day).year;
+        return ids.some(id => HolidayCalendar.holidaysInYear(id, year).has(day));
+    }
+
+    /**
+     * Holidays from these calendars between two day numbers (inclusive), sorted by day:
+     * [{ day, date, name, calendar }]
+     */
+    static between(ids, from, until) {
+        const holidays = [];
+        if (from > until) return holidays;
+        const firstYear = Recurrence.civil(from).year;
+        const lastYear = Recurrence.civil(until).year;
+        for (const id of ids) {
+            for (let year = firstYear; year <= lastYear; year++) {
+                for (const [day, name] of HolidayCalendar.holidaysInYear(id, year)) {
+                    if (day >= from && day <= until) {
+                        holidays.push({ day, date: Recurrence.dateString(day), name, calendar: id });
+                    }
+                }
+            }
+        }
+        return holidays.sort((a, b) => a.day - b.day);
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HolidayCalendar;
+} else {
+    window.HolidayCalendar = HolidayCalendar;
+}
@@ -0,0 +1,692 @@
+/**
+ * ICalendar - RFC 5545 (.ics) export and import for schedules
+ * Each schedule becomes a VEVENT: start_date/start_time/end_time give DTSTART/DTEND, the repeat
+ * pattern becomes an RRULE, end_date its UNTIL and exclude_dates its EXDATEs, and each occurrence
+ * override another VEVENT with the series' UID and a RECURRENCE-ID naming its original date. Fields iCalendar
+ * has no place for travel in X-HVAC-* properties:
+ *   X-HVAC-SCHEDULE-TYPE, X-HVAC-LAYER (priority layer id), X-HVAC-TIME-SETTING,
+ *   X-HVAC-HOLIDAY-CALENDARS (comma-separated ids),
+ *   X-HVAC-START-EDGE/X-HVAC-END-EDGE for sun-relative edges (sunset+30, civil_dawn-15, time)
+ *   and one X-HVAC-SETTING-<NAME> per setting (X-HVAC-SETTING-HEAT-SETPOINT:68 is settings.heat_setpoint = "68")
+ *
+ * Times are written as floating local times (no TZID) since schedules run on the building's
+ * wall clock. On import TZID-qualified times are taken as written and UTC ("Z") times are
+ * converted to the device's clock.
+ */
+class ICalendar {
+    static PRODID = '-//HVAC Scheduler//Schedule Export//EN';
+    static UID_SUFFIX = '@hvac-scheduler';
+    static DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+    // RRULE parts the import understands; anything else is reported instead of being guessed at
+    static SUPPORTED_RULE_PARTS = ['FREQ', 'INTERVAL', 'UNTIL', 'COUNT', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYSETPOS', 'WKST'];
+
+    /**
+     * Build a VCALENDAR with one VEVENT per schedule. The default Unoccupied schedule is left out:
+     * it is the fallback for any time no event covers, not an event itself
+     */
+    static exportSchedules(schedules) {
+        const stamp = ICalendar.formatUtc(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${ICalendar.PRODID}`,
+            'CALSCALE:GREGORIAN'
+        ];
+        for (const schedule of schedules) {
+            if (schedule.is_default) continue;
+            lines.push(...ICalendar.scheduleToEvent(schedule, stamp));
+            lines.push(...ICalendar.overrideEvents(schedule, stamp));
+        }
+        lines.push('END:VCALENDAR');
+        return lines.map(line => ICalendar.fold(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * VEVENT lines for one schedule. DTSTART is moved to the first date the pattern lands on
+     * (RFC 5545 leaves a DTSTART outside its RRULE undefined); weekly, monthly and yearly rhythms
+     * are counted from it, so the occurrences stay the same
+     */
+    static scheduleToEvent(schedule, stamp) {
+        const rule = Recurrence.rule(schedule);
+        const firstDay = rule ? Recurrence.patternDays(rule, rule.start, Math.min(rule.end, rule.start + rule.period - 1))[0] : undefined;
+        const startDate = firstDay === undefined ? schedule.start_date : Recurrence.dateString(firstDay);
+        const startTime = schedule.start_time || '00:00';
+        const endTime = schedule.end_time || '23:59';
+        const nextDay = date => Recurrence.dateString(Recurrence.dayNumber(date) + 1);
+        // All-day schedules are DATE events; otherwise an end at or before the start finishes the next morning
+        const allDay = schedule.time_setting === 'all_day';
+        const moment = (date, time) => (allDay ? `;VALUE=DATE:${date.replace(/-/g, '')}` : `:${ICalendar.formatLocal(date, time)}`);
+        const endDate = allDay || endTime <= startTime ? nextDay(startDate) : startDate;
+
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${schedule.id}${ICalendar.UID_SUFFIX}`,
+            `DTSTAMP:${stamp}`,
+            `SUMMARY:${ICalendar.escapeText(schedule.event_name || '')}`,
+            `DTSTART${moment(startDate, startTime)}`,
+            `DTEND${moment(endDate, endTime)}`
+        ];
+
+        const rrule = ICalendar.rrule(schedule);
+        if (rrule) {
+            lines.push(`RRULE:${rrule}`);
+            for (const date of schedule.exclude_dates || []) {
+                lines.push(`EXDATE${moment(date, startTime)}`);
+            }
+        }
+
+        lines.push(`X-HVAC-SCHEDULE-TYPE:${schedule.schedule_type}`);
+        if (schedule.layer) {
+            lines.push(`X-HVAC-LAYER:${schedule.layer}`);
+        }
+        if (schedule.time_setting) {
+            lines.push(`X-HVAC-TIME-SETTING:${schedule.time_setting}`);
+        }
+        // DTSTART/DTEND carry the times on the first day; the edges say how they move with the sun
+        if (schedule.time_setting === 'astronomical') {
+            lines.push(`X-HVAC-START-EDGE:${ICalendar.formatEdge(schedule.start_edge)}`);
+            lines.push(`X-HVAC-END-EDGE:${ICalendar.formatEdge(schedule.end_edge)}`);
+        }
+        if (rrule && schedule.holiday_calendars && schedule.holiday_calendars.length > 0) {
+            lines.push(`X-HVAC-HOLIDAY-CALENDARS:${schedule.holiday_calendars.join(',')}`);
+        }
+        for (const [name, value] of Object.entries(schedule.settings || {})) {
+            if (value === null || value === undefined) continue;
+            lines.push(`X-HVAC-SETTING-${name.toUpperCase().replace(/_/g, '-')}:${ICalendar.escapeText(String(value))}`);
+        }
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * VEVENT lines for a series' moved or edited occurrences: each is the occurrence as a one-time
+     * event, linked to the series by its UID and a RECURRENCE-ID in the series' DTSTART form
+     */
+    static overrideEvents(schedule, stamp) {
+        if (!ICalendar.rrule(schedule)) return [];
+        const allDay = schedule.time_setting === 'all_day';
+        const lines = [];
+        for (const [originalDate, override] of Object.entries(Recurrence.overridesOf(schedule))) {
+            if (!Recurrence.occursOn(schedule, originalDate)) continue;
+            const event = ICalendar.scheduleToEvent({
+                ...Recurrence.instance(schedule, originalDate),
+                repeat_frequency: 'never',
+                start_date: override.date,
+                end_date: override.date
+            }, stamp);
+            const recurrenceId = allDay ? `;VALUE=DATE:${originalDate.replace(/-/g, '')}` :
+                `:${ICalendar.formatLocal(originalDate, schedule.start_time || '00:00')}`;
+            event.splice(2, 0, `RECURRENCE-ID${recurrenceId}`);
+            lines.push(...event);
+        }
+        return lines;
+    }
+
+    /**
+     * RRULE value for a schedule's repeat pattern (null for one-time events)
+     */
+    static rrule(schedule) {
+        const frequency = schedule.repeat_frequency;
+        if (frequency === 'never') return null;
+
+        const interval = Math.max(1, parseInt(schedule.repeat_interval, 10) || 1);
+        const byDay = (schedule.days_of_week || [])
+            .map(day => ICalendar.DAY_CODES[Recurrence.DAY_NAMES.indexOf(day)])
+            .filter(code => code);
+        const parts = [];
+
+        switch (frequency) {
+            case 'daily':
+                parts.push('FREQ=DAILY');
+                break;
+            case 'custom':
+                parts.push('FREQ=WEEKLY', `BYDAY=${byDay.join(',')}`);
+                break;
+            case 'weekly':
+                // Weeks are counted Sunday-Saturday, as in Recurrence
+                parts.push('FREQ=WEEKLY', `INTERVAL=${interval}`, 'WKST=SU');
+                if (byDay.length > 0) parts.push(`BYDAY=${byDay.join(',')}`);
+                break;
+            case 'monthly': {
+                parts.push('FREQ=MONTHLY', `INTERVAL=${interval}`);
+                const daysOfMonth = schedule.days_of_month || [];
+                if (daysOfMonth.length > 0) {
+                    parts.push(`BYMONTHDAY=${daysOfMonth.join(',')}`);
+                } else if (schedule.week_of_month && byDay.length > 0) {
+                    parts.push(`BYDAY=${byDay.map(code => `${schedule.week_of_month}${code}`).join(',')}`);
+                }
+                break;
+            }
+            case 'yearly':
+                parts.push('FREQ=YEARLY', `INTERVAL=${interval}`);
+                break;
+            default:
+                return null;
+        }
+
+        // UNTIL matches DTSTART's value type: a date for all-day events, else the end of the last day
+        if (schedule.end_date && schedule.end_date !== 'never') {
+            const untilDate = schedule.end_date.replace(/-/g, '');
+            parts.push(`UNTIL=${schedule.time_setting === 'all_day' ? untilDate : `${untilDate}T235959`}`);
+        }
+        return parts.join(';');
+    }
+
+    /**
+     * Turn .ics text into schedules. Returns { schedules, errors }; errors name the event they came
+     * from and the schedules still need ScheduleValidator like any other import
+     */
+    static parse(text) {
+        const errors = [];
+        const events = [];
+        let current = null;
+        // Components nested in a VEVENT (VALARM) have properties of their own to skip
+        let nested = 0;
+
+        for (const line of ICalendar.unfold(text)) {
+            const property = ICalendar.parseLine(line);
+            if (!property) continue;
+            const component = property.value.trim().toUpperCase();
+            if (property.name === 'BEGIN' && component === 'VEVENT') {
+                current = [];
+                nested = 0;
+            } else if (property.name === 'END' && component === 'VEVENT') {
+                if (current) events.push(current);
+                current = null;
+            } else if (current && property.name === 'BEGIN') {
+                nested++;
+            } else if (current && property.name === 'END') {
+                nested--;
+            } else if (current && nested === 0) {
+                current.push(property);
+            }
+        }
+
+        if (events.length === 0) {
+            return { schedules: [], errors: ['No events found in calendar file'] };
+        }
+
+        // Moved or cancelled occurrences of a series arrive as extra VEVENTs with a RECURRENCE-ID:
+        // a cancelled one is excluded from the series and a moved or edited one becomes its override
+        // (its date, times and settings - a changed SUMMARY has nowhere to go). One whose series
+        // isn't in the file becomes a one-time event of its own
+        const series = new Map();
+        const instances = [];
+        for (const properties of events) {
+            const get = name => properties.find(p => p.name === name);
+            if (get('RECURRENCE-ID')) {
+                instances.push(properties);
+            } else if (!ICalendar.isCancelled(properties)) {
+                series.set((get('UID') || {}).value || `event-${series.size}`, properties);
+            }
+        }
+
+        const schedules = [];
+        const byUid = new Map();
+        for (const [uid, properties] of series) {
+            const result = ICalendar.eventToSchedule(properties, uid);
+            if (result.error) {
+                errors.push(result.error);
+            } else {
+                schedules.push(result.schedule);
+                byUid.set(uid, result.schedule);
+            }
+        }
+
+        for (const properties of instances) {
+            const get = name => properties.find(p => p.name === name);
+            const parent = byUid.get((get('UID') || {}).value);
+            const recurrenceId = ICalendar.parseDateTime(get('RECURRENCE-ID').value);
+            if (parent && recurrenceId && ICalendar.isCancelled(properties)) {
+                if (!parent.exclude_dates.includes(recurrenceId.date)) {
+                    parent.exclude_dates.push(recurrenceId.date);
+                }
+                continue;
+            }
+            if (ICalendar.isCancelled(properties)) continue;
+
+            const result = ICalendar.eventToSchedule(properties.filter(p => p.name !== 'RRULE'), null, parent);
+            if (result.error) {
+                errors.push(result.error);
+            } else if (parent && recurrenceId) {
+                const occurrence = result.schedule;
+                const override = Recurrence.overrideFor(parent, recurrenceId.date, {
+                    date: occurrence.start_date,
+                    ...(occurrence.time_setting === 'all_day' ? {} : { start_time: occurrence.start_time, end_time: occurrence.end_time }),
+                    settings: occurrence.settings
+                });
+                if (override) {
+                    parent.overrides = { ...parent.overrides, [recurrenceId.date]: override };
+                }
+            } else {
+                schedules.push(result.schedule);
+            }
+        }
+
+        return { schedules, errors };
+    }
+
+    static isCancelled(properties) {
+        return properties.some(p => p.name === 'STATUS' && p.value.trim().toUpperCase() === 'CANCELLED');
+    }
+
+    /**
+     * One VEVENT's properties to a schedule. Returns { schedule } or { error }.
+     * A moved occurrence (parent set) falls back to its series' name and HVAC fields
+     */
+    static eventToSchedule(properties, uid, parent = null) {
+        const get = name => properties.find(p => p.name === name);
+        const all = name => properties.filter(p => p.name === name);
+        const summary = get('SUMMARY') ? ICalendar.unescapeText(get('SUMMARY').value) : (parent ? parent.event_name : '');
+        const label = `Event '${summary || 'Untitled'}'`;
+
+        const start = get('DTSTART') ? ICalendar.parseDateTime(get('DTSTART').value) : null;
+        if (!start) {
+            return { error: `${label}: missing or invalid DTSTART` };
+        }
+
+        // End: DTEND, else DTSTART + DURATION, else the RFC defaults (one day for dates, zero length for times)
+        let end = get('DTEND') ? ICalendar.parseDateTime(get('DTEND').value) : null;
+        if (!end && get('DURATION')) {
+            const minutes = ICalendar.parseDuration(get('DURATION').value);
+            if (minutes === null) {
+                return { error: `${label}: invalid DURATION '${get('DURATION').value}'` };
+            }
+            end = ICalendar.addMinutes(start, minutes);
+        }
+        if (!end) {
+            end = start.time === null ? { date: Recurrence.dateString(Recurrence.dayNumber(start.date) + 1), time: null } : start;
+        }
+
+        let startTime;
+        let endTime;
+        let timeSetting = 'time';
+        const endDay = Recurrence.dayNumber(end.date);
+        const startDay = Recurrence.dayNumber(start.date);
+        if (start.time === null) {
+            if (endDay - startDay > 1) {
+                return { error: `${label}: all-day events longer than one day are not supported` };
+            }
+            startTime = '00:00';
+            endTime = '23:59';
+            timeSetting = 'all_day';
+        } else {
+            startTime = start.time;
+            endTime = end.time === null ? '23:59' : end.time;
+            // A schedule covers at most one start-to-end window per day; an end on the next
+            // morning (before the start time) is kept as written
+            const overnight = endDay === startDay + 1 && endTime <= startTime;
+            if (endDay > startDay && !overnight && !(endDay === startDay + 1 && endTime === '00:00')) {
+                return { error: `${label}: events lasting more than a day are not supported` };
+            }
+            if (endDay === startDay + 1 && endTime === '00:00') {
+                endTime = '23:59';
+            }
+        }
+
+        const schedule = {
+            event_name: summary,
+            schedule_type: parent ? parent.schedule_type : 'thermostat',
+            repeat_frequency: 'never',
+            // A moved instance of a sun-relative series keeps the clock times it was moved to
+            time_setting: parent && parent.time_setting !== 'astronomical' ? parent.time_setting : timeSetting,
+            start_date: start.date,
+            end_date: start.date,
+            start_time: startTime,
+            end_time: endTime,
+            settings: parent ? { ...parent.settings } : {},
+            days_of_week: [],
+            exclude_dates: []
+        };
+        if (parent && parent.layer) {
+            schedule.layer = parent.layer;
+        }
+        if (uid && uid.endsWith(ICalendar.UID_SUFFIX)) {
+            schedule.id = uid.slice(0, -ICalendar.UID_SUFFIX.length);
+        }
+
+        // HVAC fields
+        for (const property of properties) {
+            if (property.name === 'X-HVAC-SCHEDULE-TYPE') {
+                schedule.schedule_type = property.value;
+            } else if (property.name === 'X-HVAC-LAYER') {
+                schedule.layer = property.value;
+            } else if (property.name === 'X-HVAC-TIME-SETTING') {
+                schedule.time_setting = property.value;
+            } else if (property.name === 'X-HVAC-START-EDGE' || property.name === 'X-HVAC-END-EDGE') {
+                const edge = ICalendar.parseEdge(property.value);
+                if (!edge) {
+                    return { error: `${label}: invalid ${property.name} '${property.value}'` };
+                }
+                schedule[property.name === 'X-HVAC-START-EDGE' ? 'start_edge' : 'end_edge'] = edge;
+            } else if (property.name === 'X-HVAC-HOLIDAY-CALENDARS' && !parent) {
+                schedule.holiday_calendars = property.value.split(',').map(id => id.trim()).filter(id => id);
+            } else if (property.name.startsWith('X-HVAC-SETTING-')) {
+                const name = property.name.slice('X-HVAC-SETTING-'.length).toLowerCase().replace(/-/g, '_');
+                schedule.settings[name] = ICalendar.unescapeText(property.value);
+            }
+        }
+
+        const rrule = get('RRULE');
+        if (rrule) {
+            const error = ICalendar.applyRrule(schedule, rrule.value);
+            if (error) {
+                return { error: `${label}: ${error}` };
+            }
+            for (const exdate of all('EXDATE')) {
+                for (const value of exdate.value.split(',')) {
+                    const excluded = ICalendar.parseDateTime(value);
+                    if (!excluded) {
+                        return { error: `${label}: invalid EXDATE '${value}'` };
+                    }
+                    if (!schedule.exclude_dates.includes(excluded.date)) {
+                        schedule.exclude_dates.push(excluded.date);
+                    }
+                }
+            }
+        }
+        if (all('RDATE').length > 0) {
+            return { error: `${label}: RDATE (extra one-off dates) is not supported` };
+        }
+
+        return { schedule };
+    }
+
+    /**
+     * Fill in repeat_frequency, days, interval and end_date from an RRULE value.
+     * Returns an error message when the rule has no schedule equivalent
+     */
+    static applyRrule(schedule, value) {
+        const parts = {};
+        for (const part of value.split(';')) {
+            const [key, partValue] = part.split('=');
+            if (!key) continue;
+            parts[key.toUpperCase()] = partValue || '';
+        }
+
+        const unsupported = Object.keys(parts).filter(key => !ICalendar.SUPPORTED_RULE_PARTS.includes(key));
+        if (unsupported.length > 0) {
+            return `RRULE part ${unsupported.join(', ')} is not supported`;
+        }
+
+        const interval = parts.INTERVAL ? Number(parts.INTERVAL) : 1;
+        if (!Number.isInteger(interval) || interval < 1) {
+            return `invalid RRULE INTERVAL '${parts.INTERVAL}'`;
+        }
+        if (parts.WKST && !ICalendar.DAY_CODES.includes(parts.WKST.toUpperCase())) {
+            return `invalid RRULE WKST '${parts.WKST}'`;
+        }
+
+        // BYDAY entries: an optional ordinal (1MO, -1FR) and a weekday code
+        const byDay = [];
+        for (const entry of (parts.BYDAY ? parts.BYDAY.split(',') : [])) {
+            const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry.toUpperCase());
+            if (!match) {
+                return `invalid RRULE BYDAY '${entry}'`;
+            }
+            byDay.push({ ordinal: match[1] ? Number(match[1]) : null, day: Recurrence.DAY_NAMES[ICalendar.DAY_CODES.indexOf(match[2])] });
+        }
+        const startWeekday = Recurrence.DAY_NAMES[Recurrence.weekday(Recurrence.dayNumber(schedule.start_date))];
+        const weekdays = byDay.length > 0 ? byDay.map(entry => entry.day) : [startWeekday];
+        const startDate = Number(schedule.start_date.split('-')[2]);
+        const startMonth = Number(schedule.start_date.split('-')[1]);
+
+        switch ((parts.FREQ || '').toUpperCase()) {
+            case 'DAILY':
+                if (interval !== 1 || parts.BYMONTHDAY || parts.BYMONTH || parts.BYSETPOS) {
+                    return 'only plain daily repeats (every day) are supported';
+                }
+                // Every day, or only the listed weekdays
+                schedule.repeat_frequency = 'custom';
+                schedule.days_of_week = byDay.length > 0 ? weekdays : [...Recurrence.DAY_NAMES];
+                break;
+            case 'WEEKLY':
+                if (byDay.some(entry => entry.ordinal !== null) || parts.BYMONTHDAY || parts.BYMONTH || parts.BYSETPOS) {
+                    return 'weekly repeats may only list weekdays';
+                }
+                if (interval > 1 && ICalendar.splitsWeeks(parts.WKST, [...weekdays, startWeekday])) {
+                    return `every-N-weeks repeats count weeks from Sunday; with WKST=${(parts.WKST || 'MO').toUpperCase()} these days fall in different weeks`;
+                }
+                schedule.repeat_frequency = interval === 1 ? 'custom' : 'weekly';
+                schedule.days_of_week = weekdays;
+                if (interval > 1) schedule.repeat_interval = interval;
+                break;
+            case 'MONTHLY': {
+                if (parts.BYMONTH) {
+                    return 'monthly repeats limited to certain months are not supported';
+                }
+                schedule.repeat_frequency = 'monthly';
+                schedule.repeat_interval = interval;
+                if (parts.BYMONTHDAY) {
+                    if (byDay.length > 0) {
+                        return 'monthly repeats by both date and weekday are not supported';
+                    }
+                    const dates = parts.BYMONTHDAY.split(',').map(Number);
+                    if (dates.some(date => !Number.isInteger(date) || date < 1 || date > 31)) {
+                        return `RRULE BYMONTHDAY '${parts.BYMONTHDAY}' is not supported (days 1-31 only)`;
+                    }
+                    schedule.days_of_month = dates;
+                } else if (byDay.length > 0) {
+                    // "The first Monday": BYDAY=1MO, or BYDAY=MO;BYSETPOS=1 as some calendars write it
+                    const setPosition = parts.BYSETPOS ? Number(parts.BYSETPOS) : null;
+                    if (setPosition !== null && byDay.length > 1) {
+                        return 'RRULE BYSETPOS with more than one weekday is not supported';
+                    }
+                    const ordinals = new Set(byDay.map(entry => (entry.ordinal === null ? setPosition : entry.ordinal)));
+                    const [weekOfMonth] = ordinals;
+                    if (ordinals.size !== 1 || ![1, 2, 3, 4, -1].includes(weekOfMonth)) {
+                        return 'monthly weekday repeats must use one position: first to fourth, or last';
+                    }
+                    schedule.week_of_month = weekOfMonth;
+                    schedule.days_of_week = weekdays;
+                } else {
+                    schedule.days_of_month = [startDate];
+                }
+                break;
+            }
+            case 'YEARLY': {
+                const matchesStart = (!parts.BYMONTH || Number(parts.BYMONTH) === startMonth) &&
+                    (!parts.BYMONTHDAY || Number(parts.BYMONTHDAY) === startDate);
+                if (byDay.length > 0 || parts.BYSETPOS || !matchesStart) {
+                    return 'yearly repeats must fall on the start date';
+                }
+                schedule.repeat_frequency = 'yearly';
+                schedule.repeat_interval = interval;
+                break;
+            }
+            default:
+                return `RRULE FREQ '${parts.FREQ || ''}' is not supported`;
+        }
+
+        if (parts.UNTIL && parts.COUNT) {
+            return 'RRULE may not have both UNTIL and COUNT';
+        }
+        if (parts.UNTIL) {
+            const until = ICalendar.parseDateTime(parts.UNTIL);
+            if (!until) {
+                return `invalid RRULE UNTIL '${parts.UNTIL}'`;
+            }
+            schedule.end_date = until.date;
+        } else if (parts.COUNT) {
+            const count = Number(parts.COUNT);
+            const lastDate = Number.isInteger(count) && count > 0 ? ICalendar.nthOccurrence(schedule, count) : null;
+            if (!lastDate) {
+                return `invalid RRULE COUNT '${parts.COUNT}'`;
+            }
+            schedule.end_date = lastDate;
+        } else {
+            schedule.end_date = 'never';
+        }
+        return null;
+    }
+
+    /**
+     * Whether counting weeks from weekStart (an RRULE WKST code, MO when missing as RFC 5545 says)
+     * groups these weekdays into weeks differently from Recurrence's Sunday-Saturday weeks. Days
+     * before weekStart move back a week, so the grouping only differs when some days come before
+     * it and some from it on
+     */
+    static splitsWeeks(weekStart, days) {
+        const start = ICalendar.DAY_CODES.indexOf((weekStart || 'MO').toUpperCase());
+        const before = days.map(day => Recurrence.DAY_NAMES.indexOf(day) < start);
+        return before.includes(true) && before.includes(false);
+    }
+
+    /**
+     * Date of the schedule's count-th occurrence (exclusions don't count against COUNT), or null
+     * when it doesn't come up within a thousand years
+     */
+    static nthOccurrence(schedule, count) {
+        const rule = Recurrence.rule({ ...schedule, end_date: 'never', exclude_dates: [] });
+        if (!rule) return null;
+        let seen = 0;
+        for (let from = rule.start; from < rule.start + 366 * 1000; from += 366) {
+            const days = Recurrence.patternDays(rule, from, from + 365);
+            if (seen + days.length >= count) {
+                return Recurrence.dateString(days[count - seen - 1]);
+            }
+            seen += days.length;
+        }
+        return null;
+    }
+
+    /**
+     * Join folded lines (a line break followed by a space or tab continues the previous line)
+     */
+    static unfold(text) {
+        return text.replace(/\r\n/g, '\n').replace(/\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    }
+
+    /**
+     * Split "NAME;PARAM=x:value" into { name, params, value } (null for blank or malformed lines)
+     */
+    static parseLine(line) {
+        if (!line.trim()) return null;
+        // The value starts at the first colon outside a quoted parameter value
+        let inQuotes = false;
+        let colon = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            if (line[i] === ':' && !inQuotes) {
+                colon = i;
+                break;
+            }
+        }
+        if (colon === -1) return null;
+
+        const [name, ...paramList] = line.slice(0, colon).split(';');
+        const params = {};
+        for (const param of paramList) {
+            const [key, paramValue = ''] = param.split('=');
+            params[key.toUpperCase()] = paramValue.replace(/^"|"$/g, '');
+        }
+        return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+    }
+
+    /**
+     * Parse a DATE (20250106) or DATE-TIME (20250106T080000, optionally ending in Z for UTC)
+     * to { date: 'YYYY-MM-DD', time: 'HH:MM' or null for a date }
+     */
+    static parseDateTime(value) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec((value || '').trim());
+        if (!match) return null;
+        const [, year, month, day, hours, minutes, , utc] = match;
+        if (!ScheduleValidator.isValidDate(`${year}-${month}-${day}`)) return null;
+        if (hours === undefined) {
+            return { date: `${year}-${month}-${day}`, time: null };
+        }
+        if (utc) {
+            const { date, time } = ScheduleTimes.clock.wallClock(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes)));
+            return { date, time };
+        }
+        return { date: `${year}-${month}-${day}`, time: `${hours}:${minutes}` };
+    }
+
+    /**
+     * Minutes in a DURATION value (P1D, PT1H30M, P1W), or null when it isn't one
+     */
+    static parseDuration(value) {
+        const match = /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec((value || '').trim());
+        if (!match) return null;
+        const [, weeks, days, hours, minutes] = match.map(part => Number(part || 0));
+        return weeks * 7 * 1440 + days * 1440 + hours * 60 + minutes;
+    }
+
+    /**
+     * A parsed date/time moved forward by some minutes (a date counts as midnight)
+     */
+    static addMinutes(start, minutes) {
+        const [hours, mins] = (start.time || '00:00').split(':').map(Number);
+        const total = hours * 60 + mins + minutes;
+        const day = Recurrence.dayNumber(start.date) + Math.floor(total / 1440);
+        const minuteOfDay = total % 1440;
+        return {
+            date: Recurrence.dateString(day),
+            time: `${String(Math.floor(minuteOfDay / 60)).padStart(2, '0')}:${String(minuteOfDay % 60).padStart(2, '0')}`
+        };
+    }
+
+    /**
+     * Floating local DATE-TIME (20250106T080000) for a YYYY-MM-DD date and HH:MM time
+     */
+    static formatLocal(date, time) {
+        return `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+    }
+
+    static formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * "sunset+30", "civil_dawn-15" or "time" for an edge
+     */
+    static formatEdge(edge) {
+        const { reference, offset_minutes: offset } = ScheduleTimes.normalizeEdge(edge);
+        return offset === 0 ? reference : `${reference}${offset > 0 ? '+' : ''}${offset}`;
+    }
+
+    static parseEdge(value) {
+        const match = /^([a-z_]+)([+-]\d+)?$/.exec(value.trim());
+        if (!match || !ScheduleTimes.REFERENCES.includes(match[1])) return null;
+        return { reference: match[1], offset_minutes: match[1] === 'time' ? 0 : Number(match[2] || 0) };
+    }
+
+    static escapeText(text) {
+        return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+    }
+
+    static unescapeText(text) {
+        return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    }
+
+    /**
+     * Fold a content line to 75 octets per line, as RFC 5545 requires
+     */
+    static fold(line) {
+        const encoder = new TextEncoder();
+        const pieces = [];
+        let piece = '';
+        let octets = 0;
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            // Continuation lines start with a space, which counts toward their 75
+            if (octets + size > (pieces.length === 0 ? 75 : 74)) {
+                pieces.push(piece);
+                piece = '';
+                octets = 0;
+            }
+            piece += char;
+            octets += size;
+        }
+        pieces.push(piece);
+        return pieces.join('\r\n ');
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ICalendar;
+} else {
+    window.ICalendar = ICalendar;
+}
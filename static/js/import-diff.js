@@ -0,0 +1,161 @@
+/**
+ * ImportDiff - compare an imported recipe with the current one and build the schedule list each
+ * import mode would leave behind
+ *
+ * Schedules are matched by id; the imported default (Unoccupied) schedule always matches the current
+ * default, since there is only one. Bookkeeping fields (id, revision, created_at, updated_at) are not
+ * counted as differences.
+ *
+ * Modes:
+ *   replace - the imported schedules replace every current one (the current default stays if the file has none)
+ *   merge   - imported schedules replace the current ones with the same id; the rest are added, nothing is removed
+ *   append  - every imported schedule is added under a new id; an imported default is left out
+ */
+class ImportDiff {
+    static MODES = ['replace', 'merge', 'append'];
+    static IGNORED_FIELDS = ['id', 'revision', 'created_at', 'updated_at'];
+
+    /**
+     * Per-schedule differences: { added, changed: [{ current, imported, fields }], removed, unchanged }
+     */
+    static compare(currentSchedules, importedSchedules) {
+        const matched = new Set();
+        const added = [];
+        const changed = [];
+        const unchanged = [];
+
+        for (const imported of importedSchedules) {
+            const current = ImportDiff.match(currentSchedules, imported);
+            if (!current) {
+                added.push(imported);
+                continue;
+            }
+            matched.add(current.id);
+            const fields = ImportDiff.fieldDifferences(current, imported);
+            if (fields.length > 0) {
+                changed.push({ current, imported, fields });
+            } else {
+                unchanged.push(imported);
+            }
+        }
+
+        const removed = currentSchedules.filter(s => !matched.has(s.id));
+        return { added, changed, removed, unchanged };
+    }
+
+    /**
+     * The current schedule an imported one corresponds to, or null
+     */
+    static match(currentSchedules, imported) {
+        if (imported.is_default) {
+            return currentSchedules.find(s => s.is_default) || null;
+        }
+        return currentSchedules.find(s => !s.is_default && imported.id && s.id === imported.id) || null;
+    }
+
+    /**
+     * Fields whose values differ: [{ field, current, imported }] (undefined where a field is missing)
+     */
+    static fieldDifferences(current, imported) {
+        const fields = new Set([...Object.keys(current), ...Object.keys(imported)]);
+        const differences = [];
+        for (const field of [...fields].sort()) {
+            if (ImportDiff.IGNORED_FIELDS.includes(field)) continue;
+            if (ImportDiff.canonicalJson(current[field]) !== ImportDiff.canonicalJson(imported[field])) {
+                differences.push({ field, current: current[field], imported: imported[field] });
+            }
+        }
+        return differences;
+    }
+
+    /**
+     * The schedule list an import leaves behind, plus the ids of the schedules that came from the file
+     */
+    static apply(currentSchedules, importedSchedules, mode) {
+        if (!ImportDiff.MODES.includes(mode)) {
+            throw new Error(`Unknown import mode: ${mode}`);
+        }
+        const now = new Date().toISOString();
+
+        if (mode === 'append') {
+            const appended = importedSchedules
+                .filter(s => !s.is_default)
+                .map((s, index) => ImportDiff.prepare(s, null, now, ImportDiff.newId(index)));
+            return {
+                schedules: [...currentSchedules, ...appended],
+                importedIds: appended.map(s => s.id)
+            };
+        }
+
+        // An imported schedule takes over the current one it matches, keeping its id and revision;
+        // unchanged ones are left alone so saving doesn't rewrite them
+        const prepared = importedSchedules.map((s, index) => {
+            const current = ImportDiff.match(currentSchedules, s);
+            if (current && ImportDiff.fieldDifferences(current, s).length === 0) {
+                return current;
+            }
+            return ImportDiff.prepare(s, current, now, current ? current.id : s.id || ImportDiff.newId(index));
+        });
+        const importedIds = prepared.map(s => s.id);
+
+        let schedules;
+        if (mode === 'replace') {
+            const keptDefault = prepared.some(s => s.is_default) ? [] : currentSchedules.filter(s => s.is_default);
+            schedules = [...keptDefault, ...prepared];
+        } else {
+            const byId = new Map(prepared.map(s => [s.id, s]));
+            schedules = [
+                ...currentSchedules.map(s => byId.get(s.id) || s),
+                ...prepared.filter(s => !currentSchedules.some(c => c.id === s.id))
+            ];
+        }
+        return { schedules, importedIds };
+    }
+
+    /**
+     * Copy of an imported schedule ready to save under the given id
+     */
+    static prepare(imported, current, now, id) {
+        const { revision, ...schedule } = imported;
+        const prepared = {
+            ...schedule,
+            id,
+            created_at: (current && current.created_at) || imported.created_at || now,
+            updated_at: now
+        };
+        if (current && current.revision !== undefined) {
+            prepared.revision = current.revision;
+        }
+        return prepared;
+    }
+
+    /**
+     * A fresh schedule id (the index keeps ids made in the same millisecond apart)
+     */
+    static newId(index) {
+        return Date.now().toString() + index.toString(36) + Math.random().toString(36).substr(2, 6);
+    }
+
+    /**
+     * JSON with sorted keys so key order doesn't count as a difference
+     */
+    static canonicalJson(value) {
+        if (value === undefined) return 'undefined';
+        return JSON.stringify(value, (key, val) => {
+            if (val && typeof val === 'object' && !Array.isArray(val)) {
+                return Object.keys(val).sort().reduce((sorted, k) => {
+                    sorted[k] = val[k];
+                    return sorted;
+                }, {});
+            }
+            return val;
+        });
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImportDiff;
+} else {
+    window.ImportDiff = ImportDiff;
+}
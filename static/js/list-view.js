@@ -96,63 +96,69 @@ class ListView {
     generateScheduleSimulation(schedules) {
         const events = [];
         const now = new Date();
-        const endDate = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000); // 7 days from now
+        const clock = this.scheduler.clock;
+        const today = Recurrence.dayNumber(clock.today());
         const defaultSchedule = schedules.find(s => s.is_default);
         
         // Get all active schedules (non-default)
         const activeSchedules = schedules.filter(s => !s.is_default);
         
-        // Generate events for each day
-        for (let date = new Date(now); date <= endDate; date.setDate(date.getDate() + 1)) {
-            const dayEvents = [];
-            
-            // Check each active schedule for this day
-            activeSchedules.forEach(schedule => {
-                if (this.isScheduleActiveOnDate(schedule, date)) {
-                    const eventStart = new Date(date);
-                    const originalStart = schedule.start_time ? new Date(schedule.start_time) : null;
-                    const originalEnd = schedule.end_time ? new Date(schedule.end_time) : null;
-                    
-                    if (originalStart) {
-                        eventStart.setHours(originalStart.getHours(), originalStart.getMinutes(), 0, 0);
-                        
-                        let eventEnd = null;
-                        if (originalEnd) {
-                            eventEnd = new Date(date);
-                            eventEnd.setHours(originalEnd.getHours(), originalEnd.getMinutes(), 0, 0);
-                            if (eventEnd <= eventStart) {
-                                eventEnd.setDate(eventEnd.getDate() + 1);
-                            }
-                        }
-                        
-                        dayEvents.push({
-                            schedule: schedule,
-                            start: new Date(eventStart),
-                            end: eventEnd,
-                            isDefault: false
-                        });
-                    }
+        // Occurrences on each of the device's calendar days, 7 days from now - starting with
+        // yesterday, whose overnight events can still be running; a moved or edited occurrence runs
+        // as its override's instance
+        const occurrences = [];
+        activeSchedules.forEach(schedule => {
+            for (const { date, schedule: instance } of Recurrence.instances(schedule, Recurrence.dateString(today - 1), Recurrence.dateString(today + 7))) {
+                // Clock times, or sun-relative edges resolved for this day
+                const times = this.scheduler.calculateEventTimes(instance, date);
+                
+                if (times && times.end > times.start) {
+                    occurrences.push({
+                        schedule: instance,
+                        start: times.start,
+                        end: times.end,
+                        isDefault: false
+                    });
                 }
-            });
+            }
+        });
+        
+        // Where occurrences on a control channel overlap, the higher priority layer runs and the lower
+        // one is cut around it; a piece that is the same on two channels is listed once
+        const listed = new Set();
+        const resolved = ControlChannels.ids()
+            .flatMap(channel => PriorityLayers.resolve(occurrences.filter(o => ControlChannels.of(o.schedule).includes(channel))))
+            .filter(piece => {
+                const key = `${piece.schedule.id}|${piece.start.getTime()}|${piece.end.getTime()}`;
+                return !listed.has(key) && listed.add(key);
+            })
+            .sort((a, b) => a.start - b.start);
+        
+        let coveredUntil = null;
+        for (let day = today - 1; day <= today + 7; day++) {
+            const date = Recurrence.dateString(day);
+            const startOfDay = clock.instant(date);
+            const nextDay = clock.instant(Recurrence.dateString(day + 1));
+            const dayEvents = resolved.filter(event => event.start >= startOfDay && event.start < nextDay);
             
-            // Sort events by start time
-            dayEvents.sort((a, b) => a.start - b.start);
+            // Only events on the default's channels fill its gaps; the others run alongside
+            const defaultChannelEvents = dayEvents.filter(event => ControlChannels.shared(event.schedule, defaultSchedule));
+            events.push(...dayEvents.filter(event => !defaultChannelEvents.includes(event)));
             
-            // Add gaps filled with unoccupied schedule
-            if (dayEvents.length === 0) {
+            // Add gaps filled with unoccupied schedule; an overnight event from the day before covers the morning
+            let currentTime = coveredUntil > startOfDay ? coveredUntil : startOfDay;
+            if (defaultChannelEvents.length === 0 && currentTime === startOfDay) {
                 // Entire day is unoccupied
                 events.push({
                     schedule: defaultSchedule,
-                    start: new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, 0),
-                    end: new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59),
+                    start: startOfDay,
+                    end: clock.instant(date, '23:59'),
                     isDefault: true,
                     isAllDay: true
                 });
             } else {
                 // Add unoccupied periods between events
-                let currentTime = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, 0);
-                
-                dayEvents.forEach((event, index) => {
+                defaultChannelEvents.forEach((event, index) => {
                     // Add unoccupied period before this event
                     if (event.start > currentTime) {
                         events.push({
@@ -167,11 +173,12 @@ class ListView {
                     events.push(event);
                     
                     // Update current time
-                    currentTime = event.end || new Date(event.start.getTime() + 60 * 60 * 1000); // Default 1 hour
+                    const eventEnd = event.end || new Date(event.start.getTime() + 60 * 60 * 1000); // Default 1 hour
+                    if (eventEnd > currentTime) currentTime = eventEnd;
                 });
                 
                 // Add unoccupied period at end of day if needed
-                const endOfDay = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59);
+                const endOfDay = clock.instant(date, '23:59');
                 if (currentTime < endOfDay) {
                     events.push({
                         schedule: defaultSchedule,
@@ -181,52 +188,13 @@ class ListView {
                     });
                 }
             }
+            coveredUntil = currentTime;
         }
         
+        events.sort((a, b) => a.start - b.start);
         return events.filter(e => e.start > now).slice(0, 20); // Show next 20 events
     }
     
-    /**
-     * Check if a schedule is active on a specific date
-     */
-    isScheduleActiveOnDate(schedule, date) {
-        if (!schedule) return false;
-        
-        const dayName = date.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-        const checkDate = new Date(date);
-        checkDate.setHours(0, 0, 0, 0);
-        
-        // Check if the date is within the schedule's validity period
-        if (schedule.start_time) {
-            const scheduleStart = new Date(schedule.start_time);
-            scheduleStart.setHours(0, 0, 0, 0);
-            if (checkDate < scheduleStart) return false;
-        }
-        
-        if (schedule.end_time) {
-            const scheduleEnd = new Date(schedule.end_time);
-            scheduleEnd.setHours(0, 0, 0, 0);
-            if (checkDate > scheduleEnd) return false;
-        }
-        
-        switch (schedule.repeat_frequency) {
-            case 'daily':
-                return true;
-            case 'weekly':
-                // For weekly, check if it's the same day as the start date
-                if (schedule.start_time) {
-                    const startDate = new Date(schedule.start_time);
-                    const startDay = startDate.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-                    return dayName === startDay;
-                }
-                return true;
-            case 'custom':
-                return schedule.days_of_week && schedule.days_of_week.includes(dayName);
-            default:
-                return false;
-        }
-    }
-    
     /**
      * Render a simulation event
      */
@@ -273,14 +241,15 @@ class ListView {
     }
     
     /**
-     * Format simulation event time
+     * Format simulation event time (on the device's clock)
      */
     formatSimulationEventTime(event) {
+        const clock = this.scheduler.clock;
         if (event.isAllDay) {
-            return `<i class="fas fa-calendar-day me-1"></i>All day - ${event.start.toDateString()}`;
+            return `<i class="fas fa-calendar-day me-1"></i>All day - ${clock.format(event.start, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}`;
         }
         
-        const startStr = event.start.toLocaleString([], { 
+        const startStr = clock.format(event.start, { 
             weekday: 'short',
             month: 'short', 
             day: 'numeric',
@@ -290,10 +259,10 @@ class ListView {
         
         let endStr = '';
         if (event.end) {
-            endStr = event.end.toLocaleTimeString([], { 
+            endStr = `${clock.format(event.end, { 
                 hour: '2-digit', 
                 minute: '2-digit' 
-            });
+            })} ${clock.zoneName(event.end)}`;
         }
         
         const now = new Date();
@@ -372,6 +341,7 @@ class ListView {
      * Format schedule time display
      */
     formatScheduleTime(schedule, nextOccurrence) {
+        const clock = this.scheduler.clock;
         let timeStr = '';
         
         if (schedule.is_default) {
@@ -385,12 +355,12 @@ class ListView {
             if (diffMs < 0) {
                 timeStr = 'Currently running';
             } else if (diffDays > 0) {
-                timeStr = `Next: ${nextOccurrence.toLocaleDateString()} at ${nextOccurrence.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} (in ${diffDays} days)`;
+                timeStr = `Next: ${clock.format(nextOccurrence, { dateStyle: 'short' })} at ${clock.format(nextOccurrence, { hour: '2-digit', minute: '2-digit' })} (in ${diffDays} days)`;
             } else if (diffHours > 0) {
-                timeStr = `Next: ${nextOccurrence.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} (in ${diffHours} hours)`;
+                timeStr = `Next: ${clock.format(nextOccurrence, { hour: '2-digit', minute: '2-digit' })} (in ${diffHours} hours)`;
             } else {
                 const diffMinutes = Math.floor(diffMs / (1000 * 60));
-                timeStr = `Next: ${nextOccurrence.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} (in ${diffMinutes} minutes)`;
+                timeStr = `Next: ${clock.format(nextOccurrence, { hour: '2-digit', minute: '2-digit' })} (in ${diffMinutes} minutes)`;
             }
         } else {
             timeStr = 'No upcoming occurrences';
@@ -567,6 +537,38 @@ class ListView {
             `;
         }
         
+        // Sun-relative start/end
+        if (ScheduleTimes.isVariable(schedule)) {
+            details += `
+                <div class="mt-1 small text-muted">
+                    <i class="fas fa-sun me-1"></i>
+                    Times: ${ScheduleTimes.describe(schedule)}
+                </div>
+            `;
+        }
+        
+        // Holiday calendars the schedule skips
+        if (schedule.holiday_calendars && schedule.holiday_calendars.length > 0) {
+            details += `
+                <div class="mt-1 small text-muted">
+                    <i class="fas fa-umbrella-beach me-1"></i>
+                    Skips holidays: ${schedule.holiday_calendars.map(id => HolidayCalendar.calendarName(id)).join(', ')}
+                </div>
+            `;
+        }
+        
+        // Occurrences moved or edited on their own, by their original dates
+        const overridden = Object.keys(Recurrence.overridesOf(schedule)).sort();
+        if (overridden.length > 0) {
+            const dates = overridden.map(date => Recurrence.toLocalDate(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
+            details += `
+                <div class="mt-1 small text-muted">
+                    <i class="fas fa-pen me-1"></i>
+                    Changed occurrences: ${dates.join(', ')}
+                </div>
+            `;
+        }
+        
         // Duration
         if (schedule.start_time && schedule.end_time) {
             const start = new Date(schedule.start_time);
@@ -630,7 +632,7 @@ class ListView {
                         <strong>${next.event_name}</strong>
                     </div>
                     <div class="small text-muted mb-2">
-                        ${nextTime.toLocaleString()} ${timeUntil}
+                        ${this.scheduler.clock.format(nextTime, { dateStyle: 'medium', timeStyle: 'short' })} ${this.scheduler.clock.zoneName(nextTime)} ${timeUntil}
                     </div>
                     ${this.formatCurrentSettings(next.settings)}
                 </div>
@@ -740,21 +742,17 @@ class ListView {
             return null;
         }
         
+        // Occurrences on the device's calendar, from yesterday (one may still be running) to a week out
         const now = new Date();
-        const startTime = new Date(schedule.start_time);
-        
-        // Simple implementation - just check if start time is in the future
-        if (startTime > now) {
-            return startTime;
+        const today = Recurrence.dayNumber(this.scheduler.clock.today());
+        for (const { date, schedule: instance } of Recurrence.instances(schedule, Recurrence.dateString(today - 1), Recurrence.dateString(today + 7))) {
+            const times = this.scheduler.calculateEventTimes(instance, date);
+            if (times && times.end > now && times.end > times.start) {
+                return times.start;
+            }
         }
         
-        // For recurring schedules, calculate next occurrence
-        // This is a simplified implementation
-        const nextDay = new Date(now);
-        nextDay.setDate(nextDay.getDate() + 1);
-        nextDay.setHours(startTime.getHours(), startTime.getMinutes(), 0, 0);
-        
-        return nextDay;
+        return null;
     }
     
     /**
@@ -0,0 +1,342 @@
+/**
+ * Overlap Engine - Finds schedule conflicts by reasoning about the recurrence rules directly
+ * Instead of expanding events day by day over a fixed window, two schedules are compared by
+ * intersecting their time windows, date ranges and weekday sets and then removing excluded dates
+ * and subscribed holidays,
+ * so never-ending schedules are checked no matter how far in the future they start.
+ * A series' moved or edited occurrences (overrides) are compared as one-time schedules
+ */
+class OverlapEngine {
+    // How far to look for a day where sun-relative windows overlap before deciding they never do
+    static SOLAR_SEARCH_DAYS = 4 * 366;
+
+    // DST rules follow weekdays, and weekdays fall on the same dates again after 28 years
+    static DST_SEARCH_DAYS = 28 * 366;
+
+    /**
+     * Find every conflict between a schedule and a list of schedules on its priority layer that
+     * share a control channel with it (other layers and channels may overlap it - see
+     * PriorityLayers and ControlChannels)
+     * Returns one entry per conflicting schedule (empty array when there are none)
+     */
+    static findConflicts(targetSchedule, schedulesList, excludeId = null) {
+        const targets = OverlapEngine.patternsOf(targetSchedule);
+        if (targets.length === 0) return [];
+
+        const conflicts = [];
+        for (const existingSchedule of schedulesList) {
+            // Skip self, unoccupied default schedules and schedules on other priority layers or channels
+            if (existingSchedule.id === excludeId || existingSchedule.is_default ||
+                !PriorityLayers.sameLayer(targetSchedule, existingSchedule) ||
+                !ControlChannels.shared(targetSchedule, existingSchedule)) {
+                continue;
+            }
+
+            const existing = OverlapEngine.patternsOf(existingSchedule);
+            const conflict = OverlapEngine.merge(targets.flatMap(target => existing.map(pattern => OverlapEngine.intersect(target, pattern)))
+                .filter(found => found));
+            if (conflict) {
+                conflicts.push({
+                    schedule: existingSchedule,
+                    ...conflict,
+                    times: {
+                        target: OverlapEngine.describeTimes(targetSchedule),
+                        existing: OverlapEngine.describeTimes(existingSchedule)
+                    }
+                });
+            }
+        }
+        return conflicts;
+    }
+
+    /**
+     * A schedule as the patterns to compare: the series without the occurrences it overrides, and
+     * each overridden occurrence as a one-time schedule on its override's date (see Recurrence.instance)
+     */
+    static patternsOf(schedule) {
+        const overrides = Recurrence.overridesOf(schedule);
+        const overridden = Object.keys(overrides).filter(date => Recurrence.occursOn(schedule, date));
+        const parts = overridden.length === 0 ? [schedule] : [
+            { ...schedule, exclude_dates: [...(schedule.exclude_dates || []), ...overridden] },
+            ...overridden.map(originalDate => ({
+                ...Recurrence.instance(schedule, originalDate),
+                repeat_frequency: 'never',
+                start_date: overrides[originalDate].date,
+                end_date: overrides[originalDate].date,
+                exclude_dates: []
+            }))
+        ];
+        return parts.map(part => OverlapEngine.toPattern(part)).filter(pattern => pattern);
+    }
+
+    /**
+     * Reduce a schedule to the pieces the engine compares: its Recurrence rule
+     * (first/last day number, weekdays, excluded days) plus its time window in minutes
+     * from the midnight starting the day; an overnight window ends past 1440 (22:00-06:00 is 1320-1800).
+     * Sunrise/sunset edges move the window from day to day, so those patterns keep the
+     * schedule to work out each day's window (variable: true). overnight is true when the
+     * window can run into the next day
+     * Returns null for schedules that never occur (unknown repeat, missing dates or times)
+     */
+    static toPattern(schedule) {
+        const rule = Recurrence.rule(schedule);
+        const startMinutes = OverlapEngine.toMinutes(schedule.start_time);
+        let endMinutes = OverlapEngine.toMinutes(schedule.end_time);
+        if (!rule || startMinutes === null || endMinutes === null) return null;
+        if (endMinutes <= startMinutes) endMinutes += 1440;
+
+        const variable = ScheduleTimes.isVariable(schedule);
+        // Sun-relative windows cross midnight in some seasons only; a day in each quarter covers the year
+        const overnight = variable
+            ? [0, 91, 182, 273].some(days => ScheduleTimes.dayWindow(schedule, Recurrence.dateString(rule.start + days)).endMinutes > 1440)
+            : endMinutes > 1440;
+        return { ...rule, startMinutes, endMinutes, schedule, variable, overnight };
+    }
+
+    /**
+     * A pattern's time window on a day number, in minutes from that day's midnight. On days the
+     * device's clock changes (or the night before, for a window running into one) clock times are
+     * resolved too: skipped times shift, and the day is 23 or 25 hours
+     */
+    static windowOn(pattern, day) {
+        const clock = ScheduleTimes.clock;
+        const dateStr = Recurrence.dateString(day);
+        const clockChanges = clock.isTransitionDay(dateStr) ||
+            (pattern.overnight && clock.isTransitionDay(Recurrence.dateString(day + 1)));
+        if (!pattern.variable && !clockChanges) return pattern;
+        return ScheduleTimes.dayWindow(pattern.schedule, dateStr);
+    }
+
+    /**
+     * Do a's window on a day and b's window `lag` days later run at the same time? A window left
+     * empty by a skipped start (see ScheduleTimes.eventTimes) runs at no time at all
+     */
+    static windowsOverlap(a, b, day, lag = 0) {
+        const x = OverlapEngine.windowOn(a, day);
+        const y = OverlapEngine.windowOn(b, day + lag);
+        if (x.startMinutes >= x.endMinutes || y.startMinutes >= y.endMinutes) return false;
+        return x.startMinutes < y.endMinutes + lag * 1440 && x.endMinutes > y.startMinutes + lag * 1440;
+    }
+
+    static describeTimes(schedule) {
+        return ScheduleTimes.isVariable(schedule) ? ScheduleTimes.describe(schedule) : `${schedule.start_time}-${schedule.end_time}`;
+    }
+
+    /**
+     * Intersect two patterns. Returns null when they never run at the same time, otherwise
+     * { date, first_date, last_date (null when ongoing), count (Infinity when ongoing), days_of_week, every_weeks (null unless both are weekly) }
+     * Dates are the days the schedules first meet: an overnight occurrence can also run into the
+     * other schedule's occurrence on the next morning, so those pairings are checked as well
+     */
+    static intersect(a, b) {
+        const lags = [0, ...(a.overnight ? [1] : []), ...(b.overnight ? [-1] : [])];
+        return OverlapEngine.merge(lags.map(lag => OverlapEngine.intersectAt(a, b, lag)).filter(conflict => conflict));
+    }
+
+    /**
+     * Combine conflicts found between parts of two schedules (lags, or a series and its
+     * overridden occurrences) into one; null when there are none
+     */
+    static merge(found) {
+        if (found.length <= 1) return found[0] || null;
+
+        const first = found.map(conflict => conflict.first_date).sort()[0];
+        const lastDates = found.map(conflict => conflict.last_date);
+        const weekdays = new Set(found.flatMap(conflict => conflict.days_of_week));
+        const everyWeeks = new Set(found.map(conflict => conflict.every_weeks));
+        return {
+            date: first,
+            first_date: first,
+            last_date: lastDates.includes(null) ? null : lastDates.sort()[lastDates.length - 1],
+            count: found.reduce((total, conflict) => total + conflict.count, 0),
+            days_of_week: Recurrence.DAY_NAMES.filter(day => weekdays.has(day)),
+            every_weeks: everyWeeks.size === 1 ? [...everyWeeks][0] : null
+        };
+    }
+
+    /**
+     * Intersect a's occurrences with b's occurrences `lag` days later (-1, 0 or 1). Conflict days
+     * are counted on a's occurrences and reported on the day the two meet (the later of the two)
+     */
+    static intersectAt(a, b, lag) {
+        const shift = lag * 1440;
+        const reportDay = day => day + Math.max(0, lag);
+
+        // Clock-face windows must overlap at all, except on days the clocks change;
+        // sun-relative windows are compared day by day
+        const variable = a.variable || b.variable;
+        if (!variable && !(a.startMinutes < b.endMinutes + shift && a.endMinutes > b.startMinutes + shift)) {
+            return OverlapEngine.intersectOnTransitions(a, b, lag);
+        }
+        const windowsOverlap = day => OverlapEngine.windowsOverlap(a, b, day, lag);
+
+        // Shared date range, counted in a's days
+        const from = Math.max(a.start, b.start - lag);
+        const until = Math.min(a.end, b.end - lag);
+        if (from > until) return null;
+
+        // Each pattern repeats after rule.period days (7 x interval for weekly, 400 years x interval for
+        // monthly/yearly), so together they repeat every lcm of the two. Find the offsets within one such
+        // period (counted from `from`) where both patterns land, walking the sparser pattern's own days.
+        const period = OverlapEngine.lcm(a.period, b.period);
+        const span = Math.min(period, until - from + 1);
+        const offsets = (a.kind === 'weekly'
+            ? Recurrence.patternDays(b, from + lag, from + lag + span - 1).map(day => day - lag).filter(day => Recurrence.matches(a, day))
+            : Recurrence.patternDays(a, from, from + span - 1).filter(day => Recurrence.matches(b, day + lag)))
+            .map(day => day - from);
+        if (offsets.length === 0) return null;
+
+        // Exclusions and holidays from either schedule remove that day from the conflict, and so
+        // does a day whose sun-relative or DST-shifted windows miss each other
+        const isExcluded = day => Recurrence.isExcluded(a, day) || Recurrence.isExcluded(b, day + lag) || !windowsOverlap(day);
+        const offsetSet = new Set(offsets);
+        const isConflictDay = day => offsetSet.has((day - from) % period) && !isExcluded(day);
+
+        // Explicit exclusions are finite, but holidays recur every year and can cover every occurrence
+        // (a yearly schedule on a holiday). Holiday rules repeat with the 400-year calendar, so stop
+        // looking that long after the last one-off date or rule start/end.
+        const lastOneOff = Math.max(from, ...a.excluded, ...[...b.excluded].map(day => day - lag),
+            ...[...a.holidays, ...b.holidays].flatMap(id => OverlapEngine.holidayChangeDays(id)));
+        // Sun times come round again every year, so a few years settle windows that never meet
+        const holidaySearchEnd = Math.max(from + period, lastOneOff + Recurrence.DAYS_PER_400_YEARS + period);
+        const searchEnd = Math.min(until, variable ? Math.min(holidaySearchEnd, from + period + OverlapEngine.SOLAR_SEARCH_DAYS) : holidaySearchEnd);
+        let first = null;
+        for (let cycle = from; first === null && cycle <= searchEnd; cycle += period) {
+            first = offsets.map(offset => cycle + offset).find(day => day <= until && !isExcluded(day)) ?? null;
+        }
+        if (first === null) return null;
+
+        let last = null;
+        let count = Infinity;
+        if (until !== Infinity) {
+            for (let day = until; day >= first; day--) {
+                if (isConflictDay(day)) {
+                    last = day;
+                    break;
+                }
+            }
+            if (variable) {
+                count = 0;
+                for (let cycle = from; cycle <= until; cycle += period) {
+                    count += offsets.filter(offset => cycle + offset <= until && !isExcluded(cycle + offset)).length;
+                }
+            } else {
+                const total = until - from + 1;
+                const remainder = total % period;
+                const excludedDays = new Set([
+                    ...Recurrence.excludedDays(a, from, until),
+                    ...Recurrence.excludedDays(b, from + lag, until + lag).map(day => day - lag),
+                    ...OverlapEngine.clockChangeDays(from, until).filter(day => !windowsOverlap(day))
+                ]);
+                count = Math.floor(total / period) * offsets.length +
+                    offsets.filter(offset => offset < remainder).length -
+                    [...excludedDays].filter(day => offsetSet.has((day - from) % period)).length;
+            }
+        }
+
+        const weekdays = [...new Set(offsets.map(offset => Recurrence.weekday(reportDay(from + offset))))].sort((x, y) => x - y);
+        return {
+            date: Recurrence.dateString(reportDay(first)),
+            first_date: Recurrence.dateString(reportDay(first)),
+            last_date: last === null ? null : Recurrence.dateString(reportDay(last)),
+            count,
+            days_of_week: weekdays.map(day => Recurrence.DAY_NAMES[day]),
+            // Only weekly patterns repeat on a whole-week rhythm worth describing
+            every_weeks: a.kind === 'weekly' && b.kind === 'weekly' ? period / 7 : null
+        };
+    }
+
+    /**
+     * Windows apart on the clock face can still meet around the day the clocks change: 01:30-02:30
+     * runs 01:30-03:30 EDT on a spring-forward night, into 03:00-03:30. Only those days can conflict,
+     * so they are checked one by one (for DST_SEARCH_DAYS when the schedules never end)
+     */
+    static intersectOnTransitions(a, b, lag = 0) {
+        const from = Math.max(a.start, b.start - lag);
+        const until = Math.min(a.end, b.end - lag, from + OverlapEngine.DST_SEARCH_DAYS);
+        if (from > until) return null;
+
+        // A year's clock changes play out like the year before's, so each day around one is resolved once
+        const meets = new Map();
+        const windowsMeet = day => {
+            const key = OverlapEngine.clockChangeKey(day);
+            if (!meets.has(key)) meets.set(key, OverlapEngine.windowsOverlap(a, b, day, lag));
+            return meets.get(key);
+        };
+        const days = OverlapEngine.clockChangeDays(from, until).filter(day =>
+            Recurrence.matches(a, day) && Recurrence.matches(b, day + lag) &&
+            !Recurrence.isExcluded(a, day) && !Recurrence.isExcluded(b, day + lag) &&
+            windowsMeet(day));
+        if (days.length === 0) return null;
+
+        const ongoing = Math.min(a.end, b.end - lag) > until;
+        const reported = days.map(day => day + Math.max(0, lag));
+        return {
+            date: Recurrence.dateString(reported[0]),
+            first_date: Recurrence.dateString(reported[0]),
+            last_date: ongoing ? null : Recurrence.dateString(reported[reported.length - 1]),
+            count: ongoing ? Infinity : days.length,
+            days_of_week: [...new Set(reported.map(day => Recurrence.weekday(day)))].sort((x, y) => x - y).map(day => Recurrence.DAY_NAMES[day]),
+            every_weeks: null
+        };
+    }
+
+    /**
+     * Day numbers between two finite days (inclusive) where a clock change can move a pairing: the
+     * days the device's clock changes, the two days before (overnight windows run into them) and the
+     * day after (paired with the day before)
+     */
+    static clockChangeDays(from, until) {
+        const days = new Set();
+        for (let year = Recurrence.civil(from - 1).year; year <= Recurrence.civil(until + 2).year; year++) {
+            for (const date of ScheduleTimes.clock.transitionDays(year)) {
+                const day = Recurrence.dayNumber(date);
+                [day - 2, day - 1, day, day + 1].filter(near => near >= from && near <= until).forEach(near => days.add(near));
+            }
+        }
+        return [...days].sort((x, y) => x - y);
+    }
+
+    /**
+     * "1/-1" for the day before the year's second clock change - the same key every year
+     */
+    static clockChangeKey(day) {
+        for (const near of [-1, 0, 1, 2]) {
+            const { year } = Recurrence.civil(day + near);
+            const change = ScheduleTimes.clock.transitionDays(year).indexOf(Recurrence.dateString(day + near));
+            if (change >= 0) return `${change}/${-near}`;
+        }
+        return null;
+    }
+
+    /**
+     * Days after which a holiday calendar stops changing: its single dates and the first days
+     * of the years its rules start or end
+     */
+    static holidayChangeDays(id) {
+        const calendar = HolidayCalendar.calendars[id];
+        return ((calendar && calendar.holidays) || []).flatMap(holiday => [
+            holiday.date ? Recurrence.dayNumber(holiday.date) : null,
+            holiday.since ? Recurrence.dayNumberOf(holiday.since, 0, 1) : null,
+            holiday.until ? Recurrence.dayNumberOf(holiday.until + 1, 0, 1) : null
+        ]).filter(day => day !== null);
+    }
+
+    static lcm(x, y) {
+        const gcd = (m, n) => (n === 0 ? m : gcd(n, m % n));
+        return (x / gcd(x, y)) * y;
+    }
+
+    static toMinutes(timeStr) {
+        if (typeof timeStr !== 'string' || !/^\d{2}:\d{2}$/.test(timeStr)) return null;
+        const [hours, minutes] = timeStr.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OverlapEngine;
+} else {
+    window.OverlapEngine = OverlapEngine;
+}
@@ -0,0 +1,91 @@
+/**
+ * PriorityLayers - Which schedule wins when several run at once
+ * Layers come from schedule_rules.json's priority_layers, lowest first (base program < special event
+ * < holiday < manual override). A schedule's layer field names one; schedules without it are on the
+ * base program. Schedules on different layers may overlap - the higher layer is in effect - while
+ * schedules on the same layer must not. timeline.py ranks schedules the same way on the server.
+ */
+class PriorityLayers {
+    static layers = [{ id: 'base', label: 'Base program' }];
+
+    /**
+     * Take the layers from the validation rules (window.SCHEDULE_RULES in the browser)
+     */
+    static load(rules) {
+        if (rules && Array.isArray(rules.priority_layers) && rules.priority_layers.length) {
+            PriorityLayers.layers = rules.priority_layers;
+        }
+    }
+
+    static ids() {
+        return PriorityLayers.layers.map(layer => layer.id);
+    }
+
+    /**
+     * A schedule's layer id; missing or unknown layers read as the lowest
+     */
+    static layerOf(schedule) {
+        const layer = schedule && schedule.layer;
+        return PriorityLayers.ids().includes(layer) ? layer : PriorityLayers.layers[0].id;
+    }
+
+    /**
+     * Position of a schedule's layer, 0 for the lowest; higher wins
+     */
+    static rank(schedule) {
+        return PriorityLayers.ids().indexOf(PriorityLayers.layerOf(schedule));
+    }
+
+    static label(id) {
+        const layer = PriorityLayers.layers.find(entry => entry.id === id);
+        return layer ? layer.label : id;
+    }
+
+    static sameLayer(a, b) {
+        return PriorityLayers.layerOf(a) === PriorityLayers.layerOf(b);
+    }
+
+    /**
+     * The schedule in effect among several running at once: the highest layer, and on a tie the
+     * first in the recipe's order (candidates are expected in that order)
+     */
+    static winner(candidates) {
+        let best = null;
+        for (const schedule of candidates) {
+            if (!best || PriorityLayers.rank(schedule) > PriorityLayers.rank(best)) best = schedule;
+        }
+        return best;
+    }
+
+    /**
+     * Split overlapping occurrences ({ schedule, start, end }, in the recipe's order) into the
+     * back-to-back pieces where each one is in effect, sorted by start; times no occurrence covers
+     * are left out. A piece is a copy of its occurrence with the start and end cut to fit
+     */
+    static resolve(occurrences) {
+        const moments = [...new Set(occurrences.flatMap(o => [o.start.getTime(), o.end.getTime()]))].sort((a, b) => a - b);
+        const pieces = [];
+        for (let i = 0; i + 1 < moments.length; i++) {
+            const [from, until] = [moments[i], moments[i + 1]];
+            const covering = occurrences.filter(o => o.start.getTime() <= from && o.end.getTime() >= until);
+            const schedule = PriorityLayers.winner(covering.map(o => o.schedule));
+            if (!schedule) continue;
+            const occurrence = covering.find(o => o.schedule === schedule);
+            const last = pieces[pieces.length - 1];
+            if (last && last.occurrence === occurrence && last.end.getTime() === from) {
+                last.end = new Date(until);
+            } else {
+                pieces.push({ ...occurrence, occurrence, start: new Date(from), end: new Date(until) });
+            }
+        }
+        return pieces.map(({ occurrence, ...piece }) => piece);
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PriorityLayers;
+} else {
+    window.PriorityLayers = PriorityLayers;
+    PriorityLayers.load(window.SCHEDULE_RULES);
+}
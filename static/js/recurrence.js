@@ -0,0 +1,406 @@
+/**
+ * Recurrence - The one answer to "does schedule X occur on date D"
+ * Used by the calendar, list view, current status and overlap engine so they all agree on
+ * repeat_frequency handling, date ranges and excluded dates.
+ *
+ * Dates are compared as whole days: YYYY-MM-DD strings are turned into day numbers (days since
+ * 1970-01-01) with UTC math, so no result depends on the browser's timezone or DST.
+ *
+ * repeat_frequency:
+ *   never   - one-time event on start_date only
+ *   custom  - the weekdays in days_of_week, between start_date and end_date
+ *   daily   - every day between start_date and end_date (older schedules; see migrate)
+ *   weekly  - the weekdays in days_of_week (start_date's weekday when none are set), every
+ *             repeat_interval weeks (default 1). Weeks run Sunday-Saturday and are counted from the
+ *             week containing start_date, so "every 2 weeks on Tue/Thu" runs in weeks 0, 2, 4...
+ *   monthly - every repeat_interval months counted from start_date's month, either by date
+ *             (days_of_month: [1, 15] - months without that date are skipped) or by position
+ *             (week_of_month: 1-4 or -1 for the last, with days_of_week: "the last Friday")
+ *   yearly  - start_date's month and day every repeat_interval years (Feb 29 only in leap years)
+ * end_date may be 'never' (or missing) for an open-ended schedule. exclude_dates always win, and so
+ * do the holidays of any calendar listed in holiday_calendars (see HolidayCalendar).
+ *
+ * A single occurrence of a series can be moved or edited without leaving it: overrides holds the
+ * changes keyed by the occurrence's original date, like an iCalendar RECURRENCE-ID -
+ *   { "2026-07-29": { date: "2026-07-30", start_time: "10:00", end_time: "12:00", settings: {...} } }
+ * date is where it runs now; the times (both or neither) and settings (laid over the series' ones)
+ * are optional, so series edits still reach whatever an override leaves alone. An override only
+ * counts while its original date is still an occurrence, so excluding that date deletes it.
+ */
+class Recurrence {
+    static DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+    // The Gregorian calendar repeats every 400 years, which is a whole number of weeks
+    static DAYS_PER_400_YEARS = 146097;
+
+    /**
+     * A schedule saved by an older version brought up to the current rules: 'daily', which the rules
+     * no longer offer, becomes 'custom' on all seven days - the same dates. Other schedules come back as they are
+     */
+    static migrate(schedule) {
+        if (!schedule || schedule.repeat_frequency !== 'daily') return schedule;
+        return { ...schedule, repeat_frequency: 'custom', days_of_week: [...Recurrence.DAY_NAMES] };
+    }
+
+    /**
+     * Does the schedule occur on this date? Accepts a YYYY-MM-DD string or a Date (its local calendar day)
+     */
+    static occursOn(schedule, date) {
+        const day = Recurrence.toDayNumber(date);
+        const rule = Recurrence.rule(schedule);
+        if (!rule || day === null) return false;
+        return day >= rule.start && day <= rule.end && !Recurrence.isExcluded(rule, day) && Recurrence.matches(rule, day);
+    }
+
+    /**
+     * All dates (YYYY-MM-DD) the schedule occurs on between from and until, both inclusive
+     */
+    static occurrenceDates(schedule, from, until) {
+        const rule = Recurrence.rule(schedule);
+        const fromDay = Recurrence.toDayNumber(from);
+        const untilDay = Recurrence.toDayNumber(until);
+        if (!rule || fromDay === null || untilDay === null) return [];
+
+        return Recurrence.patternDays(rule, Math.max(fromDay, rule.start), Math.min(untilDay, rule.end))
+            .filter(day => !Recurrence.isExcluded(rule, day))
+            .map(day => Recurrence.dateString(day));
+    }
+
+    /**
+     * The occurrences running between from and until (YYYY-MM-DD, both inclusive) as
+     * { date, originalDate, schedule }, sorted by date: the series' own dates, except that an
+     * overridden occurrence runs on its override's date as that override's instance
+     */
+    static instances(schedule, from, until) {
+        const overrides = Recurrence.overridesOf(schedule);
+        const fromDay = Recurrence.toDayNumber(from);
+        const untilDay = Recurrence.toDayNumber(until);
+        const found = Recurrence.occurrenceDates(schedule, from, until)
+            .filter(date => !overrides[date])
+            .map(date => ({ date, originalDate: date, schedule }));
+
+        for (const [originalDate, override] of Object.entries(overrides)) {
+            const day = Recurrence.dayNumber(override && override.date);
+            if (day !== null && day >= fromDay && day <= untilDay && Recurrence.occursOn(schedule, originalDate)) {
+                found.push({ date: override.date, originalDate, schedule: Recurrence.instance(schedule, originalDate) });
+            }
+        }
+        return found.sort((a, b) => Recurrence.dayNumber(a.date) - Recurrence.dayNumber(b.date));
+    }
+
+    /**
+     * A schedule's overrides, { original YYYY-MM-DD: override }; {} when it has none
+     */
+    static overridesOf(schedule) {
+        const overrides = schedule && schedule.overrides;
+        return overrides && typeof overrides === 'object' && !Array.isArray(overrides) ? overrides : {};
+    }
+
+    /**
+     * The occurrence on originalDate as a schedule of its own: the series with its override laid
+     * over it (clock times replace sun-relative edges). It keeps the series' id, and override_of
+     * names the original date. The series itself when that occurrence isn't overridden
+     */
+    static instance(schedule, originalDate) {
+        const override = Recurrence.overridesOf(schedule)[originalDate];
+        if (!override) return schedule;
+
+        const instance = {
+            ...schedule,
+            override_of: originalDate,
+            settings: { ...(schedule.settings || {}), ...(override.settings || {}) }
+        };
+        if (override.start_time) {
+            Object.assign(instance, {
+                time_setting: 'time',
+                start_time: override.start_time,
+                end_time: override.end_time,
+                start_edge: null,
+                end_edge: null
+            });
+        }
+        return instance;
+    }
+
+    /**
+     * The override that makes the occurrence on originalDate run as described ({ date, start_time,
+     * end_time, settings }, all optional), keeping only what differs from the series so later series
+     * edits still reach the rest; null when nothing does
+     */
+    static overrideFor(schedule, originalDate, occurrence) {
+        const override = { date: occurrence.date || originalDate };
+        if (occurrence.start_time && (ScheduleTimes.isVariable(schedule) ||
+            occurrence.start_time !== schedule.start_time || occurrence.end_time !== schedule.end_time)) {
+            override.start_time = occurrence.start_time;
+            override.end_time = occurrence.end_time;
+        }
+        const seriesSettings = schedule.settings || {};
+        const settings = Object.entries(occurrence.settings || {})
+            .filter(([key, value]) => String(value) !== String(seriesSettings[key]));
+        if (settings.length > 0) {
+            override.settings = Object.fromEntries(settings);
+        }
+        return override.date !== originalDate || Object.keys(override).length > 1 ? override : null;
+    }
+
+    /**
+     * Is the day skipped - listed in exclude_dates or a holiday in one of the schedule's calendars?
+     */
+    static isExcluded(rule, day) {
+        return rule.excluded.has(day) || HolidayCalendar.isHoliday(rule.holidays, day);
+    }
+
+    /**
+     * Skipped days (exclude_dates and holidays) between two finite day numbers, both inclusive
+     */
+    static excludedDays(rule, from, until) {
+        const days = [...rule.excluded].filter(day => day >= from && day <= until);
+        days.push(...HolidayCalendar.between(rule.holidays, from, until).map(holiday => holiday.day));
+        return [...new Set(days)];
+    }
+
+    /**
+     * Does the rule's repeat pattern land on this day? (ignores the date range and exclusions)
+     */
+    static matches(rule, day) {
+        switch (rule.kind) {
+            case 'monthly': {
+                const { year, month, date } = Recurrence.civil(day);
+                if ((year * 12 + month - rule.anchor) % rule.interval !== 0) return false;
+                if (rule.daysOfMonth) return rule.daysOfMonth.includes(date);
+                return rule.days.has(Recurrence.weekday(day)) && Recurrence.weekOfMonthMatches(rule.weekOfMonth, year, month, date);
+            }
+            case 'yearly': {
+                const { year, month, date } = Recurrence.civil(day);
+                return (year - rule.anchor) % rule.interval === 0 && month === rule.month && date === rule.date;
+            }
+            default:
+                if (!rule.days.has(Recurrence.weekday(day))) return false;
+                return rule.interval === 1 || Math.floor((day - rule.anchor) / 7) % rule.interval === 0;
+        }
+    }
+
+    /**
+     * Every day in [from, until] the rule's pattern lands on (ignores the date range and exclusions)
+     * Monthly and yearly rules jump month by month, so long ranges stay cheap
+     */
+    static patternDays(rule, from, until) {
+        const days = [];
+        if (from > until) return days;
+
+        if (rule.kind === 'weekly') {
+            for (let day = from; day <= until; day++) {
+                if (Recurrence.matches(rule, day)) days.push(day);
+            }
+            return days;
+        }
+
+        const first = Recurrence.civil(from);
+        const step = rule.kind === 'yearly' ? 12 * rule.interval : rule.interval;
+        // First month index on the rule's rhythm at or after `from`
+        const startIndex = rule.kind === 'yearly' ? rule.anchor * 12 + rule.month : rule.anchor;
+        const fromIndex = first.year * 12 + first.month;
+        let monthIndex = startIndex + Math.max(0, Math.ceil((fromIndex - startIndex) / step)) * step;
+
+        for (; ; monthIndex += step) {
+            const year = Math.floor(monthIndex / 12);
+            const month = monthIndex % 12;
+            const monthStart = Recurrence.dayNumberOf(year, month, 1);
+            if (monthStart > until) break;
+
+            for (const date of Recurrence.datesInMonth(rule, year, month)) {
+                const day = monthStart + date - 1;
+                if (day >= from && day <= until) days.push(day);
+            }
+        }
+        return days;
+    }
+
+    /**
+     * Days of the month (ascending) a monthly or yearly rule lands on, for a month on its rhythm
+     */
+    static datesInMonth(rule, year, month) {
+        const length = Recurrence.daysInMonth(year, month);
+        if (rule.kind === 'yearly') {
+            return rule.date <= length ? [rule.date] : [];
+        }
+        if (rule.daysOfMonth) {
+            return [...new Set(rule.daysOfMonth)].filter(date => date <= length).sort((x, y) => x - y);
+        }
+
+        // By position: the Nth (or last) of each chosen weekday
+        const firstWeekday = Recurrence.weekday(Recurrence.dayNumberOf(year, month, 1));
+        const dates = [];
+        for (const weekday of rule.days) {
+            const firstDate = 1 + (weekday - firstWeekday + 7) % 7;
+            const date = rule.weekOfMonth === -1 ?
+                firstDate + Math.floor((length - firstDate) / 7) * 7 :
+                firstDate + (rule.weekOfMonth - 1) * 7;
+            if (date <= length) dates.push(date);
+        }
+        return dates.sort((x, y) => x - y);
+    }
+
+    /**
+     * Reduce a schedule to day numbers and its repeat pattern:
+     * { kind: 'weekly' | 'monthly' | 'yearly', start, end (Infinity when open-ended), excluded: Set of day numbers,
+     *   holidays: ids of the holiday calendars whose days are skipped,
+     *   interval, anchor, period (days after which the pattern repeats), plus the pattern's own fields:
+     *   weekly  - days: Set of weekdays (0 = Sunday), anchor: the Sunday starting start_date's week
+     *   monthly - daysOfMonth, or weekOfMonth + days; anchor: start_date's month index (year * 12 + month)
+     *   yearly  - month (0-11) and date from start_date; anchor: start_date's year }
+     * never/custom/daily are weekly patterns. Returns null when the schedule never occurs
+     * (unknown repeat_frequency or no valid start_date)
+     */
+    static rule(schedule) {
+        if (!schedule) return null;
+        const start = Recurrence.dayNumber(schedule.start_date);
+        if (start === null) return null;
+
+        const openEnded = !schedule.end_date || schedule.end_date === 'never';
+        let end = openEnded ? Infinity : Recurrence.dayNumber(schedule.end_date);
+        if (end === null) return null;
+
+        const excluded = new Set((schedule.exclude_dates || [])
+            .map(date => Recurrence.dayNumber(date))
+            .filter(day => day !== null));
+        // Only recurring schedules skip holidays; a one-time event runs on the day it was placed
+        const holidays = (schedule.repeat_frequency !== 'never' && Array.isArray(schedule.holiday_calendars) ? schedule.holiday_calendars : [])
+            .filter(id => typeof id === 'string');
+
+        const listedDays = (schedule.days_of_week || [])
+            .map(day => Recurrence.DAY_NAMES.indexOf(day))
+            .filter(day => day >= 0);
+        const interval = Math.max(1, parseInt(schedule.repeat_interval, 10) || 1);
+        const startCivil = Recurrence.civil(start);
+
+        switch (schedule.repeat_frequency) {
+            case 'never':
+                end = start;
+                return Recurrence.weeklyRule(start, end, excluded, holidays, [Recurrence.weekday(start)], 1);
+            case 'custom':
+                return Recurrence.weeklyRule(start, end, excluded, holidays, listedDays, 1);
+            case 'daily':
+                return Recurrence.weeklyRule(start, end, excluded, holidays, [0, 1, 2, 3, 4, 5, 6], 1);
+            case 'weekly':
+                return Recurrence.weeklyRule(start, end, excluded, holidays, listedDays.length > 0 ? listedDays : [Recurrence.weekday(start)], interval);
+            case 'monthly': {
+                const daysOfMonth = Array.isArray(schedule.days_of_month) && schedule.days_of_month.length > 0 ?
+                    schedule.days_of_month.map(Number).filter(date => date >= 1 && date <= 31) : null;
+                const weekOfMonth = Number(schedule.week_of_month) || null;
+                // By position needs a week and a weekday; otherwise fall back to start_date's day of month
+                const byPosition = !daysOfMonth && weekOfMonth && listedDays.length > 0;
+                return {
+                    kind: 'monthly', start, end, excluded, holidays, interval,
+                    anchor: startCivil.year * 12 + startCivil.month,
+                    period: Recurrence.DAYS_PER_400_YEARS * interval,
+                    daysOfMonth: byPosition ? null : (daysOfMonth || [startCivil.date]),
+                    weekOfMonth: byPosition ? weekOfMonth : null,
+                    days: new Set(byPosition ? listedDays : [])
+                };
+            }
+            case 'yearly':
+                return {
+                    kind: 'yearly', start, end, excluded, holidays, interval,
+                    anchor: startCivil.year,
+                    period: Recurrence.DAYS_PER_400_YEARS * interval,
+                    month: startCivil.month,
+                    date: startCivil.date
+                };
+            default:
+                return null;
+        }
+    }
+
+    static weeklyRule(start, end, excluded, holidays, days, interval) {
+        return {
+            kind: 'weekly', start, end, excluded, holidays, interval,
+            days: new Set(days),
+            anchor: start - Recurrence.weekday(start),
+            period: 7 * interval
+        };
+    }
+
+    /**
+     * Is this date the Nth (1-4) or last (-1) occurrence of its weekday in the month?
+     */
+    static weekOfMonthMatches(weekOfMonth, year, month, date) {
+        if (weekOfMonth === -1) {
+            return date + 7 > Recurrence.daysInMonth(year, month);
+        }
+        return Math.ceil(date / 7) === weekOfMonth;
+    }
+
+    /**
+     * Days since 1970-01-01 for a YYYY-MM-DD string (null when it isn't one or names a day that
+     * doesn't exist, like 2026-02-30 - Date.UTC would roll it over into March)
+     */
+    static dayNumber(dateStr) {
+        if (typeof dateStr !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return null;
+        const [year, month, day] = dateStr.split('-').map(Number);
+        if (month < 1 || month > 12 || day < 1 || day > Recurrence.daysInMonth(year, month - 1)) return null;
+        return Recurrence.dayNumberOf(year, month - 1, day);
+    }
+
+    /**
+     * Days since 1970-01-01 for a year, 0-indexed month and day of month
+     */
+    static dayNumberOf(year, month, date) {
+        return Math.round(Date.UTC(year, month, date) / 86400000);
+    }
+
+    /**
+     * Year, 0-indexed month and day of month for a day number
+     */
+    static civil(dayNumber) {
+        const d = new Date(dayNumber * 86400000);
+        return { year: d.getUTCFullYear(), month: d.getUTCMonth(), date: d.getUTCDate() };
+    }
+
+    static daysInMonth(year, month) {
+        return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    }
+
+    /**
+     * Day number for a YYYY-MM-DD string or for a Date's local calendar day
+     */
+    static toDayNumber(date) {
+        if (date instanceof Date) {
+            return Recurrence.dayNumber(Recurrence.localDateString(date));
+        }
+        return Recurrence.dayNumber(date);
+    }
+
+    static dateString(dayNumber) {
+        return new Date(dayNumber * 86400000).toISOString().split('T')[0];
+    }
+
+    /**
+     * YYYY-MM-DD for a Date's local calendar day (toISOString would give the UTC day)
+     */
+    static localDateString(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Local midnight Date for a YYYY-MM-DD string
+     */
+    static toLocalDate(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return new Date(year, month - 1, day); // month is 0-indexed
+    }
+
+    /**
+     * Day of week for a day number (0 = Sunday) - 1970-01-01 was a Thursday
+     */
+    static weekday(dayNumber) {
+        return ((dayNumber + 4) % 7 + 7) % 7;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Recurrence;
+} else {
+    window.Recurrence = Recurrence;
+}
@@ -0,0 +1,159 @@
+/**
+ * ScheduleTimes - When a schedule's events start and end on a given day
+ * Each edge of an event is either a clock time or a sun event plus a minute offset:
+ *   { reference: 'time' }                                                 - start_time/end_time on the clock
+ *   { reference: 'sunrise' | 'sunset' | 'civil_dawn' | 'civil_dusk', offset_minutes } - negative is before
+ * Schedules with time_setting 'astronomical' store their edges as start_edge and end_edge, and keep
+ * start_time/end_time at the times they resolve to on start_date. The older 'sunrise'/'sunset'
+ * settings held whole hours before (start_time) and after (end_time) the sun event; they read as
+ * the same edges counted in minutes.
+ */
+class ScheduleTimes {
+    static REFERENCES = ['time', 'sunrise', 'sunset', 'civil_dawn', 'civil_dusk'];
+
+    static LABELS = {
+        time: 'Clock time',
+        sunrise: 'Sunrise',
+        sunset: 'Sunset',
+        civil_dawn: 'Civil dawn',
+        civil_dusk: 'Civil dusk'
+    };
+
+    // SolarCalculator.sunTimes key for each sun reference
+    static SUN_KEYS = { sunrise: 'sunrise', sunset: 'sunset', civil_dawn: 'civilDawn', civil_dusk: 'civilDusk' };
+
+    // Replaced with the device's calculator and clock once /api/device/config answers
+    static solar = new SolarCalculator();
+    static clock = new DeviceClock();
+
+    /**
+     * A schedule's { start, end } edges
+     */
+    static edges(schedule) {
+        const clockEdge = { reference: 'time', offset_minutes: 0 };
+        if (schedule.time_setting === 'astronomical') {
+            return {
+                start: ScheduleTimes.normalizeEdge(schedule.start_edge),
+                end: ScheduleTimes.normalizeEdge(schedule.end_edge)
+            };
+        }
+        if (schedule.time_setting === 'sunrise' || schedule.time_setting === 'sunset') {
+            const before = ScheduleTimes.clockMinutes(schedule.start_time) || 0;
+            const after = schedule.end_time ? ScheduleTimes.clockMinutes(schedule.end_time) || 0 : before + 60;
+            return {
+                start: { reference: schedule.time_setting, offset_minutes: -before },
+                end: { reference: schedule.time_setting, offset_minutes: after }
+            };
+        }
+        return { start: clockEdge, end: clockEdge };
+    }
+
+    static normalizeEdge(edge) {
+        if (!edge || !ScheduleTimes.REFERENCES.includes(edge.reference)) {
+            return { reference: 'time', offset_minutes: 0 };
+        }
+        return { reference: edge.reference, offset_minutes: edge.reference === 'time' ? 0 : Number(edge.offset_minutes) || 0 };
+    }
+
+    /**
+     * True when either edge follows the sun, so the times change from day to day
+     */
+    static isVariable(schedule) {
+        const { start, end } = ScheduleTimes.edges(schedule);
+        return start.reference !== 'time' || end.reference !== 'time';
+    }
+
+    /**
+     * Start and end of the event on a device calendar day (YYYY-MM-DD, or a Date's local calendar day)
+     * as instants. Clock edges are read on the device's clock (see DeviceClock.instant for DST), and
+     * an end at or before the start is taken on the following day - for two clock edges that is decided
+     * on the clock face, so 01:00-03:00 stays one night however many hours it lasts. When a skipped
+     * start is shifted past its end (02:30-03:15 on a spring-forward night) the event is empty that day:
+     * end equals start
+     */
+    static eventTimes(schedule, date, solar = ScheduleTimes.solar, clock = ScheduleTimes.clock) {
+        if (!schedule.start_time) return null;
+
+        const dateStr = typeof date === 'string' ? date : Recurrence.localDateString(date);
+        const { start: startEdge, end: endEdge } = ScheduleTimes.edges(schedule);
+        const start = ScheduleTimes.edgeTime(startEdge, schedule.start_time, dateStr, solar, clock);
+        if (!schedule.end_time && endEdge.reference === 'time') {
+            return { start, end: new Date(start.getTime() + 60 * 60 * 1000) }; // Default 1 hour duration
+        }
+
+        let end = ScheduleTimes.edgeTime(endEdge, schedule.end_time, dateStr, solar, clock);
+        const onClock = startEdge.reference === 'time' && endEdge.reference === 'time';
+        const overnight = onClock
+            ? ScheduleTimes.clockMinutes(schedule.end_time) <= ScheduleTimes.clockMinutes(schedule.start_time)
+            : end <= start;
+        if (overnight) {
+            const nextDay = Recurrence.dateString(Recurrence.dayNumber(dateStr) + 1);
+            end = ScheduleTimes.edgeTime(endEdge, schedule.end_time, nextDay, solar, clock);
+        }
+        return { start, end: end < start ? start : end };
+    }
+
+    /**
+     * Minutes after the device's midnight starting the day that the event starts and ends (the end can pass 1440)
+     */
+    static dayWindow(schedule, dateStr, solar = ScheduleTimes.solar, clock = ScheduleTimes.clock) {
+        const times = ScheduleTimes.eventTimes(schedule, dateStr, solar, clock);
+        if (!times) return null;
+        const midnight = clock.instant(dateStr);
+        return {
+            startMinutes: Math.round((times.start - midnight) / 60000),
+            endMinutes: Math.round((times.end - midnight) / 60000)
+        };
+    }
+
+    static edgeTime(edge, clockTime, dateStr, solar, clock) {
+        if (edge.reference === 'time') {
+            return clock.instant(dateStr, ScheduleTimes.timeOfDay(clockTime));
+        }
+        const sunTime = solar.sunTimes(dateStr)[ScheduleTimes.SUN_KEYS[edge.reference]];
+        return new Date(sunTime.getTime() + edge.offset_minutes * 60000);
+    }
+
+    /**
+     * HH:MM from a time-only string or the time part of an ISO datetime
+     */
+    static timeOfDay(value) {
+        return value.includes('T') ? value.split('T')[1].slice(0, 5) : value;
+    }
+
+    static clockMinutes(value) {
+        if (typeof value !== 'string' || !/^\d{2}:\d{2}/.test(ScheduleTimes.timeOfDay(value))) return null;
+        const [hours, minutes] = ScheduleTimes.timeOfDay(value).split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * "30 min after sunset", "1 h 15 min before civil dawn", "Sunrise"; clock edges show their time
+     */
+    static describeEdge(edge, clockTime) {
+        if (edge.reference === 'time') return clockTime || '';
+        const label = ScheduleTimes.LABELS[edge.reference];
+        const offset = Math.abs(edge.offset_minutes);
+        if (offset === 0) return label;
+
+        const hours = Math.floor(offset / 60);
+        const minutes = offset % 60;
+        const amount = [hours ? `${hours} h` : '', minutes ? `${minutes} min` : ''].filter(part => part).join(' ');
+        return `${amount} ${edge.offset_minutes < 0 ? 'before' : 'after'} ${label.toLowerCase()}`;
+    }
+
+    /**
+     * "30 min after sunset - 23:00" for a schedule's edges
+     */
+    static describe(schedule) {
+        const { start, end } = ScheduleTimes.edges(schedule);
+        return `${ScheduleTimes.describeEdge(start, schedule.start_time)} - ${ScheduleTimes.describeEdge(end, schedule.end_time)}`;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScheduleTimes;
+} else {
+    window.ScheduleTimes = ScheduleTimes;
+}
@@ -0,0 +1,324 @@
+/**
+ * Schedule Validator - Browser side of the schedule schema check
+ * Applies the same rules file (schedule_rules.json) as schedule_validation.py on the server,
+ * so the event form, imports and the API agree on what a valid schedule is
+ */
+class ScheduleValidator {
+    constructor(rules) {
+        this.rules = rules || window.SCHEDULE_RULES;
+    }
+
+    static isBlank(value) {
+        return value === null || value === undefined || value === '' || value === false;
+    }
+
+    /**
+     * True for a real calendar date in YYYY-MM-DD form
+     */
+    static isValidDate(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+        const [year, month, day] = value.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    }
+
+    static isValidTime(value) {
+        if (typeof value !== 'string' || !/^\d{2}:\d{2}$/.test(value)) return false;
+        const [hours, minutes] = value.split(':').map(Number);
+        return hours < 24 && minutes < 60;
+    }
+
+    /**
+     * Setpoints are stored as strings ("72") but numbers are accepted too
+     */
+    static parseNumber(value) {
+        if (typeof value === 'boolean' || (typeof value === 'string' && value.trim() === '')) return null;
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    /**
+     * Check one schedule. Returns {field: [messages]}; empty when the schedule is valid
+     */
+    validateSchedule(schedule) {
+        const rules = this.rules;
+        const errors = {};
+        const add = (field, message) => (errors[field] = errors[field] || []).push(message);
+
+        if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+            add('schedule', 'Schedule must be a JSON object');
+            return errors;
+        }
+
+        for (const field of rules.required_fields) {
+            if (ScheduleValidator.isBlank(schedule[field])) {
+                add(field, `Missing required field '${field}'`);
+            }
+        }
+
+        if (!errors.event_name && typeof schedule.event_name !== 'string') {
+            add('event_name', 'Event name must be text');
+        }
+
+        const scheduleType = schedule.schedule_type;
+        if (!ScheduleValidator.isBlank(scheduleType) && !rules.schedule_types.includes(scheduleType)) {
+            add('schedule_type', `Invalid schedule type '${scheduleType}'`);
+        }
+
+        // Priority layer (optional; schedules without one are on the lowest, the base program)
+        const layer = schedule.layer;
+        if (!ScheduleValidator.isBlank(layer) && !(rules.priority_layers || []).some(entry => entry.id === layer)) {
+            add('layer', `Invalid priority layer '${layer}'`);
+        }
+
+        const repeatFrequency = schedule.repeat_frequency;
+        if (!ScheduleValidator.isBlank(repeatFrequency) && !rules.repeat_frequencies.includes(repeatFrequency)) {
+            add('repeat_frequency', `Invalid repeat frequency '${repeatFrequency}'`);
+        }
+
+        const timeSetting = schedule.time_setting;
+        if (!ScheduleValidator.isBlank(timeSetting) && !rules.time_settings.includes(timeSetting)) {
+            add('time_setting', `Invalid time setting '${timeSetting}'`);
+        }
+
+        // Dates (YYYY-MM-DD, end_date may also be 'never') - same-format strings compare chronologically
+        const startDate = schedule.start_date;
+        const endDate = schedule.end_date;
+        const startValid = ScheduleValidator.isValidDate(startDate);
+        const endValid = ScheduleValidator.isValidDate(endDate);
+        if (!ScheduleValidator.isBlank(startDate) && !startValid) {
+            add('start_date', 'Invalid start_date (expected YYYY-MM-DD)');
+        }
+        if (!ScheduleValidator.isBlank(endDate) && endDate !== 'never' && !endValid) {
+            add('end_date', "Invalid end_date (expected YYYY-MM-DD or 'never')");
+        }
+        if (startValid && endValid && endDate < startDate) {
+            add('end_date', 'End date must not be before the start date');
+        }
+
+        // Times (HH:MM)
+        for (const field of ['start_time', 'end_time']) {
+            const value = schedule[field];
+            if (!ScheduleValidator.isBlank(value) && !ScheduleValidator.isValidTime(value)) {
+                add(field, `Invalid ${field} (expected HH:MM)`);
+            }
+        }
+
+        // Astronomical: each edge is a clock time or a sun event plus an offset in minutes
+        if (timeSetting === 'astronomical') {
+            for (const field of ['start_edge', 'end_edge']) {
+                this.validateEdge(schedule[field], field, add);
+            }
+        }
+
+        const days = schedule.days_of_week;
+        if (days !== undefined && days !== null && !Array.isArray(days)) {
+            add('days_of_week', 'days_of_week must be a list');
+        } else if (['custom', 'weekly', 'monthly'].includes(repeatFrequency)) {
+            if ((!days || days.length === 0) && repeatFrequency === 'custom') {
+                add('days_of_week', 'Choose at least one day for a custom repeat');
+            }
+            for (const day of days || []) {
+                if (!rules.days_of_week.includes(day)) {
+                    add('days_of_week', `Invalid day '${day}' in days_of_week`);
+                }
+            }
+        }
+
+        // Weekly/monthly/yearly: every N weeks, months or years, counted from start_date
+        const interval = schedule.repeat_interval;
+        if (['weekly', 'monthly', 'yearly'].includes(repeatFrequency) && interval !== undefined && interval !== null) {
+            const limits = rules.repeat_interval;
+            if (!Number.isInteger(interval) || interval < limits.min || interval > limits.max) {
+                add('repeat_interval', `Repeat interval must be a whole number between ${limits.min}-${limits.max}`);
+            }
+        }
+
+        // Monthly: by date (days_of_month) or by position (week_of_month + days_of_week)
+        if (repeatFrequency === 'monthly') {
+            const daysOfMonth = schedule.days_of_month;
+            const weekOfMonth = schedule.week_of_month;
+            if (daysOfMonth !== undefined && daysOfMonth !== null) {
+                const limits = rules.days_of_month;
+                if (!Array.isArray(daysOfMonth)) {
+                    add('days_of_month', 'days_of_month must be a list');
+                } else {
+                    for (const value of daysOfMonth) {
+                        if (!Number.isInteger(value) || value < limits.min || value > limits.max) {
+                            add('days_of_month', `Invalid day of month '${value}' (expected ${limits.min}-${limits.max})`);
+                        }
+                    }
+                }
+            }
+            if (weekOfMonth !== undefined && weekOfMonth !== null) {
+                if (Array.isArray(daysOfMonth) && daysOfMonth.length > 0) {
+                    add('week_of_month', 'Choose days of the month or a week of the month, not both');
+                } else if (!Number.isInteger(weekOfMonth) || !rules.weeks_of_month.includes(weekOfMonth)) {
+                    add('week_of_month', `Invalid week of month '${weekOfMonth}' (expected 1-4 or -1 for the last)`);
+                } else if (!Array.isArray(days) || days.length === 0) {
+                    add('days_of_week', 'Choose a weekday for the week of the month');
+                }
+            }
+        }
+
+        const excludeDates = schedule.exclude_dates;
+        if (excludeDates !== undefined && excludeDates !== null) {
+            if (!Array.isArray(excludeDates)) {
+                add('exclude_dates', 'exclude_dates must be a list');
+            } else {
+                for (const value of excludeDates) {
+                    if (!ScheduleValidator.isValidDate(value)) {
+                        add('exclude_dates', `Invalid excluded date '${value}' (expected YYYY-MM-DD)`);
+                    }
+                }
+            }
+        }
+
+        const holidayCalendars = schedule.holiday_calendars;
+        if (holidayCalendars !== undefined && holidayCalendars !== null) {
+            if (!Array.isArray(holidayCalendars)) {
+                add('holiday_calendars', 'holiday_calendars must be a list');
+            } else {
+                for (const calendar of holidayCalendars) {
+                    if (!(rules.holiday_calendars || []).includes(calendar)) {
+                        add('holiday_calendars', `Unknown holiday calendar '${calendar}'`);
+                    }
+                }
+            }
+        }
+
+        const settings = schedule.settings;
+        if (settings !== undefined && settings !== null && (typeof settings !== 'object' || Array.isArray(settings))) {
+            add('settings', 'settings must be an object');
+        } else if (settings) {
+            const settingsErrors = this.validateSettings(settings, scheduleType);
+            for (const [field, messages] of Object.entries(settingsErrors)) {
+                errors[`settings.${field}`] = (errors[`settings.${field}`] || []).concat(messages);
+            }
+        }
+
+        // Moved or edited occurrences, keyed by their original date (see Recurrence.instance)
+        const overrides = schedule.overrides;
+        if (overrides !== undefined && overrides !== null) {
+            if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+                add('overrides', 'overrides must be an object keyed by original date');
+            } else {
+                for (const [originalDate, override] of Object.entries(overrides)) {
+                    this.validateOverride(originalDate, override, schedule, scheduleType, add);
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check one occurrence override: { date, start_time and end_time (both or neither), settings }
+     */
+    validateOverride(originalDate, override, schedule, scheduleType, add) {
+        if (!ScheduleValidator.isValidDate(originalDate)) {
+            add('overrides', `Invalid overridden date '${originalDate}' (expected YYYY-MM-DD)`);
+            return;
+        }
+        if (!override || typeof override !== 'object' || Array.isArray(override)) {
+            add('overrides', `The override of ${originalDate} must be an object`);
+            return;
+        }
+        if (!ScheduleValidator.isValidDate(override.date)) {
+            add('overrides', `The override of ${originalDate} needs a date (YYYY-MM-DD)`);
+        }
+        const times = [override.start_time, override.end_time];
+        if (times.some(value => !ScheduleValidator.isBlank(value)) && !times.every(value => ScheduleValidator.isValidTime(value))) {
+            add('overrides', `The override of ${originalDate} needs both start_time and end_time (HH:MM)`);
+        }
+        const settings = override.settings;
+        if (settings !== undefined && settings !== null && (typeof settings !== 'object' || Array.isArray(settings))) {
+            add('overrides', `The override of ${originalDate} has settings that are not an object`);
+        } else if (settings) {
+            // Its settings run laid over the series' ones, so check them together
+            const settingsErrors = this.validateSettings({ ...(schedule.settings || {}), ...settings }, scheduleType);
+            for (const messages of Object.values(settingsErrors)) {
+                messages.forEach(message => add('overrides', `${originalDate}: ${message}`));
+            }
+        }
+    }
+
+    /**
+     * Check one edge of an astronomical schedule: { reference, offset_minutes }
+     */
+    validateEdge(edge, field, add) {
+        if (!edge || typeof edge !== 'object' || Array.isArray(edge)) {
+            add(field, `Missing ${field} (expected { reference, offset_minutes })`);
+            return;
+        }
+        if (!this.rules.edge_references.includes(edge.reference)) {
+            add(field, `Invalid ${field} reference '${edge.reference}'`);
+        }
+        const limits = this.rules.edge_offset_minutes;
+        const offset = edge.offset_minutes;
+        if (!Number.isInteger(offset) || offset < limits.min || offset > limits.max) {
+            add(field, `${field} offset_minutes must be a whole number between ${limits.min} and ${limits.max}`);
+        }
+    }
+
+    /**
+     * Check a schedule's settings against the ranges for its schedule_type
+     */
+    validateSettings(settings, scheduleType) {
+        const errors = {};
+        const values = {};
+        const add = (field, message) => (errors[field] = errors[field] || []).push(message);
+
+        for (const [field, rule] of Object.entries(this.rules.settings[scheduleType] || {})) {
+            const value = settings[field];
+            if (ScheduleValidator.isBlank(value)) continue;
+
+            if (rule.options) {
+                if (!rule.options.includes(String(value))) {
+                    add(field, `Invalid ${rule.label.toLowerCase()} '${value}'`);
+                }
+                continue;
+            }
+            const number = ScheduleValidator.parseNumber(value);
+            if (number === null || number < rule.min || number > rule.max) {
+                add(field, `${rule.label} must be between ${rule.min}-${rule.max}${rule.unit}`);
+            } else {
+                values[field] = number;
+            }
+        }
+
+        // Auto mode heats and cools, so the setpoints need a deadband between them
+        const heat = values.heat_setpoint;
+        const cool = values.cool_setpoint;
+        if (settings.system_mode === 'Auto' && heat !== undefined && cool !== undefined) {
+            const deadband = this.rules.auto_mode_deadband;
+            if (heat >= cool) {
+                add('heat_setpoint', 'Heat setpoint must be less than cool setpoint when using Auto mode');
+            } else if (cool - heat < deadband) {
+                add('cool_setpoint', `Cool setpoint must be at least ${deadband}°F higher than heat setpoint`);
+            }
+        }
+
+        const low = values.humidity_low_setpoint;
+        const high = values.humidity_high_setpoint;
+        if (low !== undefined && high !== undefined && low >= high) {
+            add('humidity_low_setpoint', 'Humidity low setpoint must be less than high setpoint');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Flatten {field: [messages]} into a list of messages
+     */
+    static messages(errors) {
+        return Object.values(errors || {}).flat();
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScheduleValidator;
+} else {
+    window.ScheduleValidator = ScheduleValidator;
+}
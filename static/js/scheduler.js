@@ -7,18 +7,25 @@ class HVACScheduler {
     constructor() {
         this.currentView = 'calendar';
         this.schedules = [];
+        this.holds = [];
         this.currentEditingId = null;
         this.currentStatus = null;
         this.modalOpening = false;
         this.savingEvent = false;
         this.isInitialized = false;
+        this.pendingImport = null; // File being previewed in the import wizard
+        this.historyScheduleId = null; // Schedule the event modal's change history tab shows
         
         // Initialize centralized action handler
         this.actionHandler = new SimpleActionHandler(this);
         
-        // Calgary, AB coordinates for sunrise/sunset calculation
-        this.latitude = 51.0447;
-        this.longitude = -114.0719;
+        // Same schedule rules the server enforces
+        this.validator = new ScheduleValidator();
+        
+        // Sunrise/sunset and wall-clock time at the device - replaced once /api/device/config loads
+        this.deviceConfig = null;
+        this.solar = new SolarCalculator();
+        this.clock = new DeviceClock();
         
         this.init();
     }
@@ -32,7 +39,10 @@ class HVACScheduler {
         this.setupModal();
         
         // Load initial data
+        await this.loadDeviceConfig();
+        await this.loadHolidays();
         await this.loadSchedules();
+        await this.loadHolds();
         this.calculateCurrentStatus();
         
         // Initialize action handler
@@ -43,8 +53,8 @@ class HVACScheduler {
             this.calendarView = new CalendarView(this);
         }
         
-        // Auto-refresh current status every 30 seconds
-        setInterval(() => this.calculateCurrentStatus(), 30000);
+        // Auto-refresh current status every 30 seconds, resolved by the server on the device's clock
+        setInterval(() => this.refreshCurrentStatus(), 30000);
         
         console.log('HVAC Scheduler initialized');
     }
@@ -53,11 +63,43 @@ class HVACScheduler {
      * Setup global event listeners
      */
     setupEventListeners() {
-        // Export recipe button
-        document.getElementById('exportBtn').addEventListener('click', () => {
+        // Export menu: recipe JSON or iCalendar
+        document.getElementById('exportRecipeBtn').addEventListener('click', (e) => {
+            e.preventDefault();
             this.exportRecipe();
         });
         
+        document.getElementById('exportIcsBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.exportCalendar();
+        });
+        
+        // Undo/redo buttons
+        document.getElementById('undoBtn').addEventListener('click', () => {
+            this.undoLastAction();
+        });
+        
+        document.getElementById('redoBtn').addEventListener('click', () => {
+            this.redoLastAction();
+        });
+        
+        // Undo/redo keyboard shortcuts (Ctrl+Z / Ctrl+Shift+Z)
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+            
+            // Leave native text undo alone inside form fields and open modals
+            const target = e.target;
+            if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)) return;
+            if (document.querySelector('.modal.show')) return;
+            
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redoLastAction();
+            } else {
+                this.undoLastAction();
+            }
+        });
+        
         // Import button
         document.getElementById('importBtn').addEventListener('click', () => {
             document.getElementById('importFileInput').click();
@@ -71,6 +113,25 @@ class HVACScheduler {
             }
         });
         
+        // Version history
+        document.getElementById('historyBtn').addEventListener('click', () => {
+            this.showHistory();
+        });
+        document.getElementById('historyPreviewRestoreBtn').addEventListener('click', () => {
+            this.restoreRevision(this.calendarView.preview.revision);
+        });
+        document.getElementById('historyPreviewExitBtn').addEventListener('click', () => {
+            this.endRevisionPreview();
+        });
+        
+        // Import wizard - the preview follows the chosen mode
+        document.querySelectorAll('input[name="importMode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.renderImportPreview());
+        });
+        document.getElementById('confirmImportBtn').addEventListener('click', () => {
+            this.confirmImport();
+        });
+        
         // Add event button
         const addEventBtn = document.getElementById('addEventBtn');
         if (addEventBtn) {
@@ -105,6 +166,19 @@ class HVACScheduler {
             });
         }
         
+        // Temporary hold modal
+        const holdScheduleType = document.getElementById('holdScheduleType');
+        holdScheduleType.addEventListener('change', () => {
+            this.renderHoldSettings(holdScheduleType.value, {});
+        });
+        document.getElementById('startHoldBtn').addEventListener('click', () => {
+            this.startHold();
+        });
+        document.getElementById('holdEditScheduleBtn').addEventListener('click', () => {
+            bootstrap.Modal.getInstance(document.getElementById('holdModal')).hide();
+            this.editActiveSchedule();
+        });
+        
         // Clear all schedules button
         const clearAllBtn = document.getElementById('clearAllBtn');
         if (clearAllBtn) {
@@ -121,6 +195,77 @@ class HVACScheduler {
         });
     }
     
+    /**
+     * Undo the last schedule action
+     */
+    async undoLastAction() {
+        if (!this.actionHandler.canUndo()) return;
+        
+        try {
+            const entry = await this.actionHandler.undo();
+            if (entry) this.showSuccess(`Undid ${this.describeAction(entry.actionType)}`);
+        } catch (error) {
+            this.showError('Failed to undo: ' + (error.message || error));
+        }
+    }
+    
+    /**
+     * Redo the last undone schedule action
+     */
+    async redoLastAction() {
+        if (!this.actionHandler.canRedo()) return;
+        
+        try {
+            const entry = await this.actionHandler.redo();
+            if (entry) this.showSuccess(`Redid ${this.describeAction(entry.actionType)}`);
+        } catch (error) {
+            this.showError('Failed to redo: ' + (error.message || error));
+        }
+    }
+    
+    /**
+     * Human readable name for an action type
+     */
+    describeAction(actionType) {
+        const labels = {
+            'CREATE_EVENT': 'event creation',
+            'UPDATE_EVENT': 'event update',
+            'DELETE_EVENT': 'event deletion',
+            'DRAG_EVENT': 'event move',
+            'DRAG_SINGLE_FROM_SERIES': 'event move',
+            'DRAG_FOLLOWING_FROM_SERIES': 'following events move',
+            'DRAG_WHOLE_SERIES': 'series move',
+            'RESIZE_EVENT': 'event resize',
+            'RESIZE_SINGLE_FROM_SERIES': 'event resize',
+            'RESIZE_FOLLOWING_FROM_SERIES': 'following events resize',
+            'RESIZE_WHOLE_SERIES': 'series resize',
+            'REMOVE_EXCLUDED_DATE': 'excluded date removal',
+            'UPDATE_OCCURRENCE': 'occurrence change',
+            'RESET_OCCURRENCE': 'occurrence reset',
+            'DELETE_OCCURRENCE': 'occurrence deletion',
+            'SPLIT_SERIES': 'following events change',
+            'END_SERIES': 'following events deletion',
+            'IMPORT_SCHEDULES': 'import',
+            'CLEAR_ALL': 'clearing all schedules',
+            // Writes made straight through the API, without a browser action to name them
+            'CREATE_SCHEDULE': 'schedule creation',
+            'UPDATE_SCHEDULE': 'schedule update',
+            'DELETE_SCHEDULE': 'schedule deletion',
+            'SAVE_RECIPE': 'recipe save'
+        };
+        return labels[actionType] || 'last action';
+    }
+    
+    /**
+     * Enable/disable undo and redo buttons based on history
+     */
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        if (undoBtn) undoBtn.disabled = !this.actionHandler.canUndo();
+        if (redoBtn) redoBtn.disabled = !this.actionHandler.canRedo();
+    }
+    
     /**
      * Setup view - calendar only
      */
@@ -152,12 +297,15 @@ class HVACScheduler {
             const scheduleStartDateLabel = document.getElementById('scheduleStartDateLabel');
             const excludedDatesSection = document.getElementById('excludedDatesSection');
             
-            if (repeatSelect.value === 'custom') {
+            if (repeatSelect.value === 'custom' || repeatSelect.value === 'weekly') {
                 customDaysContainer.classList.remove('d-none');
             } else {
                 customDaysContainer.classList.add('d-none');
             }
             
+            // Weekly, monthly and yearly schedules also choose how many weeks/months/years apart they run
+            this.updateRepeatOptions(repeatSelect.value);
+            
             if (repeatSelect.value === 'never') {
                 // Hide schedule end date for one-time events
                 scheduleEndDateContainer.style.display = 'none';
@@ -196,6 +344,20 @@ class HVACScheduler {
             this.updateTimeLabels(timeSettingSelect.value);
         });
         
+        // Each edge picks a clock time or a sun event plus an offset
+        ['start', 'end'].forEach(edge => {
+            [`${edge}EdgeReference`, `${edge}OffsetMinutes`, `${edge}OffsetDirection`, `${edge}Time`].forEach(fieldId => {
+                document.getElementById(fieldId).addEventListener('change', () => {
+                    this.updateTimeLabels(timeSettingSelect.value);
+                });
+            });
+        });
+        
+        // The sunrise/sunset hint follows the start date
+        document.getElementById('scheduleStartDate').addEventListener('change', () => {
+            this.updateTimeLabels(timeSettingSelect.value);
+        });
+        
         // Handle schedule type changes to show/hide appropriate settings
         const scheduleTypeSelect = document.getElementById('scheduleType');
         scheduleTypeSelect.addEventListener('change', () => {
@@ -260,6 +422,12 @@ class HVACScheduler {
             }
         });
         
+        // Reset to series - drop this occurrence's override
+        document.getElementById('resetOccurrenceBtn').addEventListener('click', () => this.resetOccurrence());
+        
+        // Change history tab - loaded from the audit log each time it is opened
+        document.getElementById('eventHistoryTab').addEventListener('shown.bs.tab', () => this.loadChangeHistory());
+        
         // Reset form when modal is hidden
         modal.addEventListener('hidden.bs.modal', () => {
             this.resetEventForm();
@@ -267,27 +435,116 @@ class HVACScheduler {
     }
     
     /**
-     * Update time input labels based on time setting
+     * Show the interval and monthly fields that apply to the chosen repeat frequency
+     */
+    updateRepeatOptions(repeatFrequency) {
+        const units = { weekly: 'week(s)', monthly: 'month(s)', yearly: 'year(s)' };
+        const help = {
+            weekly: 'Counted from the week of the schedule start date',
+            monthly: 'Counted from the month of the schedule start date',
+            yearly: "Repeats on the schedule start date's month and day"
+        };
+        
+        document.getElementById('repeatIntervalContainer').classList.toggle('d-none', !units[repeatFrequency]);
+        document.getElementById('monthlyOptionsContainer').classList.toggle('d-none', repeatFrequency !== 'monthly');
+        // Any recurring schedule can skip holidays
+        document.getElementById('holidayCalendarsContainer').classList.toggle('d-none',
+            repeatFrequency === 'never' || HolidayCalendar.ids().length === 0);
+        if (units[repeatFrequency]) {
+            document.getElementById('repeatIntervalUnit').textContent = units[repeatFrequency];
+            document.getElementById('repeatIntervalHelp').textContent = help[repeatFrequency];
+        }
+    }
+    
+    /**
+     * Update the time inputs for the time setting: clock times, or per-edge sun events with offsets
      */
     updateTimeLabels(timeSetting) {
-        const startLabel = document.getElementById('startTimeLabel');
-        const endLabel = document.getElementById('endTimeLabel');
+        const astronomical = timeSetting === 'astronomical';
+        ['start', 'end'].forEach(edge => {
+            const reference = document.getElementById(`${edge}EdgeReference`);
+            const timeInput = document.getElementById(`${edge}Time`);
+            const clock = !astronomical || reference.value === 'time';
+            
+            reference.classList.toggle('d-none', !astronomical);
+            timeInput.classList.toggle('d-none', !clock);
+            timeInput.required = clock;
+            document.getElementById(`${edge}OffsetGroup`).classList.toggle('d-none', clock);
+            document.getElementById(`${edge}TimeLabel`).textContent = edge === 'start' ? 'Start Time *' : 'End Time *';
+        });
         
-        switch(timeSetting) {
-            case 'sunrise':
-                startLabel.textContent = 'Hours Before Sunrise *';
-                endLabel.textContent = 'Hours After Sunrise *';
-                break;
-            case 'sunset':
-                startLabel.textContent = 'Hours Before Sunset *';
-                endLabel.textContent = 'Hours After Sunset *';
-                break;
-            case 'time':
-            default:
-                startLabel.textContent = 'Start Time *';
-                endLabel.textContent = 'End Time *';
-                break;
+        const sunTimeHint = document.getElementById('sunTimeHint');
+        sunTimeHint.classList.toggle('d-none', !astronomical);
+        if (astronomical) {
+            sunTimeHint.textContent = this.describeSunTimes();
+        }
+    }
+    
+    /**
+     * Edge from the form's inputs: { reference, offset_minutes } (negative offsets are before)
+     */
+    readEdgeInputs(edge) {
+        const reference = document.getElementById(`${edge}EdgeReference`).value;
+        if (reference === 'time') {
+            return { reference, offset_minutes: 0 };
+        }
+        const minutes = Math.abs(parseInt(document.getElementById(`${edge}OffsetMinutes`).value, 10) || 0);
+        const before = document.getElementById(`${edge}OffsetDirection`).value === 'before';
+        return { reference, offset_minutes: before ? -minutes : minutes };
+    }
+    
+    /**
+     * Show an edge in the form's inputs
+     */
+    setEdgeInputs(edge, { reference, offset_minutes }) {
+        document.getElementById(`${edge}EdgeReference`).value = reference;
+        document.getElementById(`${edge}OffsetMinutes`).value = Math.abs(offset_minutes);
+        document.getElementById(`${edge}OffsetDirection`).value = offset_minutes < 0 ? 'before' : 'after';
+    }
+    
+    /**
+     * "Mar 9 (America/New_York): runs 6:29 PM - 11:00 PM. Civil dawn 6:49 AM, sunrise 7:16 AM, ..."
+     * for the form's start date, or today
+     */
+    describeSunTimes() {
+        const dateStr = document.getElementById('scheduleStartDate').value || this.clock.today();
+        const times = this.solar.sunTimes(dateStr);
+        const date = Recurrence.toLocalDate(dateStr).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        const format = instant => this.solar.formatLocalTime(instant);
+        
+        let sun;
+        if (times.polar === 'day') {
+            sun = 'The sun does not set at the device\'s location (polar day).';
+        } else if (times.polar === 'night') {
+            sun = 'The sun does not rise at the device\'s location (polar night).';
+        } else {
+            sun = `Civil dawn ${format(times.civilDawn)}, sunrise ${format(times.sunrise)}, ` +
+                  `sunset ${format(times.sunset)}, civil dusk ${format(times.civilDusk)}.`;
+        }
+        
+        const resolved = this.resolveEdgeTimes(dateStr);
+        const runs = resolved ? ` Runs ${format(resolved.start)} - ${format(resolved.end)}.` : '';
+        return `${date} (${this.solar.timezone}):${runs} ${sun}`;
+    }
+    
+    /**
+     * Start and end the form's edges give on a date, or null while a clock time is missing
+     */
+    resolveEdgeTimes(dateStr) {
+        const start = this.readEdgeInputs('start');
+        const end = this.readEdgeInputs('end');
+        const startTime = document.getElementById('startTime').value;
+        const endTime = document.getElementById('endTime').value;
+        if ((start.reference === 'time' && !startTime) || (end.reference === 'time' && !endTime)) {
+            return null;
         }
+        return ScheduleTimes.eventTimes({
+            time_setting: 'astronomical',
+            start_edge: start,
+            end_edge: end,
+            start_time: startTime || '00:00',
+            end_time: endTime || '00:00'
+        }, dateStr, this.solar, this.clock);
     }
     
     /**
@@ -459,49 +716,78 @@ class HVACScheduler {
     }
     
     /**
-     * Calculate sunrise time for a given date (Calgary, AB)
+     * Calculate sunrise time for a given date at the device's location
      */
     calculateSunrise(date) {
-        return this.calculateSunEvent(date, true);
+        return this.solar.sunrise(date);
     }
     
     /**
-     * Calculate sunset time for a given date (Calgary, AB)
+     * Calculate sunset time for a given date at the device's location
      */
     calculateSunset(date) {
-        return this.calculateSunEvent(date, false);
+        return this.solar.sunset(date);
     }
     
     /**
-     * Calculate sun event (sunrise/sunset) for Calgary, AB coordinates
+     * Load the device's location and timezone for sunrise/sunset times and the wall clock
      */
-    calculateSunEvent(date, isSunrise) {
-        const lat = this.latitude * Math.PI / 180;
-        const dayOfYear = Math.floor((date - new Date(date.getFullYear(), 0, 0)) / 86400000);
-        
-        // Solar declination
-        const declination = -23.45 * Math.cos(2 * Math.PI * (dayOfYear + 10) / 365) * Math.PI / 180;
-        
-        // Hour angle
-        const hourAngle = Math.acos(-Math.tan(lat) * Math.tan(declination));
-        
-        // Time correction for longitude (Mountain Time)
-        const timeCorrection = 4 * (this.longitude - (-105));
-        
-        // Calculate sunrise/sunset in minutes from midnight
-        const sunEventMinutes = isSunrise ? 
-            720 - 4 * hourAngle * 180 / Math.PI - timeCorrection :
-            720 + 4 * hourAngle * 180 / Math.PI - timeCorrection;
-        
-        // Convert to hours and minutes
-        const hours = Math.floor(sunEventMinutes / 60);
-        const minutes = Math.floor(sunEventMinutes % 60);
-        
-        // Create time object
-        const sunEventTime = new Date(date);
-        sunEventTime.setHours(hours, minutes, 0, 0);
-        
-        return sunEventTime;
+    async loadDeviceConfig() {
+        try {
+            const response = await fetch('/api/device/config');
+            if (!response.ok) {
+                throw new Error(`Failed to load device config: ${response.statusText}`);
+            }
+            this.deviceConfig = await response.json();
+            this.solar = SolarCalculator.fromDeviceConfig(this.deviceConfig);
+            this.clock = DeviceClock.fromDeviceConfig(this.deviceConfig);
+            ScheduleTimes.solar = this.solar;
+            ScheduleTimes.clock = this.clock;
+            console.log(`☀️ Sun times for ${this.solar.latitude}, ${this.solar.longitude} (${this.solar.timezone})`);
+            console.log(`🕒 Schedules run on the device clock: ${this.clock.timezone}`);
+        } catch (error) {
+            console.error('Error loading device config, using the default location:', error);
+        }
+    }
+    
+    /**
+     * Load the holiday calendars schedules can subscribe to
+     */
+    async loadHolidays() {
+        try {
+            const response = await fetch('/api/holidays');
+            if (!response.ok) {
+                throw new Error(`Failed to load holiday calendars: ${response.statusText}`);
+            }
+            HolidayCalendar.load(await response.json());
+        } catch (error) {
+            console.error('Error loading holiday calendars:', error);
+            HolidayCalendar.load(null);
+        }
+        this.renderHolidayCalendarOptions();
+    }
+    
+    /**
+     * One checkbox per holiday calendar in the event form
+     */
+    renderHolidayCalendarOptions() {
+        const list = document.getElementById('holidayCalendarsList');
+        list.innerHTML = '';
+        for (const id of HolidayCalendar.ids()) {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'form-check form-check-inline';
+            const checkbox = document.createElement('input');
+            checkbox.className = 'form-check-input';
+            checkbox.type = 'checkbox';
+            checkbox.id = `holiday-${id}`;
+            checkbox.value = id;
+            const label = document.createElement('label');
+            label.className = 'form-check-label';
+            label.htmlFor = checkbox.id;
+            label.textContent = HolidayCalendar.calendarName(id);
+            wrapper.append(checkbox, label);
+            list.appendChild(wrapper);
+        }
     }
     
     /**
@@ -533,6 +819,8 @@ class HVACScheduler {
                 delete cleanSchedule._isSingleFromSeries;
                 delete cleanSchedule._originalScheduleId;
                 delete cleanSchedule._eventDate;
+                delete cleanSchedule._splitFromId;
+                delete cleanSchedule._splitDate;
                 return cleanSchedule;
             });
             
@@ -573,10 +861,12 @@ class HVACScheduler {
                 id: "unoccupied-default",
                 event_name: "Unoccupied",
                 schedule_type: "thermostat",
-                repeat_frequency: "daily",
+                repeat_frequency: "custom",
                 time_setting: "all_day",
-                start_time: null,
-                end_time: null,
+                start_date: "2025-01-01",
+                end_date: "never",
+                start_time: "00:00",
+                end_time: "23:59",
                 settings: {
                     system_mode: "Heat",
                     heat_setpoint: "65",
@@ -585,7 +875,7 @@ class HVACScheduler {
                     humidity_setpoint: "45",
                     ventilation_rate: "0"
                 },
-                days_of_week: [],
+                days_of_week: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
                 is_default: true,
                 exclude_dates: []
             };
@@ -605,7 +895,11 @@ class HVACScheduler {
             this.currentStatus = {
                 current_time: now.toISOString(),
                 active_schedule: activeSchedule,
-                status: activeSchedule ? (activeSchedule.is_default ? 'unoccupied' : 'occupied') : 'unoccupied',
+                status: !activeSchedule || activeSchedule.is_default ? 'unoccupied' : activeSchedule.is_hold ? 'hold' : 'occupied',
+                channels: ControlChannels.ids().map(channel => ({
+                    channel,
+                    active_schedule: this.findActiveScheduleForTime(now, channel)
+                })),
                 next_event: nextEvent
             };
             
@@ -618,74 +912,110 @@ class HVACScheduler {
     }
 
     /**
-     * Find the active schedule for a given time - frontend logic
+     * Load the current status from /api/status, the same answer wall displays and monitoring get;
+     * falls back to calculateCurrentStatus when the server can't be reached
+     */
+    async refreshCurrentStatus() {
+        try {
+            const response = await fetch('/api/status');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const status = await response.json();
+            this.holds = status.holds || [];
+            const findSchedule = id => [...this.schedules, ...this.holds].find(s => String(s.id) === String(id));
+            // A moved or edited occurrence of a series is in effect as its override's instance
+            const findActive = (entry, settings) => {
+                const schedule = findSchedule(entry.id);
+                return schedule ? Recurrence.instance(schedule, entry.override_of) : { ...entry, settings };
+            };
+            const active = status.active_schedule && findActive(status.active_schedule, status.settings);
+            const next = status.next_event;
+            
+            this.currentStatus = {
+                current_time: status.current_time,
+                active_schedule: active || null,
+                status: status.status,
+                channels: (status.channels || []).map(entry => ({
+                    channel: entry.channel,
+                    active_schedule: entry.active_schedule && findActive(entry.active_schedule, entry.settings)
+                })),
+                next_event: next ? {
+                    ...(findSchedule(next.schedule_id) || {}),
+                    event_name: next.event_name,
+                    settings: next.settings,
+                    start_time: new Date(next.start),
+                    end_time: new Date(next.end)
+                } : null
+            };
+            
+            this.updateCurrentStatusDisplay();
+            return this.currentStatus;
+        } catch (error) {
+            console.warn('⚠️ Server status unavailable, calculating locally:', error);
+            return this.calculateCurrentStatus();
+        }
+    }
+
+    /**
+     * Find what is in effect at a given time - a running hold, else the schedule
+     */
+    findActiveScheduleForTime(targetTime, channel = null) {
+        return this.findHoldForTime(targetTime, channel) || this.findScheduledForTime(targetTime, channel);
+    }
+    
+    /**
+     * The hold running at a given time (on a control channel when given), or null
+     */
+    findHoldForTime(targetTime, channel = null) {
+        return this.holds.find(hold => new Date(hold.start) <= targetTime && targetTime < new Date(hold.end) &&
+            (!channel || ControlChannels.of(hold).includes(channel))) || null;
+    }
+    
+    /**
+     * Find the active schedule for a given time, holds aside - frontend logic
+     * With a control channel, only schedules driving it count, and the default covers the channel's
+     * gaps only when it drives that channel too (null otherwise)
      */
-    findActiveScheduleForTime(targetTime) {
+    findScheduledForTime(targetTime, channel = null) {
         if (!this.schedules || this.schedules.length === 0) return null;
+        const schedules = channel ?
+            this.schedules.filter(schedule => ControlChannels.of(schedule).includes(channel)) : this.schedules;
         
-        // Find all schedules that are active at the target time
-        const activeSchedules = this.schedules.filter(schedule => {
-            return this.isScheduleActiveAtTime(schedule, targetTime);
-        });
+        // Find the occurrences running at the target time
+        const activeSchedules = schedules
+            .map(schedule => this.instanceActiveAtTime(schedule, targetTime))
+            .filter(Boolean);
         
         // If no schedules found, return unoccupied default
         if (activeSchedules.length === 0) {
-            return this.schedules.find(s => s.is_default) || null;
+            return schedules.find(s => s.is_default) || null;
         }
         
-        // Prioritize non-default schedules over default
+        // Prioritize non-default schedules over default: the highest priority layer wins, then recipe order
         const nonDefaultSchedules = activeSchedules.filter(s => !s.is_default);
         if (nonDefaultSchedules.length > 0) {
-            return nonDefaultSchedules[0]; // Return first non-default
+            return PriorityLayers.winner(nonDefaultSchedules);
         }
         
         return activeSchedules[0];
     }
 
     /**
-     * Check if a schedule is active at a specific time
+     * The occurrence of a schedule running at a specific time - the schedule itself, or its override's
+     * instance for a moved or edited occurrence (see Recurrence.instances) - or null
      */
-    isScheduleActiveAtTime(schedule, targetTime) {
-        if (!schedule.start_time) return false;
-        
-        const targetDate = new Date(targetTime);
-        const targetDateStr = targetDate.toISOString().split('T')[0];
-        const dayName = targetDate.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-        
-        // First check if target date is within schedule date range
-        if (schedule.start_date && schedule.end_date) {
-            const scheduleStartDate = schedule.start_date;
-            const scheduleEndDate = schedule.end_date === 'never' ? '9999-12-31' : schedule.end_date;
-            
-            if (targetDateStr < scheduleStartDate || targetDateStr > scheduleEndDate) {
-                return false;
-            }
-        }
-        
-        // For one-time events (repeat_frequency === 'never')
-        if (schedule.repeat_frequency === 'never') {
-            // Check if this is the exact date
-            if (targetDateStr === schedule.start_date) {
-                const eventTimes = this.calculateEventTimes(schedule, targetDate);
-                if (!eventTimes) return false;
-                return targetTime >= eventTimes.start && targetTime < eventTimes.end;
-            }
-            return false;
-        }
-        
-        // For recurring events
-        if (schedule.repeat_frequency === 'daily' || 
-            (schedule.days_of_week && schedule.days_of_week.includes(dayName))) {
-            
-            // Calculate event times for this date
-            const eventTimes = this.calculateEventTimes(schedule, targetDate);
-            if (!eventTimes) return false;
-            
-            // Check if target time falls within the event
-            return targetTime >= eventTimes.start && targetTime < eventTimes.end;
-        }
+    instanceActiveAtTime(schedule, targetTime) {
+        if (!schedule.start_time) return null;
         
-        return false;
+        // The occurrence on the device's calendar day, or an overnight one from the day before still running
+        const targetDate = this.clock.dateString(targetTime);
+        const dayBefore = Recurrence.dateString(Recurrence.dayNumber(targetDate) - 1);
+        const running = Recurrence.instances(schedule, dayBefore, targetDate).find(({ date, schedule: instance }) => {
+            const eventTimes = this.calculateEventTimes(instance, date);
+            return eventTimes && targetTime >= eventTimes.start && targetTime < eventTimes.end;
+        });
+        return running ? running.schedule : null;
     }
     
     /**
@@ -694,75 +1024,33 @@ class HVACScheduler {
     findNextScheduledEvent() {
         const now = new Date();
         const maxDaysToCheck = 7; // Check up to 7 days ahead
-        const endDate = new Date(now.getTime() + maxDaysToCheck * 24 * 60 * 60 * 1000);
+        const today = Recurrence.dayNumber(this.clock.today());
         
         let nextEvent = null;
         let nextEventTime = null;
         
-        // Check each day starting from today
-        const checkDate = new Date(now);
-        while (checkDate <= endDate) {
-            // Check all non-default schedules
-            for (const schedule of this.schedules.filter(s => !s.is_default)) {
-                // Check if this schedule occurs on this day
-                if (this.isScheduleValidForDate(schedule, checkDate)) {
-                    const eventTimes = this.calculateEventTimes(schedule, checkDate);
-                    if (eventTimes && eventTimes.start > now) {
-                        // This event is in the future
-                        if (!nextEventTime || eventTimes.start < nextEventTime) {
-                            nextEvent = {
-                                ...schedule,
-                                start_time: eventTimes.start,
-                                end_time: eventTimes.end
-                            };
-                            nextEventTime = eventTimes.start;
-                        }
+        // Check all non-default schedules' occurrences on the device's calendar days starting from today
+        const checkUntil = Recurrence.dateString(today + maxDaysToCheck);
+        for (const schedule of this.schedules.filter(s => !s.is_default)) {
+            for (const { date, schedule: instance } of Recurrence.instances(schedule, this.clock.today(), checkUntil)) {
+                const eventTimes = this.calculateEventTimes(instance, date);
+                if (eventTimes && eventTimes.start > now && eventTimes.end > eventTimes.start) {
+                    // This event is in the future
+                    if (!nextEventTime || eventTimes.start < nextEventTime) {
+                        nextEvent = {
+                            ...instance,
+                            start_time: eventTimes.start,
+                            end_time: eventTimes.end
+                        };
+                        nextEventTime = eventTimes.start;
                     }
                 }
             }
-            
-            // Move to next day
-            checkDate.setDate(checkDate.getDate() + 1);
-            checkDate.setHours(0, 0, 0, 0);
         }
         
         return nextEvent;
     }
     
-    /**
-     * Check if a schedule is valid for a specific date
-     */
-    isScheduleValidForDate(schedule, date) {
-        const dateStr = date.toISOString().split('T')[0];
-        const dayName = date.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-        
-        // Check date range
-        if (schedule.start_date && schedule.end_date) {
-            const scheduleStartDate = schedule.start_date;
-            const scheduleEndDate = schedule.end_date === 'never' ? '9999-12-31' : schedule.end_date;
-            
-            if (dateStr < scheduleStartDate || dateStr > scheduleEndDate) {
-                return false;
-            }
-        }
-        
-        // Check excluded dates
-        if (schedule.exclude_dates && schedule.exclude_dates.includes(dateStr)) {
-            return false;
-        }
-        
-        // Check repeat pattern
-        if (schedule.repeat_frequency === 'never') {
-            return dateStr === schedule.start_date;
-        } else if (schedule.repeat_frequency === 'custom' && schedule.days_of_week) {
-            return schedule.days_of_week.includes(dayName);
-        } else if (schedule.repeat_frequency === 'daily') {
-            return true;
-        }
-        
-        return false;
-    }
-    
     /**
      * Update current status display in the UI
      */
@@ -793,7 +1081,7 @@ class HVACScheduler {
             currentStatusContent.innerHTML = `
                 <div class="d-flex align-items-center mb-2">
                     <i class="${statusIcon} ${statusClass} me-2"></i>
-                    <strong>${current.event_name || 'Unknown'}</strong>
+                    <strong>${this.escapeHtml(current.event_name || 'Unknown')}</strong>
                 </div>
                 <div class="small text-muted">
                     ${current.schedule_type || 'thermostat'}
@@ -810,6 +1098,40 @@ class HVACScheduler {
             calendarCurrentName.className = current.is_default ? 'text-warning' : 'text-success';
         }
         
+        // What each control channel is running - a lighting event doesn't make the thermostat occupied
+        const calendarChannelStatus = document.getElementById('calendarChannelStatus');
+        if (calendarChannelStatus) {
+            calendarChannelStatus.innerHTML = (this.currentStatus.channels || []).map(({ channel, active_schedule }) => {
+                const name = active_schedule ? active_schedule.event_name : 'Nothing scheduled';
+                const nameClass = !active_schedule ? 'text-muted' : active_schedule.is_default ? 'text-warning' : 'text-success';
+                return `
+                    <span class="me-3" title="${ControlChannels.label(channel)}">
+                        <i class="${ControlChannels.icon(channel)} me-1"></i><span class="${nameClass}">${this.escapeHtml(name)}</span>
+                    </span>
+                `;
+            }).join('');
+        }
+        
+        // Running holds, each with a cancel button
+        const calendarHoldStatus = document.getElementById('calendarHoldStatus');
+        if (calendarHoldStatus) {
+            calendarHoldStatus.innerHTML = '';
+            for (const hold of this.holds.filter(hold => new Date(hold.end) > new Date())) {
+                const badge = document.createElement('span');
+                badge.className = 'badge bg-danger d-flex align-items-center me-2';
+                badge.innerHTML = '<i class="fas fa-hand-paper me-1"></i>';
+                badge.append(`${hold.event_name} until ${this.describeHoldEnd(new Date(hold.end))}`);
+                const cancel = document.createElement('button');
+                cancel.type = 'button';
+                cancel.className = 'btn-close btn-close-white ms-2';
+                cancel.style.fontSize = '0.6rem';
+                cancel.title = 'Cancel hold';
+                cancel.addEventListener('click', () => this.cancelHold(hold.id));
+                badge.appendChild(cancel);
+                calendarHoldStatus.appendChild(badge);
+            }
+        }
+        
         // Next event
         const next = this.currentStatus.next_event;
         if (next) {
@@ -818,10 +1140,10 @@ class HVACScheduler {
                 nextEventContent.innerHTML = `
                     <div class="d-flex align-items-center mb-2">
                         <i class="fas fa-clock text-info me-2"></i>
-                        <strong>${next.event_name}</strong>
+                        <strong>${this.escapeHtml(next.event_name)}</strong>
                     </div>
                     <div class="small text-muted">
-                        ${nextTime.toLocaleString()}
+                        ${this.clock.format(nextTime, { dateStyle: 'medium', timeStyle: 'short' })} ${this.clock.zoneName(nextTime)}
                     </div>
                     <div class="mt-2">
                         ${this.formatSettings(next.settings)}
@@ -921,10 +1243,17 @@ class HVACScheduler {
             const modalTitleIcon = document.querySelector('#eventModalLabel i');
             const modalTitleText = document.getElementById('modalTitleText');
             const deleteBtn = document.getElementById('deleteEventBtn');
+            const resetOccurrenceBtn = document.getElementById('resetOccurrenceBtn');
             
             // Clear any pending excluded date removals when opening modal
             this.pendingExcludedDateRemovals = new Set();
             
+            // Saved schedules have a change history - an occurrence or a split shows its series'
+            const historyId = scheduleData && (scheduleData._originalScheduleId || scheduleData._splitFromId || scheduleData.id);
+            this.historyScheduleId = historyId && this.schedules.some(s => s.id === historyId) ? historyId : null;
+            document.getElementById('eventHistoryTab').closest('.nav-item').style.display = this.historyScheduleId ? 'block' : 'none';
+            bootstrap.Tab.getOrCreateInstance(document.getElementById('eventDetailsTab')).show();
+            
             if (scheduleData) {
                 // Editing existing event
                 if (scheduleData.is_default) {
@@ -936,6 +1265,10 @@ class HVACScheduler {
                     modalTitleText.textContent = 'Edit Current Setting';
                     deleteBtn.style.display = 'block';
                 }
+                // A moved or edited occurrence of a series can be merged back into it
+                resetOccurrenceBtn.style.display = scheduleData._isSingleFromSeries &&
+                    this.schedules.some(s => s.id === scheduleData._originalScheduleId &&
+                        Recurrence.overridesOf(s)[scheduleData._eventDate]) ? 'block' : 'none';
                 this.currentEditingId = scheduleData.id;
                 this.currentEventDate = eventDate;
                 console.log('🔵 MODAL: Setting currentEditingId to:', this.currentEditingId);
@@ -945,6 +1278,7 @@ class HVACScheduler {
                 modalTitleIcon.className = 'fas fa-plus-circle me-2';
                 modalTitleText.textContent = 'Add Schedule Event';
                 deleteBtn.style.display = 'none';
+                resetOccurrenceBtn.style.display = 'none';
                 this.currentEditingId = null;
                 this.currentEventDate = null;
                 this.resetEventForm();
@@ -965,7 +1299,7 @@ class HVACScheduler {
                 // Additional cleanup for unoccupied schedule
                 if (scheduleData && scheduleData.is_default) {
                     // Re-enable all fields that were disabled
-                    const fields = ['eventName', 'repeatFrequency', 'startTime', 'endTime', 'neverEnding', 'timeSetting', 'scheduleStartDate', 'scheduleEndDate'];
+                    const fields = ['eventName', 'scheduleType', 'scheduleLayer', 'repeatFrequency', 'startTime', 'endTime', 'neverEnding', 'timeSetting', 'scheduleStartDate', 'scheduleEndDate'];
                     fields.forEach(fieldId => {
                         const field = document.getElementById(fieldId);
                         if (field) field.disabled = false;
@@ -1015,20 +1349,176 @@ class HVACScheduler {
     }
     
     /**
-     * Edit the currently active setting based on current time
+     * Edit Current Setting: put a temporary hold on top of the schedule, starting from what runs now
      */
     editCurrentActiveSetting() {
-        if (!this.currentStatus || !this.currentStatus.active_schedule) {
+        const active = this.currentStatus && this.currentStatus.active_schedule;
+        const scheduleType = (active && active.schedule_type) || 'thermostat';
+        document.getElementById('holdScheduleType').value = scheduleType;
+        this.renderHoldSettings(scheduleType, (active && active.settings) || {});
+        
+        // Default to holding until the top of the hour after next
+        const until = new Date(Date.now() + 2 * 60 * 60 * 1000);
+        document.getElementById('holdUntilTime').value = `${this.clock.wallClock(until).time.slice(0, 2)}:00`;
+        document.getElementById('holdEndTime').checked = true;
+        
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('holdModal')).show();
+    }
+    
+    /**
+     * One input per setting of a schedule type, from the shared rules (options or a number range)
+     */
+    renderHoldSettings(scheduleType, settings) {
+        const container = document.getElementById('holdSettings');
+        container.innerHTML = '';
+        for (const [field, rule] of Object.entries(this.validator.rules.settings[scheduleType] || {})) {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'col-6 mb-3';
+            const label = document.createElement('label');
+            label.className = 'form-label';
+            label.htmlFor = `hold-${field}`;
+            label.textContent = rule.unit ? `${rule.label} (${rule.unit})` : rule.label;
+            
+            let input;
+            if (rule.options) {
+                input = document.createElement('select');
+                input.className = 'form-select';
+                for (const option of rule.options) {
+                    input.add(new Option(option, option));
+                }
+            } else {
+                input = document.createElement('input');
+                input.type = 'number';
+                input.className = 'form-control';
+                input.min = rule.min;
+                input.max = rule.max;
+            }
+            input.id = `hold-${field}`;
+            input.dataset.field = field;
+            if (settings[field] !== undefined && settings[field] !== null) {
+                input.value = String(settings[field]);
+            }
+            wrapper.append(label, input);
+            container.appendChild(wrapper);
+        }
+    }
+    
+    /**
+     * Send the hold modal to POST /api/holds and show the result
+     */
+    async startHold() {
+        const scheduleType = document.getElementById('holdScheduleType').value;
+        const settings = {};
+        document.querySelectorAll('#holdSettings [data-field]').forEach(input => {
+            if (input.value !== '') settings[input.dataset.field] = input.value;
+        });
+        
+        const payload = { schedule_type: scheduleType, settings };
+        const endMode = document.querySelector('input[name="holdEnd"]:checked').value;
+        if (endMode === 'time') {
+            payload.until = document.getElementById('holdUntilTime').value;
+        } else if (endMode === 'hours') {
+            payload.minutes = Math.round(Number(document.getElementById('holdHours').value) * 60);
+        } else {
+            payload.until = 'next_transition';
+        }
+        
+        // Same setpoint checks as the event form before bothering the server
+        const errors = this.validator.validateSettings(settings, scheduleType);
+        if (Object.keys(errors).length > 0) {
+            this.showError(ScheduleValidator.messages(errors).join('; '));
+            return;
+        }
+        
+        try {
+            const response = await fetch('/api/holds', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.errors ? ScheduleValidator.messages(data.errors).join('; ') : data.error || `HTTP ${response.status}`);
+            }
+            bootstrap.Modal.getInstance(document.getElementById('holdModal')).hide();
+            const end = new Date(data.end);
+            this.showSuccess(`Holding until ${this.describeHoldEnd(end)} ${this.clock.zoneName(end)}`);
+            await this.refreshHolds();
+        } catch (error) {
+            console.error('❌ Failed to start hold:', error);
+            this.showError('Failed to start hold: ' + error.message);
+        }
+    }
+    
+    /**
+     * Cancel a hold; the schedule takes over again right away
+     */
+    async cancelHold(holdId) {
+        try {
+            const response = await fetch(`/api/holds/${encodeURIComponent(holdId)}`, { method: 'DELETE' });
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.showSuccess('Hold cancelled');
+            await this.refreshHolds();
+        } catch (error) {
+            console.error('❌ Failed to cancel hold:', error);
+            this.showError('Failed to cancel hold: ' + error.message);
+        }
+    }
+    
+    /**
+     * When a hold ends: the time today, or the weekday and time on a later day
+     */
+    describeHoldEnd(end) {
+        const time = this.clock.format(end, { hour: 'numeric', minute: '2-digit' });
+        return this.clock.dateString(end) === this.clock.today() ? time : `${this.clock.format(end, { weekday: 'short' })} ${time}`;
+    }
+    
+    /**
+     * Reload the holds and redraw what depends on them
+     */
+    async refreshHolds() {
+        await this.loadHolds();
+        if (this.calendarView) this.calendarView.refresh();
+        await this.refreshCurrentStatus();
+    }
+    
+    /**
+     * Load the holds that haven't expired yet
+     */
+    async loadHolds() {
+        try {
+            const response = await fetch('/api/holds');
+            if (!response.ok) {
+                throw new Error(`Failed to load holds: ${response.statusText}`);
+            }
+            this.holds = (await response.json()).holds || [];
+        } catch (error) {
+            console.error('Error loading holds:', error);
+            this.holds = [];
+        }
+    }
+    
+    /**
+     * Edit the schedule in effect now (under any hold) based on current time
+     */
+    editActiveSchedule() {
+        const activeSchedule = this.findScheduledForTime(new Date());
+        if (!activeSchedule) {
             this.showError('No active schedule found');
             return;
         }
         
-        const activeSchedule = this.currentStatus.active_schedule;
         console.log('Editing currently active schedule:', activeSchedule.event_name);
         
         // Default unoccupied schedule should always open directly
         if (activeSchedule.is_default) {
             this.openEventModal(null, activeSchedule);
+        } else if (activeSchedule.override_of) {
+            // A moved or edited occurrence belongs to its series, under its original date
+            const series = this.schedules.find(s => s.id === activeSchedule.id);
+            this.showEditScopeModal(series, this.clock.instant(activeSchedule.override_of, '12:00'));
         } else if (activeSchedule.repeat_frequency && activeSchedule.repeat_frequency !== 'never') {
             // For recurring events, show edit scope modal
             const currentDate = new Date();
@@ -1051,27 +1541,33 @@ class HVACScheduler {
     
     /**
      * Handle "This Event Only" choice for edit operations - Used by edit scope modal
+     * The occurrence opens as a one-time event; saving it stores an override under the series
      */
     async handleSingleEventEditChoice(scheduleData, eventDate) {
-        const excludeDate = eventDate.toISOString().split('T')[0];
+        const originalDate = this.clock.dateString(eventDate);
+        const override = Recurrence.overridesOf(scheduleData)[originalDate];
+        const date = override ? override.date : originalDate;
         
-        // Create new single event and open for editing
+        // The occurrence as it runs now, opened for editing
         const newSchedule = {
-            ...scheduleData,
+            ...Recurrence.instance(scheduleData, originalDate),
             id: Date.now().toString(),
             repeat_frequency: 'never',
+            start_date: date,
+            end_date: date,
             exclude_dates: [],
+            holiday_calendars: [],
             days_of_week: [],
             // Mark this as a single event from series
             _isSingleFromSeries: true,
             _originalScheduleId: scheduleData.id,
-            _eventDate: excludeDate
+            _eventDate: originalDate
         };
         
         // Add to pending edits and open modal
         this.pendingSingleEventEdit = {
             originalSchedule: scheduleData,
-            excludeDate: excludeDate,
+            originalDate: originalDate,
             newSchedule: newSchedule
         };
         
@@ -1079,72 +1575,40 @@ class HVACScheduler {
     }
 
     /**
-     * Delete a single event from a recurring series by adding it to exclude_dates
+     * Handle "This and Following Events" choice for edit operations - the series opens from this
+     * occurrence on; saving it splits the series there
      */
-    async deleteSingleEvent(scheduleData, eventDate) {
-        if (!confirm('Are you sure you want to delete this single event?')) {
-            return;
-        }
+    handleFollowingEventsEditChoice(scheduleData, splitDate) {
+        const following = date => Recurrence.dayNumber(date) >= Recurrence.dayNumber(splitDate);
+        const draft = {
+            ...scheduleData,
+            id: Date.now().toString(),
+            start_date: splitDate,
+            exclude_dates: (scheduleData.exclude_dates || []).filter(following),
+            _splitFromId: scheduleData.id,
+            _splitDate: splitDate
+        };
+        
+        this.openEventModal(null, draft, this.clock.instant(splitDate, '12:00'));
+    }
+
+    /**
+     * Merge the occurrence open in the event form back into its series
+     */
+    async resetOccurrence() {
+        const occurrence = this.currentScheduleData;
+        if (!occurrence || !occurrence._isSingleFromSeries) return;
         
         try {
-            // Add the event date to exclude_dates
-            const excludeDateStr = eventDate.toISOString().split('T')[0];
-            const updatedSchedule = { ...scheduleData };
-            
-            if (!updatedSchedule.exclude_dates) {
-                updatedSchedule.exclude_dates = [];
-            }
-            
-            // Add to exclude dates if not already there
-            if (!updatedSchedule.exclude_dates.includes(excludeDateStr)) {
-                updatedSchedule.exclude_dates.push(excludeDateStr);
-            }
-            
-            // Update the schedule in the schedules array
-            const scheduleIndex = this.schedules.findIndex(s => s.id === scheduleData.id);
-            if (scheduleIndex !== -1) {
-                this.schedules[scheduleIndex] = updatedSchedule;
-            }
-            
-            // Save to backend
-            const dataToSave = {
-                schedules: this.schedules,
-                metadata: {
-                    version: "1.0",
-                    created_at: this.schedulesData?.metadata?.created_at || new Date().toISOString(),
-                    updated_at: new Date().toISOString()
-                }
-            };
-            
-            const response = await fetch('/api/schedules', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(dataToSave)
+            await this.actionHandler.handleUserAction('RESET_OCCURRENCE', {
+                scheduleId: occurrence._originalScheduleId,
+                originalDate: occurrence._eventDate
             });
-            
-            if (!response.ok) {
-                throw new Error('Failed to delete single event');
-            }
-            
-            // Close modal and refresh
             bootstrap.Modal.getInstance(document.getElementById('eventModal')).hide();
-            await this.loadSchedules();
-            this.calculateCurrentStatus();
-            
-            // Refresh views
-            if (this.currentView === 'calendar' && this.calendarView) {
-                this.calendarView.refresh();
-            } else if (this.currentView === 'list' && this.listView) {
-                this.listView.refresh();
-            }
-            
-            this.showSuccess('Single event deleted successfully');
-            
+            this.showSuccess('Occurrence reset to the series');
         } catch (error) {
-            console.error('Error deleting single event:', error);
-            this.showError('Failed to delete single event');
+            console.error('Error resetting occurrence:', error);
+            this.showError(error.message || 'Failed to reset occurrence');
         }
     }
 
@@ -1163,8 +1627,10 @@ class HVACScheduler {
         const modalTitle = document.querySelector('#editScopeModal .modal-title');
         const modalText = document.querySelector('#editScopeModal .modal-body p');
         const singleBtn = document.getElementById('editSingleEventBtn');
+        const followingBtn = document.getElementById('editFollowingEventsBtn');
         const allBtn = document.getElementById('editAllEventsBtn');
         
+        if (followingBtn) followingBtn.textContent = 'This and Following Events';
         if (action === 'drag') {
             if (modalTitle) modalTitle.textContent = 'Move Event';
             if (modalText) modalText.innerHTML = 'This is a recurring event. Do you want to move:';
@@ -1191,7 +1657,7 @@ class HVACScheduler {
         modal.show();
         
         // Set up button handlers with clean architecture
-        singleBtn.onclick = () => {
+        singleBtn.onclick = async () => {
             modal.hide();
             if (action === 'drag') {
                 console.log('🔘 Modal: DRAG_SINGLE_FROM_SERIES button clicked');
@@ -1202,22 +1668,47 @@ class HVACScheduler {
                 console.log('🔘 Modal: Current pendingPayload:', this.actionHandler.pendingPayload);
                 this.actionHandler.handleUserAction('RESIZE_SINGLE_FROM_SERIES', {});
             } else if (action === 'delete') {
-                // Delete just this occurrence - add to exclude_dates
-                const dateStr = eventDate ? eventDate.toISOString().split('T')[0] : new Date().toISOString().split('T')[0];
-                const updatedSchedule = { ...scheduleData };
-                updatedSchedule.exclude_dates = updatedSchedule.exclude_dates || [];
-                if (!updatedSchedule.exclude_dates.includes(dateStr)) {
-                    updatedSchedule.exclude_dates.push(dateStr);
+                // Delete just this occurrence - exclude its date and drop any override of it
+                try {
+                    await this.actionHandler.handleUserAction('DELETE_OCCURRENCE', {
+                        scheduleId: scheduleData.id,
+                        originalDate: eventDate ? this.clock.dateString(eventDate) : this.clock.today()
+                    });
+                } catch (error) {
+                    console.error('❌ Delete occurrence failed:', error);
+                    this.showError('Failed to delete event: ' + error.message);
                 }
-                this.actionHandler.handleUserAction('UPDATE_EVENT', {
-                    scheduleId: scheduleData.id,
-                    updates: updatedSchedule
-                });
             } else {
                 this.handleSingleEventEditChoice(scheduleData, eventDate);
             }
         };
         
+        followingBtn.onclick = async () => {
+            modal.hide();
+            const splitDate = eventDate ? this.clock.dateString(eventDate) : this.clock.today();
+            if (action !== 'drag' && action !== 'resize' && action !== 'delete') {
+                this.handleFollowingEventsEditChoice(scheduleData, splitDate);
+                return;
+            }
+            try {
+                if (action === 'drag') {
+                    await this.actionHandler.handleUserAction('DRAG_FOLLOWING_FROM_SERIES', {});
+                } else if (action === 'resize') {
+                    await this.actionHandler.handleUserAction('RESIZE_FOLLOWING_FROM_SERIES', {});
+                } else {
+                    // End the series the day before this occurrence
+                    await this.actionHandler.handleUserAction('END_SERIES', { scheduleId: scheduleData.id, splitDate });
+                }
+            } catch (error) {
+                console.error('❌ Following events action failed:', error);
+                this.showError(error.message);
+                // Put a dragged or resized event back where it was
+                if (action !== 'delete' && this.calendarView.lastRevertFunction) {
+                    this.calendarView.lastRevertFunction();
+                }
+            }
+        };
+        
         allBtn.onclick = () => {
             modal.hide();
             if (action === 'drag') {
@@ -1259,6 +1750,7 @@ class HVACScheduler {
         
         document.getElementById('eventName').value = scheduleData.event_name || '';
         document.getElementById('scheduleType').value = scheduleData.schedule_type || 'thermostat';
+        document.getElementById('scheduleLayer').value = PriorityLayers.layerOf(scheduleData);
         
         // Update settings display based on schedule type
         this.updateSettingsDisplay(scheduleData.schedule_type || 'thermostat');
@@ -1267,7 +1759,12 @@ class HVACScheduler {
         
         // Trigger change event to handle visibility of schedule end date and label updates
         document.getElementById('repeatFrequency').dispatchEvent(new Event('change'));
-        document.getElementById('timeSetting').value = scheduleData.time_setting || 'time';
+        // Older sunrise/sunset schedules open as the equivalent sun-relative edges
+        const edges = ScheduleTimes.edges(scheduleData);
+        const sunRelative = ScheduleTimes.isVariable(scheduleData);
+        document.getElementById('timeSetting').value = sunRelative ? 'astronomical' : (scheduleData.time_setting || 'time');
+        this.setEdgeInputs('start', edges.start);
+        this.setEdgeInputs('end', edges.end);
         
         // Show excluded dates for recurring schedules
         this.populateExcludedDates(scheduleData);
@@ -1326,10 +1823,22 @@ class HVACScheduler {
             document.querySelector('label[for="scheduleEndDate"]').closest('.col-md-6').style.display = 'block';
         }
         
+        // One occurrence of a series keeps the series' name, type, priority and repeat pattern
+        if (scheduleData._isSingleFromSeries) {
+            ['eventName', 'scheduleType', 'scheduleLayer', 'repeatFrequency'].forEach(id => {
+                document.getElementById(id).disabled = true;
+            });
+        }
+        
+        // The following events start where the series is split
+        if (scheduleData._splitFromId) {
+            document.getElementById('scheduleStartDate').disabled = true;
+        }
+        
         // Set dates and times using 4-value structure
         if (!scheduleData.is_default) {
             // Set dates from 4-value structure
-            document.getElementById('scheduleStartDate').value = scheduleData.start_date || new Date().toISOString().split('T')[0];
+            document.getElementById('scheduleStartDate').value = scheduleData.start_date || this.clock.today();
             document.getElementById('startTime').value = scheduleData.start_time || '08:00';
             document.getElementById('endTime').value = scheduleData.end_time || '18:00';
             
@@ -1365,6 +1874,40 @@ class HVACScheduler {
             });
         }
         
+        // Monthly schedules - by date or by position (the Nth/last weekday)
+        if (scheduleData.repeat_frequency === 'monthly') {
+            const byPosition = !(scheduleData.days_of_month && scheduleData.days_of_month.length > 0) && scheduleData.week_of_month;
+            document.getElementById(byPosition ? 'monthlyByPosition' : 'monthlyByDate').checked = true;
+            document.getElementById('monthDays').value = byPosition ? '' :
+                (scheduleData.days_of_month && scheduleData.days_of_month.length > 0 ?
+                    scheduleData.days_of_month : [Number((scheduleData.start_date || '').split('-')[2]) || 1]).join(', ');
+            document.getElementById('weekOfMonth').value = String(scheduleData.week_of_month || 1);
+            document.getElementById('monthWeekday').value = (scheduleData.days_of_week && scheduleData.days_of_week[0]) || 'monday';
+        }
+        this.updateRepeatOptions(scheduleData.repeat_frequency || 'never');
+        
+        // Holiday calendars - the default Unoccupied schedule is what runs on holidays, so it has none
+        const holidayCalendars = scheduleData.holiday_calendars || [];
+        document.querySelectorAll('#holidayCalendarsList input').forEach(checkbox => {
+            checkbox.checked = holidayCalendars.includes(checkbox.value);
+        });
+        if (scheduleData.is_default) {
+            document.getElementById('holidayCalendarsContainer').classList.add('d-none');
+        }
+        
+        // Weekly schedules - older ones without days_of_week run on the start date's weekday
+        document.getElementById('repeatInterval').value = scheduleData.repeat_interval || 1;
+        if (scheduleData.repeat_frequency === 'weekly') {
+            document.getElementById('customDaysContainer').classList.remove('d-none');
+            const weeklyDays = scheduleData.days_of_week && scheduleData.days_of_week.length > 0 ?
+                scheduleData.days_of_week :
+                [Recurrence.DAY_NAMES[Recurrence.weekday(Recurrence.dayNumber(scheduleData.start_date))]];
+            weeklyDays.forEach(day => {
+                const checkbox = document.getElementById(`day${day.charAt(0).toUpperCase() + day.slice(1)}`);
+                if (checkbox) checkbox.checked = true;
+            });
+        }
+        
         // Set settings based on schedule type
         const settings = scheduleData.settings || {};
         
@@ -1392,7 +1935,7 @@ class HVACScheduler {
         }
         
         // Update time labels based on time setting
-        this.updateTimeLabels(scheduleData.time_setting || 'time');
+        this.updateTimeLabels(document.getElementById('timeSetting').value);
     }
     
     /**
@@ -1480,6 +2023,10 @@ class HVACScheduler {
         if (singleBtn) {
             singleBtn.innerHTML = '<i class="fas fa-calendar-day me-2"></i>Just This Event<small class="d-block text-light opacity-75">Move only this specific occurrence</small>';
         }
+        const followingBtn = document.getElementById('editFollowingEventsBtn');
+        if (followingBtn) {
+            followingBtn.innerHTML = '<i class="fas fa-calendar-week me-2"></i>This and Following Events<small class="d-block text-light opacity-75">Move this and all later occurrences to the new time</small>';
+        }
         if (allBtn) {
             allBtn.innerHTML = '<i class="fas fa-calendar-alt me-2"></i>All Events in Series<small class="d-block text-light opacity-75">Move all occurrences of this recurring event</small>';
         }
@@ -1512,6 +2059,29 @@ class HVACScheduler {
             }
         };
         
+        followingBtn.onclick = async () => {
+            modal.hide();
+            try {
+                // Get drag info from calendar view
+                const dragInfo = this.calendarView.pendingDragInfo;
+                if (dragInfo) {
+                    await this.actionHandler.handleUserAction('DRAG_EVENT', {
+                        scheduleId: dragInfo.scheduleId,
+                        newStart: dragInfo.newStart,
+                        eventDate: dragInfo.eventDate,
+                        actionScope: 'following'
+                    });
+                    this.calendarView.pendingDragInfo = null;
+                }
+            } catch (error) {
+                console.error('❌ Following drag failed:', error);
+                this.showError('Failed to move events: ' + error.message);
+                if (this.calendarView.lastRevertFunction) {
+                    this.calendarView.lastRevertFunction();
+                }
+            }
+        };
+        
         allBtn.onclick = async () => {
             modal.hide();
             try {
@@ -1550,73 +2120,7 @@ class HVACScheduler {
      * Calculate actual start/end times for an event on a specific date
      */
     calculateEventTimes(schedule, date) {
-        if (!schedule.start_time) return null;
-        
-        let startTime, endTime;
-        
-        switch (schedule.time_setting) {
-            case 'sunrise':
-                const sunrise = this.calculateSunrise(date);
-                const startHours = parseInt(schedule.start_time.split(':')[0]) || 0;
-                const endHours = schedule.end_time ? parseInt(schedule.end_time.split(':')[0]) : startHours + 1;
-                
-                startTime = new Date(sunrise.getTime() - (startHours * 60 * 60 * 1000));
-                endTime = new Date(sunrise.getTime() + (endHours * 60 * 60 * 1000));
-                break;
-                
-            case 'sunset':
-                const sunset = this.calculateSunset(date);
-                const startHoursSunset = parseInt(schedule.start_time.split(':')[0]) || 0;
-                const endHoursSunset = schedule.end_time ? parseInt(schedule.end_time.split(':')[0]) : startHoursSunset + 1;
-                
-                startTime = new Date(sunset.getTime() - (startHoursSunset * 60 * 60 * 1000));
-                endTime = new Date(sunset.getTime() + (endHoursSunset * 60 * 60 * 1000));
-                break;
-                
-            case 'time':
-            default:
-                // Handle both ISO datetime strings and time-only strings
-                if (schedule.start_time.includes('T')) {
-                    // Full ISO datetime string - extract time components directly
-                    const [datePart, timePart] = schedule.start_time.split('T');
-                    const [hours, minutes] = timePart.split(':').map(Number);
-                    const baseDate = new Date(date);
-                    startTime = new Date(baseDate.getFullYear(), baseDate.getMonth(), baseDate.getDate(), hours, minutes);
-                } else {
-                    // Time-only string (HH:MM format)
-                    const baseDate = new Date(date);
-                    const [startHour, startMinute] = schedule.start_time.split(':').map(Number);
-                    startTime = new Date(baseDate.getFullYear(), baseDate.getMonth(), baseDate.getDate(), startHour, startMinute);
-                }
-                
-                if (schedule.end_time) {
-                    if (schedule.end_time.includes('T')) {
-                        // Full ISO datetime string - extract time components directly
-                        const [datePart, timePart] = schedule.end_time.split('T');
-                        const [hours, minutes] = timePart.split(':').map(Number);
-                        const baseDate = new Date(date);
-                        endTime = new Date(baseDate.getFullYear(), baseDate.getMonth(), baseDate.getDate(), hours, minutes);
-                        // Handle events that end the next day
-                        if (endTime <= startTime) {
-                            endTime.setDate(endTime.getDate() + 1);
-                        }
-                    } else {
-                        // Time-only string (HH:MM format)
-                        const baseDate = new Date(date);
-                        const [endHour, endMinute] = schedule.end_time.split(':').map(Number);
-                        endTime = new Date(baseDate.getFullYear(), baseDate.getMonth(), baseDate.getDate(), endHour, endMinute);
-                        // Handle events that end the next day
-                        if (endTime <= startTime) {
-                            endTime.setDate(endTime.getDate() + 1);
-                        }
-                    }
-                } else {
-                    endTime = new Date(startTime.getTime() + 60 * 60 * 1000); // Default 1 hour duration
-                }
-                break;
-        }
-        
-        return { start: startTime, end: endTime };
+        return ScheduleTimes.eventTimes(schedule, date, this.solar, this.clock);
     }
     
 
@@ -1630,6 +2134,12 @@ class HVACScheduler {
         try {
             document.getElementById('eventForm').reset();
             document.getElementById('customDaysContainer').classList.add('d-none');
+            document.getElementById('repeatIntervalContainer').classList.add('d-none');
+            document.getElementById('repeatInterval').value = 1;
+            document.getElementById('monthlyOptionsContainer').classList.add('d-none');
+            document.getElementById('monthlyByDate').checked = true;
+            document.getElementById('monthDays').value = '';
+            document.getElementById('holidayCalendarsContainer').classList.add('d-none');
             document.getElementById('scheduleEndDate').disabled = false;
             document.getElementById('neverEnding').checked = false;
             this.currentEditingId = null;
@@ -1656,8 +2166,7 @@ class HVACScheduler {
             document.getElementById('eventForm').dataset.scheduleId = '';
             
             // Set default schedule start date to today and default times
-            const today = new Date();
-            document.getElementById('scheduleStartDate').value = today.toISOString().split('T')[0];
+            document.getElementById('scheduleStartDate').value = this.clock.today();
             document.getElementById('startTime').value = '08:00';
             document.getElementById('endTime').value = '18:00';
             
@@ -1679,12 +2188,16 @@ class HVACScheduler {
             // Set default schedule type and show appropriate settings
             document.getElementById('scheduleType').value = 'thermostat';
             this.updateSettingsDisplay('thermostat');
+            document.getElementById('scheduleLayer').value = PriorityLayers.layers[0].id;
             
             // Reset time labels to default
+            const clockEdge = { reference: 'time', offset_minutes: 0 };
+            this.setEdgeInputs('start', clockEdge);
+            this.setEdgeInputs('end', clockEdge);
             this.updateTimeLabels('time');
         
             // Re-enable all fields
-        const fields = ['eventName', 'repeatFrequency', 'startTime', 'endTime', 'neverEnding', 'timeSetting', 'scheduleStartDate', 'scheduleEndDate'];
+        const fields = ['eventName', 'scheduleType', 'scheduleLayer', 'repeatFrequency', 'startTime', 'endTime', 'neverEnding', 'timeSetting', 'scheduleStartDate', 'scheduleEndDate'];
         fields.forEach(fieldId => {
             const field = document.getElementById(fieldId);
             if (field) field.disabled = false;
@@ -1727,7 +2240,30 @@ class HVACScheduler {
             console.log('📊 FINAL form data with excluded dates:', formData.exclude_dates);
             
             // Use action handler for save operations
-            if (this.currentEditingId) {
+            const occurrence = this.currentScheduleData && this.currentScheduleData._isSingleFromSeries ? this.currentScheduleData : null;
+            const split = this.currentScheduleData && this.currentScheduleData._splitFromId ? this.currentScheduleData : null;
+            if (split) {
+                // This and the following events - the series ends the day before and continues as a new one
+                await this.actionHandler.handleUserAction('SPLIT_SERIES', {
+                    scheduleId: split._splitFromId,
+                    splitDate: split._splitDate,
+                    changes: formData
+                });
+            } else if (occurrence) {
+                // One occurrence of a series - its date, times and settings are kept as an override;
+                // sun-relative times stay with the series
+                const clockTimes = formData.time_setting !== 'astronomical';
+                await this.actionHandler.handleUserAction('UPDATE_OCCURRENCE', {
+                    scheduleId: occurrence._originalScheduleId,
+                    originalDate: occurrence._eventDate,
+                    changes: {
+                        date: formData.start_date,
+                        start_time: clockTimes ? formData.start_time : null,
+                        end_time: clockTimes ? formData.end_time : null,
+                        settings: formData.settings
+                    }
+                });
+            } else if (this.currentEditingId) {
                 await this.actionHandler.handleUserAction('UPDATE_EVENT', {
                     scheduleId: this.currentEditingId,
                     updates: formData
@@ -1786,38 +2322,27 @@ class HVACScheduler {
         if (!scheduleInDatabase) {
             // This is a temporary single event that hasn't been saved
             // Check if this is a single event from series
-            if (currentSchedule._isSingleFromSeries && currentSchedule._originalScheduleId) {
-                // Delete the single occurrence by adding to exclude_dates
-                const originalSchedule = this.schedules.find(s => s.id === currentSchedule._originalScheduleId);
-                if (originalSchedule) {
-                    const excludeDate = currentSchedule._eventDate || currentSchedule.start_date;
-                    const updatedExcludes = [...(originalSchedule.exclude_dates || [])];
-                    
-                    if (!updatedExcludes.includes(excludeDate)) {
-                        updatedExcludes.push(excludeDate);
-                    }
-                    
-                    await this.actionHandler.handleUserAction('UPDATE_EVENT', {
-                        scheduleId: originalSchedule.id,
-                        updates: {
-                            ...originalSchedule,
-                            exclude_dates: updatedExcludes
-                        }
-                    });
-                    
-                    this.showSuccess('Single event occurrence deleted successfully');
-                }
+            if (currentSchedule._splitFromId) {
+                // Delete this and the following occurrences
+                await this.actionHandler.handleUserAction('END_SERIES', {
+                    scheduleId: currentSchedule._splitFromId,
+                    splitDate: currentSchedule._splitDate
+                });
+                
+                this.showSuccess('Following events deleted successfully');
+            } else if (currentSchedule._isSingleFromSeries && currentSchedule._originalScheduleId) {
+                // Delete the single occurrence: exclude its date and drop any override of it
+                await this.actionHandler.handleUserAction('DELETE_OCCURRENCE', {
+                    scheduleId: currentSchedule._originalScheduleId,
+                    originalDate: currentSchedule._eventDate || currentSchedule.start_date
+                });
+                
+                this.showSuccess('Single event occurrence deleted successfully');
             } else if (this.pendingSingleEventEdit && this.pendingSingleEventEdit.originalSchedule) {
                 // Fallback to pending single event edit info
-                const originalSchedule = this.pendingSingleEventEdit.originalSchedule;
-                const excludeDate = this.pendingSingleEventEdit.excludeDate;
-                
-                await this.actionHandler.handleUserAction('UPDATE_EVENT', {
-                    scheduleId: originalSchedule.id,
-                    updates: {
-                        ...originalSchedule,
-                        exclude_dates: [...(originalSchedule.exclude_dates || []), excludeDate]
-                    }
+                await this.actionHandler.handleUserAction('DELETE_OCCURRENCE', {
+                    scheduleId: this.pendingSingleEventEdit.originalSchedule.id,
+                    originalDate: this.pendingSingleEventEdit.originalDate
                 });
                 
                 this.showSuccess('Single event occurrence deleted successfully');
@@ -1871,6 +2396,7 @@ class HVACScheduler {
         const formData = {
             event_name: document.getElementById('eventName').value,
             schedule_type: document.getElementById('scheduleType').value,
+            layer: document.getElementById('scheduleLayer').value,
             repeat_frequency: repeatFrequency,
             time_setting: document.getElementById('timeSetting').value,
             // 4-value structure: always separate date and time
@@ -1881,34 +2407,28 @@ class HVACScheduler {
                       (neverEnding ? 'never' : (scheduleEndDate || scheduleStartDate)),
             start_time: startTime, // Always HH:MM format
             end_time: endTime,     // Always HH:MM format
+            start_edge: null,
+            end_edge: null,
             settings: this.gatherScheduleSettings(document.getElementById('scheduleType').value)
         };
         
-        // Validate heat < cool when both are shown
-        const scheduleType = formData.schedule_type;
-        if (scheduleType === 'thermostat' || scheduleType === 'thermostat+humidistat') {
-            const settings = formData.settings;
-            const systemMode = settings.system_mode;
-            
-            if (systemMode === 'Auto' && settings.heat_setpoint && settings.cool_setpoint) {
-                const heat = parseFloat(settings.heat_setpoint);
-                const cool = parseFloat(settings.cool_setpoint);
-                
-                if (heat >= cool) {
-                    this.showError('Heat setpoint must be less than cool setpoint when using Auto mode');
-                    return null;
-                }
-                
-                // Add a 2-degree deadband minimum
-                if (cool - heat < 2) {
-                    this.showError('Cool setpoint must be at least 2°F higher than heat setpoint');
-                    return null;
-                }
+        // Sun-relative edges are stored as-is; start_time/end_time hold what they give on the start date
+        if (formData.time_setting === 'astronomical') {
+            formData.start_edge = this.readEdgeInputs('start');
+            formData.end_edge = this.readEdgeInputs('end');
+            if (formData.start_edge.reference === 'time' && formData.end_edge.reference === 'time') {
+                formData.time_setting = 'time';
+                formData.start_edge = null;
+                formData.end_edge = null;
+            } else {
+                const resolved = this.resolveEdgeTimes(scheduleStartDate);
+                formData.start_time = this.clock.timeString(resolved.start);
+                formData.end_time = this.clock.timeString(resolved.end);
             }
         }
         
-        // Handle custom days
-        if (formData.repeat_frequency === 'custom') {
+        // Handle custom days (weekly schedules pick their days the same way)
+        if (formData.repeat_frequency === 'custom' || formData.repeat_frequency === 'weekly') {
             const days = [];
             ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'].forEach(day => {
                 const checkbox = document.getElementById(`day${day.charAt(0).toUpperCase() + day.slice(1)}`);
@@ -1919,6 +2439,32 @@ class HVACScheduler {
             formData.days_of_week = days;
         }
         
+        // Weekly/monthly/yearly: every N weeks, months or years, anchored at the start date
+        if (['weekly', 'monthly', 'yearly'].includes(formData.repeat_frequency)) {
+            formData.repeat_interval = Number(document.getElementById('repeatInterval').value) || 1;
+        }
+        
+        // Monthly: either days of the month ("1, 15") or the Nth/last weekday
+        if (formData.repeat_frequency === 'monthly') {
+            if (document.getElementById('monthlyByPosition').checked) {
+                formData.days_of_month = null;
+                formData.week_of_month = Number(document.getElementById('weekOfMonth').value);
+                formData.days_of_week = [document.getElementById('monthWeekday').value];
+            } else {
+                formData.days_of_month = document.getElementById('monthDays').value
+                    .split(',')
+                    .map(value => value.trim())
+                    .filter(value => value !== '')
+                    .map(Number);
+                formData.week_of_month = null;
+                formData.days_of_week = [];
+            }
+        }
+        
+        // Holiday calendars whose days a recurring schedule skips
+        formData.holiday_calendars = formData.repeat_frequency === 'never' ? [] :
+            [...document.querySelectorAll('#holidayCalendarsList input:checked')].map(checkbox => checkbox.value);
+        
         // Read excluded dates directly from what's visible in the UI
         formData.exclude_dates = [];
         const excludedDatesList = document.getElementById('excludedDatesList');
@@ -1939,6 +2485,13 @@ class HVACScheduler {
             }
         });
         
+        // Same schema check the server runs (setpoint ranges, Auto deadband, dates, days...)
+        const errors = this.validator.validateSchedule(formData);
+        if (Object.keys(errors).length > 0) {
+            this.showError(ScheduleValidator.messages(errors).join('; '));
+            return null;
+        }
+        
         return formData;
     }
     
@@ -1957,16 +2510,8 @@ class HVACScheduler {
                 }
             };
             
-            // Create download
-            const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `hvac-schedule-recipe-${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            this.downloadFile(JSON.stringify(exportData, null, 2), 'application/json',
+                `hvac-schedule-recipe-${this.clock.today()}.json`);
             
             this.showSuccess('Recipe exported successfully');
             
@@ -1977,18 +2522,64 @@ class HVACScheduler {
     }
     
     /**
-     * Import recipe JSON and validate
+     * Export schedules as an iCalendar (.ics) file, one VEVENT with RRULE/EXDATE per schedule
+     */
+    exportCalendar() {
+        try {
+            this.downloadFile(ICalendar.exportSchedules(this.schedules), 'text/calendar',
+                `hvac-schedules-${this.clock.today()}.ics`);
+            
+            this.showSuccess('Calendar exported successfully');
+            
+        } catch (error) {
+            console.error('Error exporting calendar:', error);
+            this.showError('Failed to export calendar');
+        }
+    }
+    
+    /**
+     * Save text as a file download
+     */
+    downloadFile(content, type, filename) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Import recipe JSON or an iCalendar (.ics) file and validate
      */
     async importRecipe(file) {
         try {
             const text = await file.text();
             let importData;
             
-            try {
-                importData = JSON.parse(text);
-            } catch (parseError) {
-                this.showError('Invalid JSON file format');
-                return;
+            if (file.name.toLowerCase().endsWith('.ics') || text.trimStart().startsWith('BEGIN:VCALENDAR')) {
+                // Calendar events become schedules; anything without a schedule equivalent stops the import
+                const calendar = ICalendar.parse(text);
+                if (calendar.errors.length > 0) {
+                    this.showError(`Import failed: ${calendar.errors.join(', ')}`);
+                    return;
+                }
+                importData = { schedules: calendar.schedules };
+            } else {
+                try {
+                    importData = JSON.parse(text);
+                } catch (parseError) {
+                    this.showError('Invalid JSON file format');
+                    return;
+                }
+            }
+            
+            // Recipes saved by older versions may still use 'daily'
+            if (importData && Array.isArray(importData.schedules)) {
+                importData.schedules = importData.schedules.map(schedule => Recurrence.migrate(schedule));
             }
             
             // Validate imported data
@@ -1998,60 +2589,290 @@ class HVACScheduler {
                 return;
             }
             
-            // Show confirmation dialog
-            const confirmMessage = `Import ${validation.scheduleCount} schedules?\n\nThis will clear all existing schedules and replace them with imported ones.`;
-            if (!confirm(confirmMessage)) {
-                return;
-            }
-            
-            // Clear all existing schedules first (keep only unoccupied default)
-            await this.clearAllSchedules();
-            
-            // Add imported schedules
-            for (const schedule of importData.schedules) {
-                // Generate unique ID if not present
-                if (!schedule.id) {
-                    schedule.id = Date.now().toString() + Math.random().toString(36).substr(2, 9);
-                }
-                
-                // Add timestamps if missing
-                if (!schedule.created_at) {
-                    schedule.created_at = new Date().toISOString();
-                }
-                if (!schedule.updated_at) {
-                    schedule.updated_at = new Date().toISOString();
-                }
-                
-                this.schedules.push(schedule);
-            }
-            
-            this.actionHandler.schedules = this.schedules;
+            // Preview what the import changes before anything is saved
+            this.pendingImport = { schedules: importData.schedules, fileName: file.name };
+            document.getElementById('importFileName').textContent = file.name;
+            document.getElementById('importModeMerge').checked = true;
+            this.renderImportPreview();
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('importModal')).show();
             
-            // Ensure unoccupied schedule exists
-            this.ensureUnoccupiedSchedule();
-            this.actionHandler.schedules = this.schedules;
-            
-            // Save to backend
-            await this.actionHandler.saveSchedules();
+        } catch (error) {
+            console.error('Error importing recipe:', error);
+            this.showError('Failed to import recipe');
+        }
+    }
+    
+    /**
+     * Text made safe to put in innerHTML
+     */
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+    }
+    
+    /**
+     * Show the import's per-schedule diff against the current recipe, what the chosen mode does with
+     * it and which imported schedules would overlap the schedules that stay
+     */
+    renderImportPreview() {
+        if (!this.pendingImport) return;
+        
+        const mode = document.querySelector('input[name="importMode"]:checked').value;
+        const current = this.actionHandler.schedules;
+        const imported = this.pendingImport.schedules;
+        const diff = ImportDiff.compare(current, imported);
+        const name = schedule => `<strong>${this.escapeHtml(schedule.event_name || 'Untitled')}</strong>`;
+        
+        // What the chosen mode does
+        const summary = mode === 'append' ?
+            `${imported.filter(s => !s.is_default).length} schedules will be added as new; nothing is changed or removed.` :
+            `${diff.added.length} added, ${diff.changed.length} changed, ${diff.unchanged.length} unchanged, ` +
+            (mode === 'replace' ? `${diff.removed.length} removed.` : `${diff.removed.length} kept as they are.`);
+        document.getElementById('importSummary').innerHTML =
+            `<div class="alert alert-info py-2 mb-0"><i class="fas fa-info-circle me-2"></i>${summary}</div>`;
+        
+        // Imported schedules that would overlap the ones that stay, through the same checker create and drag use
+        const result = ImportDiff.apply(current, imported, mode);
+        const kept = result.schedules.filter(s => !result.importedIds.includes(s.id));
+        const overlaps = result.schedules
+            .filter(s => result.importedIds.includes(s.id) && !s.is_default)
+            .map(s => ({ schedule: s, conflicts: this.actionHandler.checkForOverlapsWithSchedules(s, kept, s.id) }))
+            .filter(entry => entry.conflicts.length > 0);
+        document.getElementById('importOverlaps').innerHTML = overlaps.length === 0 ? '' : `
+            <div class="alert alert-warning py-2">
+                <i class="fas fa-exclamation-triangle me-2"></i>${overlaps.length} imported schedule${overlaps.length === 1 ? '' : 's'} would overlap existing ones:
+                <ul class="mb-0 mt-1">${overlaps.map(({ schedule, conflicts }) => `
+                    <li>${name(schedule)} (${schedule.start_time}-${schedule.end_time}) with ${conflicts.map(conflict =>
+                        `${name(conflict.schedule)} (${this.escapeHtml(conflict.times.existing)}) ${this.escapeHtml(this.actionHandler.describeConflictDates(conflict))}`).join('; ')}</li>`).join('')}
+                </ul>
+            </div>`;
+        
+        // Per-schedule diff
+        const value = v => v === undefined ? '<em>none</em>' : this.escapeHtml(typeof v === 'object' ? JSON.stringify(v) : v);
+        const section = (title, badge, items) => items.length === 0 ? '' : `
+            <h6 class="mt-3"><span class="badge bg-${badge} me-2">${items.length}</span>${title}</h6>
+            <ul class="list-unstyled ms-2 mb-0">${items.join('')}</ul>`;
+        document.getElementById('importDiff').innerHTML =
+            section('Added', 'success', diff.added.map(s => `<li>${name(s)} <small class="text-muted">${this.escapeHtml(this.describeImportedTimes(s))}</small></li>`)) +
+            section('Changed', 'warning', diff.changed.map(({ current: s, fields }) => `
+                <li class="mb-2">${name(s)}
+                    <ul class="small mb-0">${fields.map(f => `<li><code>${this.escapeHtml(f.field)}</code>: ${value(f.current)} &rarr; ${value(f.imported)}</li>`).join('')}</ul>
+                </li>`)) +
+            section(mode === 'replace' ? 'Removed' : 'Not in the file (kept)', mode === 'replace' ? 'danger' : 'secondary',
+                diff.removed.map(s => `<li>${name(s)} <small class="text-muted">${this.escapeHtml(this.describeImportedTimes(s))}</small></li>`)) +
+            section('Unchanged', 'secondary', diff.unchanged.map(s => `<li>${name(s)}</li>`));
+    }
+    
+    /**
+     * Short "08:00-17:00, weekly from 2026-07-06" line for the import preview
+     */
+    describeImportedTimes(schedule) {
+        if (schedule.is_default) return 'default';
+        return `${schedule.start_time}-${schedule.end_time}, ${schedule.repeat_frequency || 'never'} from ${schedule.start_date}`;
+    }
+    
+    /**
+     * Import the previewed file with the chosen mode - one undoable step
+     */
+    async confirmImport() {
+        if (!this.pendingImport) return;
+        
+        const mode = document.querySelector('input[name="importMode"]:checked').value;
+        try {
+            await this.actionHandler.handleUserAction('IMPORT_SCHEDULES', {
+                schedules: this.pendingImport.schedules,
+                mode
+            });
+            this.schedules = this.actionHandler.schedules;
             
             // Refresh all views
             this.calendarView.refresh();
             this.listView.refresh();
             
-            this.showSuccess(`Successfully imported ${validation.scheduleCount} schedules`);
+            bootstrap.Modal.getInstance(document.getElementById('importModal')).hide();
+            this.showSuccess(`Successfully imported ${this.pendingImport.schedules.length} schedules`);
+            this.pendingImport = null;
             
         } catch (error) {
             console.error('Error importing recipe:', error);
-            this.showError('Failed to import recipe');
+            this.showError(error.message || 'Failed to import recipe');
+        }
+    }
+    
+    /**
+     * Change history tab of the event modal: who changed this schedule, when and how (from the audit log)
+     */
+    async loadChangeHistory() {
+        const list = document.getElementById('eventHistoryList');
+        if (!this.historyScheduleId) {
+            list.innerHTML = '';
+            return;
+        }
+        list.innerHTML = '<p class="text-muted">Loading...</p>';
+        
+        try {
+            const response = await fetch(`/api/audit?schedule_id=${encodeURIComponent(this.historyScheduleId)}`);
+            if (!response.ok) throw new Error('Failed to load change history');
+            const { entries } = await response.json();
+            
+            const value = v => {
+                if (v === null) return '<em>none</em>';
+                const text = typeof v === 'object' ? JSON.stringify(v) : String(v);
+                return this.escapeHtml(text.length > 80 ? `${text.slice(0, 77)}...` : text);
+            };
+            
+            list.innerHTML = entries.length === 0 ? '<p class="text-muted">No changes logged yet</p>' :
+                entries.map(entry => `
+                    <div class="border-bottom border-secondary pb-2 mb-2">
+                        <div class="d-flex justify-content-between">
+                            <strong>${this.escapeHtml(this.describeAuditEntry(entry))}</strong>
+                            <small class="text-muted">${this.escapeHtml(this.formatSavedAt(entry.at))}</small>
+                        </div>
+                        <small class="text-muted">by ${this.escapeHtml(entry.user)}${entry.client && entry.client.address ? ` from ${this.escapeHtml(entry.client.address)}` : ''}</small>
+                        ${entry.changes.map(change => `
+                            <div class="small mt-1">${entry.changes.length > 1 ? `${this.escapeHtml(change.event_name || change.schedule_id)} ` : ''}<span class="badge bg-secondary">${this.escapeHtml(change.change)}</span></div>
+                            <ul class="small mb-0">${Object.entries(change.fields).map(([field, { before, after }]) =>
+                                `<li><code>${this.escapeHtml(field)}</code>: ${value(before)} &rarr; ${value(after)}</li>`).join('')}</ul>`).join('')}
+                    </div>`).join('');
+        } catch (error) {
+            console.error('Error loading change history:', error);
+            list.innerHTML = `<p class="text-danger">${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+    
+    /**
+     * "Series move (following)", "Undo of event resize", "Restore of revision 12"
+     */
+    describeAuditEntry(entry) {
+        if (entry.action_type === 'UNDO' || entry.action_type === 'REDO') {
+            return `${entry.action_type === 'UNDO' ? 'Undo' : 'Redo'} of ${this.describeAction(entry.scope)}`;
+        }
+        if (entry.action_type === 'RESTORE_REVISION') {
+            return `Restore of ${entry.scope}`;
+        }
+        const label = this.describeAction(entry.action_type);
+        const text = label.charAt(0).toUpperCase() + label.slice(1);
+        return entry.scope ? `${text} (${entry.scope})` : text;
+    }
+    
+    /**
+     * Version history panel: every saved revision of the recipe, newest first
+     */
+    async showHistory() {
+        try {
+            const response = await fetch('/api/schedules/history');
+            if (!response.ok) throw new Error('Failed to load history');
+            const data = await response.json();
+            
+            const list = document.getElementById('historyList');
+            list.innerHTML = data.revisions.length === 0 ?
+                '<tr><td colspan="5" class="text-muted">No revisions saved yet</td></tr>' :
+                data.revisions.map(entry => {
+                    const current = entry.revision === data.current_revision;
+                    return `
+                        <tr>
+                            <td>${entry.revision}${current ? ' <span class="badge bg-success ms-1">current</span>' : ''}</td>
+                            <td class="text-nowrap">${this.escapeHtml(this.formatSavedAt(entry.saved_at))}</td>
+                            <td class="small">${this.escapeHtml(entry.summary)}</td>
+                            <td class="text-end text-nowrap">${this.formatSize(entry.size)}</td>
+                            <td class="text-end text-nowrap">
+                                <button class="btn btn-sm btn-outline-light" data-preview-revision="${entry.revision}" title="Preview on the calendar">
+                                    <i class="fas fa-eye"></i>
+                                </button>
+                                ${current ? '' : `<button class="btn btn-sm btn-outline-warning ms-1" data-restore-revision="${entry.revision}" title="Restore this version">
+                                    <i class="fas fa-undo"></i>
+                                </button>`}
+                            </td>
+                        </tr>`;
+                }).join('');
+            
+            list.querySelectorAll('[data-preview-revision]').forEach(button => {
+                button.addEventListener('click', () => this.previewRevision(Number(button.dataset.previewRevision)));
+            });
+            list.querySelectorAll('[data-restore-revision]').forEach(button => {
+                button.addEventListener('click', () => this.restoreRevision(Number(button.dataset.restoreRevision)));
+            });
+            
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('historyModal')).show();
+        } catch (error) {
+            console.error('Error loading history:', error);
+            this.showError('Failed to load version history');
+        }
+    }
+    
+    /**
+     * Show an earlier revision on the calendar, read-only
+     */
+    async previewRevision(revision) {
+        try {
+            const response = await fetch(`/api/schedules/history/${revision}`);
+            if (!response.ok) throw new Error(`Revision ${revision} not found`);
+            const entry = await response.json();
+            
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('historyModal')).hide();
+            this.calendarView.showPreview(revision, entry.document.schedules || []);
+            document.getElementById('historyPreviewText').textContent =
+                `Previewing revision ${revision} from ${this.formatSavedAt(entry.saved_at)} - read-only`;
+            document.getElementById('historyPreviewBanner').classList.remove('d-none');
+        } catch (error) {
+            console.error('Error previewing revision:', error);
+            this.showError(error.message || 'Failed to preview revision');
         }
     }
     
+    /**
+     * Leave the revision preview and show the current schedules again
+     */
+    endRevisionPreview() {
+        document.getElementById('historyPreviewBanner').classList.add('d-none');
+        if (this.calendarView.preview) {
+            this.calendarView.endPreview();
+        }
+    }
+    
+    /**
+     * Roll the recipe back to an earlier revision
+     */
+    async restoreRevision(revision) {
+        if (!confirm(`Restore revision ${revision}?\n\nThe current schedules are replaced by that version. The restore is saved as a new revision, so it can be rolled back from the history too.`)) {
+            return;
+        }
+        
+        try {
+            await this.actionHandler.restoreRevision(revision);
+            this.schedules = this.actionHandler.schedules;
+            
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('historyModal')).hide();
+            this.endRevisionPreview();
+            this.listView.refresh();
+            
+            this.showSuccess(`Restored revision ${revision}`);
+        } catch (error) {
+            console.error('Error restoring revision:', error);
+            this.showError(error.message || 'Failed to restore revision');
+        }
+    }
+    
+    /**
+     * A history timestamp (UTC, as the server stores it) on the device's clock
+     */
+    formatSavedAt(savedAt) {
+        const instant = new Date(/[zZ]|[+-]\d\d:\d\d$/.test(savedAt) ? savedAt : `${savedAt}Z`);
+        return `${this.clock.dateString(instant)} ${this.clock.timeString(instant)}`;
+    }
+    
+    /**
+     * Byte count as "850 B" or "12.4 KB"
+     */
+    formatSize(bytes) {
+        return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    
     /**
      * Handle clear all schedules button click
      */
     async handleClearAllSchedules() {
         // Show confirmation dialog
-        const confirmMessage = `Clear all schedules?\n\nThis will remove all scheduled events except the default unoccupied schedule. This action cannot be undone.`;
+        const confirmMessage = `Clear all schedules?\n\nThis will remove all scheduled events except the default unoccupied schedule. The earlier version can be restored from History.`;
         if (!confirm(confirmMessage)) {
             return;
         }
@@ -2075,6 +2896,8 @@ class HVACScheduler {
      * Clear all existing schedules except unoccupied default
      */
     async clearAllSchedules() {
+        const before = this.schedules;
+        
         // Keep only the unoccupied default schedule
         this.schedules = this.schedules.filter(schedule => schedule.is_default);
         this.actionHandler.schedules = this.schedules;
@@ -2083,8 +2906,25 @@ class HVACScheduler {
         this.ensureUnoccupiedSchedule();
         this.actionHandler.schedules = this.schedules;
         
-        // Save the cleared state
-        await this.actionHandler.saveSchedules();
+        // Save the cleared state - in one request, so a failure leaves the server's schedules as they were
+        try {
+            this.actionHandler.currentAction = { type: 'CLEAR_ALL' };
+            await this.actionHandler.saveSchedules();
+        } catch (error) {
+            if (error.isConflict) {
+                await this.actionHandler.handleSaveConflict();
+            } else {
+                this.actionHandler.schedules = before;
+            }
+            this.schedules = this.actionHandler.schedules;
+            throw error;
+        } finally {
+            this.actionHandler.currentAction = null;
+        }
+        this.schedules = this.actionHandler.schedules;
+        
+        // Earlier undo steps no longer apply to the replaced schedule list
+        this.actionHandler.clearHistory();
     }
 
     /**
@@ -2131,181 +2971,9 @@ class HVACScheduler {
      * Validate individual schedule
      */
     validateSchedule(schedule, index) {
-        const errors = [];
         const prefix = `Schedule ${index + 1}`;
-        
-        // Required fields
-        const requiredFields = ['event_name', 'schedule_type', 'repeat_frequency', 'start_date', 'end_date', 'start_time', 'end_time'];
-        
-        for (const field of requiredFields) {
-            if (!schedule[field] && schedule[field] !== 0) {
-                errors.push(`${prefix}: Missing required field '${field}'`);
-            }
-        }
-        
-        // Validate schedule type
-        if (schedule.schedule_type && !['thermostat', 'lighting', 'humidistat', 'thermostat+humidistat'].includes(schedule.schedule_type)) {
-            errors.push(`${prefix}: Invalid schedule type '${schedule.schedule_type}'`);
-        }
-        
-        // Validate repeat frequency
-        if (schedule.repeat_frequency && !['never', 'custom'].includes(schedule.repeat_frequency)) {
-            errors.push(`${prefix}: Invalid repeat frequency '${schedule.repeat_frequency}'`);
-        }
-        
-        // Validate date format (YYYY-MM-DD)
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-        if (schedule.start_date && !dateRegex.test(schedule.start_date)) {
-            errors.push(`${prefix}: Invalid start_date format (expected YYYY-MM-DD)`);
-        }
-        if (schedule.end_date && schedule.end_date !== 'never' && !dateRegex.test(schedule.end_date)) {
-            errors.push(`${prefix}: Invalid end_date format (expected YYYY-MM-DD or 'never')`);
-        }
-        
-        // Validate time format (HH:MM)
-        const timeRegex = /^\d{2}:\d{2}$/;
-        if (schedule.start_time && !timeRegex.test(schedule.start_time)) {
-            errors.push(`${prefix}: Invalid start_time format (expected HH:MM)`);
-        }
-        if (schedule.end_time && !timeRegex.test(schedule.end_time)) {
-            errors.push(`${prefix}: Invalid end_time format (expected HH:MM)`);
-        }
-        
-        // Validate days_of_week if repeat_frequency is custom
-        if (schedule.repeat_frequency === 'custom') {
-            if (!schedule.days_of_week || !Array.isArray(schedule.days_of_week)) {
-                errors.push(`${prefix}: Missing or invalid days_of_week for custom repeat`);
-            } else {
-                const validDays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-                for (const day of schedule.days_of_week) {
-                    if (!validDays.includes(day)) {
-                        errors.push(`${prefix}: Invalid day '${day}' in days_of_week`);
-                    }
-                }
-            }
-        }
-        
-        // Validate settings based on schedule type
-        if (schedule.settings && typeof schedule.settings === 'object') {
-            const settingsErrors = this.validateScheduleSettings(schedule.settings, schedule.schedule_type, prefix);
-            errors.push(...settingsErrors);
-        }
-        
-        return errors;
-    }
-    
-    /**
-     * Validate schedule settings based on type
-     */
-    validateScheduleSettings(settings, scheduleType, prefix) {
-        const errors = [];
-        
-        switch(scheduleType) {
-            case 'thermostat':
-                // Validate system mode
-                if (settings.system_mode && !['Heat', 'Cool', 'Auto', 'Off'].includes(settings.system_mode)) {
-                    errors.push(`${prefix}: Invalid system_mode '${settings.system_mode}'`);
-                }
-                // Validate fan setting
-                if (settings.fan && !['auto', '0', '5', '10', '15', '20', '30', '45', '60'].includes(settings.fan)) {
-                    errors.push(`${prefix}: Invalid fan setting '${settings.fan}'`);
-                }
-                // Validate temperature setpoints
-                if (settings.heat_setpoint) {
-                    const heat = parseInt(settings.heat_setpoint);
-                    if (isNaN(heat) || heat < 50 || heat > 90) {
-                        errors.push(`${prefix}: Heat setpoint must be between 50-90°F`);
-                    }
-                }
-                if (settings.cool_setpoint) {
-                    const cool = parseInt(settings.cool_setpoint);
-                    if (isNaN(cool) || cool < 60 || cool > 100) {
-                        errors.push(`${prefix}: Cool setpoint must be between 60-100°F`);
-                    }
-                }
-                break;
-                
-            case 'lighting':
-                // Validate lighting status
-                if (settings.lighting_status && !['on', 'off'].includes(settings.lighting_status)) {
-                    errors.push(`${prefix}: Invalid lighting_status '${settings.lighting_status}'`);
-                }
-                break;
-                
-            case 'humidistat':
-                // Validate humidity setpoints
-                if (settings.humidity_low_setpoint) {
-                    const low = parseInt(settings.humidity_low_setpoint);
-                    if (isNaN(low) || low < 0 || low > 100) {
-                        errors.push(`${prefix}: Humidity low setpoint must be between 0-100%`);
-                    }
-                }
-                if (settings.humidity_high_setpoint) {
-                    const high = parseInt(settings.humidity_high_setpoint);
-                    if (isNaN(high) || high < 0 || high > 100) {
-                        errors.push(`${prefix}: Humidity high setpoint must be between 0-100%`);
-                    }
-                }
-                break;
-                
-            case 'thermostat+humidistat':
-                // Validate system mode
-                if (settings.system_mode && !['Heat', 'Cool', 'Auto', 'Off'].includes(settings.system_mode)) {
-                    errors.push(`${prefix}: Invalid system_mode '${settings.system_mode}'`);
-                }
-                // Validate fan setting
-                if (settings.fan && !['auto', '0', '5', '10', '15', '20', '30', '45', '60'].includes(settings.fan)) {
-                    errors.push(`${prefix}: Invalid fan setting '${settings.fan}'`);
-                }
-                // Validate temperature setpoints
-                if (settings.heat_setpoint) {
-                    const heat = parseInt(settings.heat_setpoint);
-                    if (isNaN(heat) || heat < 50 || heat > 90) {
-                        errors.push(`${prefix}: Heat setpoint must be between 50-90°F`);
-                    }
-                }
-                if (settings.cool_setpoint) {
-                    const cool = parseInt(settings.cool_setpoint);
-                    if (isNaN(cool) || cool < 60 || cool > 100) {
-                        errors.push(`${prefix}: Cool setpoint must be between 60-100°F`);
-                    }
-                }
-                // Validate heat < cool when both are present and mode is Auto
-                if (settings.system_mode === 'Auto' && settings.heat_setpoint && settings.cool_setpoint) {
-                    const heat = parseInt(settings.heat_setpoint);
-                    const cool = parseInt(settings.cool_setpoint);
-                    if (heat >= cool) {
-                        errors.push(`${prefix}: Heat setpoint must be less than cool setpoint when using Auto mode`);
-                    }
-                    if (cool - heat < 2) {
-                        errors.push(`${prefix}: Cool setpoint must be at least 2°F higher than heat setpoint`);
-                    }
-                }
-                // Validate humidity setpoints
-                if (settings.humidity_low_setpoint) {
-                    const low = parseInt(settings.humidity_low_setpoint);
-                    if (isNaN(low) || low < 0 || low > 100) {
-                        errors.push(`${prefix}: Humidity low setpoint must be between 0-100%`);
-                    }
-                }
-                if (settings.humidity_high_setpoint) {
-                    const high = parseInt(settings.humidity_high_setpoint);
-                    if (isNaN(high) || high < 0 || high > 100) {
-                        errors.push(`${prefix}: Humidity high setpoint must be between 0-100%`);
-                    }
-                }
-                // Validate humidity low < high
-                if (settings.humidity_low_setpoint && settings.humidity_high_setpoint) {
-                    const low = parseInt(settings.humidity_low_setpoint);
-                    const high = parseInt(settings.humidity_high_setpoint);
-                    if (low >= high) {
-                        errors.push(`${prefix}: Humidity low setpoint must be less than high setpoint`);
-                    }
-                }
-                break;
-        }
-        
-        return errors;
+        const errors = this.validator.validateSchedule(schedule);
+        return ScheduleValidator.messages(errors).map(message => `${prefix}: ${message}`);
     }
     
     /**
@@ -2354,7 +3022,7 @@ class HVACScheduler {
                 <div class="d-flex">
                     <div class="toast-body">
                         <i class="fas fa-${type === 'error' ? 'exclamation-triangle' : type === 'success' ? 'check-circle' : type === 'warning' ? 'exclamation-triangle' : 'info-circle'} me-2"></i>
-                        ${message}
+                        ${String(message).replace(/\n/g, '<br>')}
                     </div>
                     <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast" aria-label="Close"></button>
                 </div>
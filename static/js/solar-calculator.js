@@ -0,0 +1,208 @@
+/**
+ * SolarCalculator - Sunrise, sunset and solar noon for the device's location
+ * Implements the NOAA solar calculator equations (Meeus, "Astronomical Algorithms"): sunrise and
+ * sunset are when the sun's upper limb crosses the horizon, allowing for atmospheric refraction
+ * (a zenith of 90.833°); civil dawn and dusk are when its center is 6° below it. Results are
+ * accurate to about a minute between ±72° latitude.
+ *
+ * Times come back as Date instants, so they are right in any display timezone. "Which day" is the
+ * device's calendar day in its IANA timezone (DST included), and that timezone also bounds polar days:
+ *   polar day   - the sun never sets: sunrise is the local midnight starting the day, sunset the one ending it
+ *   polar night - the sun never rises: sunrise and sunset are both at solar noon (no daylight)
+ */
+class SolarCalculator {
+    // Used until /api/device/config answers, matching the server's default device
+    static DEFAULT_LOCATION = { latitude: 40.7128, longitude: -74.0060, timezone: 'America/New_York' };
+
+    // Sun's center below the horizon at sunrise/sunset: 50' for refraction plus 16' for its radius
+    static ZENITH = 90.833;
+
+    // Civil twilight begins and ends with the sun's center 6° below the horizon
+    static CIVIL_ZENITH = 96;
+
+    constructor({ latitude, longitude, timezone } = SolarCalculator.DEFAULT_LOCATION) {
+        this.latitude = latitude;
+        this.longitude = longitude;
+        this.timezone = timezone;
+    }
+
+    /**
+     * Calculator for the /api/device/config response ({ device: { timezone, location: { latitude, longitude } } })
+     */
+    static fromDeviceConfig(config) {
+        const device = (config && config.device) || {};
+        const location = device.location || {};
+        const defaults = SolarCalculator.DEFAULT_LOCATION;
+        return new SolarCalculator({
+            latitude: Number.isFinite(location.latitude) ? location.latitude : defaults.latitude,
+            longitude: Number.isFinite(location.longitude) ? location.longitude : defaults.longitude,
+            timezone: device.timezone || defaults.timezone
+        });
+    }
+
+    sunrise(date) {
+        return this.sunTimes(date).sunrise;
+    }
+
+    sunset(date) {
+        return this.sunTimes(date).sunset;
+    }
+
+    /**
+     * Sun times for a calendar day (a YYYY-MM-DD string, or a Date's local calendar day):
+     * { sunrise, sunset, civilDawn, civilDusk, solarNoon } as Dates, plus polar: 'day' | 'night' | null
+     * for sunrise/sunset. Civil twilight gets the same treatment when the sun never reaches 6° below
+     * the horizon (light all day) or never climbs above it (dark all day)
+     */
+    sunTimes(date) {
+        const dateStr = typeof date === 'string' ? date : Recurrence.localDateString(date);
+        const [year, month, day] = dateStr.split('-').map(Number);
+        const midnightUtc = Date.UTC(year, month - 1, day);
+        const julianDay = midnightUtc / 86400000 + 2440587.5;
+        const at = minutes => new Date(midnightUtc + Math.round(minutes * 60000));
+
+        const solarNoon = at(this.solarNoonMinutes(julianDay));
+        const crossings = zenith => {
+            const rise = this.sunEventMinutes(true, julianDay, zenith);
+            const set = this.sunEventMinutes(false, julianDay, zenith);
+            const polar = rise.polar || set.polar || null;
+            if (polar === 'night') {
+                return { rise: solarNoon, set: solarNoon, polar };
+            }
+            if (polar === 'day') {
+                const clock = new DeviceClock(this.timezone);
+                return {
+                    rise: clock.instant(dateStr),
+                    set: clock.instant(Recurrence.dateString(Recurrence.dayNumber(dateStr) + 1)),
+                    polar
+                };
+            }
+            return { rise: at(rise.minutes), set: at(set.minutes), polar };
+        };
+
+        const sun = crossings(SolarCalculator.ZENITH);
+        const civil = crossings(SolarCalculator.CIVIL_ZENITH);
+        return {
+            sunrise: sun.rise,
+            sunset: sun.set,
+            civilDawn: civil.rise,
+            civilDusk: civil.set,
+            solarNoon,
+            polar: sun.polar
+        };
+    }
+
+    /**
+     * Minutes after 00:00 UTC of the Julian day when the sun's center crosses the zenith angle
+     * (rising or setting), refined once at the event's own time. Returns { minutes } or { polar: 'day' | 'night' }
+     */
+    sunEventMinutes(rise, julianDay, zenith = SolarCalculator.ZENITH) {
+        const first = this.sunEventAt(rise, julianDay, zenith);
+        return first.polar ? first : this.sunEventAt(rise, julianDay + first.minutes / 1440, zenith);
+    }
+
+    sunEventAt(rise, julianDay, zenith) {
+        const t = SolarCalculator.julianCentury(julianDay);
+        const equationOfTime = SolarCalculator.equationOfTime(t);
+        const declination = SolarCalculator.declination(t);
+
+        const lat = SolarCalculator.toRadians(this.latitude);
+        const dec = SolarCalculator.toRadians(declination);
+        const cosHourAngle = Math.cos(SolarCalculator.toRadians(zenith)) / (Math.cos(lat) * Math.cos(dec)) -
+            Math.tan(lat) * Math.tan(dec);
+        if (cosHourAngle > 1) return { polar: 'night' };
+        if (cosHourAngle < -1) return { polar: 'day' };
+
+        const hourAngle = SolarCalculator.toDegrees(Math.acos(cosHourAngle)) * (rise ? 1 : -1);
+        return { minutes: 720 - 4 * (this.longitude + hourAngle) - equationOfTime };
+    }
+
+    solarNoonMinutes(julianDay) {
+        const first = 720 - 4 * this.longitude - SolarCalculator.equationOfTime(SolarCalculator.julianCentury(julianDay - this.longitude / 360));
+        return 720 - 4 * this.longitude - SolarCalculator.equationOfTime(SolarCalculator.julianCentury(julianDay + first / 1440));
+    }
+
+    /**
+     * Time of an instant on the device's wall clock, e.g. "6:55 AM"
+     */
+    formatLocalTime(instant) {
+        return new Intl.DateTimeFormat('en-US', { timeZone: this.timezone, hour: 'numeric', minute: '2-digit' }).format(instant);
+    }
+
+    // --- NOAA equations (t is Julian centuries since J2000.0) ---
+
+    static julianCentury(julianDay) {
+        return (julianDay - 2451545.0) / 36525.0;
+    }
+
+    static geomMeanLongSun(t) {
+        const longitude = 280.46646 + t * (36000.76983 + t * 0.0003032);
+        return ((longitude % 360) + 360) % 360;
+    }
+
+    static geomMeanAnomalySun(t) {
+        return 357.52911 + t * (35999.05029 - 0.0001537 * t);
+    }
+
+    static eccentricityEarthOrbit(t) {
+        return 0.016708634 - t * (0.000042037 + 0.0000001267 * t);
+    }
+
+    static sunEquationOfCenter(t) {
+        const m = SolarCalculator.toRadians(SolarCalculator.geomMeanAnomalySun(t));
+        return Math.sin(m) * (1.914602 - t * (0.004817 + 0.000014 * t)) +
+            Math.sin(2 * m) * (0.019993 - 0.000101 * t) +
+            Math.sin(3 * m) * 0.000289;
+    }
+
+    static sunApparentLong(t) {
+        const trueLong = SolarCalculator.geomMeanLongSun(t) + SolarCalculator.sunEquationOfCenter(t);
+        const omega = 125.04 - 1934.136 * t;
+        return trueLong - 0.00569 - 0.00478 * Math.sin(SolarCalculator.toRadians(omega));
+    }
+
+    static obliquityCorrection(t) {
+        const seconds = 21.448 - t * (46.8150 + t * (0.00059 - t * 0.001813));
+        const meanObliquity = 23 + (26 + seconds / 60) / 60;
+        const omega = 125.04 - 1934.136 * t;
+        return meanObliquity + 0.00256 * Math.cos(SolarCalculator.toRadians(omega));
+    }
+
+    static declination(t) {
+        const sinDeclination = Math.sin(SolarCalculator.toRadians(SolarCalculator.obliquityCorrection(t))) *
+            Math.sin(SolarCalculator.toRadians(SolarCalculator.sunApparentLong(t)));
+        return SolarCalculator.toDegrees(Math.asin(sinDeclination));
+    }
+
+    /**
+     * Equation of time in minutes (apparent minus mean solar time)
+     */
+    static equationOfTime(t) {
+        const epsilon = SolarCalculator.toRadians(SolarCalculator.obliquityCorrection(t));
+        const l0 = SolarCalculator.toRadians(SolarCalculator.geomMeanLongSun(t));
+        const e = SolarCalculator.eccentricityEarthOrbit(t);
+        const m = SolarCalculator.toRadians(SolarCalculator.geomMeanAnomalySun(t));
+        const y = Math.tan(epsilon / 2) ** 2;
+
+        const value = y * Math.sin(2 * l0) - 2 * e * Math.sin(m) +
+            4 * e * y * Math.sin(m) * Math.cos(2 * l0) -
+            0.5 * y * y * Math.sin(4 * l0) -
+            1.25 * e * e * Math.sin(2 * m);
+        return SolarCalculator.toDegrees(value) * 4;
+    }
+
+    static toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    static toDegrees(radians) {
+        return radians * 180 / Math.PI;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SolarCalculator;
+} else {
+    window.SolarCalculator = SolarCalculator;
+}
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./browser-globals');
+const SimpleActionHandler = require('../static/js/action-handler-simple.js');
+
+const occupied = {
+    id: 's1',
+    revision: 3,
+    event_name: 'Occupied',
+    schedule_type: 'thermostat',
+    repeat_frequency: 'custom',
+    days_of_week: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+    start_date: '2026-07-01',
+    end_date: 'never',
+    start_time: '08:00',
+    end_time: '17:00',
+    settings: { heat_setpoint: '68', cool_setpoint: '74' }
+};
+
+/**
+ * A handler that has loaded [occupied], with fetch answering saves through respond
+ */
+function loadedHandler(respond) {
+    const handler = new SimpleActionHandler({ clock: new DeviceClock('America/New_York') });
+    handler.schedules = [structuredClone(occupied)];
+    handler.serverSchedules = [structuredClone(occupied)];
+    global.fetch = async (url, options = {}) => {
+        if (!options.method || options.method === 'GET') {
+            return { ok: true, json: async () => ({ schedules: [structuredClone(occupied)], metadata: { revision: 3 } }) };
+        }
+        return respond(url, options);
+    };
+    return handler;
+}
+
+const rename = { scheduleId: 's1', updates: { ...occupied, event_name: 'Renamed' } };
+
+test('a rejected save (422) drops the edit', async () => {
+    const handler = loadedHandler(async () => ({
+        ok: false,
+        status: 422,
+        json: async () => ({ error: 'Schedule is invalid', errors: { event_name: ['Event name is taken'] } })
+    }));
+    await assert.rejects(handler.handleUserAction('UPDATE_EVENT', rename), /Event name is taken/);
+    assert.deepStrictEqual(handler.schedules, [occupied]);
+    assert.strictEqual(handler.canUndo(), false);
+});
+
+test('a save that never reaches the server drops the edit', async () => {
+    const handler = loadedHandler(async () => { throw new TypeError('Failed to fetch'); });
+    await assert.rejects(handler.handleUserAction('UPDATE_EVENT', rename), /Failed to fetch/);
+    assert.deepStrictEqual(handler.schedules, [occupied]);
+});
+
+test('a conflict (409) reloads the server copy', async () => {
+    const handler = loadedHandler(async () => ({ ok: false, status: 409, json: async () => ({ error: 'Stale revision' }) }));
+    await assert.rejects(handler.handleUserAction('UPDATE_EVENT', rename), /Stale revision/);
+    assert.deepStrictEqual(handler.schedules, [occupied]);
+});
+
+const imported = ['Lunch', 'Cleaning'].map((name, index) => ({
+    ...occupied,
+    id: `i${index}`,
+    event_name: name,
+    days_of_week: ['saturday'],
+    start_time: `0${index + 1}:00`,
+    end_time: `0${index + 1}:30`
+}));
+
+test('an action touching several schedules is saved as one document request', async () => {
+    const requests = [];
+    const handler = loadedHandler(async (url, options) => {
+        requests.push({ url, method: options.method, ifMatch: options.headers['If-Match'], body: JSON.parse(options.body || 'null') });
+        if (url !== '/api/schedules') return { ok: true, json: async () => ({}) };
+        const body = JSON.parse(options.body);
+        return { ok: true, json: async () => ({ schedules: body.schedules, metadata: { revision: 8 } }) };
+    });
+    handler.documentRevision = 7;
+    await handler.handleUserAction('IMPORT_SCHEDULES', { schedules: imported, mode: 'merge' });
+
+    const saves = requests.filter(r => r.url.startsWith('/api/schedules'));
+    assert.strictEqual(saves.length, 1);
+    assert.deepStrictEqual([saves[0].method, saves[0].ifMatch], ['POST', '"7"']);
+    assert.deepStrictEqual(saves[0].body.schedules.map(s => s.id), ['s1', 'i0', 'i1']);
+});
+
+test('a rejected document save leaves nothing half saved', async () => {
+    const requests = [];
+    const handler = loadedHandler(async (url, options) => {
+        requests.push(options.method);
+        return { ok: false, status: 422, json: async () => ({ error: 'Schedule is invalid', errors: { 'schedules[2].end_time': ['Bad time'] } }) };
+    });
+    await assert.rejects(handler.handleUserAction('IMPORT_SCHEDULES', { schedules: imported, mode: 'merge' }), /Bad time/);
+    assert.deepStrictEqual(requests, ['POST']);
+    assert.deepStrictEqual(handler.schedules, [occupied]);
+});
+
+test('a split that the server rejects leaves the series whole, on both sides', async () => {
+    const requests = [];
+    const handler = loadedHandler(async (url, options) => {
+        requests.push(`${options.method} ${url}`);
+        return { ok: false, status: 422, json: async () => ({ error: 'Schedule is invalid', errors: { 'schedules[1].event_name': ['Too long'] } }) };
+    });
+    const split = { scheduleId: 's1', splitDate: '2026-07-15', changes: { start_time: '09:00' } };
+    await assert.rejects(handler.handleUserAction('SPLIT_SERIES', split), /Too long/);
+    // One all-or-nothing request: nothing ended the old series before the new one was refused
+    assert.deepStrictEqual(requests, ['POST /api/schedules']);
+    assert.deepStrictEqual(handler.schedules, [occupied]);
+});
+
+test('a split saves the ended series and the new one together', async () => {
+    let saved = null;
+    const handler = loadedHandler(async (url, options) => {
+        saved = JSON.parse(options.body).schedules;
+        return { ok: true, json: async () => ({ schedules: saved, metadata: { revision: 4 } }) };
+    });
+    await handler.splitSeries({ scheduleId: 's1', splitDate: '2026-07-15', changes: { start_time: '09:00' } });
+    await handler.saveSchedules();
+    assert.deepStrictEqual(saved.map(s => [s.start_date, s.end_date, s.start_time]),
+        [['2026-07-01', '2026-07-14', '08:00'], ['2026-07-15', 'never', '09:00']]);
+});
+
+test('saves name their action for the server\'s audit log', async () => {
+    const requests = [];
+    const handler = loadedHandler(async (url, options) => {
+        requests.push(`${options.method} ${url} ${options.headers['X-Schedule-Action']} ${options.headers['X-Schedule-Scope']}`);
+        return { ok: true, json: async () => ({ ...JSON.parse(options.body), revision: 4 }) };
+    });
+    handler.pendingPayload = { scheduleId: 's1', newStart: new Date('2026-07-01T09:00:00Z') };
+    await handler.handleUserAction('DRAG_WHOLE_SERIES', {});
+    // The server logs the write itself; nothing else is reported
+    assert.deepStrictEqual(requests, ['PUT /api/schedules/s1 DRAG_WHOLE_SERIES series']);
+    assert.strictEqual(handler.currentAction, null);
+});
@@ -0,0 +1,33 @@
+/**
+ * Load the browser classes the way index.html does - as globals, in script order - for node tests
+ */
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const rules = {
+    ...require(path.join(root, 'schedule_rules.json')),
+    holiday_calendars: Object.keys(require(path.join(root, 'holiday_calendars.json')).calendars).sort()
+};
+
+global.window = global.window || {};
+global.window.SCHEDULE_RULES = rules;
+for (const [name, file] of [
+    ['ScheduleValidator', 'schedule-validator.js'],
+    ['PriorityLayers', 'priority-layers.js'],
+    ['ControlChannels', 'control-channels.js'],
+    ['Recurrence', 'recurrence.js'],
+    ['HolidayCalendar', 'holidays.js'],
+    ['DeviceClock', 'device-clock.js'],
+    ['SolarCalculator', 'solar-calculator.js'],
+    ['ScheduleTimes', 'schedule-times.js'],
+    ['OverlapEngine', 'overlap-engine.js'],
+    ['ICalendar', 'ical.js'],
+    ['ImportDiff', 'import-diff.js']
+]) {
+    global[name] = require(path.join(root, 'static', 'js', file));
+}
+PriorityLayers.load(rules);
+ControlChannels.load(rules);
+HolidayCalendar.load(require(path.join(root, 'holiday_calendars.json')));
+
+module.exports = { root, rules };
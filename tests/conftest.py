@@ -0,0 +1,36 @@
+"""The server modules read their JSON files (schedule_rules.json, holiday_calendars.json) from the
+working directory, so every test runs from the repository root - except server tests, which run in
+a scratch directory holding copies of the configuration so the recipe, history, holds and audit
+log they write never touch the repository's."""
+import os
+import shutil
+import pytest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+
+CONFIG_FILES = ('schedule_rules.json', 'holiday_calendars.json', 'device_config.json')
+
+@pytest.fixture(autouse=True)
+def repo_root(monkeypatch):
+    monkeypatch.chdir(ROOT)
+
+@pytest.fixture
+def workdir(tmp_path, monkeypatch):
+    """A scratch working directory with the configuration files (and no recipe yet)"""
+    for name in CONFIG_FILES:
+        shutil.copy(os.path.join(ROOT, name), tmp_path / name)
+    monkeypatch.chdir(tmp_path)
+    return tmp_path
+
+@pytest.fixture
+def client(workdir):
+    """Test client for the Flask app, working in workdir"""
+    from app_simple import app
+    app.config['TESTING'] = True
+    return app.test_client()
+
+@pytest.fixture
+def shipped_recipe(workdir):
+    """The repository's user_schedule_recipe.json, copied into workdir"""
+    shutil.copy(os.path.join(ROOT, 'user_schedule_recipe.json'), workdir / 'user_schedule_recipe.json')
+    return workdir / 'user_schedule_recipe.json'
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./browser-globals');
+const { cases } = require('./recurrence_cases.json');
+
+function roundTrip(schedules) {
+    return ICalendar.parse(ICalendar.exportSchedules(schedules));
+}
+
+function importRule(rrule, dtstart = '20260701T090000') {
+    return ICalendar.parse([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:room-101',
+        'SUMMARY:Standup',
+        `DTSTART:${dtstart}`,
+        'DURATION:PT1H',
+        `RRULE:${rrule}`,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n'));
+}
+
+for (const { name, schedule, from, until, dates } of cases) {
+    test(`export and import keep the occurrences - ${name}`, () => {
+        const { schedules, errors } = roundTrip([{
+            ...schedule,
+            id: 'case',
+            event_name: name,
+            schedule_type: 'thermostat',
+            start_time: '08:00',
+            end_time: '17:00'
+        }]);
+        assert.deepStrictEqual(errors, []);
+        assert.strictEqual(schedules.length, 1);
+        assert.deepStrictEqual(Recurrence.occurrenceDates(schedules[0], from, until), dates);
+    });
+}
+
+test('export and import keep the name, times, HVAC fields and overrides', () => {
+    const schedule = {
+        id: 'occupied',
+        event_name: 'Occupied; lobby, east',
+        schedule_type: 'thermostat',
+        layer: 'building',
+        repeat_frequency: 'custom',
+        days_of_week: ['monday', 'wednesday', 'friday'],
+        time_setting: 'time',
+        start_date: '2026-07-01',
+        end_date: 'never',
+        start_time: '22:00',
+        end_time: '06:00',
+        settings: { heat_setpoint: '68', cool_setpoint: '76' },
+        exclude_dates: ['2026-07-06'],
+        overrides: { '2026-07-08': { date: '2026-07-09', start_time: '21:00', end_time: '05:00', settings: { heat_setpoint: '70' } } }
+    };
+    const { schedules: [imported], errors } = roundTrip([schedule, { id: 'unoccupied-default', is_default: true }]);
+
+    assert.deepStrictEqual(errors, []);
+    for (const field of ['id', 'event_name', 'schedule_type', 'layer', 'repeat_frequency', 'days_of_week', 'start_date', 'end_date', 'start_time', 'end_time', 'settings', 'exclude_dates', 'overrides']) {
+        assert.deepStrictEqual(imported[field], schedule[field], field);
+    }
+});
+
+test('an all-day schedule comes back all day', () => {
+    const { schedules: [imported] } = roundTrip([{
+        id: 'closed',
+        event_name: 'Closed',
+        schedule_type: 'thermostat',
+        repeat_frequency: 'never',
+        time_setting: 'all_day',
+        start_date: '2026-12-25',
+        end_date: '2026-12-25',
+        settings: {}
+    }]);
+    assert.strictEqual(imported.time_setting, 'all_day');
+    assert.strictEqual(imported.start_date, '2026-12-25');
+});
+
+test('every-N-weeks rules mixing Sunday with other days need WKST=SU', () => {
+    // RFC 5545's default week start is Monday, which puts that Sunday in the week before
+    for (const rrule of ['FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,SU', 'FREQ=WEEKLY;INTERVAL=2;WKST=MO;BYDAY=MO,SU']) {
+        const { schedules, errors } = importRule(rrule);
+        assert.deepStrictEqual(schedules, []);
+        assert.match(errors[0], /WKST=MO/);
+    }
+
+    const { schedules: [sundayWeeks], errors } = importRule('FREQ=WEEKLY;INTERVAL=2;WKST=SU;BYDAY=MO,SU');
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(Recurrence.occurrenceDates(sundayWeeks, '2026-07-01', '2026-07-31'), ['2026-07-12', '2026-07-13', '2026-07-26', '2026-07-27']);
+});
+
+test('every-N-weeks rules group the same either way when Sunday is not split from the other days', () => {
+    for (const rrule of ['FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH', 'FREQ=WEEKLY;INTERVAL=2;WKST=MO;BYDAY=TU,TH']) {
+        const { schedules: [imported], errors } = importRule(rrule);
+        assert.deepStrictEqual(errors, []);
+        assert.deepStrictEqual(Recurrence.occurrenceDates(imported, '2026-07-01', '2026-07-31'), ['2026-07-02', '2026-07-14', '2026-07-16', '2026-07-28', '2026-07-30']);
+    }
+
+    // A Sunday DTSTART counts as one of the days: Monday weeks would put it before the Tuesday
+    assert.match(importRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU', '20260705T090000').errors[0], /WKST=MO/);
+    assert.deepStrictEqual(importRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=SU', '20260705T090000').errors, []);
+    assert.deepStrictEqual(importRule('FREQ=WEEKLY;BYDAY=MO,SU').errors, []);
+    assert.match(importRule('FREQ=WEEKLY;INTERVAL=2;WKST=XX;BYDAY=TU').errors[0], /invalid RRULE WKST 'XX'/);
+});
+
+test('imported COUNT, moved and cancelled occurrences', () => {
+    const { schedules: [imported], errors } = ICalendar.parse([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:standup',
+        'SUMMARY:Standup',
+        'DTSTART:20260706T090000',
+        'DTEND:20260706T100000',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=4',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:standup',
+        'RECURRENCE-ID:20260713T090000',
+        'STATUS:CANCELLED',
+        'DTSTART:20260713T090000',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:standup',
+        'RECURRENCE-ID:20260720T090000',
+        'DTSTART:20260721T110000',
+        'DTEND:20260721T120000',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n'));
+
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(imported.end_date, '2026-07-27');
+    assert.deepStrictEqual(imported.exclude_dates, ['2026-07-13']);
+    assert.deepStrictEqual(Recurrence.instances(imported, '2026-07-01', '2026-07-31').map(i => [i.date, i.schedule.start_time]),
+        [['2026-07-06', '09:00'], ['2026-07-21', '11:00'], ['2026-07-27', '09:00']]);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./browser-globals');
+
+function schedule(id, fields = {}) {
+    return {
+        id,
+        revision: 2,
+        event_name: id,
+        schedule_type: 'thermostat',
+        repeat_frequency: 'custom',
+        days_of_week: ['monday'],
+        start_date: '2026-07-06',
+        end_date: 'never',
+        start_time: '08:00',
+        end_time: '17:00',
+        settings: { heat_setpoint: '68' },
+        created_at: '2026-01-01T00:00:00.000Z',
+        ...fields
+    };
+}
+
+const unoccupied = schedule('unoccupied-default', { is_default: true, event_name: 'Unoccupied', settings: { heat_setpoint: '60' } });
+const current = [unoccupied, schedule('office'), schedule('lobby')];
+
+// The file: office changed, lobby missing, gym new, and a default with different settings and its own id
+const imported = [
+    schedule('office', { start_time: '07:00', revision: 9, updated_at: 'x' }),
+    schedule('gym', { revision: undefined }),
+    schedule('file-default', { is_default: true, event_name: 'Unoccupied', settings: { heat_setpoint: '62' } })
+];
+
+const ids = schedules => schedules.map(s => s.id);
+
+test('compare matches by id and the default with the default, ignoring bookkeeping fields', () => {
+    const { added, changed, removed, unchanged } = ImportDiff.compare(current, [...imported, schedule('lobby', { revision: 7 })]);
+    assert.deepStrictEqual(ids(added), ['gym']);
+    assert.deepStrictEqual(changed.map(c => [c.current.id, c.fields.map(f => f.field)]), [
+        ['office', ['start_time']],
+        ['unoccupied-default', ['settings']]
+    ]);
+    assert.deepStrictEqual(ids(removed), []);
+    assert.deepStrictEqual(ids(unchanged), ['lobby']);
+
+    assert.deepStrictEqual(ids(ImportDiff.compare(current, imported).removed), ['lobby']);
+});
+
+test('replace leaves only the file\'s schedules, under the ids and revisions they match', () => {
+    const { schedules, importedIds } = ImportDiff.apply(current, imported, 'replace');
+    assert.deepStrictEqual(ids(schedules), ['office', 'gym', 'unoccupied-default']);
+    assert.deepStrictEqual(importedIds, ids(schedules));
+
+    const [office, gym, fallback] = schedules;
+    assert.deepStrictEqual([office.start_time, office.revision, office.created_at], ['07:00', 2, '2026-01-01T00:00:00.000Z']);
+    assert.notStrictEqual(office.updated_at, 'x');
+    assert.strictEqual(gym.revision, undefined);
+    assert.deepStrictEqual(fallback.settings, { heat_setpoint: '62' });
+});
+
+test('replace keeps the current default when the file has none', () => {
+    const { schedules } = ImportDiff.apply(current, [schedule('gym')], 'replace');
+    assert.deepStrictEqual(ids(schedules), ['unoccupied-default', 'gym']);
+    assert.strictEqual(schedules[0], unoccupied);
+});
+
+test('merge updates matching schedules in place and adds the rest, removing nothing', () => {
+    const { schedules, importedIds } = ImportDiff.apply(current, imported, 'merge');
+    assert.deepStrictEqual(ids(schedules), ['unoccupied-default', 'office', 'lobby', 'gym']);
+    assert.deepStrictEqual(importedIds, ['office', 'gym', 'unoccupied-default']);
+    assert.strictEqual(schedules[1].start_time, '07:00');
+    assert.strictEqual(schedules[2], current[2]);
+    assert.deepStrictEqual(schedules[0].settings, { heat_setpoint: '62' });
+});
+
+test('an unchanged schedule is left as it is, so saving doesn\'t rewrite it', () => {
+    const { schedules } = ImportDiff.apply(current, [schedule('lobby', { revision: 7, updated_at: 'later' })], 'merge');
+    assert.strictEqual(schedules[2], current[2]);
+});
+
+test('append adds every schedule under a new id and leaves the file\'s default out', () => {
+    const { schedules, importedIds } = ImportDiff.apply(current, imported, 'append');
+    assert.deepStrictEqual(schedules.slice(0, 3), current);
+    assert.strictEqual(schedules.length, 5);
+    assert.deepStrictEqual(ids(schedules.slice(3)), importedIds);
+    assert.ok(!importedIds.includes('office') && !importedIds.includes('gym'));
+    assert.strictEqual(new Set(importedIds).size, 2);
+    assert.deepStrictEqual(schedules.slice(3).map(s => [s.event_name, s.revision]), [['office', undefined], ['gym', undefined]]);
+});
+
+test('an unknown mode is refused', () => {
+    assert.throws(() => ImportDiff.apply(current, imported, 'overwrite'), /Unknown import mode: overwrite/);
+});
@@ -0,0 +1,205 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./browser-globals');
+
+function schedule(id, fields) {
+    return {
+        id,
+        event_name: id,
+        schedule_type: 'thermostat',
+        repeat_frequency: 'never',
+        start_time: '09:00',
+        end_time: '17:00',
+        settings: { heat_setpoint: '68' },
+        ...fields
+    };
+}
+
+function oneTime(id, date, start_time = '09:00', end_time = '17:00') {
+    return schedule(id, { start_date: date, end_date: date, start_time, end_time });
+}
+
+// Dates the target first meets each conflicting schedule
+function conflictDates(target, others) {
+    return OverlapEngine.findConflicts(target, others).map(conflict => [conflict.schedule.id, conflict.date]);
+}
+
+// Plain UTC keeps clock changes out of the way; the DST cases are in schedule-times.test.js
+const deviceClock = ScheduleTimes.clock;
+test.before(() => { ScheduleTimes.clock = new DeviceClock('UTC'); });
+test.after(() => { ScheduleTimes.clock = deviceClock; });
+
+test.describe('overnight windows', () => {
+    const mondayNights = schedule('nights', {
+        repeat_frequency: 'custom',
+        days_of_week: ['monday'],
+        start_date: '2026-07-01',
+        end_date: 'never',
+        start_time: '22:00',
+        end_time: '06:00'
+    });
+
+    test('run into the next morning', () => {
+        assert.deepStrictEqual(conflictDates(oneTime('early', '2026-07-07', '05:00', '07:00'), [mondayNights]), [['nights', '2026-07-07']]);
+        assert.deepStrictEqual(conflictDates(mondayNights, [oneTime('early', '2026-07-07', '05:00', '07:00')]), [['early', '2026-07-07']]);
+    });
+
+    test('only touching at the end is no conflict', () => {
+        assert.deepStrictEqual(conflictDates(oneTime('after', '2026-07-07', '06:00', '08:00'), [mondayNights]), []);
+        assert.deepStrictEqual(conflictDates(oneTime('sunday', '2026-07-05', '05:00', '07:00'), [mondayNights]), []);
+    });
+
+    test('a series running into the next morning meets a series on that morning every week', () => {
+        const tuesdays = schedule('tuesdays', {
+            repeat_frequency: 'custom',
+            days_of_week: ['tuesday'],
+            start_date: '2026-07-01',
+            end_date: 'never',
+            start_time: '05:00',
+            end_time: '05:30'
+        });
+        const [conflict] = OverlapEngine.findConflicts(tuesdays, [mondayNights]);
+        assert.strictEqual(conflict.schedule.id, 'nights');
+        assert.strictEqual(conflict.first_date, '2026-07-07');
+        assert.strictEqual(conflict.last_date, null);
+        assert.strictEqual(conflict.count, Infinity);
+
+        assert.deepStrictEqual(conflictDates({ ...tuesdays, start_time: '23:30', end_time: '01:00' }, [mondayNights]), []);
+    });
+});
+
+test('open-ended schedules starting far in the future are still checked', () => {
+    const weekdays = schedule('weekdays', {
+        repeat_frequency: 'custom',
+        days_of_week: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+        start_date: '2026-07-01',
+        end_date: 'never'
+    });
+    const future = schedule('future', {
+        repeat_frequency: 'weekly',
+        repeat_interval: 3,
+        days_of_week: ['monday'],
+        start_date: '2400-03-01',
+        end_date: 'never',
+        start_time: '16:00',
+        end_time: '18:00'
+    });
+
+    // Weeks count from the one holding March 1st (a Wednesday), so the first Monday is three weeks on
+    const [conflict] = OverlapEngine.findConflicts(future, [weekdays]);
+    assert.strictEqual(conflict.first_date, '2400-03-20');
+    assert.strictEqual(conflict.last_date, null);
+    assert.strictEqual(conflict.count, Infinity);
+    assert.deepStrictEqual(conflict.days_of_week, ['monday']);
+
+    assert.deepStrictEqual(conflictDates(future, [{ ...weekdays, end_date: '2399-12-31' }]), []);
+});
+
+test.describe('monthly and yearly rules', () => {
+    const oddMonths = schedule('odd-months', {
+        repeat_frequency: 'monthly',
+        repeat_interval: 2,
+        days_of_month: [15],
+        start_date: '2026-07-15',
+        end_date: 'never'
+    });
+
+    test('a yearly date meets the months it falls in', () => {
+        assert.deepStrictEqual(conflictDates(schedule('march', {
+            repeat_frequency: 'yearly',
+            start_date: '2027-03-15',
+            end_date: 'never'
+        }), [oddMonths]), [['odd-months', '2027-03-15']]);
+    });
+
+    test('a yearly date in the skipped months never does', () => {
+        assert.deepStrictEqual(conflictDates(schedule('august', {
+            repeat_frequency: 'yearly',
+            start_date: '2026-08-15',
+            end_date: 'never'
+        }), [oddMonths]), []);
+    });
+
+    test('the last Friday meets a Friday series', () => {
+        const lastFriday = schedule('last-friday', {
+            repeat_frequency: 'monthly',
+            week_of_month: -1,
+            days_of_week: ['friday'],
+            start_date: '2026-07-01',
+            end_date: 'never'
+        });
+        const fridays = schedule('fridays', {
+            repeat_frequency: 'custom',
+            days_of_week: ['friday'],
+            start_date: '2026-07-01',
+            end_date: '2026-12-31'
+        });
+        const [conflict] = OverlapEngine.findConflicts(lastFriday, [fridays]);
+        assert.strictEqual(conflict.first_date, '2026-07-31');
+        assert.strictEqual(conflict.last_date, '2026-12-25');
+        assert.strictEqual(conflict.count, 6);
+    });
+});
+
+test.describe('excluded dates and overrides', () => {
+    const wednesdays = schedule('wednesdays', {
+        repeat_frequency: 'custom',
+        days_of_week: ['wednesday'],
+        start_date: '2026-07-01',
+        end_date: '2026-07-31'
+    });
+
+    test('an excluded date does not conflict', () => {
+        assert.deepStrictEqual(conflictDates(oneTime('meeting', '2026-07-08'), [{ ...wednesdays, exclude_dates: ['2026-07-08'] }]), []);
+        assert.deepStrictEqual(conflictDates(oneTime('meeting', '2026-07-08'), [wednesdays]), [['wednesdays', '2026-07-08']]);
+    });
+
+    test('a moved occurrence conflicts on its new date only', () => {
+        const moved = { ...wednesdays, overrides: { '2026-07-08': { date: '2026-07-09', start_time: '13:00', end_time: '15:00' } } };
+        assert.deepStrictEqual(conflictDates(oneTime('meeting', '2026-07-08'), [moved]), []);
+        assert.deepStrictEqual(conflictDates(oneTime('meeting', '2026-07-09'), [moved]), [['wednesdays', '2026-07-09']]);
+        assert.deepStrictEqual(conflictDates(oneTime('morning', '2026-07-09', '09:00', '12:00'), [moved]), []);
+    });
+
+    test('a series counts its overrides with its other conflicts', () => {
+        const moved = { ...wednesdays, overrides: { '2026-07-08': { date: '2026-07-09' } } };
+        const thursdays = { ...wednesdays, id: 'thursdays', days_of_week: ['wednesday', 'thursday'] };
+        const [conflict] = OverlapEngine.findConflicts(moved, [thursdays]);
+        assert.strictEqual(conflict.first_date, '2026-07-01');
+        assert.strictEqual(conflict.last_date, '2026-07-29');
+        assert.strictEqual(conflict.count, 5);
+    });
+});
+
+test('holidays a schedule subscribes to do not conflict', () => {
+    const weekdays = schedule('weekdays', {
+        repeat_frequency: 'custom',
+        days_of_week: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+        start_date: '2026-07-01',
+        end_date: '2026-07-31',
+        holiday_calendars: ['us-federal']
+    });
+    // Independence Day falls on a Saturday in 2026 and is observed on Friday the 3rd
+    assert.deepStrictEqual(conflictDates(oneTime('party', '2026-07-03'), [weekdays]), []);
+    assert.deepStrictEqual(conflictDates(oneTime('party', '2026-07-02'), [weekdays]), [['weekdays', '2026-07-02']]);
+
+    const [conflict] = OverlapEngine.findConflicts(schedule('fridays', {
+        repeat_frequency: 'custom',
+        days_of_week: ['friday'],
+        start_date: '2026-07-01',
+        end_date: '2026-07-31'
+    }), [weekdays]);
+    assert.strictEqual(conflict.first_date, '2026-07-10');
+    assert.strictEqual(conflict.count, 4);
+});
+
+test('schedules on other layers or channels may overlap', () => {
+    const occupied = oneTime('occupied', '2026-07-08');
+    assert.deepStrictEqual(conflictDates({ ...oneTime('event', '2026-07-08'), layer: 'special_event' }, [occupied]), []);
+    assert.deepStrictEqual(conflictDates({ ...oneTime('event', '2026-07-08'), layer: 'special_event' }, [{ ...occupied, layer: 'special_event' }]), [['occupied', '2026-07-08']]);
+    assert.deepStrictEqual(conflictDates({ ...oneTime('lights', '2026-07-08'), schedule_type: 'lighting' }, [occupied]), []);
+    assert.deepStrictEqual(conflictDates({ ...oneTime('humidity', '2026-07-08'), schedule_type: 'humidistat' }, [occupied]), []);
+    assert.deepStrictEqual(conflictDates({ ...oneTime('humidity', '2026-07-08'), schedule_type: 'humidistat' },
+        [{ ...occupied, schedule_type: 'thermostat+humidistat' }]), [['occupied', '2026-07-08']]);
+    assert.deepStrictEqual(conflictDates(oneTime('again', '2026-07-08'), [{ ...occupied, is_default: true }]), []);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./browser-globals');
+const { cases } = require('./recurrence_cases.json');
+
+for (const { name, schedule, from, until, dates } of cases) {
+    test(`occurrenceDates - ${name}`, () => {
+        assert.deepStrictEqual(Recurrence.occurrenceDates(schedule, from, until), dates);
+    });
+
+    test(`occursOn agrees with occurrenceDates - ${name}`, () => {
+        const found = [];
+        for (let day = Recurrence.dayNumber(from); day <= Recurrence.dayNumber(until); day++) {
+            if (Recurrence.occursOn(schedule, Recurrence.dateString(day))) found.push(Recurrence.dateString(day));
+        }
+        assert.deepStrictEqual(found, dates);
+    });
+}
+
+test('a schedule without a usable start_date never occurs', () => {
+    assert.deepStrictEqual(Recurrence.occurrenceDates({ repeat_frequency: 'custom', days_of_week: ['monday'] }, '2026-07-01', '2026-07-31'), []);
+    assert.deepStrictEqual(Recurrence.occurrenceDates({ repeat_frequency: 'never', start_date: '2026-02-30' }, '2026-02-01', '2026-03-31'), []);
+});
+
+test('an override moves its occurrence and an excluded original drops it', () => {
+    const schedule = {
+        ...cases.find(c => c.name.startsWith('custom')).schedule,
+        overrides: { '2026-07-06': { date: '2026-07-07', start_time: '10:00', end_time: '12:00' } }
+    };
+    const days = Recurrence.instances(schedule, '2026-07-01', '2026-07-15').map(i => i.date);
+    assert.deepStrictEqual(days, ['2026-07-01', '2026-07-07', '2026-07-08', '2026-07-13', '2026-07-15']);
+
+    const excluded = { ...schedule, exclude_dates: ['2026-07-06'] };
+    const remaining = Recurrence.instances(excluded, '2026-07-01', '2026-07-15').map(i => i.date);
+    assert.deepStrictEqual(remaining, ['2026-07-01', '2026-07-08', '2026-07-13', '2026-07-15']);
+});
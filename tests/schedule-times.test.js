@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./browser-globals');
+const cases = require('./dst_cases.json');
+
+const iso = instant => instant.toISOString().replace('.000Z', 'Z');
+
+function oneTime(id, [date, start_time, end_time]) {
+    return {
+        id,
+        event_name: id,
+        schedule_type: 'thermostat',
+        repeat_frequency: 'never',
+        start_date: date,
+        end_date: date,
+        start_time,
+        end_time,
+        settings: { heat_setpoint: '68' }
+    };
+}
+
+for (const { name, timezone, date, start_time, end_time, start, end } of cases.event_times) {
+    test(`eventTimes ${timezone} ${date} ${start_time}-${end_time}: ${name}`, () => {
+        const clock = new DeviceClock(timezone);
+        const times = ScheduleTimes.eventTimes({ start_time, end_time }, date, ScheduleTimes.solar, clock);
+        assert.deepStrictEqual({ start: iso(times.start), end: iso(times.end) }, { start, end });
+    });
+}
+
+test('DeviceClock.instant shifts skipped times forward and takes the first of repeated ones', () => {
+    const newYork = new DeviceClock('America/New_York');
+    assert.strictEqual(iso(newYork.instant('2026-03-08', '02:30')), '2026-03-08T07:30:00Z');
+    assert.strictEqual(iso(newYork.instant('2026-03-08', '03:30')), '2026-03-08T07:30:00Z');
+    assert.strictEqual(iso(newYork.instant('2026-11-01', '01:00')), '2026-11-01T05:00:00Z');
+    assert.strictEqual(iso(newYork.instant('2026-11-01', '02:00')), '2026-11-01T07:00:00Z');
+
+    const berlin = new DeviceClock('Europe/Berlin');
+    assert.strictEqual(iso(berlin.instant('2026-03-29', '02:30')), '2026-03-29T01:30:00Z');
+    assert.strictEqual(iso(berlin.instant('2026-10-25', '02:30')), '2026-10-25T00:30:00Z');
+    assert.strictEqual(iso(berlin.instant('2026-10-25', '03:00')), '2026-10-25T02:00:00Z');
+});
+
+test('DeviceClock finds the transition days and their lengths', () => {
+    const newYork = new DeviceClock('America/New_York');
+    assert.deepStrictEqual(newYork.transitionDays(2026), ['2026-03-08', '2026-11-01']);
+    assert.strictEqual(newYork.dayLength('2026-03-08'), 1380);
+    assert.strictEqual(newYork.dayLength('2026-11-01'), 1500);
+
+    const berlin = new DeviceClock('Europe/Berlin');
+    assert.deepStrictEqual(berlin.transitionDays(2026), ['2026-03-29', '2026-10-25']);
+    assert.strictEqual(berlin.dayLength('2026-03-29'), 1380);
+    assert.strictEqual(berlin.dayLength('2026-10-25'), 1500);
+});
+
+test.describe('OverlapEngine on the nights the clocks change', () => {
+    const deviceClock = ScheduleTimes.clock;
+    test.after(() => { ScheduleTimes.clock = deviceClock; });
+
+    for (const { name, timezone, a, b, date } of cases.overlaps) {
+        test(`${timezone} ${a.join(' ')} / ${b.join(' ')}: ${name}`, () => {
+            ScheduleTimes.clock = new DeviceClock(timezone);
+            const conflicts = OverlapEngine.findConflicts(oneTime('a', a), [oneTime('b', b)]);
+            assert.deepStrictEqual(conflicts.map(conflict => conflict.date), date ? [date] : []);
+        });
+    }
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { rules } = require('./browser-globals');
+
+const daily = {
+    id: 'daily-1',
+    event_name: 'Occupied',
+    schedule_type: 'thermostat',
+    repeat_frequency: 'daily',
+    start_date: '2026-07-01',
+    end_date: '2026-07-31',
+    start_time: '08:00',
+    end_time: '17:00',
+    exclude_dates: ['2026-07-04'],
+    settings: { heat_setpoint: '68', cool_setpoint: '74' }
+};
+
+test('daily is not a current repeat frequency', () => {
+    const errors = new ScheduleValidator(rules).validateSchedule(daily);
+    assert.ok(errors.repeat_frequency);
+});
+
+test('daily migrates to custom on every day and then validates', () => {
+    const migrated = Recurrence.migrate(daily);
+    assert.strictEqual(migrated.repeat_frequency, 'custom');
+    assert.deepStrictEqual(migrated.days_of_week, Recurrence.DAY_NAMES);
+    assert.strictEqual(daily.repeat_frequency, 'daily');
+    assert.deepStrictEqual(new ScheduleValidator(rules).validateSchedule(migrated), {});
+});
+
+test('a migrated daily schedule keeps its dates', () => {
+    const dates = Recurrence.occurrenceDates(Recurrence.migrate(daily), '2026-06-01', '2026-08-31');
+    assert.deepStrictEqual(dates, Recurrence.occurrenceDates(daily, '2026-06-01', '2026-08-31'));
+    assert.strictEqual(dates.length, 30);
+    assert.ok(!dates.includes('2026-07-04'));
+});
+
+test('other schedules are left alone', () => {
+    const weekly = { ...daily, repeat_frequency: 'weekly', days_of_week: ['monday'] };
+    assert.strictEqual(Recurrence.migrate(weekly), weekly);
+});
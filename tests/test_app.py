@@ -0,0 +1,175 @@
+"""Server API tests, run against the Flask test client in a scratch directory (see conftest.client)"""
+
+
+def revision_header(revision):
+    return {'If-Match': f'"{revision}"'}
+
+
+def document(client):
+    response = client.get('/api/schedules')
+    return response.get_json(), response.headers['ETag'].strip('"')
+
+
+def schedule(schedule_id, **fields):
+    return {
+        'id': schedule_id,
+        'event_name': f'Event {schedule_id}',
+        'schedule_type': 'thermostat',
+        'repeat_frequency': 'custom',
+        'days_of_week': ['monday'],
+        'start_date': '2026-07-06',
+        'end_date': 'never',
+        'start_time': '08:00',
+        'end_time': '17:00',
+        'settings': {'heat_setpoint': '68', 'cool_setpoint': '74'},
+        **fields
+    }
+
+
+def test_whole_document_save_bumps_the_revision_of_changed_schedules(client):
+    data, revision = document(client)
+    response = client.post('/api/schedules', json={'schedules': data['schedules'] + [schedule('a'), schedule('b')]},
+                           headers=revision_header(revision))
+    assert response.status_code == 200
+    assert response.get_json()['metadata']['revision'] == int(revision) + 1
+    assert [s['id'] for s in response.get_json()['schedules']][-2:] == ['a', 'b']
+
+    data, revision = document(client)
+    by_id = {s['id']: s for s in data['schedules']}
+    assert by_id['a']['revision'] == 1 and by_id['b']['revision'] == 1
+    default_revision = by_id['unoccupied-default']['revision']
+
+    # The client claims the old revision for a changed schedule; the server decides
+    edited = [s if s['id'] != 'a' else {**s, 'event_name': 'Renamed', 'revision': 1} for s in data['schedules']]
+    assert client.post('/api/schedules', json={'schedules': edited}, headers=revision_header(revision)).status_code == 200
+
+    by_id = {s['id']: s for s in document(client)[0]['schedules']}
+    assert by_id['a']['revision'] == 2
+    assert by_id['b']['revision'] == 1
+    assert by_id['unoccupied-default']['revision'] == default_revision
+
+    # A client still holding revision 1 of "a" can't overwrite the renamed copy
+    stale = client.put('/api/schedules/a', json=schedule('a', event_name='Stale'), headers=revision_header(1))
+    assert stale.status_code == 409
+
+
+def test_shipped_recipe_loads_with_unique_ids_and_saves_unchanged(client, shipped_recipe):
+    data, revision = document(client)
+    ids = [s['id'] for s in data['schedules']]
+    assert len(ids) == len(set(ids))
+    assert ids.count('unoccupied-default') == 1
+
+    response = client.post('/api/schedules', json=data, headers=revision_header(revision))
+    assert response.status_code == 200, response.get_json()
+
+
+def test_clearing_the_shipped_recipe_can_be_restored(client, shipped_recipe):
+    data, revision = document(client)
+    original_ids = [s['id'] for s in data['schedules']]
+    assert len(original_ids) == 7
+
+    cleared = {'schedules': [s for s in data['schedules'] if s.get('is_default')]}
+    assert client.post('/api/schedules', json=cleared, headers=revision_header(revision)).status_code == 200
+
+    history = client.get('/api/schedules/history').get_json()
+    assert [entry['revision'] for entry in history['revisions']] == [1, 0]
+
+    _, revision = document(client)
+    restored = client.post('/api/schedules/history/0/restore', headers=revision_header(revision))
+    assert restored.status_code == 200, restored.get_json()
+    assert [s['id'] for s in document(client)[0]['schedules']] == original_ids
+
+
+def test_restore_needs_the_current_revision(client):
+    _, revision = document(client)
+    client.post('/api/schedules', json={'schedules': document(client)[0]['schedules'] + [schedule('a')]},
+                headers=revision_header(revision))
+    assert client.post('/api/schedules/history/0/restore', headers=revision_header(revision)).status_code == 409
+    assert client.post('/api/schedules/history/0/restore').status_code == 428
+    assert client.post('/api/schedules/history/9/restore',
+                       headers=revision_header(int(revision) + 1)).status_code == 404
+
+
+def audit_entries(client, schedule_id=None):
+    return client.get('/api/audit', query_string={'schedule_id': schedule_id} if schedule_id else {}).get_json()['entries']
+
+
+def test_the_server_logs_every_write_it_saves(client):
+    client.post('/api/schedules', json=schedule('a'))
+    assert client.put('/api/schedules/a', json=schedule('a', event_name='Renamed'), headers=revision_header(1)).status_code == 200
+    # Refused writes change nothing and log nothing
+    assert client.put('/api/schedules/a', json=schedule('a', event_name='Stale'), headers=revision_header(1)).status_code == 409
+    assert client.put('/api/schedules/a', json=schedule('a', start_time='25:00'), headers=revision_header(2)).status_code == 422
+    assert client.delete('/api/schedules/a', headers=revision_header(2)).status_code == 200
+
+    entries = audit_entries(client, 'a')
+    assert [(e['action_type'], e['request']) for e in entries] == [
+        ('DELETE_SCHEDULE', 'DELETE /api/schedules/a'),
+        ('UPDATE_SCHEDULE', 'PUT /api/schedules/a'),
+        ('CREATE_SCHEDULE', 'POST /api/schedules')
+    ]
+    assert [change['change'] for e in entries for change in e['changes']] == ['deleted', 'updated', 'created']
+    assert entries[1]['changes'][0]['fields'] == {'event_name': {'before': 'Event a', 'after': 'Renamed'}}
+    assert entries[0]['user'] == 'anonymous'
+    assert entries[0]['client']['address'] == '127.0.0.1'
+
+
+def test_a_browser_label_names_the_action_but_not_the_changes(client):
+    client.post('/api/schedules', json=schedule('a'))
+    client.put('/api/schedules/a', json=schedule('a', start_time='09:00'),
+               headers={**revision_header(1), 'X-Schedule-Action': 'DRAG_WHOLE_SERIES', 'X-Schedule-Scope': 'series'})
+
+    entry = audit_entries(client, 'a')[0]
+    assert (entry['action_type'], entry['scope'], entry['request']) == ('DRAG_WHOLE_SERIES', 'series', 'PUT /api/schedules/a')
+    assert entry['changes'][0]['fields'] == {'start_time': {'before': '08:00', 'after': '09:00'}}
+
+
+def test_whole_document_saves_and_restores_are_one_entry_each(client):
+    data, revision = document(client)
+    client.post('/api/schedules', json={'schedules': data['schedules'] + [schedule('a'), schedule('b')]},
+                headers={**revision_header(revision), 'X-Schedule-Action': 'IMPORT_SCHEDULES', 'X-Schedule-Scope': 'append'})
+    _, revision = document(client)
+    # A restore is logged as one whatever the browser calls it
+    client.post('/api/schedules/history/0/restore', headers={**revision_header(revision), 'X-Schedule-Action': 'UNDO'})
+
+    restore, save = audit_entries(client)
+    assert (save['action_type'], save['scope'], save['schedule_ids']) == ('IMPORT_SCHEDULES', 'append', ['a', 'b'])
+    assert (restore['action_type'], restore['scope'], restore['schedule_ids']) == ('RESTORE_REVISION', 'revision 0', ['a', 'b'])
+    assert [change['change'] for change in restore['changes']] == ['deleted', 'deleted']
+
+
+def test_audit_entries_cannot_be_posted(client):
+    response = client.post('/api/audit', json={'action_type': 'DELETE_EVENT', 'changes': [
+        {'schedule_id': 'a', 'change': 'deleted', 'fields': {}}]})
+    assert response.status_code == 405
+    assert audit_entries(client) == []
+
+
+def test_forwarded_headers_are_believed_only_from_a_trusted_proxy(client, monkeypatch):
+    import app_simple
+    spoofed = {'X-Forwarded-For': '198.51.100.66, 192.0.2.7', 'X-Forwarded-User': 'dana'}
+    client.post('/api/schedules', json=schedule('a'), headers=spoofed, environ_base={'REMOTE_ADDR': '203.0.113.9'})
+    monkeypatch.setattr(app_simple, 'TRUSTED_PROXIES', frozenset({'10.0.0.2'}))
+    client.post('/api/schedules', json=schedule('b'), headers=spoofed, environ_base={'REMOTE_ADDR': '10.0.0.2'})
+
+    proxied, direct = audit_entries(client)
+    assert (direct['user'], direct['client']['address']) == ('anonymous', '203.0.113.9')
+    assert (proxied['user'], proxied['client']['address']) == ('dana', '192.0.2.7')
+
+
+def test_status_gives_every_time_on_the_device_clock(client):
+    from datetime import datetime, time, timedelta
+    from zoneinfo import ZoneInfo
+    zone = ZoneInfo('America/New_York')
+    tomorrow = (datetime.now(zone) + timedelta(days=1)).date()
+    starts = datetime.combine(tomorrow, time(8), zone).isoformat()
+    tomorrow = tomorrow.isoformat()
+    client.post('/api/schedules', json=schedule('a', repeat_frequency='never', start_date=tomorrow, end_date=tomorrow))
+
+    status = client.get('/api/status').get_json()
+    assert status['device_timezone'] == 'America/New_York'
+    assert status['next_transition']['schedule_id'] == 'a'
+    assert status['next_transition']['start'] == starts
+    assert status['active_until'] == status['next_transition']['start']
+    for channel in status['channels']:
+        assert channel['active_until'] is None or channel['active_until'] == channel['next_transition']['start']
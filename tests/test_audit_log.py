@@ -0,0 +1,52 @@
+from audit_log import client_address, reported_action, schedule_changes, signed_in_user, trusted_proxies
+
+PROXY = '10.0.0.2'
+SIGNED_IN = {'X-Forwarded-User': 'dana', 'X-Replit-User-Name': 'dana-r'}
+
+
+def test_trusted_proxies_reads_a_comma_separated_list():
+    assert trusted_proxies(' 10.0.0.2, ::1 ,') == {'10.0.0.2', '::1'}
+    assert trusted_proxies(None) == frozenset()
+
+
+def test_user_headers_are_believed_from_a_trusted_proxy():
+    assert signed_in_user(SIGNED_IN, PROXY, None, trusted_proxies(PROXY)) == 'dana-r'
+    assert signed_in_user({'X-Remote-User': 'lee'}, PROXY, None, trusted_proxies(PROXY)) == 'lee'
+
+
+def test_user_headers_are_ignored_without_a_trusted_proxy():
+    assert signed_in_user(SIGNED_IN, '203.0.113.9', None, trusted_proxies(PROXY)) == 'anonymous'
+    assert signed_in_user(SIGNED_IN, PROXY, None, trusted_proxies('')) == 'anonymous'
+    assert signed_in_user(SIGNED_IN, '203.0.113.9', 'kim', trusted_proxies(PROXY)) == 'kim'
+
+
+def test_trusted_proxy_without_user_headers_falls_back_to_remote_user():
+    assert signed_in_user({}, PROXY, 'kim', trusted_proxies(PROXY)) == 'kim'
+    assert signed_in_user({}, PROXY, None, trusted_proxies(PROXY)) == 'anonymous'
+
+
+def test_client_address_is_the_peer_unless_it_is_a_trusted_proxy():
+    assert client_address('203.0.113.9', '198.51.100.1', trusted_proxies(PROXY)) == '203.0.113.9'
+    assert client_address(PROXY, '198.51.100.1', trusted_proxies(PROXY)) == '198.51.100.1'
+    # Only the address the proxy added counts; what the client put in front of it is its own claim
+    assert client_address(PROXY, '198.51.100.66, 192.0.2.7', trusted_proxies(PROXY)) == '192.0.2.7'
+    assert client_address(PROXY, '198.51.100.66, 192.0.2.7, 10.0.0.3', trusted_proxies('10.0.0.2,10.0.0.3')) == '192.0.2.7'
+    assert client_address(PROXY, None, trusted_proxies(PROXY)) == PROXY
+
+
+def test_reported_action_takes_plain_names_only():
+    assert reported_action({'X-Schedule-Action': 'DRAG_WHOLE_SERIES', 'X-Schedule-Scope': 'series'}) == ('DRAG_WHOLE_SERIES', 'series')
+    assert reported_action({}) == (None, None)
+    assert reported_action({'X-Schedule-Action': '<script>', 'X-Schedule-Scope': 'revision 3'}) == (None, None)
+
+
+def test_schedule_changes_lists_changed_fields():
+    old = {'id': 's1', 'event_name': 'A', 'start_time': '08:00', 'revision': 3}
+    kept = {'id': 's2', 'event_name': 'Kept', 'revision': 1}
+    changes = schedule_changes([old, kept, {'id': 's3', 'event_name': 'Gone'}],
+                               [{**old, 'event_name': 'B', 'revision': 4}, {**kept, 'revision': 2}, {'id': 4, 'event_name': 'New'}])
+    assert changes == [
+        {'schedule_id': 's1', 'event_name': 'B', 'change': 'updated', 'fields': {'event_name': {'before': 'A', 'after': 'B'}}},
+        {'schedule_id': '4', 'event_name': 'New', 'change': 'created', 'fields': {'event_name': {'before': None, 'after': 'New'}}},
+        {'schedule_id': 's3', 'event_name': 'Gone', 'change': 'deleted', 'fields': {'event_name': {'before': 'Gone', 'after': None}}}
+    ]
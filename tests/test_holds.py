@@ -0,0 +1,119 @@
+import json
+from datetime import datetime, time, timedelta, timezone
+from zoneinfo import ZoneInfo
+
+from holds import active_holds, hold_end, load_holds, save_holds, validate_hold
+from schedule_times import DeviceClock
+from schedule_validation import load_rules
+
+NEW_YORK = DeviceClock({'timezone': 'America/New_York'})
+ZONE = ZoneInfo('America/New_York')
+HEAT = {'heat_setpoint': '70'}
+
+
+def utc(value):
+    return datetime.fromisoformat(value).replace(tzinfo=timezone.utc)
+
+
+def test_validate_hold():
+    rules = load_rules()
+    assert validate_hold({'schedule_type': 'thermostat', 'settings': HEAT, 'minutes': 60}, rules) == {}
+    assert validate_hold({'schedule_type': 'thermostat', 'settings': HEAT, 'until': '17:00'}, rules) == {}
+    assert validate_hold({'schedule_type': 'thermostat', 'settings': HEAT, 'until': 'next_transition'}, rules) == {}
+
+    assert set(validate_hold({'schedule_type': 'thermostat', 'settings': HEAT, 'until': '17:00', 'minutes': 60}, rules)) == {'until'}
+    assert set(validate_hold({'schedule_type': 'thermostat', 'settings': HEAT}, rules)) == {'until'}
+    assert set(validate_hold({'schedule_type': 'thermostat', 'settings': HEAT, 'until': 'later'}, rules)) == {'until'}
+    assert set(validate_hold({'schedule_type': 'thermostat', 'settings': HEAT, 'minutes': 5}, rules)) == {'minutes'}
+    assert set(validate_hold({'schedule_type': 'boiler', 'settings': {}, 'minutes': 60}, rules)) == {'schedule_type', 'settings'}
+
+
+def test_hold_end():
+    now = utc('2026-07-06T14:00:00')  # 10:00 in New York
+    assert hold_end({'minutes': 90}, now, NEW_YORK, None) == utc('2026-07-06T15:30:00')
+    assert hold_end({'until': '17:00'}, now, NEW_YORK, None) == utc('2026-07-06T21:00:00')
+    # A clock time that has passed today is tomorrow's
+    assert hold_end({'until': '09:00'}, now, NEW_YORK, None) == utc('2026-07-07T13:00:00')
+    assert hold_end({'until': 'next_transition'}, now, NEW_YORK, utc('2026-07-06T21:00:00')) == utc('2026-07-06T21:00:00')
+
+
+def test_expired_holds_are_dropped_when_the_file_is_written(workdir):
+    now = utc('2026-07-06T14:00:00')
+    expired = {'id': 'old', 'start': '2026-07-06T08:00:00-04:00', 'end': '2026-07-06T10:00:00-04:00'}
+    running = {'id': 'new', 'start': '2026-07-06T09:00:00-04:00', 'end': '2026-07-06T12:00:00-04:00'}
+    assert active_holds([expired, running], now) == [running]
+
+    save_holds([expired, running], now)
+    assert load_holds() == [running]
+
+
+def hold(client, **fields):
+    return client.post('/api/holds', json={'schedule_type': 'thermostat', 'settings': HEAT, **fields})
+
+
+def test_a_hold_runs_over_the_schedule_until_it_ends(client):
+    before = datetime.now(ZONE).replace(microsecond=0)
+    response = hold(client, minutes=60, event_name='Meeting')
+    assert response.status_code == 201
+    placed = response.get_json()
+    start, end = datetime.fromisoformat(placed['start']), datetime.fromisoformat(placed['end'])
+    assert before <= start <= before + timedelta(seconds=5)
+    assert end - start == timedelta(minutes=60)
+
+    status = client.get('/api/status').get_json()
+    assert status['status'] == 'hold'
+    assert status['active_schedule']['event_name'] == 'Meeting'
+    assert status['active_until'] == placed['end']
+    assert client.get('/api/holds').get_json()['holds'] == [placed]
+
+    assert client.delete(f"/api/holds/{placed['id']}").status_code == 200
+    assert client.get('/api/holds').get_json()['holds'] == []
+    assert client.get('/api/status').get_json()['status'] == 'unoccupied'
+
+
+def test_a_new_hold_replaces_the_holds_on_its_channels(client):
+    def held():
+        return [(h['schedule_type'], h['settings']) for h in client.get('/api/holds').get_json()['holds']]
+
+    hold(client, minutes=60)
+    hold(client, schedule_type='humidistat', settings={'humidity_setpoint': '40'}, minutes=60)
+    hold(client, settings={'heat_setpoint': '72'}, minutes=120)
+    assert held() == [('humidistat', {'humidity_setpoint': '40'}), ('thermostat', {'heat_setpoint': '72'})]
+    assert len(load_holds()) == 2
+
+    # A hold on both channels replaces both
+    hold(client, schedule_type='thermostat+humidistat', settings={**HEAT, 'humidity_setpoint': '45'}, minutes=30)
+    assert held() == [('thermostat+humidistat', {**HEAT, 'humidity_setpoint': '45'})]
+
+
+def test_expired_holds_are_not_served(client, workdir):
+    with open(workdir / 'schedule_holds.json', 'w') as f:
+        json.dump({'holds': [{'id': 'old', 'schedule_type': 'thermostat', 'settings': HEAT, 'is_hold': True,
+                              'start': '2026-01-05T08:00:00-05:00', 'end': '2026-01-05T10:00:00-05:00'}]}, f)
+    assert client.get('/api/holds').get_json()['holds'] == []
+    assert client.get('/api/status').get_json()['status'] == 'unoccupied'
+
+
+def test_a_hold_until_the_next_transition(client):
+    tomorrow = (datetime.now(ZONE) + timedelta(days=1)).date()
+    client.post('/api/schedules', json={
+        'id': 'a', 'event_name': 'Occupied', 'schedule_type': 'thermostat', 'repeat_frequency': 'never',
+        'start_date': tomorrow.isoformat(), 'end_date': tomorrow.isoformat(), 'start_time': '08:00', 'end_time': '17:00',
+        'settings': {'heat_setpoint': '68', 'cool_setpoint': '74'}
+    })
+
+    placed = hold(client, until='next_transition')
+    assert placed.status_code == 201
+    assert placed.get_json()['end'] == datetime.combine(tomorrow, time(8), ZONE).isoformat()
+
+    # Nothing drives humidity, so it has no transition to hold until
+    humidity = hold(client, schedule_type='humidistat', settings={'humidity_setpoint': '40'}, until='next_transition')
+    assert humidity.status_code == 422
+    assert 'until' in humidity.get_json()['errors']
+
+
+def test_an_invalid_hold_is_refused(client):
+    response = hold(client, until='17:00', minutes=60)
+    assert response.status_code == 422
+    assert set(response.get_json()['errors']) == {'until'}
+    assert client.get('/api/holds').get_json()['holds'] == []
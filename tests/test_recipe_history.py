@@ -0,0 +1,45 @@
+from recipe_history import change_summary, list_revisions, load_revision, record_revision
+
+
+def recipe(revision, *names):
+    return {
+        'schedules': [{'id': name.lower(), 'event_name': name} for name in names],
+        'metadata': {'revision': revision, 'updated_at': '2026-10-01T12:00:00'}
+    }
+
+
+def test_first_save_keeps_the_recipe_it_replaced(workdir):
+    original = recipe(0, 'Unoccupied', 'Occupied', 'Lunch')
+    cleared = recipe(1, 'Unoccupied')
+    record_revision(original, cleared, note='Clear all')
+
+    assert [entry['revision'] for entry in list_revisions()] == [1, 0]
+    kept = load_revision(0)
+    assert kept['document'] == original
+    assert kept['saved_at'] == '2026-10-01T12:00:00'
+    assert load_revision(1)['summary'] == 'Clear all: Removed "Occupied", "Lunch"'
+
+
+def test_later_saves_record_only_the_new_revision(workdir):
+    record_revision(recipe(0, 'Unoccupied'), recipe(1, 'Unoccupied', 'Occupied'))
+    record_revision(recipe(1, 'Unoccupied', 'Occupied'), recipe(2, 'Unoccupied'))
+
+    revisions = list_revisions()
+    assert [entry['revision'] for entry in revisions] == [2, 1, 0]
+    assert all('document' not in entry for entry in revisions)
+    assert revisions[0]['summary'] == 'Removed "Occupied"'
+    assert revisions[0]['size'] > 0
+
+
+def test_first_ever_save_has_nothing_before_it(workdir):
+    record_revision(None, recipe(0, 'Unoccupied'))
+    assert [entry['revision'] for entry in list_revisions()] == [0]
+    assert load_revision(0)['summary'] == 'First saved revision'
+    assert load_revision(5) is None
+
+
+def test_change_summary_names_at_most_three():
+    before = recipe(1, 'A')
+    after = recipe(2, 'A', 'B', 'C', 'D', 'E')
+    assert change_summary(before, after) == 'Added "B", "C", "D" and 1 more'
+    assert change_summary(after, after) == 'No schedule changes'
@@ -0,0 +1,64 @@
+import json
+import os
+import shutil
+import subprocess
+from datetime import date
+
+import pytest
+
+from holidays import load_holiday_calendars
+from recurrence import instances, occurrence_dates
+
+TESTS_DIR = os.path.dirname(os.path.abspath(__file__))
+
+with open(os.path.join(TESTS_DIR, 'recurrence_cases.json'), 'r') as f:
+    CASES = json.load(f)['cases']
+
+
+def dates_of(case):
+    return [day.isoformat() for day in occurrence_dates(
+        case['schedule'], date.fromisoformat(case['from']), date.fromisoformat(case['until']),
+        load_holiday_calendars()['calendars'])]
+
+
+@pytest.mark.parametrize('case', CASES, ids=[case['name'] for case in CASES])
+def test_occurrence_dates(case):
+    assert dates_of(case) == case['dates']
+
+
+def test_schedule_without_a_usable_start_date_never_occurs():
+    first, last = date(2026, 2, 1), date(2026, 7, 31)
+    assert occurrence_dates({'repeat_frequency': 'custom', 'days_of_week': ['monday']}, first, last, {}) == []
+    assert occurrence_dates({'repeat_frequency': 'never', 'start_date': '2026-02-30'}, first, last, {}) == []
+
+
+def test_override_moves_its_occurrence_and_excluded_original_drops_it():
+    custom = next(case for case in CASES if case['name'].startswith('custom'))['schedule']
+    schedule = {**custom, 'overrides': {'2026-07-06': {'date': '2026-07-07', 'start_time': '10:00', 'end_time': '12:00'}}}
+    first, last = date(2026, 7, 1), date(2026, 7, 15)
+    assert [day.isoformat() for day, _ in instances(schedule, first, last, {})] == \
+        ['2026-07-01', '2026-07-07', '2026-07-08', '2026-07-13', '2026-07-15']
+
+    excluded = {**schedule, 'exclude_dates': ['2026-07-06']}
+    assert [day.isoformat() for day, _ in instances(excluded, first, last, {})] == \
+        ['2026-07-01', '2026-07-08', '2026-07-13', '2026-07-15']
+
+
+# Every case over five whole years, through static/js/recurrence.js
+NODE_SCRIPT = """
+require('./tests/browser-globals');
+const { cases, from, until } = JSON.parse(require('fs').readFileSync(0, 'utf8'));
+console.log(JSON.stringify(cases.map(c => Recurrence.occurrenceDates(c.schedule, from, until))));
+"""
+
+
+@pytest.mark.skipif(shutil.which('node') is None, reason='node is not installed')
+def test_javascript_gives_the_same_dates():
+    first, last = date(2024, 1, 1), date(2028, 12, 31)
+    stdin = json.dumps({'cases': CASES, 'from': first.isoformat(), 'until': last.isoformat()})
+    result = subprocess.run(['node', '-e', NODE_SCRIPT], input=stdin, capture_output=True, text=True,
+                            timeout=60, check=True)
+    calendars = load_holiday_calendars()['calendars']
+    for case, javascript_dates in zip(CASES, json.loads(result.stdout)):
+        python_dates = [day.isoformat() for day in occurrence_dates(case['schedule'], first, last, calendars)]
+        assert javascript_dates == python_dates, case['name']
@@ -0,0 +1,51 @@
+import json
+import os
+from datetime import date, datetime
+
+import pytest
+
+from schedule_times import DeviceClock, event_times
+
+with open(os.path.join(os.path.dirname(os.path.abspath(__file__)), 'dst_cases.json'), 'r') as f:
+    CASES = json.load(f)
+
+
+def utc(value):
+    return datetime.fromisoformat(value.replace('Z', '+00:00'))
+
+
+@pytest.mark.parametrize('case', CASES['event_times'],
+                         ids=[f"{c['timezone']} {c['date']} {c['start_time']}-{c['end_time']}" for c in CASES['event_times']])
+def test_event_times(case):
+    clock = DeviceClock({'timezone': case['timezone']})
+    schedule = {'start_time': case['start_time'], 'end_time': case['end_time']}
+    start, end = event_times(schedule, date.fromisoformat(case['date']), clock)
+    assert (start, end) == (utc(case['start']), utc(case['end']))
+
+
+def test_instant_shifts_skipped_times_and_takes_the_first_repeated_one():
+    new_york = DeviceClock({'timezone': 'America/New_York'})
+    assert new_york.instant(date(2026, 3, 8), '02:30') == utc('2026-03-08T07:30:00Z')
+    assert new_york.instant(date(2026, 3, 8), '03:30') == utc('2026-03-08T07:30:00Z')
+    assert new_york.instant(date(2026, 11, 1), '01:00') == utc('2026-11-01T05:00:00Z')
+    assert new_york.instant(date(2026, 11, 1), '02:00') == utc('2026-11-01T07:00:00Z')
+
+    berlin = DeviceClock({'timezone': 'Europe/Berlin'})
+    assert berlin.instant(date(2026, 3, 29), '02:30') == utc('2026-03-29T01:30:00Z')
+    assert berlin.instant(date(2026, 10, 25), '02:30') == utc('2026-10-25T00:30:00Z')
+    assert berlin.instant(date(2026, 10, 25), '03:00') == utc('2026-10-25T02:00:00Z')
+
+
+def run_span(clock, schedule_times):
+    day, start_time, end_time = schedule_times
+    return event_times({'start_time': start_time, 'end_time': end_time}, date.fromisoformat(day), clock)
+
+
+@pytest.mark.parametrize('case', CASES['overlaps'],
+                         ids=[f"{c['timezone']} {' '.join(c['a'])} / {' '.join(c['b'])}" for c in CASES['overlaps']])
+def test_overlaps(case):
+    """The spans the server resolves meet exactly when OverlapEngine reports a conflict"""
+    clock = DeviceClock({'timezone': case['timezone']})
+    (a_start, a_end), (b_start, b_end) = run_span(clock, case['a']), run_span(clock, case['b'])
+    meets = a_start < a_end and b_start < b_end and a_start < b_end and a_end > b_start
+    assert meets == (case['date'] is not None)
@@ -0,0 +1,52 @@
+from datetime import date
+
+from recurrence import DAY_NAMES, migrate_schedule, occurrence_dates
+from schedule_validation import drop_duplicate_ids, validate_document, validate_schedule
+
+DAILY = {
+    'id': 'daily-1',
+    'event_name': 'Occupied',
+    'schedule_type': 'thermostat',
+    'repeat_frequency': 'daily',
+    'start_date': '2026-07-01',
+    'end_date': '2026-07-31',
+    'start_time': '08:00',
+    'end_time': '17:00',
+    'exclude_dates': ['2026-07-04'],
+    'settings': {'heat_setpoint': '68', 'cool_setpoint': '74'}
+}
+
+
+def test_daily_is_not_a_current_repeat_frequency():
+    assert 'repeat_frequency' in validate_schedule(DAILY)
+
+
+def test_daily_migrates_to_custom_on_every_day():
+    migrated = migrate_schedule(DAILY)
+    assert migrated['repeat_frequency'] == 'custom'
+    assert migrated['days_of_week'] == DAY_NAMES
+    assert DAILY['repeat_frequency'] == 'daily'
+    assert validate_schedule(migrated) == {}
+
+
+def test_migrated_daily_keeps_its_dates():
+    first, last = date(2026, 6, 1), date(2026, 8, 31)
+    dates = occurrence_dates(migrate_schedule(DAILY), first, last, {})
+    assert dates == occurrence_dates(DAILY, first, last, {})
+    assert len(dates) == 30 and date(2026, 7, 4) not in dates
+
+
+def test_other_schedules_are_left_alone():
+    weekly = {**DAILY, 'repeat_frequency': 'weekly', 'days_of_week': ['monday']}
+    assert migrate_schedule(weekly) is weekly
+
+
+def test_migrated_recipe_validates():
+    document = {'schedules': [migrate_schedule(DAILY)]}
+    assert validate_document(document) == {}
+
+
+def test_drop_duplicate_ids_keeps_the_first_copy():
+    first, second, other = {'id': 'a', 'event_name': 'First'}, {'id': 'a', 'event_name': 'Second'}, {'id': 'b'}
+    assert drop_duplicate_ids([first, other, second]) == [first, other]
+    assert validate_document({'schedules': [first, second]})['schedules'] == ['Duplicate schedule IDs found']
@@ -0,0 +1,125 @@
+from datetime import datetime, timezone
+
+from schedule_times import DeviceClock
+from timeline import build_timeline, on_channel
+
+UTC = DeviceClock({'timezone': 'UTC'})
+TYPE_CHANNELS = {'thermostat': ['temperature'], 'humidistat': ['humidity'],
+                 'thermostat+humidistat': ['temperature', 'humidity']}
+LAYERS = ['base', 'special_event', 'holiday', 'override']
+
+DEFAULT = {'id': 'default', 'is_default': True, 'time_setting': 'all_day', 'start_time': '00:00', 'end_time': '23:59',
+           'repeat_frequency': 'custom', 'days_of_week': ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday',
+                                                          'friday', 'saturday'],
+           'start_date': '2026-01-01', 'end_date': 'never'}
+
+
+def schedule(schedule_id, **fields):
+    return {'id': schedule_id, 'event_name': schedule_id, 'schedule_type': 'thermostat', 'repeat_frequency': 'custom',
+            'days_of_week': ['monday'], 'start_date': '2026-07-06', 'end_date': 'never', 'start_time': '08:00',
+            'end_time': '17:00', 'settings': {'heat_setpoint': '68'}, **fields}
+
+
+def at(value):
+    return datetime.fromisoformat(f'2026-07-{value}').replace(tzinfo=timezone.utc)
+
+
+def timeline(schedules, start='06T00:00', end='07T00:00', **kwargs):
+    """The timeline as (start, end, schedule id) with times as '06T08:00'"""
+    spans = build_timeline(schedules, at(start), at(end), UTC, {}, LAYERS, **kwargs)
+    return [(s.strftime('%dT%H:%M'), e.strftime('%dT%H:%M'), item['id'] if item else None) for s, e, item in spans]
+
+
+def test_the_default_fills_every_gap():
+    assert timeline([DEFAULT, schedule('work'), schedule('evening', start_time='19:00', end_time='21:00')]) == [
+        ('06T00:00', '06T08:00', 'default'),
+        ('06T08:00', '06T17:00', 'work'),
+        ('06T17:00', '06T19:00', 'default'),
+        ('06T19:00', '06T21:00', 'evening'),
+        ('06T21:00', '07T00:00', 'default')
+    ]
+
+
+def test_gaps_without_a_default_are_empty_and_back_to_back_spans_merge():
+    morning = schedule('work', end_time='12:00')
+    afternoon = schedule('afternoon', start_time='12:00')
+    assert timeline([morning, afternoon]) == [
+        ('06T00:00', '06T08:00', None), ('06T08:00', '06T12:00', 'work'),
+        ('06T12:00', '06T17:00', 'afternoon'), ('06T17:00', '07T00:00', None)
+    ]
+    # Occurrences of one series meeting at midnight read as one span
+    days = schedule('days', days_of_week=['monday', 'tuesday'], start_time='00:00', end_time='00:00')
+    assert timeline([days], end='09T00:00') == [('06T00:00', '08T00:00', 'days'), ('08T00:00', '09T00:00', None)]
+
+
+def test_an_overnight_occurrence_runs_into_the_first_morning():
+    sunday_nights = schedule('nights', days_of_week=['sunday'], start_date='2026-07-05', start_time='22:00', end_time='06:00')
+    assert timeline([DEFAULT, sunday_nights]) == [
+        ('06T00:00', '06T06:00', 'nights'), ('06T06:00', '07T00:00', 'default')
+    ]
+
+
+def test_higher_layers_and_then_recipe_order_win():
+    base = schedule('base')
+    event = schedule('event', layer='special_event', start_time='10:00', end_time='12:00')
+    tie = schedule('tie', start_time='16:00', end_time='18:00')
+    assert timeline([DEFAULT, base, tie, event]) == [
+        ('06T00:00', '06T08:00', 'default'), ('06T08:00', '06T10:00', 'base'), ('06T10:00', '06T12:00', 'event'),
+        ('06T12:00', '06T17:00', 'base'), ('06T17:00', '06T18:00', 'tie'), ('06T18:00', '07T00:00', 'default')
+    ]
+
+
+def test_holds_outrank_every_layer():
+    hold = (at('06T11:00'), at('06T13:00'), {'id': 'hold', 'is_hold': True})
+    override = schedule('override', layer='override')
+    assert timeline([DEFAULT, override], holds=[hold])[1:4] == [
+        ('06T08:00', '06T11:00', 'override'), ('06T11:00', '06T13:00', 'hold'), ('06T13:00', '06T17:00', 'override')
+    ]
+
+
+def test_a_channel_only_sees_the_schedules_driving_it():
+    schedules = [DEFAULT, schedule('heat'), schedule('humid', schedule_type='humidistat', start_time='12:00'),
+                 schedule('both', schedule_type='thermostat+humidistat', start_time='18:00', end_time='20:00')]
+    assert [s['id'] for s in on_channel(schedules, 'humidity', TYPE_CHANNELS)] == ['humid', 'both']
+    # The thermostat default doesn't drive humidity, so nothing fills that channel's gaps
+    assert timeline(on_channel(schedules, 'humidity', TYPE_CHANNELS)) == [
+        ('06T00:00', '06T12:00', None), ('06T12:00', '06T17:00', 'humid'),
+        ('06T17:00', '06T18:00', None), ('06T18:00', '06T20:00', 'both'), ('06T20:00', '07T00:00', None)
+    ]
+
+
+def api_timeline(client, **query):
+    return client.get('/api/timeline', query_string=query)
+
+
+def test_the_api_filters_by_channel(client):
+    client.post('/api/schedules', json=schedule('heat'))
+    client.post('/api/schedules', json=schedule('humid', schedule_type='humidistat', start_time='12:00'))
+    day = {'from': '2026-07-06', 'to': '2026-07-07'}
+
+    # All channels together: the first in the recipe covers the hours both run
+    everything = api_timeline(client, **day).get_json()
+    assert [span['schedule_id'] for span in everything['timeline']] == ['unoccupied-default', 'heat', 'unoccupied-default']
+    humidity = api_timeline(client, channel='humidity', **day).get_json()
+    assert humidity['channel'] == 'humidity'
+    assert [(span['start'], span['schedule_id']) for span in humidity['timeline']] == [
+        ('2026-07-06T00:00:00-04:00', None), ('2026-07-06T12:00:00-04:00', 'humid'), ('2026-07-06T17:00:00-04:00', None)
+    ]
+    assert api_timeline(client, channel='airflow', **day).status_code == 400
+
+
+def test_the_api_resolves_at_most_31_days(client):
+    assert api_timeline(client, **{'from': '2026-07-01', 'to': '2026-08-01'}).status_code == 200
+    too_long = api_timeline(client, **{'from': '2026-07-01', 'to': '2026-08-01T00:01'})
+    assert too_long.status_code == 400
+    assert '31 days' in too_long.get_json()['error']
+    assert api_timeline(client, **{'from': '2026-07-02', 'to': '2026-07-01'}).status_code == 400
+    assert api_timeline(client, **{'from': 'monday'}).status_code == 400
+
+
+def test_the_api_shows_times_in_the_requested_zone(client):
+    response = api_timeline(client, **{'from': '2026-07-06T00:00:00+00:00', 'to': '2026-07-06T06:00:00+00:00',
+                                       'zone': 'Europe/Berlin'}).get_json()
+    assert (response['from'], response['to']) == ('2026-07-06T02:00:00+02:00', '2026-07-06T08:00:00+02:00')
+    assert response['device_timezone'] == 'America/New_York'
+    assert response['timeline'][0]['start'] == response['from']
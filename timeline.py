@@ -0,0 +1,83 @@
+"""Resolved setpoint timeline: which schedule is in effect over a stretch of time.
+
+The same answer the browser gives with findActiveScheduleForTime, worked out on the server so
+device firmware and dashboards can read it from /api/timeline instead of re-implementing
+recurrence. A time is covered by the non-default schedule on the highest priority layer (see
+static/js/priority-layers.js) with an occurrence running then - overnight occurrences from the day
+before included - ties going to the first in the recipe's order, and the default (Unoccupied)
+schedule fills every gap. A moved or edited occurrence of a series is in effect as its override's
+instance (see recurrence.instance). Temporary holds (see holds.py) outrank every layer while they
+run. A timeline for one control channel (see static/js/control-channels.js) only looks at the
+schedules and holds driving it.
+"""
+from datetime import timedelta
+from recurrence import instances
+from schedule_times import event_times
+
+def occurrences(schedule, start, end, clock, calendars):
+    """(start, end, occurrence) spans of the schedule's occurrences that run at some point in [start, end);
+    occurrence is the schedule, or its override's instance for a moved or edited occurrence"""
+    # Begin a day early: an overnight occurrence from the day before runs into the first morning
+    first = clock.date_of(start) - timedelta(days=1)
+    last = clock.date_of(end)
+    found = []
+    for day, occurrence in instances(schedule, first, last, calendars):
+        times = event_times(occurrence, day, clock)
+        if times and times[0] < times[1] and times[0] < end and times[1] > start:
+            found.append((*times, occurrence))
+    return found
+
+def layer_rank(schedule, layers):
+    """Position of a schedule's priority layer in layers (ids, lowest first); missing or unknown is 0"""
+    layer = schedule.get('layer')
+    return layers.index(layer) if layer in layers else 0
+
+def schedule_channels(schedule, type_channels):
+    """Control channels a schedule drives (type_channels is the rules' schedule_type_channels)"""
+    return type_channels.get(schedule.get('schedule_type') or 'thermostat', [])
+
+def on_channel(schedules, channel, type_channels):
+    """The schedules driving a channel; the default is among them only when it drives the channel too"""
+    return [schedule for schedule in schedules if channel in schedule_channels(schedule, type_channels)]
+
+def build_timeline(schedules, start, end, clock, calendars, layers=(), holds=()):
+    """Gap-free list of (start, end, schedule) spans covering [start, end); schedule is None when
+    nothing applies and there is no default schedule, and is the hold while one runs (holds are
+    (start, end, hold) spans). Back-to-back spans of one schedule are merged"""
+    default = next((schedule for schedule in schedules if schedule.get('is_default')), None)
+    # Holds first, then the highest layer; sorted() is stable, so recipe order breaks ties
+    ranked = [[hold] for hold in holds]
+    ranked += [occurrences(schedule, start, end, clock, calendars)
+               for schedule in sorted((schedule for schedule in schedules if not schedule.get('is_default')),
+                                      key=lambda schedule: -layer_rank(schedule, layers))]
+
+    boundaries = {start, end}
+    for spans in ranked:
+        for span_start, span_end, _ in spans:
+            boundaries.update(moment for moment in (span_start, span_end) if start < moment < end)
+    boundaries = sorted(boundaries)
+
+    timeline = []
+    for span_start, span_end in zip(boundaries, boundaries[1:]):
+        active = next((occurrence for spans in ranked for on, off, occurrence in spans
+                       if on <= span_start and off >= span_end), default)
+        if timeline and timeline[-1][2] is active:
+            timeline[-1] = (timeline[-1][0], span_end, active)
+        else:
+            timeline.append((span_start, span_end, active))
+    return timeline
+
+# How far ahead to look for the next change, like the browser's next-event search (today and a week out)
+STATUS_LOOKAHEAD = timedelta(days=8)
+
+def current_status(schedules, now, clock, calendars, layers=(), holds=()):
+    """What is in effect at `now` and what comes next: {active: (start, end, schedule) - start is now,
+    and end is the lookahead's end when nothing changes before it; next_transition: the span that
+    follows, or None; next_event: the next span of a non-default schedule, or None}"""
+    spans = build_timeline(schedules, now, now + STATUS_LOOKAHEAD, clock, calendars, layers, holds)
+    upcoming = spans[1:]
+    return {
+        'active': spans[0],
+        'next_transition': upcoming[0] if upcoming else None,
+        'next_event': next((span for span in upcoming if span[2] and not span[2].get('is_default')), None)
+    }